@@ -3,25 +3,63 @@
  * MCP-Context-Memory 上下文记忆服务器（模块化）
  */
 
-import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 
-import { registerMemoryManage } from "./src/tools/memoryManage.js";
-import { registerMemoryQuery } from "./src/tools/memoryQuery.js";
-import { registerMemoryStats } from "./src/tools/memoryStats.js";
+import { loadConfig } from "./src/config.js";
+import { initStore, closeStore } from "./src/store.js";
+import { initEmbedder } from "./src/embedding.js";
+import { configureRetention, startSweeper } from "./src/retention.js";
+import { initConsolidation } from "./src/consolidation.js";
+import { configureAccess } from "./src/access.js";
+import { configureSensitive } from "./src/sensitive.js";
+import { configureTransfer } from "./src/transfer.js";
+import { startHttpServer } from "./src/http.js";
+import { startEventSinks, stopEventSinks } from "./src/eventSinks.js";
+import { createServer } from "./src/server.js";
+import { isCliCommand, runCli } from "./src/cli.js";
 
-const server = new McpServer({
-  name: "context-memory-server",
-  version: "1.0.0"
-});
+// 第一个参数是子命令（如 topics、search）时作为命令行工具运行，直接读写存储，不启动 MCP 服务
+const cliArgs = process.argv.slice(2);
+if (isCliCommand(cliArgs[0])) {
+  process.exit(await runCli(cliArgs));
+}
 
-// 注册工具
-registerMemoryManage(server);
-registerMemoryQuery(server);
-registerMemoryStats(server);
+// 加载配置、权限文件和敏感信息规则，初始化向量化和摘要提供者并从存储后端恢复数据（需要时解密），随后启动事件输出和过期清理任务
+let config;
+try {
+  config = loadConfig();
+  configureAccess(config);
+  configureSensitive(config);
+  configureTransfer(config);
+  await initEmbedder(config);
+  await initConsolidation(config);
+  await initStore(config);
+  await startEventSinks(config);
+  configureRetention(config);
+  startSweeper(config.sweepInterval);
+} catch (error) {
+  console.error(`[mcp-context-memory] 启动失败: ${error.message}`);
+  process.exit(1);
+}
 
-// 连接传输层
-const transport = new StdioServerTransport();
-await server.connect(transport);
-//console.log("MCP上下文记忆服务已启动");
+// 退出前关闭事件输出和存储后端
+process.on("exit", () => {
+  stopEventSinks();
+  closeStore();
+});
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.on(signal, () => process.exit(0));
+}
 
+// 连接传输层
+if (config.transport === "http") {
+  try {
+    await startHttpServer(config, createServer);
+  } catch (error) {
+    console.error(`[mcp-context-memory] HTTP 服务启动失败: ${error.message}`);
+    process.exit(1);
+  }
+} else {
+  await createServer().connect(new StdioServerTransport());
+  //console.log("MCP上下文记忆服务已启动");
+}
@@ -0,0 +1,186 @@
+import fs from "node:fs";
+import path from "node:path";
+import { createHash, timingSafeEqual } from "node:crypto";
+import { DEFAULT_NAMESPACE, isValidNamespace } from "./store.js";
+
+// 访问控制：调用方身份（principal）、各命名空间中的角色，以及命名空间配额。
+// 未配置权限文件时为开放模式：任何调用方都以管理员身份访问任意命名空间。
+// 权限文件为 JSON：
+// {
+//   "principals": {
+//     "agent-a": { "token": "...", "defaultNamespace": "project-a", "roles": { "project-a": "read-write", "*": "read-only" } }
+//   },
+//   "namespaces": {
+//     "project-a": { "quota": { "maxTopics": 50, "maxRecords": 5000, "maxMemorySize": 2000000 } }
+//   }
+// }
+// roles 中的 "*" 表示其他所有命名空间；namespaces 中的 "*" 为未单独配置的命名空间的默认配额。
+
+export const ROLES = ["read-only", "read-write", "admin"];
+
+export const ROLE_LABELS = {
+  "read-only": "只读",
+  "read-write": "读写",
+  admin: "管理员"
+};
+
+const ROLE_LEVEL = { "read-only": 1, "read-write": 2, admin: 3 };
+
+// 操作所需的最低角色：read 为只读，write 为读写，admin 为管理员
+const PERMISSION_ROLES = { read: "read-only", write: "read-write", admin: "admin" };
+
+const QUOTA_LABELS = {
+  maxTopics: "主题数量",
+  maxRecords: "记录数量",
+  maxMemorySize: "记忆大小"
+};
+
+let acl = null;
+let defaults = { principal: "", namespace: DEFAULT_NAMESPACE };
+
+function validateAcl(data, filePath) {
+  if (!data || typeof data !== "object" || typeof data.principals !== "object") {
+    throw new Error(`权限文件 ${filePath} 缺少 principals 配置`);
+  }
+  for (const [name, principal] of Object.entries(data.principals)) {
+    for (const [namespace, role] of Object.entries(principal.roles || {})) {
+      if (!ROLES.includes(role)) {
+        throw new Error(`权限文件中 ${name} 在命名空间 ${namespace} 的角色无效: ${role}（可选: ${ROLES.join(", ")}）`);
+      }
+    }
+  }
+  return { principals: data.principals, namespaces: data.namespaces || {} };
+}
+
+export function configureAccess(config = {}) {
+  defaults = {
+    principal: config.principal || "",
+    namespace: config.namespace || DEFAULT_NAMESPACE
+  };
+  acl = null;
+  if (config.acl) {
+    const filePath = path.resolve(config.acl);
+    acl = validateAcl(JSON.parse(fs.readFileSync(filePath, "utf8")), filePath);
+  }
+}
+
+export function isAccessControlEnabled() {
+  return acl !== null;
+}
+
+/**
+ * 比较令牌是否一致，耗时与令牌内容无关（先取摘要，长度不同的令牌也按相同方式比较）。
+ */
+export function tokensMatch(expected, actual) {
+  const digest = (value) => createHash("sha256").update(String(value)).digest();
+  return timingSafeEqual(digest(expected), digest(actual));
+}
+
+// 根据 bearer token 查找身份，找不到时返回 null
+export function authenticateToken(token) {
+  if (!acl || !token) {
+    return null;
+  }
+  const match = Object.entries(acl.principals).find(([, principal]) => principal.token && tokensMatch(principal.token, token));
+  return match ? match[0] : null;
+}
+
+// 工具调用的身份：HTTP 传输层认证得到的身份优先，其次为启动配置的 --principal
+function principalFromRequest(extra) {
+  return extra?.authInfo?.clientId || defaults.principal;
+}
+
+export function roleFor(principal, namespace) {
+  if (!acl) {
+    return "admin";
+  }
+  const roles = acl.principals[principal]?.roles || {};
+  return roles[namespace] || roles["*"] || null;
+}
+
+/**
+ * 解析工具调用要访问的命名空间并检查权限。
+ * 成功返回 { principal, namespace, role }，失败返回 { error: { code, message } }。
+ */
+export function resolveAccess(extra, requestedNamespace, permission) {
+  const principal = principalFromRequest(extra);
+  if (acl && !acl.principals[principal]) {
+    return {
+      error: {
+        code: "UNAUTHENTICATED",
+        message: `❌ 未识别的调用方身份${principal ? ` "${principal}"` : ""}！\n\n💡 提示：已启用权限控制，请通过 --principal 或 HTTP 访问令牌指定身份。`
+      }
+    };
+  }
+  const namespace = requestedNamespace || acl?.principals[principal]?.defaultNamespace || defaults.namespace;
+  if (!isValidNamespace(namespace)) {
+    return {
+      error: {
+        code: "INVALID_ARGUMENT",
+        message: `❌ 无效的命名空间名称: ${namespace}（只能包含字母、数字、- 和 _，最长 64 个字符）`
+      }
+    };
+  }
+  const role = roleFor(principal, namespace);
+  if (!role) {
+    return {
+      error: { code: "FORBIDDEN", message: `❌ 无权访问命名空间 "${namespace}"！` }
+    };
+  }
+  const requiredRole = PERMISSION_ROLES[permission];
+  if (ROLE_LEVEL[role] < ROLE_LEVEL[requiredRole]) {
+    return {
+      error: {
+        code: "FORBIDDEN",
+        message: `❌ 权限不足：该操作需要命名空间 "${namespace}" 的${ROLE_LABELS[requiredRole]}权限，当前为${ROLE_LABELS[role]}权限。`
+      }
+    };
+  }
+  return { principal, namespace, role };
+}
+
+/**
+ * 调用方可以看到的命名空间及其角色，loadedNames 为当前已存在的命名空间。
+ */
+export function accessibleNamespaces(extra, loadedNames) {
+  const principal = principalFromRequest(extra);
+  const names = new Set(loadedNames);
+  if (acl) {
+    for (const name of Object.keys(acl.principals[principal]?.roles || {})) {
+      if (name !== "*") {
+        names.add(name);
+      }
+    }
+  }
+  return [...names]
+    .map((name) => ({ name, role: roleFor(principal, name) }))
+    .filter((entry) => entry.role)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export function getQuota(namespace) {
+  return acl?.namespaces[namespace]?.quota || acl?.namespaces["*"]?.quota || null;
+}
+
+/**
+ * 检查新增内容后是否超出命名空间配额，超出时返回说明文本，否则返回 null。
+ * addition 为 { topics, records, size }
+ */
+export function checkQuota(space, { topics = 0, records = 0, size = 0 }) {
+  const quota = getQuota(space.name);
+  if (!quota) {
+    return null;
+  }
+  const { memoryStats } = space;
+  const usage = {
+    maxTopics: [memoryStats.totalTopics, topics],
+    maxRecords: [memoryStats.totalRecords, records],
+    maxMemorySize: [memoryStats.totalMemorySize, size]
+  };
+  for (const [key, [current, added]] of Object.entries(usage)) {
+    if (added > 0 && quota[key] !== undefined && current + added > quota[key]) {
+      return `❌ 超出命名空间 "${space.name}" 的${QUOTA_LABELS[key]}配额：当前 ${current}，新增 ${added}，上限 ${quota[key]}。\n\n💡 提示：可以删除不需要的数据，或联系管理员调整配额。`;
+    }
+  }
+  return null;
+}
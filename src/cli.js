@@ -0,0 +1,758 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import { loadConfig } from "./config.js";
+import { initStore, closeStore, viewSpace } from "./store.js";
+import { initEmbedder } from "./embedding.js";
+import { configureRetention } from "./retention.js";
+import { initConsolidation } from "./consolidation.js";
+import { configureAccess, resolveAccess } from "./access.js";
+import { configureSensitive } from "./sensitive.js";
+import { startEventSinks, drainEventSinks, stopEventSinks } from "./eventSinks.js";
+import { createServer } from "./server.js";
+
+// 命令行工具：不经过 MCP 客户端，直接查看和修改存储中的记忆，便于人工检查和在 shell 中编写审计、清理脚本。
+// 各子命令在进程内连接一个 MCP 服务实例，调用 memory_manage / memory_query / memory_stats / memory_transfer，
+// 校验、权限、版本历史和变更事件与 agent 调用工具时完全一致。
+// 默认以表格输出，--json 输出工具返回的结构化结果；工具返回错误时退出码为 1，参数错误为 2。
+// 命令行工具与服务进程各自把数据加载到内存，修改同一存储文件前请先停止正在运行的服务。
+
+// 命令行工具自身的选项，其余 --key value 选项（如 --storage-path、--principal）按服务的配置解析
+const BOOLEAN_OPTIONS = ["json", "yes", "dry-run", "reveal", "help"];
+const CLI_OPTIONS = [
+  ...BOOLEAN_OPTIONS,
+  "namespace",
+  "actor",
+  "topic",
+  "limit",
+  "offset",
+  "sort",
+  "mode",
+  "importance",
+  "content",
+  "context",
+  "metadata",
+  "ttl",
+  "expires-at",
+  "duplicate-policy",
+  "sections",
+  "format",
+  "out",
+  "topic-conflict",
+  "record-conflict",
+  "max-tokens",
+  "max-chars",
+  "expected-version"
+];
+
+const HELP_ARGS = ["help", "--help", "-h"];
+
+// 表格中内容列的最大显示宽度
+const CONTENT_WIDTH = 48;
+
+// ---------- 参数解析 ----------
+
+function parseCommandLine(argv) {
+  const positionals = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--") {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+    if (!arg.startsWith("--")) {
+      positionals.push(arg);
+      continue;
+    }
+    const eqIndex = arg.indexOf("=");
+    const key = eqIndex === -1 ? arg.slice(2) : arg.slice(2, eqIndex);
+    if (eqIndex !== -1) {
+      options[key] = arg.slice(eqIndex + 1);
+    } else if (BOOLEAN_OPTIONS.includes(key)) {
+      options[key] = true;
+    } else if (i + 1 < argv.length) {
+      options[key] = argv[++i];
+    } else {
+      throw new Error(`选项 --${key} 缺少取值`);
+    }
+  }
+  return { positionals, options };
+}
+
+// 转交给 loadConfig 的服务配置参数
+function configArgs(options) {
+  return Object.entries(options)
+    .filter(([key]) => !CLI_OPTIONS.includes(key))
+    .map(([key, value]) => (value === true ? `--${key}` : `--${key}=${value}`));
+}
+
+function parseInteger(value, name) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new Error(`--${name} 必须是非负整数: ${value}`);
+  }
+  return number;
+}
+
+function parseMetadata(value) {
+  try {
+    const metadata = JSON.parse(value);
+    if (metadata === null || typeof metadata !== "object" || Array.isArray(metadata)) {
+      throw new Error("不是对象");
+    }
+    return metadata;
+  } catch (error) {
+    throw new Error(`--metadata 需要 JSON 对象，如 '{"difficulty": "hard"}'：${error.message}`);
+  }
+}
+
+function splitList(value) {
+  return value
+    ? String(value)
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean)
+    : [];
+}
+
+// 内容为 - 时从标准输入读取
+function readContent(value) {
+  return value === "-" ? fs.readFileSync(0, "utf8").trim() : value;
+}
+
+// ---------- 输出 ----------
+
+const WIDE_CHAR = /[ᄀ-ᅟ⺀-꓏가-힣豈-﫿︰-﹏＀-｠￠-￦\u{1f300}-\u{1faff}]/u;
+
+function displayWidth(text) {
+  let width = 0;
+  for (const char of text) {
+    width += WIDE_CHAR.test(char) ? 2 : 1;
+  }
+  return width;
+}
+
+function truncate(text, maxWidth) {
+  const flat = String(text ?? "").replace(/\s+/g, " ").trim();
+  if (displayWidth(flat) <= maxWidth) {
+    return flat;
+  }
+  let result = "";
+  for (const char of flat) {
+    if (displayWidth(result + char) > maxWidth - 1) {
+      break;
+    }
+    result += char;
+  }
+  return `${result}…`;
+}
+
+function pad(text, width) {
+  return text + " ".repeat(Math.max(0, width - displayWidth(text)));
+}
+
+/**
+ * 渲染表格，columns 为 [{ label, value(row), width? }]，width 为该列的最大显示宽度。
+ */
+function formatTable(columns, rows) {
+  if (rows.length === 0) {
+    return "（无）";
+  }
+  const cells = rows.map((row) =>
+    columns.map((column) => {
+      const value = column.value(row);
+      const text = value === undefined || value === null || value === "" ? "-" : String(value);
+      return column.width ? truncate(text, column.width) : text.replace(/\s+/g, " ");
+    })
+  );
+  const widths = columns.map((column, index) =>
+    Math.max(displayWidth(column.label), ...cells.map((row) => displayWidth(row[index])))
+  );
+  const line = (values) =>
+    values
+      .map((value, index) => (index === values.length - 1 ? value : pad(value, widths[index])))
+      .join("  ");
+  return [line(columns.map((column) => column.label)), line(widths.map((width) => "-".repeat(width))), ...cells.map(line)].join(
+    "\n"
+  );
+}
+
+// 纵向的字段表，pairs 为 [[标签, 值]]，值为空的字段不显示
+function formatFields(pairs) {
+  const shown = pairs.filter(([, value]) => value !== undefined && value !== null && value !== "");
+  const width = Math.max(...shown.map(([label]) => displayWidth(label)));
+  return shown
+    .map(([label, value]) => `${pad(label, width)}  ${typeof value === "object" ? JSON.stringify(value) : value}`)
+    .join("\n");
+}
+
+function printJson(value) {
+  console.log(JSON.stringify(value, null, 2));
+}
+
+const RECORD_COLUMNS = [
+  { label: "ID", value: (record) => record.id },
+  { label: "主题", value: (record) => record.topic },
+  { label: "重要性", value: (record) => record.importance },
+  { label: "内容", value: (record) => record.content, width: CONTENT_WIDTH },
+  { label: "更新时间", value: (record) => record.updatedAt }
+];
+
+function formatRecordFields(record) {
+  return formatFields([
+    ["ID", record.id],
+    ["主题", record.topic],
+    ["重要性", record.importance],
+    ["版本", record.version],
+    ["内容", record.content],
+    ["上下文", record.context],
+    ["元数据", Object.keys(record.metadata || {}).length > 0 ? record.metadata : ""],
+    [
+      "敏感信息",
+      record.sensitive ? `${record.sensitive.fields.join(", ")}${record.redacted ? "（已脱敏，--reveal 查看原文）" : ""}` : ""
+    ],
+    ["创建时间", record.createdAt],
+    ["更新时间", record.updatedAt],
+    ["过期时间", record.expiresAt],
+    ["读取次数", record.accessCount],
+    ["最后读取", record.lastAccessedAt]
+  ]);
+}
+
+function formatPage(page) {
+  if (!page || page.total === 0) {
+    return "";
+  }
+  const end = page.offset + page.limit < page.total ? page.offset + page.limit : page.total;
+  return `\n显示第 ${page.offset + 1}-${end} 条，共 ${page.total} 条${page.nextCursor ? `，使用 --offset ${end} 查看下一页` : ""}`;
+}
+
+// ---------- 子命令 ----------
+
+// 按记录ID找到所在主题，--topic 已指定时直接使用
+async function locateRecord(ctx, recordId) {
+  if (ctx.options.topic) {
+    return ctx.options.topic;
+  }
+  const access = resolveAccess(undefined, ctx.options.namespace || "", "read");
+  if (access.error) {
+    throw new Error(access.error.message.replace(/^❌\s*/, ""));
+  }
+  const space = await viewSpace(access.namespace);
+  for (const [topicName, topicData] of space.memoryStore.entries()) {
+    if (topicData.records.some((record) => record.id === recordId)) {
+      return topicName;
+    }
+  }
+  return null;
+}
+
+function requirePositional(ctx, index, name) {
+  const value = ctx.positionals[index];
+  if (!value) {
+    throw new Error(`缺少参数 <${name}>\n用法: ${COMMANDS[ctx.command].usage}`);
+  }
+  return value;
+}
+
+const COMMANDS = {
+  topics: {
+    usage: "topics",
+    description: "列出全部主题",
+    async run(ctx) {
+      const result = await ctx.call("memory_query", { action: "list_topics" });
+      return ctx.output(result, (data) =>
+        formatTable(
+          [
+            { label: "主题", value: (topic) => topic.name },
+            { label: "记录数", value: (topic) => topic.recordCount },
+            { label: "标签", value: (topic) => topic.tags.join(", ") },
+            { label: "描述", value: (topic) => topic.description, width: 32 },
+            { label: "更新时间", value: (topic) => topic.updatedAt }
+          ],
+          data.topics
+        )
+      );
+    }
+  },
+  show: {
+    usage: "show <主题> [--limit 20] [--offset 0] [--sort 时间|重要性|显著性] [--importance 高|中|低] [--reveal]",
+    description: "查看主题信息及其中的记录",
+    async run(ctx) {
+      const topic = requirePositional(ctx, 0, "主题");
+      const result = await ctx.call("memory_query", {
+        action: "view_topic",
+        topic,
+        limit: ctx.limit,
+        offset: ctx.offset,
+        reveal: Boolean(ctx.options.reveal),
+        ...(ctx.options.sort ? { sortBy: ctx.options.sort } : {}),
+        ...(ctx.options.importance ? { importance: ctx.options.importance } : {})
+      });
+      return ctx.output(
+        result,
+        (data) =>
+          `${formatFields([
+            ["主题", data.topic.name],
+            ["描述", data.topic.description],
+            ["标签", data.topic.tags.join(", ")],
+            ["记录数", data.topic.recordCount],
+            ["更新时间", data.topic.updatedAt]
+          ])}\n\n${formatTable(
+            RECORD_COLUMNS.filter((column) => column.label !== "主题"),
+            data.records
+          )}${formatPage(data.page)}`
+      );
+    }
+  },
+  search: {
+    usage:
+      "search <关键词> [--topic 主题1,主题2] [--mode keyword|semantic|hybrid] [--limit 20] [--importance 高|中|低] [--reveal]",
+    description: "按相关度搜索记录",
+    async run(ctx) {
+      const query = ctx.positionals.join(" ");
+      if (!query) {
+        throw new Error(`缺少参数 <关键词>\n用法: ${COMMANDS.search.usage}`);
+      }
+      const result = await ctx.call("memory_query", {
+        action: "search",
+        query,
+        limit: ctx.limit,
+        offset: ctx.offset,
+        reveal: Boolean(ctx.options.reveal),
+        topics: splitList(ctx.options.topic),
+        ...(ctx.options.mode ? { mode: ctx.options.mode } : {}),
+        ...(ctx.options.sort ? { sortBy: ctx.options.sort } : {}),
+        ...(ctx.options.importance ? { importance: ctx.options.importance } : {})
+      });
+      return ctx.output(
+        result,
+        (data) =>
+          `${formatTable(
+            [
+              ...RECORD_COLUMNS.slice(0, 2),
+              { label: "相关度", value: (record) => (record.score === undefined ? "" : record.score.toFixed(3)) },
+              ...RECORD_COLUMNS.slice(2, 4)
+            ],
+            data.records
+          )}${formatPage(data.page)}`
+      );
+    }
+  },
+  recall: {
+    usage:
+      "recall <任务描述> [--max-tokens 2000 | --max-chars 4000] [--topic 主题1,主题2] [--mode keyword|semantic|hybrid] [--reveal]",
+    description: "按预算召回与任务最相关的记忆摘要",
+    async run(ctx) {
+      const query = ctx.positionals.join(" ");
+      if (!query) {
+        throw new Error(`缺少参数 <任务描述>\n用法: ${COMMANDS.recall.usage}`);
+      }
+      const result = await ctx.call("memory_query", {
+        action: "recall",
+        query,
+        topics: splitList(ctx.options.topic),
+        reveal: Boolean(ctx.options.reveal),
+        ...(ctx.options["max-tokens"] ? { maxTokens: parseInteger(ctx.options["max-tokens"], "max-tokens") } : {}),
+        ...(ctx.options["max-chars"] ? { maxChars: parseInteger(ctx.options["max-chars"], "max-chars") } : {}),
+        ...(ctx.options.mode ? { mode: ctx.options.mode } : {})
+      });
+      return ctx.output(result, () => result.text);
+    }
+  },
+  get: {
+    usage: "get <记录ID> [--reveal]",
+    description: "查看单条记录",
+    async run(ctx) {
+      const recordId = requirePositional(ctx, 0, "记录ID");
+      const result = await ctx.call("memory_query", {
+        action: "get_record",
+        recordId,
+        reveal: Boolean(ctx.options.reveal)
+      });
+      return ctx.output(result, (data) => formatRecordFields(data.record));
+    }
+  },
+  add: {
+    usage:
+      "add <主题> <内容|-> [--importance 高|中|低] [--context 上下文] [--metadata JSON] [--ttl 7d] [--duplicate-policy allow|reject|merge]",
+    description: "添加记录，主题不存在时自动创建，内容为 - 时从标准输入读取",
+    async run(ctx) {
+      const topic = requirePositional(ctx, 0, "主题");
+      const content = readContent(ctx.options.content ?? ctx.positionals.slice(1).join(" "));
+      if (!content) {
+        throw new Error(`缺少参数 <内容>\n用法: ${COMMANDS.add.usage}`);
+      }
+      const args = {
+        action: "create_record",
+        topic,
+        content,
+        ...ctx.recordFields(),
+        ...(ctx.options["duplicate-policy"] ? { duplicatePolicy: ctx.options["duplicate-policy"] } : {})
+      };
+      let result = await ctx.call("memory_manage", args);
+      if (result.data?.error?.code === "TOPIC_NOT_FOUND") {
+        const created = await ctx.call("memory_manage", { action: "create_topic", topic });
+        if (created.isError) {
+          return ctx.output(created);
+        }
+        result = await ctx.call("memory_manage", args);
+      }
+      return ctx.output(result, (data) => `${data.message}\n\n${formatRecordFields(data.record)}`);
+    }
+  },
+  edit: {
+    usage:
+      "edit <记录ID> [--content 内容|-] [--importance 高|中|低] [--context 上下文] [--metadata JSON] [--ttl 7d|never] [--expires-at 时间|never] [--topic 主题] [--expected-version 版本]",
+    description: "修改记录，只更新传入的字段",
+    async run(ctx) {
+      const recordId = requirePositional(ctx, 0, "记录ID");
+      const fields = ctx.recordFields();
+      if (ctx.options.content !== undefined) {
+        fields.content = readContent(ctx.options.content);
+      }
+      if (Object.keys(fields).length === 0) {
+        throw new Error(`没有要修改的字段\n用法: ${COMMANDS.edit.usage}`);
+      }
+      const topic = await locateRecord(ctx, recordId);
+      if (!topic) {
+        return ctx.fail(`未找到ID为 "${recordId}" 的记录`);
+      }
+      const result = await ctx.call("memory_manage", {
+        action: "update_record",
+        topic,
+        recordId,
+        ...fields,
+        ...ctx.expectedVersion()
+      });
+      return ctx.output(result, (data) => `${data.message}\n\n${formatRecordFields(data.record)}`);
+    }
+  },
+  rm: {
+    usage: "rm <记录ID> | rm --topic <主题> --yes [--expected-version 版本]",
+    description: "删除记录或主题（移入回收站，可恢复）",
+    async run(ctx) {
+      const recordId = ctx.positionals[0];
+      if (!recordId) {
+        if (!ctx.options.topic) {
+          throw new Error(`缺少参数 <记录ID> 或 --topic\n用法: ${COMMANDS.rm.usage}`);
+        }
+        const result = await ctx.call("memory_manage", {
+          action: "delete_topic",
+          topic: ctx.options.topic,
+          confirm: Boolean(ctx.options.yes),
+          ...ctx.expectedVersion()
+        });
+        if (result.data?.status === "confirmation_required") {
+          return ctx.fail(`删除主题 "${ctx.options.topic}" 需要加上 --yes 确认`, result);
+        }
+        return ctx.output(result, (data) => data.message);
+      }
+      const topic = await locateRecord(ctx, recordId);
+      if (!topic) {
+        return ctx.fail(`未找到ID为 "${recordId}" 的记录`);
+      }
+      const result = await ctx.call("memory_manage", { action: "delete_record", topic, recordId, ...ctx.expectedVersion() });
+      return ctx.output(result, (data) => data.message);
+    }
+  },
+  stats: {
+    usage: "stats [--sections overview,topics,activity,reads,tags,health] [--limit 10]",
+    description: "查看统计信息和健康检查",
+    async run(ctx) {
+      const result = await ctx.call("memory_stats", {
+        sections: splitList(ctx.options.sections),
+        ...(ctx.options.limit ? { limit: ctx.limit } : {})
+      });
+      return ctx.output(result, (data) => {
+        const parts = [];
+        if (data.totalTopics !== undefined) {
+          parts.push(
+            formatFields([
+              ["命名空间", data.namespace],
+              ["主题总数", data.totalTopics],
+              ["记录总数", data.totalRecords],
+              ["总内存占用", data.totalMemorySize],
+              ["重要性分布", `高 ${data.importance.高} / 中 ${data.importance.中} / 低 ${data.importance.低}`],
+              ["查询次数", data.readCount],
+              ["修改次数", data.writeCount],
+              ["最后访问时间", data.lastAccessTime]
+            ])
+          );
+        }
+        if (data.topics) {
+          parts.push(
+            `主题明细:\n${formatTable(
+              [
+                { label: "主题", value: (item) => item.name },
+                { label: "记录数", value: (item) => item.recordCount },
+                { label: "大小", value: (item) => item.memorySize },
+                { label: "占比", value: (item) => `${(item.share * 100).toFixed(1)}%` },
+                { label: "读取次数", value: (item) => item.readCount },
+                { label: "最后更新", value: (item) => item.lastUpdatedAt }
+              ],
+              data.topics
+            )}`
+          );
+        }
+        if (data.activity) {
+          parts.push(
+            `活动趋势:\n${formatTable(
+              [
+                { label: "时间段", value: (item) => item.period },
+                { label: "新建", value: (item) => item.created },
+                { label: "更新", value: (item) => item.updated }
+              ],
+              data.activity.series
+            )}`
+          );
+        }
+        if (data.reads) {
+          parts.push(
+            `读取最多的记录:\n${formatTable(
+              [
+                { label: "ID", value: (item) => item.recordId },
+                { label: "主题", value: (item) => item.topic },
+                { label: "读取次数", value: (item) => item.count },
+                { label: "内容", value: (item) => item.preview, width: CONTENT_WIDTH }
+              ],
+              data.reads.mostRead
+            )}\n\n从未读取的记录: ${data.reads.neverRead.total} 条`
+          );
+        }
+        if (data.tags) {
+          parts.push(
+            `标签:\n${formatTable(
+              [
+                { label: "标签", value: (item) => item.tag },
+                { label: "主题数", value: (item) => item.topicCount },
+                { label: "记录数", value: (item) => item.recordCount }
+              ],
+              data.tags
+            )}`
+          );
+        }
+        if (data.health) {
+          parts.push(
+            data.health.healthy
+              ? "健康检查: 未发现问题"
+              : `健康检查:\n${formatTable(
+                  [
+                    { label: "主题", value: (issue) => issue.topic },
+                    { label: "问题", value: (issue) => issue.kind },
+                    { label: "详情", value: (issue) => issue.detail }
+                  ],
+                  data.health.issues
+                )}`
+          );
+        }
+        return parts.join("\n\n");
+      });
+    }
+  },
+  export: {
+    usage: "export [主题...] [--format json|jsonl|markdown] [--out 文件] [--reveal]",
+    description: "导出主题和记录，未指定 --out 时输出到标准输出",
+    async run(ctx) {
+      const result = await ctx.call("memory_transfer", {
+        action: "export",
+        topics: ctx.positionals,
+        format: ctx.options.format || "json",
+        reveal: Boolean(ctx.options.reveal)
+      });
+      // 导出失败时只有一条说明
+      const [summary, output] = result.contents;
+      if (result.isError || output === undefined) {
+        return ctx.output(result, () => result.text);
+      }
+      // 命令行工具直接读写本地文件，不受服务的导入导出目录限制
+      if (ctx.options.out) {
+        const outPath = path.resolve(ctx.options.out);
+        fs.mkdirSync(path.dirname(outPath), { recursive: true });
+        fs.writeFileSync(outPath, output, "utf8");
+        console.log(`${summary}\n- 文件: ${outPath}`);
+        return 0;
+      }
+      // 导出的数据本身就是输出，不再附带摘要
+      process.stdout.write(`${output}\n`);
+      return 0;
+    }
+  },
+  import: {
+    usage:
+      "import <文件> [--format json|jsonl|markdown] [--topic-conflict skip|overwrite|rename|merge] [--record-conflict skip|overwrite|rename] [--dry-run]",
+    description: "从导出文件导入，格式默认按扩展名推断",
+    async run(ctx) {
+      const filePath = requirePositional(ctx, 0, "文件");
+      const ext = path.extname(filePath).toLowerCase();
+      const format = ctx.options.format || (ext === ".jsonl" ? "jsonl" : ext === ".md" ? "markdown" : "json");
+      const result = await ctx.call("memory_transfer", {
+        action: "import",
+        data: fs.readFileSync(path.resolve(filePath), "utf8"),
+        format,
+        dryRun: Boolean(ctx.options["dry-run"]),
+        ...(ctx.options["topic-conflict"] ? { topicConflict: ctx.options["topic-conflict"] } : {}),
+        ...(ctx.options["record-conflict"] ? { recordConflict: ctx.options["record-conflict"] } : {})
+      });
+      return ctx.output(result, () => result.text);
+    }
+  }
+};
+
+// 服务的参数都是 --key value 形式，第一个参数不是选项时按子命令处理（未知命令报错而不是启动服务）
+export function isCliCommand(arg) {
+  return Boolean(arg) && (!arg.startsWith("-") || HELP_ARGS.includes(arg));
+}
+
+function usageText() {
+  const width = Math.max(...Object.keys(COMMANDS).map((name) => name.length));
+  return `用法: mcp-context-memory <命令> [参数] [选项]
+
+命令:
+${Object.entries(COMMANDS)
+  .map(([name, command]) => `  ${name.padEnd(width)}  ${command.description}`)
+  .join("\n")}
+
+通用选项:
+  --json                 输出 JSON 结构化结果
+  --namespace <名称>     命名空间，默认为调用方的默认命名空间
+  --actor <名称>         记录在版本历史和变更事件中的操作者，默认为 cli:<系统用户名>
+  --storage-path <路径>  存储文件，其余存储、权限和事件输出选项与服务相同
+
+不带命令运行时启动 MCP 服务。使用 "mcp-context-memory help <命令>" 查看命令的完整用法。`;
+}
+
+// 工具调用结果：{ data, text, contents, isError }，data 为结构化结果（memory_transfer 没有）
+async function callTool(client, name, args) {
+  const result = await client.callTool({ name, arguments: args });
+  const contents = result.content.filter((item) => item.type === "text").map((item) => item.text);
+  const data = result.structuredContent;
+  return { data, text: contents.join("\n\n"), contents, isError: Boolean(result.isError) || data?.ok === false };
+}
+
+/**
+ * 执行命令行工具，返回进程退出码。
+ */
+export async function runCli(argv) {
+  let parsed;
+  try {
+    parsed = parseCommandLine(argv);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return 2;
+  }
+  const [command, ...positionals] = parsed.positionals;
+  const { options } = parsed;
+  if (HELP_ARGS.includes(command) || options.help) {
+    const target = HELP_ARGS.includes(command) ? positionals[0] : command;
+    console.log(COMMANDS[target] ? `用法: mcp-context-memory ${COMMANDS[target].usage}\n\n${COMMANDS[target].description}` : usageText());
+    return 0;
+  }
+  if (!Object.hasOwn(COMMANDS, command)) {
+    console.error(`❌ 未知命令: ${command}\n\n${usageText()}`);
+    return 2;
+  }
+
+  let config;
+  try {
+    config = loadConfig(configArgs(options));
+    if (config.storage === "memory") {
+      throw new Error("命令行工具需要通过 --storage-path 或 MCP_MEMORY_PATH 指定服务使用的存储文件");
+    }
+    configureAccess(config);
+    configureSensitive(config);
+    await initEmbedder(config);
+    await initConsolidation(config);
+    await initStore(config);
+    // socket 和标准输出供常驻服务使用，命令行工具只写入事件文件和 webhook
+    await startEventSinks({ ...config, eventStream: "" });
+    configureRetention(config);
+  } catch (error) {
+    console.error(`[mcp-context-memory] 启动失败: ${error.message}`);
+    return 1;
+  }
+
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  const server = createServer();
+  const client = new Client({ name: "mcp-context-memory-cli", version: "1.0.0" });
+  try {
+    await server.connect(serverTransport);
+    await client.connect(clientTransport);
+    const namespace = options.namespace || "";
+    const actor = options.actor || `cli:${os.userInfo().username}`;
+    const ctx = {
+      command,
+      positionals,
+      options,
+      limit: options.limit ? parseInteger(options.limit, "limit") : 20,
+      offset: options.offset ? parseInteger(options.offset, "offset") : 0,
+      call(name, args) {
+        const extra = name === "memory_manage" ? { actor } : {};
+        return callTool(client, name, { ...args, ...extra, namespace, ...(name === "memory_transfer" ? {} : { format: "text" }) });
+      },
+      // 记录字段选项 -> memory_manage 参数
+      recordFields() {
+        const fields = {};
+        if (options.importance) {
+          fields.importance = options.importance;
+        }
+        if (options.context) {
+          fields.context = options.context;
+        }
+        if (options.metadata) {
+          fields.metadata = parseMetadata(options.metadata);
+        }
+        if (options.ttl) {
+          fields.ttl = options.ttl;
+        }
+        if (options["expires-at"]) {
+          fields.expiresAt = options["expires-at"];
+        }
+        return fields;
+      },
+      // --expected-version -> 乐观锁参数，版本不一致时工具返回 VERSION_CONFLICT
+      expectedVersion() {
+        return options["expected-version"]
+          ? { expectedVersion: parseInteger(options["expected-version"], "expected-version") }
+          : {};
+      },
+      // 输出工具结果：失败时输出工具的错误说明，成功时按 --json 或 render 输出
+      output(result, render) {
+        if (result.isError) {
+          if (options.json && result.data) {
+            printJson(result.data);
+          } else {
+            console.error(result.text);
+          }
+          return 1;
+        }
+        if (options.json) {
+          printJson(result.data ?? { ok: true, message: result.text });
+        } else {
+          console.log(render(result.data));
+        }
+        return 0;
+      },
+      fail(message, result = null) {
+        if (options.json) {
+          printJson(result?.data ?? { ok: false, message });
+        } else {
+          console.error(`❌ ${message}`);
+        }
+        return 1;
+      }
+    };
+    return await COMMANDS[command].run(ctx);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return 2;
+  } finally {
+    await client.close();
+    await drainEventSinks();
+    stopEventSinks();
+    closeStore();
+  }
+}
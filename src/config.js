@@ -0,0 +1,171 @@
+// 运行配置：命令行参数优先，其次环境变量，最后使用默认值
+
+const STORAGE_TYPES = ["memory", "json", "sqlite"];
+const EMBEDDING_PROVIDERS = ["hash", "http", "module"];
+const SUMMARIZERS = ["extractive", "module"];
+const TRANSPORTS = ["stdio", "http"];
+const SENSITIVE_POLICIES = ["off", "tag", "mask", "block"];
+
+// 解析形如 --key value 或 --key=value 的命令行参数
+export function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) {
+      continue;
+    }
+    const eqIndex = arg.indexOf("=");
+    if (eqIndex !== -1) {
+      options[arg.slice(2, eqIndex)] = arg.slice(eqIndex + 1);
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith("--")) {
+      options[arg.slice(2)] = argv[++i];
+    } else {
+      options[arg.slice(2)] = true;
+    }
+  }
+  return options;
+}
+
+function parseNumber(value, name) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new Error(`${name} 必须是非负数: ${value}`);
+  }
+  return number;
+}
+
+function parsePositiveInteger(value, name) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number <= 0) {
+    throw new Error(`${name} 必须是正整数: ${value}`);
+  }
+  return number;
+}
+
+// 逗号分隔的列表
+function parseList(value) {
+  return String(value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+function parseBoolean(value) {
+  return value === true || ["1", "true", "yes"].includes(String(value).toLowerCase());
+}
+
+// 根据文件扩展名推断存储类型
+function inferStorageType(storagePath) {
+  if (!storagePath) {
+    return "memory";
+  }
+  return /\.(db|sqlite|sqlite3)$/i.test(storagePath) ? "sqlite" : "json";
+}
+
+export function loadConfig(argv = process.argv.slice(2), env = process.env) {
+  const args = parseArgs(argv);
+  const storagePath = args["storage-path"] || env.MCP_MEMORY_PATH || "";
+  const storage = args.storage || env.MCP_MEMORY_STORAGE || inferStorageType(storagePath);
+  if (!STORAGE_TYPES.includes(storage)) {
+    throw new Error(`不支持的存储类型: ${storage}（可选: ${STORAGE_TYPES.join(", ")}）`);
+  }
+  if (storage !== "memory" && !storagePath) {
+    throw new Error(`存储类型 ${storage} 需要通过 --storage-path 或 MCP_MEMORY_PATH 指定文件路径`);
+  }
+  const transport = args.transport || env.MCP_MEMORY_TRANSPORT || "stdio";
+  if (!TRANSPORTS.includes(transport)) {
+    throw new Error(`不支持的传输方式: ${transport}（可选: ${TRANSPORTS.join(", ")}）`);
+  }
+  const embedding = args.embedding || env.MCP_MEMORY_EMBEDDING || "hash";
+  if (!EMBEDDING_PROVIDERS.includes(embedding)) {
+    throw new Error(`不支持的嵌入提供者: ${embedding}（可选: ${EMBEDDING_PROVIDERS.join(", ")}）`);
+  }
+  const embeddingUrl = args["embedding-url"] || env.MCP_MEMORY_EMBEDDING_URL || "";
+  const embeddingModule = args["embedding-module"] || env.MCP_MEMORY_EMBEDDING_MODULE || "";
+  if (embedding === "http" && !embeddingUrl) {
+    throw new Error("嵌入提供者 http 需要通过 --embedding-url 或 MCP_MEMORY_EMBEDDING_URL 指定接口地址");
+  }
+  if (embedding === "module" && !embeddingModule) {
+    throw new Error("嵌入提供者 module 需要通过 --embedding-module 或 MCP_MEMORY_EMBEDDING_MODULE 指定模块路径");
+  }
+  const summarizer = args.summarizer || env.MCP_MEMORY_SUMMARIZER || "extractive";
+  if (!SUMMARIZERS.includes(summarizer)) {
+    throw new Error(`不支持的摘要提供者: ${summarizer}（可选: ${SUMMARIZERS.join(", ")}）`);
+  }
+  const summarizerModule = args["summarizer-module"] || env.MCP_MEMORY_SUMMARIZER_MODULE || "";
+  if (summarizer === "module" && !summarizerModule) {
+    throw new Error("摘要提供者 module 需要通过 --summarizer-module 或 MCP_MEMORY_SUMMARIZER_MODULE 指定模块路径");
+  }
+  const encryptionKey = env.MCP_MEMORY_ENCRYPTION_KEY || "";
+  const encryptionKeyFile = args["encryption-key-file"] || env.MCP_MEMORY_ENCRYPTION_KEY_FILE || "";
+  if (encryptionKey && encryptionKeyFile) {
+    throw new Error("MCP_MEMORY_ENCRYPTION_KEY 和 --encryption-key-file 只能指定一个");
+  }
+  const sensitivePolicy = args["sensitive-policy"] || env.MCP_MEMORY_SENSITIVE_POLICY || "off";
+  if (!SENSITIVE_POLICIES.includes(sensitivePolicy)) {
+    throw new Error(`不支持的敏感信息策略: ${sensitivePolicy}（可选: ${SENSITIVE_POLICIES.join(", ")}）`);
+  }
+  const eventStream = args["event-stream"] || env.MCP_MEMORY_EVENT_STREAM || "";
+  if (eventStream === "stdout" && transport === "stdio") {
+    throw new Error("stdio 传输方式下标准输出用于 MCP 协议，--event-stream stdout 只能用于 HTTP 服务模式，可改用 Unix socket 路径");
+  }
+  const eventWebhooks = parseList(args["event-webhook"] || env.MCP_MEMORY_EVENT_WEBHOOKS);
+  for (const url of eventWebhooks) {
+    if (!/^https?:\/\//.test(url)) {
+      throw new Error(`事件 webhook 地址必须以 http:// 或 https:// 开头: ${url}`);
+    }
+  }
+  return {
+    transport,
+    host: args.host || env.MCP_MEMORY_HOST || "127.0.0.1",
+    port: parseNumber(args.port ?? env.MCP_MEMORY_PORT ?? 3000, "port"),
+    authToken: args["auth-token"] || env.MCP_MEMORY_AUTH_TOKEN || "",
+    allowedHosts: parseList(args["allowed-hosts"] || env.MCP_MEMORY_ALLOWED_HOSTS),
+    allowedOrigins: parseList(args["allowed-origins"] || env.MCP_MEMORY_ALLOWED_ORIGINS),
+    storage,
+    storagePath,
+    compactThreshold: parsePositiveInteger(
+      args["compact-threshold"] || env.MCP_MEMORY_COMPACT_THRESHOLD || 1000,
+      "compact-threshold"
+    ),
+    encryptionKey,
+    encryptionKeyFile,
+    sensitivePolicy,
+    sensitiveDetectors: parseList(args["sensitive-detectors"] || env.MCP_MEMORY_SENSITIVE_DETECTORS),
+    sensitivePatterns: args["sensitive-patterns"] || env.MCP_MEMORY_SENSITIVE_PATTERNS || "",
+    transferDir: args["transfer-dir"] || env.MCP_MEMORY_TRANSFER_DIR || "",
+    embedding,
+    embeddingDimensions: parsePositiveInteger(
+      args["embedding-dimensions"] || env.MCP_MEMORY_EMBEDDING_DIMENSIONS || 256,
+      "embedding-dimensions"
+    ),
+    embeddingUrl,
+    embeddingModel: args["embedding-model"] || env.MCP_MEMORY_EMBEDDING_MODEL || "",
+    embeddingApiKey: env.MCP_MEMORY_EMBEDDING_API_KEY || "",
+    embeddingModule,
+    sweepInterval: parseNumber(args["sweep-interval"] ?? env.MCP_MEMORY_SWEEP_INTERVAL ?? 60, "sweep-interval"),
+    memoryBudget: parseNumber(args["memory-budget"] ?? env.MCP_MEMORY_BUDGET ?? 0, "memory-budget"),
+    evictHigh: parseBoolean(args["evict-high"] ?? env.MCP_MEMORY_EVICT_HIGH ?? false),
+    summarizer,
+    summarizerModule,
+    consolidateThreshold: parseNumber(
+      args["consolidate-threshold"] ?? env.MCP_MEMORY_CONSOLIDATE_THRESHOLD ?? 0,
+      "consolidate-threshold"
+    ),
+    namespace: args.namespace || env.MCP_MEMORY_NAMESPACE || "default",
+    acl: args.acl || env.MCP_MEMORY_ACL || "",
+    principal: args.principal || env.MCP_MEMORY_PRINCIPAL || "",
+    trashRetentionDays: parseNumber(
+      args["trash-retention-days"] ?? env.MCP_MEMORY_TRASH_RETENTION_DAYS ?? 30,
+      "trash-retention-days"
+    ),
+    eventLogLimit: parseNumber(args["event-log-limit"] ?? env.MCP_MEMORY_EVENT_LOG_LIMIT ?? 10000, "event-log-limit"),
+    eventFile: args["event-file"] || env.MCP_MEMORY_EVENT_FILE || "",
+    eventStream,
+    eventWebhooks,
+    eventRaw: parseBoolean(args["event-raw"] ?? env.MCP_MEMORY_EVENT_RAW ?? false),
+    webhookRetries: parseNumber(args["webhook-retries"] ?? env.MCP_MEMORY_WEBHOOK_RETRIES ?? 3, "webhook-retries"),
+    webhookTimeout: parseNumber(args["webhook-timeout"] ?? env.MCP_MEMORY_WEBHOOK_TIMEOUT ?? 5000, "webhook-timeout"),
+    webhookSecret: env.MCP_MEMORY_WEBHOOK_SECRET || ""
+  };
+}
@@ -0,0 +1,398 @@
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import { generateId, getCurrentTimestamp, calculateRecordSize } from "./utils.js";
+import { findDuplicateClusters, contentOverlap } from "./duplicates.js";
+import { splitSentences } from "./recall.js";
+import { initHistory, getVersion } from "./history.js";
+import { addLink, detachLinks, MAX_LINKS_PER_RECORD } from "./links.js";
+import { trashRecord } from "./trash.js";
+import { relocateRecords } from "./relocate.js";
+import { applyMetadataSchema } from "./metadataSchema.js";
+import { embedRecords } from "./embedding.js";
+import { inheritSensitiveTag, redactRecord } from "./sensitive.js";
+
+// 主题整合：把内容相近的多条记录整合成一条摘要记录，控制大主题的体积，减少检索和召回中的重复内容。
+// - 分组：similarity 按内容相似度把记录连成组（传递闭包，见 duplicates.js），all 把选中的记录整合为一条
+// - 摘要：默认 extractive 离线抽取原记录中的句子；也可以加载本地模块，或在工具调用中通过 MCP sampling 交给客户端的模型生成
+// - 整合记录的 consolidatedFrom 保存原记录ID；原记录默认移到归档主题，并被整合记录以 supersedes 关联取代
+//   （检索和召回默认不再返回），也可以移入回收站
+// - 主题中记录的总大小（calculateRecordSize 之和）超过主题的 consolidation.maxSize 或全局 --consolidate-threshold 时由后台任务自动整合
+// 摘要提供者接口：{ id, summarize({ topic, records }) -> Promise<string> }，records 按创建时间排序，不含向量和版本历史。
+
+export const GROUP_MODES = ["similarity", "all"];
+
+export const ORIGINALS_MODES = ["archive", "trash"];
+
+// 分组的默认相似度阈值，低于重复检测的阈值：讲同一件事的记录即可归为一组
+export const DEFAULT_GROUP_SIMILARITY = 0.35;
+
+export const CONSOLIDATOR_ACTOR = "system:consolidator";
+
+const ARCHIVE_SUFFIX = "（归档）";
+
+const MAX_TOPIC_NAME = 100;
+
+// 重合度达到该值的两句视为同一件事，只保留较新记录中的措辞
+const SENTENCE_OVERLAP = 0.6;
+
+const IMPORTANCE_RANK = { 低: 1, 中: 2, 高: 3 };
+
+const RANK_IMPORTANCE = { 1: "低", 2: "中", 3: "高" };
+
+// 行首的列表符号，抽取句子时去掉，输出时统一加上
+const BULLET = /^(?:[-*•·]|\d+[.、)])\s*/;
+
+/**
+ * 离线默认实现：从最新的记录开始收集句子，近似重复的句子只保留最新的措辞，
+ * 按被几条记录提到、所在记录的重要性和新旧程度打分，取分数最高的句子组成列表。结果只取决于输入，可以重复生成。
+ */
+export function createExtractiveSummarizer({ maxSentences = 12, maxLength = 2000 } = {}) {
+  return {
+    id: "extractive",
+    async summarize({ records }) {
+      const sentences = [];
+      const newestFirst = [...records].reverse();
+      newestFirst.forEach((record, age) => {
+        for (const text of splitSentences(record.content)) {
+          const candidate = { content: text.replace(BULLET, "") };
+          if (!candidate.content) {
+            continue;
+          }
+          const same = sentences.find((sentence) => contentOverlap(sentence, candidate) >= SENTENCE_OVERLAP);
+          if (same) {
+            same.sources.add(record.id);
+            same.rank = Math.max(same.rank, IMPORTANCE_RANK[record.importance] || 2);
+            continue;
+          }
+          sentences.push({
+            ...candidate,
+            sources: new Set([record.id]),
+            rank: IMPORTANCE_RANK[record.importance] || 2,
+            recency: 1 - age / newestFirst.length,
+            order: sentences.length
+          });
+        }
+      });
+      const scored = sentences
+        .map((sentence) => ({ ...sentence, score: sentence.sources.size * 2 + sentence.rank + sentence.recency }))
+        .sort((a, b) => b.score - a.score || a.order - b.order);
+      const lines = [];
+      let length = 0;
+      for (const sentence of scored.slice(0, maxSentences)) {
+        if (lines.length > 0 && length + sentence.content.length + 3 > maxLength) {
+          break;
+        }
+        lines.push(sentence.content.slice(0, maxLength));
+        length += sentence.content.length + 3;
+      }
+      return lines.length === 1 ? lines[0] : lines.map((line) => `- ${line}`).join("\n");
+    }
+  };
+}
+
+// 外部模型：加载本地模块，模块需导出 summarize({ topic, records }) 函数，返回摘要文本，可选导出 id
+export async function createModuleSummarizer({ modulePath }) {
+  const loaded = await import(pathToFileURL(path.resolve(modulePath)).href);
+  const summarize = loaded.summarize || loaded.default?.summarize || loaded.default;
+  if (typeof summarize !== "function") {
+    throw new Error(`摘要模块 ${modulePath} 未导出 summarize({ topic, records }) 函数`);
+  }
+  return {
+    id: `module:${loaded.id || path.basename(modulePath)}`,
+    async summarize(group) {
+      return String((await summarize(group)) ?? "");
+    }
+  };
+}
+
+/**
+ * 客户端的模型：通过 MCP sampling 请求客户端生成摘要，只能在工具调用中使用。
+ * createMessage 发送 sampling/createMessage 请求并返回结果，客户端需声明 sampling 能力。
+ * 记录会发送到服务之外，敏感记录以脱敏后的内容发送。
+ */
+export function createSamplingSummarizer(createMessage, { maxTokens = 1000 } = {}) {
+  return {
+    id: "sampling",
+    async summarize({ topic, records }) {
+      const lines = records.map(redactRecord).map(
+        (record, index) =>
+          `${index + 1}. [${record.createdAt}·${record.importance}] ${record.content}${record.context ? `（${record.context}）` : ""}`
+      );
+      const result = await createMessage({
+        systemPrompt:
+          "你负责整理长期记忆。请把多条相关的记忆整合成一条简洁的笔记：保留全部关键事实、数字和结论；同一事项前后不一致时以较新的记录为准；不要添加记录中没有的信息。只输出笔记正文。",
+        messages: [
+          {
+            role: "user",
+            content: { type: "text", text: `主题: ${topic}\n\n以下记录按时间从早到晚排列:\n${lines.join("\n")}` }
+          }
+        ],
+        includeContext: "none",
+        maxTokens
+      });
+      if (result.content?.type !== "text") {
+        throw new Error("客户端的模型没有返回文本摘要");
+      }
+      return result.content.text;
+    }
+  };
+}
+
+let summarizer = createExtractiveSummarizer();
+let settings = { threshold: 0 };
+
+export async function initConsolidation(config = {}) {
+  switch (config.summarizer || "extractive") {
+    case "extractive":
+      summarizer = createExtractiveSummarizer();
+      break;
+    case "module":
+      summarizer = await createModuleSummarizer({ modulePath: config.summarizerModule });
+      break;
+    default:
+      throw new Error(`不支持的摘要提供者: ${config.summarizer}`);
+  }
+  settings = { threshold: config.consolidateThreshold || 0 };
+  return summarizer;
+}
+
+export function getSummarizer() {
+  return summarizer;
+}
+
+// 规范化主题整合策略，只保留策略字段，空策略返回 null
+export function normalizeConsolidation(consolidation) {
+  if (!consolidation) {
+    return null;
+  }
+  const policy = {};
+  for (const key of ["maxSize", "groupBy", "similarity", "originals"]) {
+    if (consolidation[key] !== undefined) {
+      policy[key] = consolidation[key];
+    }
+  }
+  return Object.keys(policy).length > 0 ? policy : null;
+}
+
+export function describeConsolidation(policy) {
+  if (!policy) {
+    return settings.threshold > 0 ? `无（沿用全局阈值，记录总大小超过 ${settings.threshold} 字符时自动整合）` : "无";
+  }
+  const parts = [];
+  const limit = policy.maxSize ?? settings.threshold;
+  parts.push(limit > 0 ? `记录总大小超过 ${limit} 字符时自动整合` : "不自动整合");
+  parts.push(policy.groupBy === "all" ? "全部整合为一条" : `相似度 ${policy.similarity ?? DEFAULT_GROUP_SIMILARITY} 以上的记录归为一组`);
+  parts.push(policy.originals === "trash" ? "原记录移入回收站" : "原记录移到归档主题");
+  return parts.join("，");
+}
+
+export function archiveTopicName(topic) {
+  return `${topic.slice(0, MAX_TOPIC_NAME - ARCHIVE_SUFFIX.length)}${ARCHIVE_SUFFIX}`;
+}
+
+export function topicSize(topicData) {
+  return topicData.records.reduce((total, record) => total + calculateRecordSize(record), 0);
+}
+
+function byCreatedAt(a, b) {
+  return Date.parse(a.record.createdAt) - Date.parse(b.record.createdAt);
+}
+
+/**
+ * 把 entries（[{ topic, topicData, record }]）分组并为每组生成摘要，不修改数据。
+ * 少于 2 条记录的组不整合。返回 [{ entries, content, importance }]，组内按创建时间排序。
+ */
+export async function prepareConsolidation(entries, { groupBy = "similarity", similarity, summarizer: active = summarizer } = {}) {
+  const groups =
+    groupBy === "all"
+      ? entries.length >= 2
+        ? [[...entries].sort(byCreatedAt)]
+        : []
+      : findDuplicateClusters(entries, similarity ?? DEFAULT_GROUP_SIMILARITY).map((cluster) =>
+          cluster.entries.map(({ similarity: _similarity, ...entry }) => entry)
+        );
+  const plans = [];
+  for (const group of groups) {
+    const records = group.map(({ record }) => {
+      const { embedding, history, ...rest } = record;
+      return rest;
+    });
+    // 生成摘要前各记录的版本号，写入前据此判断记录是否已被修改（更新时间只精确到毫秒，同一毫秒内的修改无法区分）
+    const snapshot = group.map(({ record }) => getVersion(record));
+    const content = String((await active.summarize({ topic: group[0].topic, records })) ?? "").trim();
+    if (!content) {
+      throw new Error(`摘要提供者 ${active.id} 返回了空的摘要`);
+    }
+    plans.push({
+      entries: group,
+      content,
+      importance: RANK_IMPORTANCE[Math.max(...group.map(({ record }) => IMPORTANCE_RANK[record.importance] || 2))],
+      snapshot
+    });
+  }
+  return plans;
+}
+
+// 组中的记录是否仍在 topicData 中且未被修改
+export function isPlanCurrent(topicData, plan) {
+  return plan.entries.every(
+    ({ record }, index) => topicData.records.includes(record) && getVersion(record) === plan.snapshot[index]
+  );
+}
+
+// 原记录的元数据按创建时间合并，同名字段以较新的记录为准；不符合主题结构时改用最新记录的元数据
+function mergeSourceMetadata(topicData, sources) {
+  const merged = Object.assign({}, ...sources.map((record) => record.metadata || {}));
+  const checked = applyMetadataSchema(topicData.metadataSchema, merged);
+  return checked.errors.length === 0 ? checked.metadata : { ...sources[sources.length - 1].metadata };
+}
+
+function buildConsolidatedRecord(topicData, plan, { actor, summarizerId }) {
+  const sources = plan.entries.map(({ record }) => record);
+  const sourceIds = new Set(sources.map((record) => record.id));
+  const now = getCurrentTimestamp();
+  const first = sources[0].createdAt.slice(0, 10);
+  const last = sources[sources.length - 1].createdAt.slice(0, 10);
+  const record = {
+    id: generateId(),
+    content: plan.content,
+    importance: plan.importance,
+    context: `整合自 ${sources.length} 条记录（${first === last ? first : `${first} 至 ${last}`}）`,
+    metadata: mergeSourceMetadata(topicData, sources),
+    consolidatedFrom: [...sourceIds],
+    createdAt: now,
+    updatedAt: now
+  };
+  // 全部原记录都会过期时，整合记录在其中最晚的时间过期
+  if (sources.every((source) => source.expiresAt)) {
+    record.expiresAt = sources.map((source) => source.expiresAt).sort().pop();
+  }
+  // 沿用原记录指向组外记录的关联
+  const links = [];
+  for (const link of sources.flatMap((source) => source.links || [])) {
+    if (
+      !sourceIds.has(link.target) &&
+      links.length < MAX_LINKS_PER_RECORD &&
+      !links.some((item) => item.type === link.type && item.target === link.target)
+    ) {
+      links.push({ ...link });
+    }
+  }
+  if (links.length > 0) {
+    record.links = links;
+  }
+  inheritSensitiveTag(record, sources);
+  initHistory(record, actor);
+  record.history[0].note = `由 ${summarizerId} 整合自 ${[...sourceIds].join(", ")}`;
+  return record;
+}
+
+/**
+ * 写入整合结果：在 topicData 中为每组创建整合记录，原记录按 originals 移到归档主题（archive）或移入回收站（trash）。
+ * 调用方负责事务。返回 { created: [{ record, sources }], archiveTopic, trash, detached }，
+ * archiveTopic 为归档主题（trash 时为 null），trash 为回收站条目，detached 为移除了失效关联的记录数。
+ */
+export async function applyConsolidation(space, topicData, plans, { originals = "archive", actor = "", summarizerId = summarizer.id } = {}) {
+  const { memoryStore } = space;
+  const created = plans.map((plan) => ({
+    record: buildConsolidatedRecord(topicData, plan, { actor, summarizerId }),
+    sources: plan.entries
+  }));
+  await embedRecords(created.map(({ record }) => record));
+  const originalEntries = created.flatMap(({ sources }) => sources);
+  let archiveTopic = null;
+  const trash = [];
+  let detached = 0;
+
+  if (originals === "trash") {
+    // 先从内存中移除再写入存储，避免写入过程中触发的压缩把原记录重新写回
+    const removedIds = new Set(originalEntries.map(({ record }) => record.id));
+    topicData.records = topicData.records.filter((record) => !removedIds.has(record.id));
+    for (const { topic, record } of originalEntries) {
+      trash.push(trashRecord(space, topic, record, actor));
+      space.removeRecord(topic, record.id);
+    }
+    detached = detachLinks(space, removedIds, actor);
+  } else {
+    const archiveName = archiveTopicName(topicData.name);
+    archiveTopic = memoryStore.get(archiveName);
+    if (!archiveTopic) {
+      archiveTopic = {
+        id: generateId(),
+        name: archiveName,
+        description: `主题 "${topicData.name}" 整合前的原始记录`,
+        tags: [...topicData.tags],
+        archiveOf: topicData.name,
+        records: [],
+        version: 1,
+        createdAt: getCurrentTimestamp(),
+        updatedAt: getCurrentTimestamp()
+      };
+      memoryStore.set(archiveName, archiveTopic);
+    }
+    relocateRecords(space, originalEntries, archiveTopic, { action: "consolidate", actor });
+    for (const { record, sources } of created) {
+      for (const source of sources) {
+        addLink(record, { type: "supersedes", target: source.record.id, actor });
+      }
+    }
+  }
+
+  topicData.records.push(...created.map(({ record }) => record));
+  topicData.updatedAt = getCurrentTimestamp();
+  for (const { record } of created) {
+    space.saveRecord(topicData.name, record);
+  }
+  space.saveTopic(topicData);
+  return { created, archiveTopic, trash, detached };
+}
+
+/**
+ * 自动整合：记录总大小超过阈值的主题按其整合策略整合，使用配置的摘要提供者。归档主题不参与。
+ * 摘要在锁外生成，写入时跳过期间被修改过的组。返回 [{ topic, consolidated, records }]，
+ * consolidated 为被整合的原记录数，records 为新建的整合记录数。
+ */
+export async function consolidateOversized(space) {
+  const results = [];
+  for (const [topicName, topicData] of [...space.memoryStore.entries()]) {
+    const policy = topicData.consolidation || {};
+    const limit = policy.maxSize ?? settings.threshold;
+    if (topicData.archiveOf || !limit || topicSize(topicData) <= limit) {
+      continue;
+    }
+    const entries = topicData.records.map((record) => ({ topic: topicName, topicData, record }));
+    const plans = await prepareConsolidation(entries, policy);
+    if (plans.length === 0) {
+      continue;
+    }
+    const result = await space.exclusive(async () => {
+      if (space.memoryStore.get(topicName) !== topicData) {
+        return null;
+      }
+      const current = plans.filter((plan) => isPlanCurrent(topicData, plan));
+      if (current.length === 0) {
+        return null;
+      }
+      space.begin();
+      try {
+        const applied = await applyConsolidation(space, topicData, current, {
+          originals: policy.originals,
+          actor: CONSOLIDATOR_ACTOR
+        });
+        space.commit();
+        return applied;
+      } catch (error) {
+        space.rollback();
+        throw error;
+      }
+    });
+    if (result) {
+      results.push({
+        topic: topicName,
+        consolidated: result.created.reduce((total, { sources }) => total + sources.length, 0),
+        records: result.created.length
+      });
+    }
+  }
+  return results;
+}
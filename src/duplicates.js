@@ -0,0 +1,215 @@
+import { tokenize } from "./search.js";
+import { recordSnapshot, commitVersion, appendHistoryEvent } from "./history.js";
+
+// 重复记录检测：内容规范化后完全相同视为完全重复，否则按分词集合的 Dice 系数计算相似度。
+// 分词沿用搜索引擎的规则（中文二元组、英文单词），改写措辞、调整标点或大小写的记录都能识别。
+
+export const DUPLICATE_POLICIES = ["allow", "reject", "merge"];
+
+export const DEFAULT_SIMILARITY_THRESHOLD = 0.8;
+
+const IMPORTANCE_RANK = { 低: 1, 中: 2, 高: 3 };
+
+// 记录 -> { content, normalized, tokens }，内容变化后重新计算
+const fingerprintCache = new WeakMap();
+
+// 去掉空白、标点和符号，统一全角半角与大小写
+export function normalizeContent(text) {
+  return String(text ?? "")
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/[\s\p{P}\p{S}]+/gu, "");
+}
+
+function fingerprint(text) {
+  return { normalized: normalizeContent(text), tokens: new Set(tokenize(String(text ?? "").normalize("NFKC"))) };
+}
+
+function recordFingerprint(record) {
+  const cached = fingerprintCache.get(record);
+  if (cached && cached.content === record.content) {
+    return cached;
+  }
+  const computed = { content: record.content, ...fingerprint(record.content) };
+  fingerprintCache.set(record, computed);
+  return computed;
+}
+
+function sharedTokens(a, b) {
+  let shared = 0;
+  for (const token of a.tokens) {
+    if (b.tokens.has(token)) {
+      shared++;
+    }
+  }
+  return shared;
+}
+
+function similarityOf(a, b, shared = sharedTokens(a, b)) {
+  if (a.normalized && a.normalized === b.normalized) {
+    return 1;
+  }
+  const total = a.tokens.size + b.tokens.size;
+  return total === 0 ? 0 : Math.round(((2 * shared) / total) * 1000) / 1000;
+}
+
+/**
+ * 查找与 content 相似的已有记录，topic 为空时在全部主题中查找。
+ * 返回 [{ topic, topicData, record, similarity, exact }]，按相似度从高到低排序。
+ */
+export function findSimilarRecords(memoryStore, content, { topic = "", threshold = DEFAULT_SIMILARITY_THRESHOLD } = {}) {
+  const incoming = fingerprint(content);
+  const matches = [];
+  for (const [topicName, topicData] of memoryStore.entries()) {
+    if (topic && topicName !== topic) {
+      continue;
+    }
+    for (const record of topicData.records) {
+      const existing = recordFingerprint(record);
+      const similarity = similarityOf(incoming, existing);
+      if (similarity >= threshold) {
+        matches.push({
+          topic: topicName,
+          topicData,
+          record,
+          similarity,
+          exact: Boolean(incoming.normalized) && incoming.normalized === existing.normalized
+        });
+      }
+    }
+  }
+  return matches.sort((a, b) => b.similarity - a.similarity);
+}
+
+/**
+ * 两条记录内容的重合度，0-1：较短一方的分词中同时出现在另一方的比例，规范化后完全相同时为 1。
+ * 与相似度不同，一条记录的内容被另一条较长的记录完整包含时重合度也为 1。
+ */
+export function contentOverlap(a, b) {
+  const first = recordFingerprint(a);
+  const second = recordFingerprint(b);
+  if (first.normalized && first.normalized === second.normalized) {
+    return 1;
+  }
+  const smaller = Math.min(first.tokens.size, second.tokens.size);
+  return smaller === 0 ? 0 : Math.round((sharedTokens(first, second) / smaller) * 1000) / 1000;
+}
+
+/**
+ * 在 entries（[{ topic, record }]）中找出相似记录组成的重复组。
+ * 相似度达到阈值的记录连成一组（传递闭包），组内按创建时间排序，第一条视为原始记录。
+ * 返回 [{ similarity, entries: [{ topic, record, similarity }] }]，similarity 为组内最高的两两相似度，
+ * 每条记录的 similarity 为与原始记录的相似度；按组大小、相似度从高到低排序。
+ */
+export function findDuplicateClusters(entries, threshold = DEFAULT_SIMILARITY_THRESHOLD) {
+  const fingerprints = entries.map(({ record }) => recordFingerprint(record));
+  const parent = entries.map((_, index) => index);
+  const find = (index) => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+  const best = new Map();
+  function link(i, j, similarity) {
+    const a = find(i);
+    const b = find(j);
+    const root = Math.min(a, b);
+    parent[Math.max(a, b)] = root;
+    best.set(root, Math.max(similarity, best.get(a) || 0, best.get(b) || 0));
+  }
+
+  // 倒排索引只比较至少有一个共同分词的记录；规范化后相同的记录直接归为一组
+  const postings = new Map();
+  const byNormalized = new Map();
+  fingerprints.forEach((current, i) => {
+    if (current.normalized) {
+      if (byNormalized.has(current.normalized)) {
+        link(byNormalized.get(current.normalized), i, 1);
+      } else {
+        byNormalized.set(current.normalized, i);
+      }
+    }
+    const counts = new Map();
+    for (const token of current.tokens) {
+      for (const j of postings.get(token) || []) {
+        counts.set(j, (counts.get(j) || 0) + 1);
+      }
+      if (!postings.has(token)) {
+        postings.set(token, []);
+      }
+      postings.get(token).push(i);
+    }
+    for (const [j, shared] of counts) {
+      const similarity = similarityOf(current, fingerprints[j], shared);
+      if (similarity >= threshold) {
+        link(j, i, similarity);
+      }
+    }
+  });
+
+  const groups = new Map();
+  entries.forEach((entry, index) => {
+    const root = find(index);
+    if (!groups.has(root)) {
+      groups.set(root, []);
+    }
+    groups.get(root).push(index);
+  });
+  const clusters = [];
+  for (const [root, members] of groups) {
+    if (members.length < 2) {
+      continue;
+    }
+    members.sort((a, b) => Date.parse(entries[a].record.createdAt) - Date.parse(entries[b].record.createdAt));
+    const original = fingerprints[members[0]];
+    clusters.push({
+      similarity: best.get(root) || threshold,
+      entries: members.map((index) => ({
+        ...entries[index],
+        similarity: index === members[0] ? 1 : similarityOf(original, fingerprints[index])
+      }))
+    });
+  }
+  return clusters.sort((a, b) => b.entries.length - a.entries.length || b.similarity - a.similarity);
+}
+
+/**
+ * 重复的新记录合并到已有记录后的内容：保留已有内容，重要性取较高者，补充空的上下文和缺少的元数据键，
+ * 延长过期时间（ttl / expiresAt 为 never 时取消过期）。
+ * incoming 为 { importance, context, metadata, expiresAt }，expiresAt 为 undefined 表示不修改。
+ */
+export function mergedDuplicateSnapshot(record, incoming) {
+  const nextSnapshot = recordSnapshot(record);
+  if (IMPORTANCE_RANK[incoming.importance] > IMPORTANCE_RANK[record.importance]) {
+    nextSnapshot.importance = incoming.importance;
+  }
+  if (!nextSnapshot.context && incoming.context) {
+    nextSnapshot.context = incoming.context;
+  }
+  nextSnapshot.metadata = { ...incoming.metadata, ...nextSnapshot.metadata };
+  if (incoming.expiresAt === null) {
+    delete nextSnapshot.expiresAt;
+  } else if (incoming.expiresAt && record.expiresAt && Date.parse(incoming.expiresAt) > Date.parse(record.expiresAt)) {
+    nextSnapshot.expiresAt = incoming.expiresAt;
+  }
+  return nextSnapshot;
+}
+
+/**
+ * 把重复的新记录合并到已有记录（合并后的内容见 mergedDuplicateSnapshot）。产生变更时生成新版本，否则只刷新更新时间。
+ * 返回本次的字段变更。
+ */
+export function mergeDuplicate(record, incoming, { actor = "", note = "" } = {}) {
+  const changes = commitVersion(record, mergedDuplicateSnapshot(record, incoming), {
+    action: "merge_duplicate",
+    actor,
+    note
+  });
+  if (changes.length === 0) {
+    appendHistoryEvent(record, { action: "merge_duplicate", actor, note });
+    record.updatedAt = record.history[record.history.length - 1].changedAt;
+  }
+  return changes;
+}
@@ -0,0 +1,188 @@
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import { tokenize } from "./search.js";
+
+// 向量化：为记录生成嵌入向量，用于语义检索。
+// 提供者接口：{ id, embed(texts) -> Promise<number[][]> }，id 变化时已存储的向量会被重新生成。
+
+const DEFAULT_DIMENSIONS = 256;
+
+// FNV-1a 32位哈希
+function hashString(text, seed = 0x811c9dc5) {
+  let hash = seed;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function normalizeVector(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm === 0 ? vector : vector.map((value) => value / norm);
+}
+
+// 离线默认实现：分词 + 英文字符三元组，哈希到固定维度，次线性词频加权后归一化
+export function createHashingEmbedder({ dimensions = DEFAULT_DIMENSIONS } = {}) {
+  function features(text) {
+    const result = [];
+    for (const token of tokenize(text)) {
+      result.push(token);
+      if (/^[a-z]/.test(token) && token.length > 3) {
+        const padded = `<${token}>`;
+        for (let i = 0; i < padded.length - 2; i++) {
+          result.push(`#${padded.slice(i, i + 3)}`);
+        }
+      }
+    }
+    return result;
+  }
+
+  function embedOne(text) {
+    const counts = new Map();
+    for (const feature of features(text)) {
+      counts.set(feature, (counts.get(feature) || 0) + 1);
+    }
+    const vector = new Array(dimensions).fill(0);
+    for (const [feature, count] of counts) {
+      const hash = hashString(feature);
+      const sign = hashString(feature, 0x9747b28c) & 1 ? 1 : -1;
+      vector[hash % dimensions] += sign * (1 + Math.log(count));
+    }
+    return normalizeVector(vector);
+  }
+
+  return {
+    id: `hash-${dimensions}`,
+    async embed(texts) {
+      return texts.map(embedOne);
+    }
+  };
+}
+
+// 外部模型：调用 OpenAI 兼容的 /embeddings 接口
+export function createHttpEmbedder({ url, model, apiKey }) {
+  return {
+    id: `http:${model || url}`,
+    async embed(texts) {
+      const response = await fetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+        },
+        body: JSON.stringify({ input: texts, ...(model ? { model } : {}) })
+      });
+      if (!response.ok) {
+        throw new Error(`嵌入接口返回 ${response.status}: ${await response.text()}`);
+      }
+      const body = await response.json();
+      return body.data
+        .sort((a, b) => a.index - b.index)
+        .map((item) => normalizeVector(item.embedding));
+    }
+  };
+}
+
+// 外部模型：加载本地模块，模块需导出 embed(texts) 函数，可选导出 id
+export async function createModuleEmbedder({ modulePath }) {
+  const loaded = await import(pathToFileURL(path.resolve(modulePath)).href);
+  const embed = loaded.embed || loaded.default?.embed || loaded.default;
+  if (typeof embed !== "function") {
+    throw new Error(`嵌入模块 ${modulePath} 未导出 embed(texts) 函数`);
+  }
+  return {
+    id: `module:${loaded.id || path.basename(modulePath)}`,
+    async embed(texts) {
+      return (await embed(texts)).map(normalizeVector);
+    }
+  };
+}
+
+let embedder = createHashingEmbedder();
+
+export async function initEmbedder(config = {}) {
+  switch (config.embedding || "hash") {
+    case "hash":
+      embedder = createHashingEmbedder({ dimensions: config.embeddingDimensions });
+      break;
+    case "http":
+      embedder = createHttpEmbedder({
+        url: config.embeddingUrl,
+        model: config.embeddingModel,
+        apiKey: config.embeddingApiKey
+      });
+      break;
+    case "module":
+      embedder = await createModuleEmbedder({ modulePath: config.embeddingModule });
+      break;
+    default:
+      throw new Error(`不支持的嵌入提供者: ${config.embedding}`);
+  }
+  return embedder;
+}
+
+export function getEmbedder() {
+  return embedder;
+}
+
+export function recordEmbeddingText(record) {
+  return [record.content, record.context, ...Object.values(record.metadata || {}).map(String)]
+    .filter(Boolean)
+    .join("\n");
+}
+
+// 记录的向量是否需要（重新）生成
+export function needsEmbedding(record) {
+  return (
+    !record.embedding ||
+    record.embedding.model !== embedder.id ||
+    record.embedding.updatedAt !== record.updatedAt
+  );
+}
+
+/**
+ * 为记录生成并附加向量，写入 record.embedding。
+ * 返回实际更新的记录；嵌入失败时不抛出，记录保持原样，下次检索时再补齐。
+ */
+export async function embedRecords(records) {
+  const pending = records.filter(needsEmbedding);
+  if (pending.length === 0) {
+    return [];
+  }
+  let vectors;
+  try {
+    vectors = await embedder.embed(pending.map(recordEmbeddingText));
+  } catch (error) {
+    console.error(`[mcp-context-memory] 生成嵌入向量失败: ${error.message}`);
+    return [];
+  }
+  pending.forEach((record, index) => {
+    record.embedding = {
+      model: embedder.id,
+      updatedAt: record.updatedAt,
+      vector: vectors[index].map((value) => Math.round(value * 1e5) / 1e5)
+    };
+  });
+  return pending;
+}
+
+export async function embedQuery(text) {
+  const [vector] = await embedder.embed([text]);
+  return vector;
+}
+
+export function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) {
+    return 0;
+  }
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA === 0 || normB === 0 ? 0 : dot / Math.sqrt(normA * normB);
+}
@@ -0,0 +1,98 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+
+// 静态加密：存储后端写入的主题、记录、回收站和事件等数据用 AES-256-GCM 加密，每个值使用独立的随机 IV。
+// 加密后的值形如 enc:v1:<base64(IV + 认证标签 + 密文)>，未加密的值仍为 JSON 文本，两种格式可以在同一文件中共存，
+// 因此开启加密后打开已有的明文存储时，由存储后端将其整体重写为密文。
+// 密钥为 32 字节，通过 MCP_MEMORY_ENCRYPTION_KEY（hex 或 base64）或 --encryption-key-file 指定的密钥文件提供。
+
+const SEALED_PREFIX = "enc:v1:";
+const ALGORITHM = "aes-256-gcm";
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// hex（64 个字符）或 base64 编码的 32 字节密钥
+function parseKey(text, source) {
+  const value = text.trim();
+  if (/^[0-9a-fA-F]{64}$/.test(value)) {
+    return Buffer.from(value, "hex");
+  }
+  if (/^[A-Za-z0-9+/_-]+={0,2}$/.test(value)) {
+    const key = Buffer.from(value, "base64");
+    if (key.length === KEY_LENGTH) {
+      return key;
+    }
+  }
+  throw new Error(
+    `${source} 不是有效的加密密钥：需要 32 字节密钥的 hex 或 base64 编码，可使用 openssl rand -base64 32 生成`
+  );
+}
+
+/**
+ * 读取配置的加密密钥，未配置时返回 null。
+ */
+export function loadEncryptionKey({ encryptionKey = "", encryptionKeyFile = "" } = {}) {
+  if (encryptionKey) {
+    return parseKey(encryptionKey, "MCP_MEMORY_ENCRYPTION_KEY");
+  }
+  if (!encryptionKeyFile) {
+    return null;
+  }
+  const filePath = path.resolve(encryptionKeyFile);
+  let content;
+  try {
+    content = fs.readFileSync(filePath);
+  } catch (error) {
+    throw new Error(`无法读取密钥文件 ${filePath}: ${error.message}`);
+  }
+  // 密钥文件可以直接保存 32 字节的原始密钥
+  return content.length === KEY_LENGTH ? content : parseKey(content.toString("utf8"), `密钥文件 ${filePath}`);
+}
+
+export function isSealed(text) {
+  return typeof text === "string" && text.startsWith(SEALED_PREFIX);
+}
+
+/**
+ * 存储后端使用的编解码器：encode(value) 返回写入存储的文本，decode(text) 还原为值。
+ * key 为 null 时不加密，encode 输出 JSON；decode 始终同时接受 JSON 和密文，遇到密文但没有密钥时抛出错误。
+ */
+export function createCipher(key = null) {
+  return {
+    enabled: key !== null,
+
+    encode(value) {
+      const json = JSON.stringify(value);
+      if (!key) {
+        return json;
+      }
+      const iv = crypto.randomBytes(IV_LENGTH);
+      const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+      const encrypted = Buffer.concat([cipher.update(json, "utf8"), cipher.final()]);
+      return SEALED_PREFIX + Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString("base64");
+    },
+
+    decode(text) {
+      if (!isSealed(text)) {
+        return JSON.parse(text);
+      }
+      if (!key) {
+        throw new Error(
+          "存储文件已加密，需要通过 MCP_MEMORY_ENCRYPTION_KEY 或 --encryption-key-file 提供加密时使用的密钥"
+        );
+      }
+      const payload = Buffer.from(text.slice(SEALED_PREFIX.length), "base64");
+      const decipher = crypto.createDecipheriv(ALGORITHM, key, payload.subarray(0, IV_LENGTH));
+      decipher.setAuthTag(payload.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+      let json;
+      try {
+        json = Buffer.concat([decipher.update(payload.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]).toString("utf8");
+      } catch {
+        throw new Error("解密失败：密钥不正确或数据已损坏");
+      }
+      return JSON.parse(json);
+    }
+  };
+}
@@ -0,0 +1,200 @@
+import fs from "node:fs";
+import net from "node:net";
+import path from "node:path";
+import { createHmac } from "node:crypto";
+import { setTimeout as sleep } from "node:timers/promises";
+import { onEvent } from "./store.js";
+import { redactRecord } from "./sensitive.js";
+
+// 事件输出：把变更事件（见 events.js）实时转发给外部工具，每个事件一行 JSON
+// - --event-file <路径>          追加写入本地 JSONL 文件
+// - --event-stream stdout        写到标准输出，只能用于 HTTP 服务模式
+// - --event-stream <socket 路径>  在 Unix socket 上监听，推送给所有已连接的客户端
+// - --event-webhook <url,...>    逐个 POST 到 webhook，失败按指数退避重试
+// 转发失败只记录日志，不影响记忆的修改；进程退出时尚未送达的 webhook 事件会丢失，可通过 memory_query 的 events 补查。
+// 敏感记录的 before / after 快照脱敏后再转发，配置 --event-raw 时转发原文。
+
+// 第一次重试前的等待时间，之后每次翻倍
+const RETRY_BASE_MS = 500;
+
+// 正在运行的输出：[{ name, send(event, line), close(), drain?() }]
+let sinks = [];
+let stopListening = null;
+
+function createFileSink(filePath) {
+  const resolved = path.resolve(filePath);
+  fs.mkdirSync(path.dirname(resolved), { recursive: true });
+  return {
+    name: `文件 ${resolved}`,
+    send(event, line) {
+      fs.appendFileSync(resolved, line);
+    },
+    close() {}
+  };
+}
+
+function createStdoutSink() {
+  return {
+    name: "标准输出",
+    send(event, line) {
+      process.stdout.write(line);
+    },
+    close() {}
+  };
+}
+
+async function createSocketSink(socketPath) {
+  const resolved = path.resolve(socketPath);
+  // 上次异常退出留下的 socket 文件
+  if (fs.existsSync(resolved)) {
+    fs.unlinkSync(resolved);
+  }
+  const clients = new Set();
+  const server = net.createServer((socket) => {
+    clients.add(socket);
+    socket.on("close", () => clients.delete(socket));
+    socket.on("error", () => clients.delete(socket));
+    // 只推送，不读取客户端发来的数据
+    socket.resume();
+  });
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(resolved, resolve);
+  });
+  server.unref();
+  return {
+    name: `Unix socket ${resolved}`,
+    send(event, line) {
+      for (const socket of clients) {
+        socket.write(line);
+      }
+    },
+    close() {
+      for (const socket of clients) {
+        socket.destroy();
+      }
+      server.close();
+      fs.rmSync(resolved, { force: true });
+    }
+  };
+}
+
+/**
+ * webhook：同一地址的事件按顺序逐个发送，前一个送达或放弃后才发送下一个。
+ * 请求头 X-Memory-Event 为事件类型（如 record.update），配置了 MCP_MEMORY_WEBHOOK_SECRET 时
+ * X-Memory-Signature 为请求体的 HMAC-SHA256 签名（sha256=<hex>）。
+ */
+function createWebhookSink(url, { retries, timeout, secret }) {
+  let queue = Promise.resolve();
+
+  async function deliver(event, body) {
+    const headers = {
+      "Content-Type": "application/json; charset=utf-8",
+      "X-Memory-Event": `${event.entity}.${event.type}`,
+      "X-Memory-Event-Id": event.id
+    };
+    if (secret) {
+      headers["X-Memory-Signature"] = `sha256=${createHmac("sha256", secret).update(body).digest("hex")}`;
+    }
+    let lastError = "";
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      if (attempt > 0) {
+        await sleep(RETRY_BASE_MS * 2 ** (attempt - 1));
+      }
+      try {
+        const response = await fetch(url, { method: "POST", headers, body, signal: AbortSignal.timeout(timeout) });
+        if (response.ok) {
+          return;
+        }
+        lastError = `HTTP ${response.status}`;
+      } catch (error) {
+        lastError = error.message;
+      }
+    }
+    console.error(
+      `[mcp-context-memory] 事件 #${event.seq}(${event.namespace}) 发送到 webhook ${url} 失败，已重试 ${retries} 次: ${lastError}`
+    );
+  }
+
+  return {
+    name: `webhook ${url}`,
+    send(event, line) {
+      const body = line.trimEnd();
+      queue = queue.then(() => deliver(event, body));
+    },
+    // 等待已提交的事件全部送达或放弃
+    drain() {
+      return queue;
+    },
+    close() {}
+  };
+}
+
+// 事件中的记录快照脱敏，非敏感记录的事件原样返回
+function redactEvent(event) {
+  if (event.entity !== "record" || !(event.before?.sensitive || event.after?.sensitive)) {
+    return event;
+  }
+  return {
+    ...event,
+    ...(event.before ? { before: redactRecord(event.before) } : {}),
+    ...(event.after ? { after: redactRecord(event.after) } : {})
+  };
+}
+
+/**
+ * 按配置启动事件输出，没有配置任何输出时不做任何事。重复调用时先关闭之前的输出。
+ */
+export async function startEventSinks(config) {
+  stopEventSinks();
+  const started = [];
+  try {
+    if (config.eventFile) {
+      started.push(createFileSink(config.eventFile));
+    }
+    if (config.eventStream === "stdout") {
+      started.push(createStdoutSink());
+    } else if (config.eventStream) {
+      started.push(await createSocketSink(config.eventStream));
+    }
+  } catch (error) {
+    started.forEach((sink) => sink.close());
+    throw error;
+  }
+  for (const url of config.eventWebhooks || []) {
+    started.push(
+      createWebhookSink(url, { retries: config.webhookRetries, timeout: config.webhookTimeout, secret: config.webhookSecret })
+    );
+  }
+  if (started.length === 0) {
+    return;
+  }
+  sinks = started;
+  stopListening = onEvent((rawEvent) => {
+    const event = config.eventRaw ? rawEvent : redactEvent(rawEvent);
+    const line = `${JSON.stringify(event)}\n`;
+    for (const sink of sinks) {
+      try {
+        sink.send(event, line);
+      } catch (error) {
+        console.error(`[mcp-context-memory] 事件输出到${sink.name}失败: ${error.message}`);
+      }
+    }
+  });
+}
+
+// 等待 webhook 中排队的事件发送完毕，命令行工具退出前调用
+export async function drainEventSinks() {
+  await Promise.all(sinks.map((sink) => sink.drain?.()));
+}
+
+export function stopEventSinks() {
+  if (stopListening) {
+    stopListening();
+    stopListening = null;
+  }
+  for (const sink of sinks) {
+    sink.close();
+  }
+  sinks = [];
+}
@@ -0,0 +1,136 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+import { generateId, getCurrentTimestamp } from "./utils.js";
+
+// 变更事件：主题和记录的每次创建、修改、删除都会在所在命名空间的事件日志中追加一条事件，由 store.js 在写入存储时生成。
+// 事件 { id, seq, namespace, timestamp, type, entity, topic, recordId, changes, before, after, action, actor, principal, sessionId }：
+// - type 为 create / update / delete，entity 为 topic / record，seq 在命名空间内递增
+// - before / after 为修改前后的快照（记录不含嵌入向量和版本历史，主题不含记录），changes 为发生变化的字段
+// - action、actor、principal、sessionId 来自发起修改的请求，见 withEventContext()；没有请求上下文的修改（如后台任务）为 system
+// 移动记录、重命名主题记为一次 update（topic / name 字段变化），不会拆成删除和创建。
+
+export const EVENT_TYPES = {
+  create: "创建",
+  update: "更新",
+  delete: "删除"
+};
+
+export const EVENT_ENTITIES = {
+  topic: "主题",
+  record: "记录"
+};
+
+// 每个命名空间默认保留的事件数，超出后删除最旧的事件
+export const DEFAULT_EVENT_LOG_LIMIT = 10000;
+
+const SYSTEM_CONTEXT = { action: "system", actor: "system", principal: "", sessionId: "" };
+
+const contextStorage = new AsyncLocalStorage();
+
+/**
+ * 在 fn 执行期间（包括其中的异步操作）产生的事件带上 context 中的 action、actor、principal、sessionId，
+ * 嵌套调用时与外层的上下文合并。
+ */
+export function withEventContext(context, fn) {
+  return contextStorage.run({ ...SYSTEM_CONTEXT, ...contextStorage.getStore(), ...context }, fn);
+}
+
+export function currentEventContext() {
+  return contextStorage.getStore() || SYSTEM_CONTEXT;
+}
+
+export function snapshotTopic(topicData) {
+  const { records, ...topicMeta } = topicData;
+  return structuredClone(topicMeta);
+}
+
+export function snapshotRecord(topicName, record) {
+  const { embedding, history, ...content } = record;
+  return structuredClone({ ...content, topic: topicName });
+}
+
+/**
+ * before 和 after 中值不同的字段，ignored 中的字段不比较。
+ */
+export function changedFields(before, after, ignored = []) {
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...keys].filter(
+    (key) => !ignored.includes(key) && JSON.stringify(before[key]) !== JSON.stringify(after[key])
+  );
+}
+
+export function createEvent({ namespace, seq, type, entity, topic, recordId = null, changes = [], before, after, context }) {
+  return {
+    id: generateId(),
+    seq,
+    namespace,
+    timestamp: getCurrentTimestamp(),
+    type,
+    entity,
+    topic,
+    recordId,
+    changes,
+    before: before ?? null,
+    after: after ?? null,
+    action: context.action,
+    actor: context.actor,
+    principal: context.principal,
+    sessionId: context.sessionId
+  };
+}
+
+function parseTime(value, label) {
+  if (!value) {
+    return null;
+  }
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`${label} 不是有效的时间: ${value}`);
+  }
+  return time;
+}
+
+/**
+ * 按条件筛选事件，返回从新到旧排列的新数组；时间格式无效时抛出错误。
+ * filters：{ types, entities, actions, topics, recordId, actor, since, until, afterSeq }
+ */
+export function filterEvents(events, filters = {}) {
+  const { types = [], entities = [], actions = [], topics = [], recordId = "", actor = "", afterSeq } = filters;
+  const since = parseTime(filters.since, "since");
+  const until = parseTime(filters.until, "until");
+  return events
+    .filter((event) => {
+      if (types.length > 0 && !types.includes(event.type)) {
+        return false;
+      }
+      if (entities.length > 0 && !entities.includes(event.entity)) {
+        return false;
+      }
+      if (actions.length > 0 && !actions.includes(event.action)) {
+        return false;
+      }
+      // 移动和重命名的事件按修改前后的主题都能查到
+      if (topics.length > 0 && !topics.includes(event.topic) && !topics.includes(event.before?.topic ?? event.before?.name)) {
+        return false;
+      }
+      if (recordId && event.recordId !== recordId) {
+        return false;
+      }
+      if (actor && event.actor !== actor && event.principal !== actor) {
+        return false;
+      }
+      if (afterSeq !== undefined && event.seq <= afterSeq) {
+        return false;
+      }
+      const time = Date.parse(event.timestamp);
+      return (since === null || time >= since) && (until === null || time <= until);
+    })
+    .reverse();
+}
+
+export function describeEvent(event) {
+  const target = event.entity === "record" ? `记录 ${event.recordId}（主题 "${event.topic}"）` : `主题 "${event.topic}"`;
+  const changes = event.changes.length > 0 ? `，变更字段: ${event.changes.join(", ")}` : "";
+  return `#${event.seq} ${event.timestamp} ${EVENT_TYPES[event.type]}${target}${changes} · ${event.action} · ${
+    event.actor || event.principal || "未知"
+  }`;
+}
@@ -0,0 +1,225 @@
+import { z } from "zod";
+
+// 结构化筛选与分页：主题标签、时间范围、元数据条件，供 memory_query 各查询共用
+
+export const METADATA_OPERATORS = ["eq", "ne", "contains", "exists", "not_exists", "gt", "gte", "lt", "lte", "in"];
+
+// memory_query 的筛选参数定义
+export const filterSchema = {
+  topics: z
+    .array(z.string())
+    .default([])
+    .describe("主题范围：可选，只在这些主题中查询，留空表示全部主题"),
+  tags: z.array(z.string()).default([]).describe("主题标签筛选：可选，只查询带有这些标签的主题"),
+  tagMode: z
+    .enum(["any", "all"])
+    .default("any")
+    .describe("标签匹配方式：any(包含任一标签)、all(包含全部标签)"),
+  createdAfter: z.string().default("").describe("创建时间下限：可选，ISO 时间，如 2024-01-01"),
+  createdBefore: z.string().default("").describe("创建时间上限：可选，ISO 时间"),
+  updatedAfter: z.string().default("").describe("更新时间下限：可选，ISO 时间"),
+  updatedBefore: z.string().default("").describe("更新时间上限：可选，ISO 时间"),
+  metadataFilters: z
+    .array(
+      z.object({
+        field: z.string().min(1).describe("元数据字段名，支持 a.b 形式的嵌套路径"),
+        op: z
+          .enum(METADATA_OPERATORS)
+          .default("eq")
+          .describe("比较方式：eq、ne、contains、exists、not_exists、gt、gte、lt、lte、in"),
+        value: z.any().optional().describe("比较值：exists/not_exists 不需要，in 需要数组")
+      })
+    )
+    .default([])
+    .describe("元数据条件：可选，全部满足才会返回，如 [{field: 'difficulty', op: 'gte', value: 3}]"),
+  offset: z.number().int().min(0).default(0).describe("分页偏移：跳过前多少条结果"),
+  cursor: z.string().default("").describe("分页游标：使用上一页返回的游标获取下一页，优先于 offset")
+};
+
+function parseTime(value, label) {
+  if (!value) {
+    return null;
+  }
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`${label} 不是有效的时间: ${value}`);
+  }
+  return time;
+}
+
+function getField(metadata, field) {
+  return field.split(".").reduce((value, key) => (value == null ? undefined : value[key]), metadata);
+}
+
+function toNumber(value) {
+  const number = typeof value === "number" ? value : Number(value);
+  return value === "" || value === null || Number.isNaN(number) ? null : number;
+}
+
+function looseEquals(actual, expected) {
+  if (actual === expected) {
+    return true;
+  }
+  if (actual == null || expected == null) {
+    return false;
+  }
+  return String(actual).toLowerCase() === String(expected).toLowerCase();
+}
+
+function matchesMetadata(metadata = {}, { field, op, value }) {
+  const actual = getField(metadata, field);
+  switch (op) {
+    case "exists":
+      return actual !== undefined && actual !== null;
+    case "not_exists":
+      return actual === undefined || actual === null;
+    case "eq":
+      return looseEquals(actual, value);
+    case "ne":
+      return !looseEquals(actual, value);
+    case "contains":
+      if (Array.isArray(actual)) {
+        return actual.some((item) => looseEquals(item, value));
+      }
+      return actual != null && String(actual).toLowerCase().includes(String(value).toLowerCase());
+    case "in":
+      return Array.isArray(value) && value.some((item) => looseEquals(actual, item));
+    case "gt":
+    case "gte":
+    case "lt":
+    case "lte": {
+      const left = toNumber(actual);
+      const right = toNumber(value);
+      if (left === null || right === null) {
+        return false;
+      }
+      return op === "gt" ? left > right : op === "gte" ? left >= right : op === "lt" ? left < right : left <= right;
+    }
+    default:
+      return false;
+  }
+}
+
+export function hasTopicFilters({ topics = [], tags = [] }) {
+  return topics.length > 0 || tags.length > 0;
+}
+
+/**
+ * 根据筛选参数构建判断函数，时间格式错误时抛出异常。
+ * 返回 { matchesTopic(topicName, topicData), matchesRecord(record) }
+ */
+export function buildFilter(options) {
+  const {
+    topics = [],
+    tags = [],
+    tagMode = "any",
+    createdAfter,
+    createdBefore,
+    updatedAfter,
+    updatedBefore,
+    metadataFilters = [],
+    importance = "全部"
+  } = options;
+  const ranges = {
+    createdAfter: parseTime(createdAfter, "createdAfter"),
+    createdBefore: parseTime(createdBefore, "createdBefore"),
+    updatedAfter: parseTime(updatedAfter, "updatedAfter"),
+    updatedBefore: parseTime(updatedBefore, "updatedBefore")
+  };
+  const topicSet = new Set(topics);
+  const wantedTags = tags.map((tag) => tag.toLowerCase());
+
+  function matchesTopic(topicName, topicData) {
+    if (topicSet.size > 0 && !topicSet.has(topicName)) {
+      return false;
+    }
+    if (wantedTags.length === 0) {
+      return true;
+    }
+    const topicTags = new Set(topicData.tags.map((tag) => tag.toLowerCase()));
+    return tagMode === "all"
+      ? wantedTags.every((tag) => topicTags.has(tag))
+      : wantedTags.some((tag) => topicTags.has(tag));
+  }
+
+  function matchesRecord(record) {
+    // 已过期但尚未被后台清理的记录不再返回
+    if (record.expiresAt && Date.parse(record.expiresAt) <= Date.now()) {
+      return false;
+    }
+    if (importance !== "全部" && record.importance !== importance) {
+      return false;
+    }
+    const created = Date.parse(record.createdAt);
+    const updated = Date.parse(record.updatedAt || record.createdAt);
+    if (ranges.createdAfter !== null && created < ranges.createdAfter) {
+      return false;
+    }
+    if (ranges.createdBefore !== null && created > ranges.createdBefore) {
+      return false;
+    }
+    if (ranges.updatedAfter !== null && updated < ranges.updatedAfter) {
+      return false;
+    }
+    if (ranges.updatedBefore !== null && updated > ranges.updatedBefore) {
+      return false;
+    }
+    return metadataFilters.every((condition) => matchesMetadata(record.metadata, condition));
+  }
+
+  return { matchesTopic, matchesRecord };
+}
+
+// 描述当前生效的筛选条件，用于结果展示
+export function describeFilters(options) {
+  const parts = [];
+  if (options.topics?.length > 0) {
+    parts.push(`主题: ${options.topics.join(", ")}`);
+  }
+  if (options.tags?.length > 0) {
+    parts.push(`标签(${options.tagMode === "all" ? "全部" : "任一"}): ${options.tags.join(", ")}`);
+  }
+  if (options.createdAfter || options.createdBefore) {
+    parts.push(`创建时间: ${options.createdAfter || "不限"} ~ ${options.createdBefore || "不限"}`);
+  }
+  if (options.updatedAfter || options.updatedBefore) {
+    parts.push(`更新时间: ${options.updatedAfter || "不限"} ~ ${options.updatedBefore || "不限"}`);
+  }
+  for (const { field, op, value } of options.metadataFilters || []) {
+    parts.push(`元数据: ${field} ${op}${value === undefined ? "" : ` ${JSON.stringify(value)}`}`);
+  }
+  return parts;
+}
+
+// ---------- 分页 ----------
+
+export function encodeCursor(offset) {
+  return Buffer.from(JSON.stringify({ offset }), "utf8").toString("base64url");
+}
+
+export function decodeCursor(cursor) {
+  try {
+    const { offset } = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (Number.isInteger(offset) && offset >= 0) {
+      return offset;
+    }
+  } catch {
+    // 落到下方统一报错
+  }
+  throw new Error(`无效的分页游标: ${cursor}`);
+}
+
+/**
+ * 对结果分页，返回 { items, offset, total, nextCursor }；没有下一页时 nextCursor 为 null。
+ */
+export function paginate(items, { limit, offset = 0, cursor = "" }) {
+  const start = cursor ? decodeCursor(cursor) : offset;
+  const page = items.slice(start, start + limit);
+  const end = start + page.length;
+  return {
+    items: page,
+    offset: start,
+    total: items.length,
+    nextCursor: end < items.length ? encodeCursor(end) : null
+  };
+}
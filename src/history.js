@@ -0,0 +1,215 @@
+import { getCurrentTimestamp } from "./utils.js";
+
+// 记录版本历史：record.version 为当前版本号，record.history 按时间顺序保存每个版本的变更。
+// 每条变更为 { field, before, after }，字段缺失（如新增的元数据键没有 before）表示该值不存在，
+// 从当前状态逆向应用这些变更即可还原任意历史版本。
+
+// 每条记录最多保留的历史版本数，超出后丢弃最早的版本
+export const MAX_HISTORY = 100;
+
+const TRACKED_FIELDS = ["content", "context", "importance", "expiresAt"];
+
+export const HISTORY_ACTION_LABELS = {
+  create: "创建",
+  update: "更新",
+  restore_version: "恢复版本",
+  restore: "从回收站恢复",
+  move: "移动",
+  copy: "复制",
+  merge: "合并主题",
+  split: "拆分主题",
+  consolidate: "整合",
+  merge_duplicate: "合并重复记录",
+  link: "添加关联",
+  unlink: "移除关联"
+};
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function change(field, before, after) {
+  const entry = { field };
+  if (before !== undefined) {
+    entry.before = before;
+  }
+  if (after !== undefined) {
+    entry.after = after;
+  }
+  return entry;
+}
+
+// 记录中受版本控制的内容，没有过期时间的记录不含 expiresAt
+export function recordSnapshot(record) {
+  const snapshot = {
+    content: record.content,
+    context: record.context,
+    importance: record.importance,
+    metadata: { ...record.metadata }
+  };
+  if (record.expiresAt) {
+    snapshot.expiresAt = record.expiresAt;
+  }
+  return snapshot;
+}
+
+// 比较两个快照，元数据按键逐一比较，字段名形如 metadata.difficulty
+export function diffSnapshots(before, after) {
+  const changes = [];
+  for (const field of TRACKED_FIELDS) {
+    if (!isEqual(before[field], after[field])) {
+      changes.push(change(field, before[field], after[field]));
+    }
+  }
+  const keys = new Set([...Object.keys(before.metadata || {}), ...Object.keys(after.metadata || {})]);
+  for (const key of keys) {
+    const oldValue = before.metadata?.[key];
+    const newValue = after.metadata?.[key];
+    if (!isEqual(oldValue, newValue)) {
+      changes.push(change(`metadata.${key}`, oldValue, newValue));
+    }
+  }
+  return changes;
+}
+
+function applyValue(snapshot, field, entry, side) {
+  const hasValue = side in entry;
+  if (field.startsWith("metadata.")) {
+    const key = field.slice("metadata.".length);
+    if (hasValue) {
+      snapshot.metadata[key] = entry[side];
+    } else {
+      delete snapshot.metadata[key];
+    }
+  } else if (hasValue) {
+    snapshot[field] = entry[side];
+  } else {
+    delete snapshot[field];
+  }
+}
+
+export function getVersion(record) {
+  return record.version || 1;
+}
+
+// 主题版本：主题自身的名称、描述、标签和策略每修改一次加 1，主题中记录的增删改不改变主题版本
+export function getTopicVersion(topicData) {
+  return topicData.version || 1;
+}
+
+export function bumpTopicVersion(topicData) {
+  topicData.version = getTopicVersion(topicData) + 1;
+  return topicData.version;
+}
+
+/**
+ * 还原记录在指定版本时的内容，版本不存在或已超出保留范围时返回 null。
+ */
+export function snapshotAtVersion(record, version) {
+  const current = getVersion(record);
+  const history = record.history || [];
+  const oldest = history.length > 0 ? history[0].version : current;
+  if (version > current || version < oldest) {
+    return null;
+  }
+  const snapshot = recordSnapshot(record);
+  for (let i = history.length - 1; i >= 0 && history[i].version > version; i--) {
+    for (const entry of history[i].changes) {
+      applyValue(snapshot, entry.field, entry, "before");
+    }
+  }
+  return snapshot;
+}
+
+// 为新记录写入第一个版本
+export function initHistory(record, actor = "") {
+  record.version = 1;
+  record.history = [{ version: 1, action: "create", changedAt: record.createdAt, changedBy: actor, changes: [] }];
+  return record;
+}
+
+/**
+ * 将记录更新为 nextSnapshot 并追加一个版本，返回本次变更；内容没有变化时返回空数组且不产生新版本。
+ */
+export function commitVersion(record, nextSnapshot, { action = "update", actor = "", note = "" } = {}) {
+  const changes = diffSnapshots(recordSnapshot(record), nextSnapshot);
+  if (changes.length === 0) {
+    return changes;
+  }
+  for (const field of TRACKED_FIELDS) {
+    if (nextSnapshot[field] === undefined) {
+      delete record[field];
+    } else {
+      record[field] = nextSnapshot[field];
+    }
+  }
+  record.metadata = nextSnapshot.metadata;
+  record.updatedAt = getCurrentTimestamp();
+  record.version = getVersion(record) + 1;
+  const entry = { version: record.version, action, changedAt: record.updatedAt, changedBy: actor, changes };
+  if (note) {
+    entry.note = note;
+  }
+  record.history = [...(record.history || []), entry].slice(-MAX_HISTORY);
+  return changes;
+}
+
+// 仅追加一条不含内容变更的版本记录（如从回收站恢复）
+export function appendHistoryEvent(record, { action, actor = "", note = "" }) {
+  const entry = { version: getVersion(record), action, changedAt: getCurrentTimestamp(), changedBy: actor, changes: [] };
+  if (note) {
+    entry.note = note;
+  }
+  record.history = [...(record.history || []), entry].slice(-MAX_HISTORY);
+}
+
+// ---------- 差异展示 ----------
+
+function formatValue(value) {
+  if (value === undefined) {
+    return "（无）";
+  }
+  return typeof value === "string" ? value || "（空）" : JSON.stringify(value);
+}
+
+// 按行计算最长公共子序列，输出统一差异格式的行
+function lineDiff(before, after) {
+  const a = before.split("\n");
+  const b = after.split("\n");
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push(`  ${a[i]}`);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      lines.push(`- ${a[i++]}`);
+    } else {
+      lines.push(`+ ${b[j++]}`);
+    }
+  }
+  while (i < a.length) {
+    lines.push(`- ${a[i++]}`);
+  }
+  while (j < b.length) {
+    lines.push(`+ ${b[j++]}`);
+  }
+  return lines;
+}
+
+// 将一次变更格式化为文本行
+export function formatChange(entry) {
+  const { field, before, after } = entry;
+  if (typeof before === "string" && typeof after === "string" && (before.includes("\n") || after.includes("\n"))) {
+    return [`${field}:`, ...lineDiff(before, after).map((line) => `    ${line}`)];
+  }
+  return [`${field}: ${formatValue(before)} → ${formatValue(after)}`];
+}
@@ -0,0 +1,261 @@
+import http from "node:http";
+import { randomUUID } from "node:crypto";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import { isAccessControlEnabled, authenticateToken, tokensMatch } from "./access.js";
+import { listSpaces } from "./store.js";
+
+// HTTP 传输：多个客户端会话共享同一份记忆数据
+// - POST/GET/DELETE /mcp  Streamable HTTP 传输
+// - GET /sse + POST /messages  旧版 SSE 传输（兼容不支持 Streamable HTTP 的客户端）
+// - GET /health  健康检查，无需认证；需要认证时只有携带有效令牌的请求才返回会话数和命名空间
+// 每个会话使用独立的 McpServer 实例，工具调用最终访问的是同一个 store。
+// 传输层开启 DNS 重绑定防护：Host 须为本机地址、监听地址或 --allowed-hosts 中的地址，浏览器请求的 Origin 须为对应的来源，
+// 防止网页通过把自己的域名解析到 127.0.0.1 访问本地服务。--allowed-hosts 为 * 时不检查。
+
+const MCP_PATH = "/mcp";
+const SSE_PATH = "/sse";
+const SSE_MESSAGES_PATH = "/messages";
+
+// Streamable HTTP 会话超过该时长没有请求即关闭（客户端未发送 DELETE 就退出的情况）
+const SESSION_IDLE_MS = 30 * 60 * 1000;
+
+// 总是允许的本机地址
+const LOOPBACK_HOSTS = ["localhost", "127.0.0.1", "[::1]"];
+
+// 会话ID -> { transport, server, principal, kind, lastSeen }
+const sessions = new Map();
+let startedAt = null;
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json; charset=utf-8", ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function sendRpcError(res, status, message) {
+  sendJson(res, status, { jsonrpc: "2.0", error: { code: -32000, message }, id: null });
+}
+
+function bearerToken(req) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "");
+  return match ? match[1].trim() : "";
+}
+
+/**
+ * 认证 HTTP 请求：启用权限文件时按其中的 token 识别身份，否则在配置了 --auth-token 时校验共享令牌。
+ * 成功返回 AuthInfo（clientId 为调用方身份，未启用权限文件时为 --principal），失败返回 null。
+ */
+function authenticate(req, config) {
+  const token = bearerToken(req);
+  if (isAccessControlEnabled()) {
+    const principal = authenticateToken(token);
+    return principal ? { token, clientId: principal, scopes: [] } : null;
+  }
+  if (config.authToken) {
+    return tokensMatch(config.authToken, token) ? { token, clientId: config.principal, scopes: [] } : null;
+  }
+  return { token, clientId: config.principal, scopes: [] };
+}
+
+function isAuthRequired(config) {
+  return isAccessControlEnabled() || Boolean(config.authToken);
+}
+
+function withPort(host, port) {
+  return /:\d+$/.test(host) ? host : `${host}:${port}`;
+}
+
+/**
+ * 传输层的 DNS 重绑定防护选项。Host 请求头带有端口，未写端口的地址同时允许带当前端口和不带端口两种形式；
+ * 没有配置 --allowed-origins 时允许这些地址对应的 http / https 来源。
+ */
+function dnsRebindingOptions(config, port) {
+  if (config.allowedHosts.includes("*")) {
+    return { enableDnsRebindingProtection: false };
+  }
+  const listenHost = ["0.0.0.0", "::", ""].includes(config.host)
+    ? []
+    : [config.host.includes(":") && !config.host.startsWith("[") ? `[${config.host}]` : config.host];
+  const names = [...new Set([...LOOPBACK_HOSTS, ...listenHost, ...config.allowedHosts])];
+  const hosts = [...new Set(names.flatMap((name) => [name, withPort(name, port)]))];
+  const origins =
+    config.allowedOrigins.length > 0
+      ? config.allowedOrigins
+      : hosts.flatMap((host) => [`http://${host}`, `https://${host}`]);
+  return { enableDnsRebindingProtection: true, allowedHosts: hosts, allowedOrigins: origins };
+}
+
+async function closeSession(sessionId) {
+  const session = sessions.get(sessionId);
+  if (!session) {
+    return;
+  }
+  sessions.delete(sessionId);
+  await session.server.close().catch(() => {});
+}
+
+// 已有会话只能由创建它的身份继续使用
+function findSession(res, sessionId, auth, kind) {
+  const session = sessions.get(sessionId);
+  if (!session || session.kind !== kind) {
+    sendRpcError(res, 404, `会话不存在或已过期: ${sessionId}`);
+    return null;
+  }
+  if (session.principal !== auth.clientId) {
+    sendRpcError(res, 403, "会话不属于当前调用方");
+    return null;
+  }
+  session.lastSeen = Date.now();
+  return session;
+}
+
+async function handleStreamable(req, res, auth, createServer, protection) {
+  const sessionId = req.headers["mcp-session-id"];
+  if (sessionId) {
+    const session = findSession(res, sessionId, auth, "streamable");
+    if (session) {
+      await session.transport.handleRequest(req, res);
+    }
+    return;
+  }
+  if (req.method !== "POST") {
+    sendRpcError(res, 400, "缺少 Mcp-Session-Id 请求头，请先发送 initialize 请求");
+    return;
+  }
+  // 新会话：只有 initialize 请求会生成会话ID，其他请求由传输层返回错误
+  const server = createServer();
+  const transport = new StreamableHTTPServerTransport({
+    ...protection,
+    sessionIdGenerator: () => randomUUID(),
+    onsessioninitialized: (id) => {
+      sessions.set(id, { transport, server, principal: auth.clientId, kind: "streamable", lastSeen: Date.now() });
+    }
+  });
+  transport.onclose = () => {
+    if (transport.sessionId) {
+      closeSession(transport.sessionId);
+    }
+  };
+  await server.connect(transport);
+  await transport.handleRequest(req, res);
+  if (!transport.sessionId) {
+    await server.close();
+  }
+}
+
+async function handleSseStream(res, auth, createServer, protection) {
+  const server = createServer();
+  const transport = new SSEServerTransport(SSE_MESSAGES_PATH, res, protection);
+  sessions.set(transport.sessionId, { transport, server, principal: auth.clientId, kind: "sse", lastSeen: Date.now() });
+  res.on("close", () => closeSession(transport.sessionId));
+  await server.connect(transport);
+}
+
+async function handleSseMessage(req, res, auth, url) {
+  const sessionId = url.searchParams.get("sessionId") || "";
+  const session = findSession(res, sessionId, auth, "sse");
+  if (session) {
+    await session.transport.handlePostMessage(req, res);
+  }
+}
+
+// SSE 会话随连接断开而关闭，这里只清理空闲的 Streamable HTTP 会话
+function closeIdleSessions() {
+  const cutoff = Date.now() - SESSION_IDLE_MS;
+  for (const [sessionId, session] of sessions.entries()) {
+    if (session.kind === "streamable" && session.lastSeen < cutoff) {
+      closeSession(sessionId);
+    }
+  }
+}
+
+// 需要认证时，未携带有效令牌的请求只返回状态
+function handleHealth(req, res, config) {
+  if (isAuthRequired(config) && !authenticate(req, config)) {
+    sendJson(res, 200, { status: "ok" });
+    return;
+  }
+  const kinds = [...sessions.values()].map((session) => session.kind);
+  sendJson(res, 200, {
+    status: "ok",
+    uptime: Math.round((Date.now() - startedAt) / 1000),
+    sessions: {
+      streamable: kinds.filter((kind) => kind === "streamable").length,
+      sse: kinds.filter((kind) => kind === "sse").length
+    },
+    namespaces: listSpaces().map((space) => space.name)
+  });
+}
+
+async function route(req, res, config, createServer) {
+  const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+  if (url.pathname === "/health" && req.method === "GET") {
+    handleHealth(req, res, config);
+    return;
+  }
+  const routes = {
+    [MCP_PATH]: ["GET", "POST", "DELETE"],
+    [SSE_PATH]: ["GET"],
+    [SSE_MESSAGES_PATH]: ["POST"]
+  };
+  if (!routes[url.pathname]) {
+    sendJson(res, 404, { error: `未找到: ${url.pathname}` });
+    return;
+  }
+  if (!routes[url.pathname].includes(req.method)) {
+    sendJson(res, 405, { error: `不支持的请求方法: ${req.method}` }, { Allow: routes[url.pathname].join(", ") });
+    return;
+  }
+  const auth = authenticate(req, config);
+  if (!auth) {
+    sendJson(
+      res,
+      401,
+      { error: "未认证：请在 Authorization 请求头中提供有效的 Bearer 令牌" },
+      { "WWW-Authenticate": "Bearer" }
+    );
+    return;
+  }
+  // 传输层会把 req.auth 作为 authInfo 传给工具调用，见 access.js
+  req.auth = auth;
+  const protection = dnsRebindingOptions(config, req.socket.localPort);
+  if (url.pathname === MCP_PATH) {
+    await handleStreamable(req, res, auth, createServer, protection);
+  } else if (url.pathname === SSE_PATH) {
+    await handleSseStream(res, auth, createServer, protection);
+  } else {
+    await handleSseMessage(req, res, auth, url);
+  }
+}
+
+/**
+ * 启动 HTTP 服务，createServer 为每个会话创建一个注册好工具的 McpServer。
+ * 返回 node:http 的 Server。
+ */
+export function startHttpServer(config, createServer) {
+  startedAt = Date.now();
+  setInterval(closeIdleSessions, 60 * 1000).unref();
+  const httpServer = http.createServer((req, res) => {
+    route(req, res, config, createServer).catch((error) => {
+      console.error(`[mcp-context-memory] HTTP 请求处理失败: ${error.message}`);
+      if (!res.headersSent) {
+        sendRpcError(res, 500, `服务器内部错误: ${error.message}`);
+      } else {
+        res.end();
+      }
+    });
+  });
+  return new Promise((resolve, reject) => {
+    httpServer.once("error", reject);
+    httpServer.listen(config.port, config.host, () => {
+      httpServer.off("error", reject);
+      const address = httpServer.address();
+      console.error(
+        `[mcp-context-memory] HTTP 服务已启动: http://${config.host}:${address.port}${MCP_PATH}（SSE: ${SSE_PATH}，健康检查: /health${
+          isAuthRequired(config) ? "，需要 Bearer 令牌" : ""
+        }）`
+      );
+      resolve(httpServer);
+    });
+  });
+}
@@ -0,0 +1,266 @@
+import { getCurrentTimestamp } from "./utils.js";
+import { appendHistoryEvent } from "./history.js";
+
+// 记录之间的关联：record.links 保存从该记录出发的有向关联 [{ type, target, createdAt, createdBy }]，
+// target 为目标记录ID，可以在任意主题中。关联随记录一起持久化，被删除的记录会从其他记录的关联中移除。
+// 内置类型之外也可以使用自定义类型（小写字母、数字和下划线）。
+
+export const LINK_TYPES = {
+  relates_to: "相关",
+  supersedes: "取代",
+  depends_on: "依赖",
+  contradicts: "矛盾"
+};
+
+const LINK_TYPE_PATTERN = /^[a-z][a-z0-9_]{0,31}$/;
+
+// 每条记录最多的出向关联数
+export const MAX_LINKS_PER_RECORD = 100;
+
+// 图遍历的最大跳数
+export const MAX_DEPTH = 5;
+
+export function isValidLinkType(type) {
+  return LINK_TYPE_PATTERN.test(type);
+}
+
+export function linkTypeLabel(type) {
+  return LINK_TYPES[type] ? `${LINK_TYPES[type]}(${type})` : type;
+}
+
+/**
+ * 记录ID -> { topic, topicData, record }，用于按ID查找任意主题中的记录。
+ */
+export function indexRecords(memoryStore) {
+  const index = new Map();
+  for (const [topicName, topicData] of memoryStore.entries()) {
+    for (const record of topicData.records) {
+      index.set(record.id, { topic: topicName, topicData, record });
+    }
+  }
+  return index;
+}
+
+/**
+ * 添加关联，已存在相同类型和目标的关联时返回 null，否则返回新关联。
+ */
+export function addLink(record, { type, target, actor = "" }) {
+  const links = record.links || [];
+  if (links.some((link) => link.type === type && link.target === target)) {
+    return null;
+  }
+  const link = { type, target, createdAt: getCurrentTimestamp(), createdBy: actor };
+  record.links = [...links, link];
+  appendHistoryEvent(record, { action: "link", actor, note: `${linkTypeLabel(type)} → ${target}` });
+  return link;
+}
+
+/**
+ * 移除指向 target 的关联，type 为空时移除全部类型，返回被移除的关联。
+ */
+export function removeLinks(record, { type = "", target, actor = "" }) {
+  const removed = (record.links || []).filter((link) => link.target === target && (!type || link.type === type));
+  if (removed.length > 0) {
+    record.links = record.links.filter((link) => !removed.includes(link));
+    appendHistoryEvent(record, {
+      action: "unlink",
+      actor,
+      note: removed.map((link) => `${linkTypeLabel(link.type)} → ${target}`).join("，")
+    });
+  }
+  return removed;
+}
+
+/**
+ * 从现存记录中移除指向已删除记录的关联并保存这些记录，返回受影响的记录数。
+ * 调用前被删除的记录需已从 memoryStore 中移除，否则它们也会被重新写入存储。
+ */
+export function detachLinks(space, removedIds, actor = "") {
+  const removed = removedIds instanceof Set ? removedIds : new Set(removedIds);
+  if (removed.size === 0) {
+    return 0;
+  }
+  let affected = 0;
+  for (const [topicName, topicData] of space.memoryStore.entries()) {
+    for (const record of topicData.records) {
+      const dangling = (record.links || []).filter((link) => removed.has(link.target));
+      if (dangling.length === 0) {
+        continue;
+      }
+      record.links = record.links.filter((link) => !dangling.includes(link));
+      appendHistoryEvent(record, {
+        action: "unlink",
+        actor,
+        note: `关联的记录已删除: ${[...new Set(dangling.map((link) => link.target))].join(", ")}`
+      });
+      space.saveRecord(topicName, record);
+      affected++;
+    }
+  }
+  return affected;
+}
+
+/**
+ * 去掉 records 中指向不存在记录的关联（如从回收站恢复、导入的记录），返回被修改的记录。
+ * 只修改内存中的记录，调用方负责保存。
+ */
+export function pruneDanglingLinks(memoryStore, records) {
+  const index = indexRecords(memoryStore);
+  const changed = [];
+  for (const record of records) {
+    const valid = (record.links || []).filter((link) => index.has(link.target));
+    if (record.links && valid.length !== record.links.length) {
+      record.links = valid;
+      changed.push(record);
+    }
+  }
+  return changed;
+}
+
+// 被 supersedes 关联指向的记录ID，即已被其他记录取代的记录
+export function supersededIds(memoryStore) {
+  const ids = new Set();
+  for (const topicData of memoryStore.values()) {
+    for (const record of topicData.records) {
+      for (const link of record.links || []) {
+        if (link.type === "supersedes") {
+          ids.add(link.target);
+        }
+      }
+    }
+  }
+  return ids;
+}
+
+/**
+ * 构建邻接表：记录ID -> [{ type, direction, other, link }]，direction 为 out(本记录指向 other) 或 in。
+ * types 非空时只保留这些类型的关联。
+ */
+function buildAdjacency(index, types = []) {
+  const adjacency = new Map();
+  const add = (id, edge) => {
+    if (!adjacency.has(id)) {
+      adjacency.set(id, []);
+    }
+    adjacency.get(id).push(edge);
+  };
+  for (const { record } of index.values()) {
+    for (const link of record.links || []) {
+      if ((types.length > 0 && !types.includes(link.type)) || !index.has(link.target)) {
+        continue;
+      }
+      add(record.id, { type: link.type, direction: "out", other: link.target, link });
+      add(link.target, { type: link.type, direction: "in", other: record.id, link });
+    }
+  }
+  return adjacency;
+}
+
+function edgeOf(fromId, edge) {
+  return edge.direction === "out"
+    ? { from: fromId, to: edge.other, type: edge.type }
+    : { from: edge.other, to: fromId, type: edge.type };
+}
+
+/**
+ * 从 recordId 出发广度优先遍历 depth 跳以内的记录。
+ * direction：out 只沿出向关联，in 只沿入向关联，both 忽略方向。
+ * 返回 { nodes: [{ topic, record, distance, via }], edges: [{ from, to, type }] }，
+ * via 为到达该记录经过的最后一条关联，nodes 不含起点。
+ */
+export function traverse(index, recordId, { depth = 1, direction = "both", types = [] } = {}) {
+  const adjacency = buildAdjacency(index, types);
+  const visited = new Map([[recordId, 0]]);
+  const nodes = [];
+  const edges = [];
+  const seenEdges = new Set();
+  let frontier = [recordId];
+  for (let distance = 1; distance <= depth && frontier.length > 0; distance++) {
+    const next = [];
+    for (const id of frontier) {
+      for (const edge of adjacency.get(id) || []) {
+        if (direction !== "both" && edge.direction !== direction) {
+          continue;
+        }
+        const publicEdge = edgeOf(id, edge);
+        const edgeKey = `${publicEdge.from}|${publicEdge.to}|${publicEdge.type}`;
+        if (!seenEdges.has(edgeKey)) {
+          seenEdges.add(edgeKey);
+          edges.push(publicEdge);
+        }
+        if (visited.has(edge.other)) {
+          continue;
+        }
+        visited.set(edge.other, distance);
+        const { topic, record } = index.get(edge.other);
+        nodes.push({ topic, record, distance, via: publicEdge });
+        next.push(edge.other);
+      }
+    }
+    frontier = next;
+  }
+  return { nodes, edges };
+}
+
+/**
+ * 查找 fromId 到 toId 的最短路径（不超过 maxHops 跳，忽略关联方向）。
+ * 返回 { nodes: [{ topic, record }], edges: [{ from, to, type }] }，nodes 含起点和终点；不可达时返回 null。
+ */
+export function findPath(index, fromId, toId, { maxHops = MAX_DEPTH, types = [] } = {}) {
+  if (fromId === toId) {
+    return { nodes: [index.get(fromId)], edges: [] };
+  }
+  const adjacency = buildAdjacency(index, types);
+  const previous = new Map([[fromId, null]]);
+  let frontier = [fromId];
+  for (let hop = 1; hop <= maxHops && frontier.length > 0; hop++) {
+    const next = [];
+    for (const id of frontier) {
+      for (const edge of adjacency.get(id) || []) {
+        if (previous.has(edge.other)) {
+          continue;
+        }
+        previous.set(edge.other, { id, edge: edgeOf(id, edge) });
+        if (edge.other === toId) {
+          const nodes = [];
+          const edges = [];
+          for (let current = toId; current !== fromId; current = previous.get(current).id) {
+            nodes.unshift(index.get(current));
+            edges.unshift(previous.get(current).edge);
+          }
+          nodes.unshift(index.get(fromId));
+          return { nodes, edges };
+        }
+        next.push(edge.other);
+      }
+    }
+    frontier = next;
+  }
+  return null;
+}
+
+// 从 record 出发的关联 [{ from, to, type, createdAt, createdBy }]
+export function outgoingLinks(record) {
+  return (record.links || []).map(({ type, target, createdAt, createdBy }) => ({
+    from: record.id,
+    to: target,
+    type,
+    createdAt,
+    createdBy
+  }));
+}
+
+// 指向 recordId 的关联，格式同 outgoingLinks
+export function incomingLinks(memoryStore, recordId) {
+  const links = [];
+  for (const topicData of memoryStore.values()) {
+    for (const record of topicData.records) {
+      for (const link of record.links || []) {
+        if (link.target === recordId) {
+          links.push({ from: record.id, to: recordId, type: link.type, createdAt: link.createdAt, createdBy: link.createdBy });
+        }
+      }
+    }
+  }
+  return links;
+}
@@ -0,0 +1,371 @@
+// 主题的元数据结构：topicData.metadataSchema = { fields: { 字段名: 定义 }, additionalFields }，未设置时元数据不受约束。
+// 字段定义 { type, values?, items?, required?, default?, aliases?, min?, max?, description? }：
+// - values：enum 的可选值；array 设置时限制列表元素的取值
+// - items：array 元素的类型，默认 string
+// - min / max：number / integer 的取值范围，string 的长度，array 的元素个数
+// - aliases：别名，写入时与字段名一样忽略大小写、空格、下划线和连字符，统一改写为字段名
+// additionalFields 为 reject 时拒绝未定义的字段，默认 allow。
+
+export const METADATA_TYPES = {
+  string: "文本",
+  number: "数字",
+  integer: "整数",
+  boolean: "布尔",
+  date: "日期",
+  enum: "枚举",
+  array: "列表"
+};
+
+export const ITEM_TYPES = ["string", "number", "integer", "boolean", "date"];
+
+const TRUE_VALUES = ["true", "yes", "y", "1", "是", "真"];
+const FALSE_VALUES = ["false", "no", "n", "0", "否", "假"];
+
+function normalizeKey(key) {
+  return String(key).toLowerCase().replace(/[\s_-]+/g, "");
+}
+
+function isBlank(value) {
+  return value === null || value === undefined;
+}
+
+function describeValue(value) {
+  return typeof value === "string" ? `"${value}"` : JSON.stringify(value);
+}
+
+function checkRange(size, definition, unit) {
+  if (definition.min !== undefined && size < definition.min) {
+    return `不能小于 ${definition.min}${unit}`;
+  }
+  if (definition.max !== undefined && size > definition.max) {
+    return `不能大于 ${definition.max}${unit}`;
+  }
+  return "";
+}
+
+// 把单个值转换为 type 类型，返回 { value } 或 { error }
+function coerceScalar(value, type, values) {
+  switch (type) {
+    case "string":
+      if (typeof value === "string") {
+        return { value };
+      }
+      if (typeof value === "number" || typeof value === "boolean") {
+        return { value: String(value) };
+      }
+      return { error: `应为文本，实际为 ${describeValue(value)}` };
+    case "number":
+    case "integer": {
+      const number = typeof value === "string" && value.trim() !== "" ? Number(value.trim()) : value;
+      if (typeof number !== "number" || !Number.isFinite(number)) {
+        return { error: `应为${METADATA_TYPES[type]}，实际为 ${describeValue(value)}` };
+      }
+      if (type === "integer" && !Number.isInteger(number)) {
+        return { error: `应为整数，实际为 ${describeValue(value)}` };
+      }
+      return { value: number };
+    }
+    case "boolean": {
+      if (typeof value === "boolean") {
+        return { value };
+      }
+      const text = String(value).trim().toLowerCase();
+      if (TRUE_VALUES.includes(text)) {
+        return { value: true };
+      }
+      if (FALSE_VALUES.includes(text)) {
+        return { value: false };
+      }
+      return { error: `应为布尔值（true / false），实际为 ${describeValue(value)}` };
+    }
+    case "date": {
+      const time = typeof value === "number" ? value : typeof value === "string" ? Date.parse(value) : NaN;
+      if (Number.isNaN(time)) {
+        return { error: `应为 ISO 日期，实际为 ${describeValue(value)}` };
+      }
+      return { value: new Date(time).toISOString() };
+    }
+    case "enum": {
+      if (values.includes(value)) {
+        return { value };
+      }
+      const text = String(value).trim().toLowerCase();
+      const matched = values.find((item) => String(item).toLowerCase() === text);
+      if (matched !== undefined) {
+        return { value: matched };
+      }
+      return { error: `应为 ${values.map(describeValue).join(" / ")} 之一，实际为 ${describeValue(value)}` };
+    }
+    default:
+      return { error: `未知类型 ${type}` };
+  }
+}
+
+// 把值转换为字段定义的类型，返回 { value } 或 { error }
+function coerceValue(value, definition) {
+  if (definition.type === "array") {
+    const list = Array.isArray(value) ? value : [value];
+    const items = [];
+    for (const [index, item] of list.entries()) {
+      const result = definition.values
+        ? coerceScalar(item, "enum", definition.values)
+        : coerceScalar(item, definition.items || "string", []);
+      if (result.error) {
+        return { error: `第 ${index + 1} 项${result.error}` };
+      }
+      items.push(result.value);
+    }
+    const rangeError = checkRange(items.length, definition, " 项");
+    return rangeError ? { error: `元素个数${rangeError}` } : { value: items };
+  }
+  const result = coerceScalar(value, definition.type, definition.values || []);
+  if (result.error) {
+    return result;
+  }
+  if (definition.type === "number" || definition.type === "integer") {
+    const rangeError = checkRange(result.value, definition, "");
+    return rangeError ? { error: rangeError } : result;
+  }
+  if (definition.type === "string") {
+    const rangeError = checkRange(result.value.length, definition, " 个字符");
+    return rangeError ? { error: `长度${rangeError}` } : result;
+  }
+  return result;
+}
+
+// 规范化后的键 -> 字段名，包含字段名本身和别名
+function buildLookup(schema) {
+  const lookup = new Map();
+  for (const [name, definition] of Object.entries(schema.fields)) {
+    lookup.set(normalizeKey(name), name);
+    for (const alias of definition.aliases || []) {
+      lookup.set(normalizeKey(alias), name);
+    }
+  }
+  return lookup;
+}
+
+/**
+ * 规范化主题的元数据结构，没有字段时返回 null（取消结构）；定义有误时抛出错误。
+ */
+export function normalizeMetadataSchema(input) {
+  if (!input || Object.keys(input.fields || {}).length === 0) {
+    return null;
+  }
+  const fields = {};
+  const seenKeys = new Map();
+  const claimKey = (key, name) => {
+    const normalized = normalizeKey(key);
+    if (!normalized) {
+      throw new Error(`字段 "${name}" 的名称或别名不能为空`);
+    }
+    if (seenKeys.has(normalized) && seenKeys.get(normalized) !== name) {
+      throw new Error(`"${key}" 同时对应字段 "${seenKeys.get(normalized)}" 和 "${name}"`);
+    }
+    seenKeys.set(normalized, name);
+  };
+  for (const [name, field] of Object.entries(input.fields)) {
+    if (!METADATA_TYPES[field.type]) {
+      throw new Error(`字段 "${name}" 的类型无效: ${field.type}，可选 ${Object.keys(METADATA_TYPES).join(" / ")}`);
+    }
+    claimKey(name, name);
+    const definition = { type: field.type };
+    if (field.type === "enum" || (field.type === "array" && field.values !== undefined)) {
+      if (!Array.isArray(field.values) || field.values.length === 0) {
+        throw new Error(`字段 "${name}" 需要通过 values 指定可选值`);
+      }
+      definition.values = [...new Set(field.values)];
+    } else if (field.values !== undefined) {
+      throw new Error(`字段 "${name}" 的类型 ${field.type} 不支持 values，只有 enum 和 array 可以指定可选值`);
+    }
+    if (field.items !== undefined) {
+      if (field.type !== "array" || !ITEM_TYPES.includes(field.items)) {
+        throw new Error(`字段 "${name}" 的 items 只能用于 array，可选 ${ITEM_TYPES.join(" / ")}`);
+      }
+      if (!definition.values) {
+        definition.items = field.items;
+      }
+    }
+    for (const key of ["min", "max"]) {
+      if (field[key] !== undefined) {
+        if (["boolean", "date", "enum"].includes(field.type)) {
+          throw new Error(`字段 "${name}" 的类型 ${field.type} 不支持 ${key}`);
+        }
+        definition[key] = field[key];
+      }
+    }
+    if (definition.min !== undefined && definition.max !== undefined && definition.min > definition.max) {
+      throw new Error(`字段 "${name}" 的 min 不能大于 max`);
+    }
+    if (field.required) {
+      definition.required = true;
+    }
+    if (field.aliases?.length > 0) {
+      for (const alias of field.aliases) {
+        claimKey(alias, name);
+      }
+      definition.aliases = [...new Set(field.aliases)];
+    }
+    if (field.description) {
+      definition.description = field.description;
+    }
+    if (!isBlank(field.default)) {
+      const result = coerceValue(field.default, definition);
+      if (result.error) {
+        throw new Error(`字段 "${name}" 的默认值无效：${result.error}`);
+      }
+      definition.default = result.value;
+    }
+    fields[name] = definition;
+  }
+  return { fields, additionalFields: input.additionalFields === "reject" ? "reject" : "allow" };
+}
+
+/**
+ * 按结构校验并转换元数据，不修改传入的对象。
+ * 别名和大小写不同的键改写为字段名，值转换为字段类型，值为 null 的字段视为未设置；
+ * partial 为 false 时为缺失的字段填入默认值并检查必填字段。
+ * 返回 { metadata, errors: [string] }，schema 为空时原样返回。
+ */
+export function applyMetadataSchema(schema, metadata = {}, { partial = false } = {}) {
+  if (!schema) {
+    return { metadata: { ...metadata }, errors: [] };
+  }
+  const lookup = buildLookup(schema);
+  const result = {};
+  const errors = [];
+  const sources = new Map();
+  const invalid = new Set();
+  for (const [key, value] of Object.entries(metadata)) {
+    const name = lookup.get(normalizeKey(key));
+    if (!name) {
+      if (schema.additionalFields === "reject") {
+        errors.push(`未定义的字段 "${key}"，可用字段: ${Object.keys(schema.fields).join(", ")}`);
+      } else {
+        result[key] = value;
+      }
+      continue;
+    }
+    if (sources.has(name)) {
+      errors.push(`"${sources.get(name)}" 和 "${key}" 都对应字段 "${name}"，只能保留一个`);
+      continue;
+    }
+    sources.set(name, key);
+    if (isBlank(value)) {
+      continue;
+    }
+    const coerced = coerceValue(value, schema.fields[name]);
+    if (coerced.error) {
+      invalid.add(name);
+      errors.push(`字段 "${name}"${key !== name ? `（传入为 "${key}"）` : ""}：${coerced.error}`);
+    } else {
+      result[name] = coerced.value;
+    }
+  }
+  if (!partial) {
+    for (const [name, definition] of Object.entries(schema.fields)) {
+      if (result[name] !== undefined || invalid.has(name)) {
+        continue;
+      }
+      if (definition.default !== undefined) {
+        result[name] = structuredClone(definition.default);
+      } else if (definition.required) {
+        errors.push(`缺少必填字段 "${name}"`);
+      }
+    }
+  }
+  return { metadata: result, errors };
+}
+
+/**
+ * 把 incoming 合并到记录已有的元数据中并按结构校验，incoming 中值为 null 的字段会被移除。
+ * 已有元数据中与 incoming 对应同一字段的键（如别名）会被替换。返回值同 applyMetadataSchema。
+ */
+export function mergeMetadata(schema, existing = {}, incoming = {}) {
+  if (!schema) {
+    return { metadata: { ...existing, ...incoming }, errors: [] };
+  }
+  const lookup = buildLookup(schema);
+  const incomingKeys = new Set(Object.keys(incoming).map((key) => lookup.get(normalizeKey(key)) || key));
+  const merged = {};
+  for (const [key, value] of Object.entries(existing)) {
+    if (!incomingKeys.has(lookup.get(normalizeKey(key)) || key)) {
+      merged[key] = value;
+    }
+  }
+  for (const [key, value] of Object.entries(incoming)) {
+    if (!isBlank(value) || lookup.has(normalizeKey(key))) {
+      merged[key] = value;
+    }
+  }
+  return applyMetadataSchema(schema, merged);
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * 迁移报告：检查已有记录是否符合结构。
+ * 返回 { checked, conforming, nonConforming: [{ recordId, errors, changes }] }，
+ * errors 为需要手动修正的问题，changes 为下次更新元数据时会自动完成的改写（重命名、类型转换、填入默认值）。
+ */
+export function checkRecords(schema, records) {
+  const report = { checked: records.length, conforming: 0, nonConforming: [] };
+  const lookup = schema ? buildLookup(schema) : new Map();
+  for (const record of records) {
+    const current = record.metadata || {};
+    const { metadata, errors } = applyMetadataSchema(schema, current);
+    const changes = [];
+    if (errors.length === 0) {
+      for (const key of Object.keys(current)) {
+        const name = lookup.get(normalizeKey(key));
+        if (name && name !== key) {
+          changes.push(`"${key}" 改为 "${name}"`);
+        }
+      }
+      for (const [name, value] of Object.entries(metadata)) {
+        const source = Object.keys(current).find((key) => (lookup.get(normalizeKey(key)) || key) === name);
+        if (source === undefined) {
+          changes.push(`填入默认值 ${name}=${describeValue(value)}`);
+        } else if (!sameValue(current[source], value)) {
+          changes.push(`${name}: ${describeValue(current[source])} 转换为 ${describeValue(value)}`);
+        }
+      }
+    }
+    if (errors.length === 0 && changes.length === 0) {
+      report.conforming++;
+    } else {
+      report.nonConforming.push({ recordId: record.id, errors, changes });
+    }
+  }
+  return report;
+}
+
+export function describeMetadataSchema(schema) {
+  if (!schema) {
+    return "无";
+  }
+  const fields = Object.entries(schema.fields).map(([name, definition]) => {
+    const details = [METADATA_TYPES[definition.type]];
+    if (definition.values) {
+      details[0] += `: ${definition.values.join("/")}`;
+    } else if (definition.items) {
+      details[0] += `<${METADATA_TYPES[definition.items]}>`;
+    }
+    if (definition.min !== undefined || definition.max !== undefined) {
+      details.push(`范围 ${definition.min ?? ""}~${definition.max ?? ""}`);
+    }
+    if (definition.required) {
+      details.push("必填");
+    }
+    if (definition.default !== undefined) {
+      details.push(`默认 ${JSON.stringify(definition.default)}`);
+    }
+    if (definition.aliases) {
+      details.push(`别名 ${definition.aliases.join("/")}`);
+    }
+    return `${name}(${details.join("，")})`;
+  });
+  return `${fields.join("、")}${schema.additionalFields === "reject" ? "；不允许其他字段" : ""}`;
+}
@@ -0,0 +1,125 @@
+import { z } from "zod";
+import { viewSpace } from "./store.js";
+import { resolveAccess } from "./access.js";
+import { parseLooseQuery, rankDocuments } from "./search.js";
+import { formatRecordSection, formatTopicMarkdown } from "./resources.js";
+import { supersededIds } from "./links.js";
+import { rankBySalience } from "./salience.js";
+
+// MCP 提示词：客户端选用后直接把相关记忆附加到对话中，不需要模型先调用工具查询
+// - recall_context   按任务描述召回最相关的记忆
+// - summarize_topic  附上主题的全部记录并请模型总结
+
+const DEFAULT_RECALL_LIMIT = 10;
+const MAX_RECALL_LIMIT = 50;
+
+async function openReadableSpace(extra, namespace) {
+  const access = resolveAccess(extra, namespace || "", "read");
+  if (access.error) {
+    throw new Error(access.error.message);
+  }
+  const space = await viewSpace(access.namespace);
+  space.recordAccess("read");
+  return space;
+}
+
+function parseLimit(value) {
+  const limit = Number.parseInt(value, 10);
+  return Number.isNaN(limit) || limit < 1 ? DEFAULT_RECALL_LIMIT : Math.min(limit, MAX_RECALL_LIMIT);
+}
+
+function userMessage(text) {
+  return { role: "user", content: { type: "text", text } };
+}
+
+export function registerMemoryPrompts(server) {
+  server.registerPrompt(
+    "recall_context",
+    {
+      title: "召回任务相关记忆",
+      description: "根据任务描述从记忆库中找出最相关的记录，附加到对话中作为上下文",
+      argsSchema: {
+        task: z.string().describe("当前任务的描述，用于匹配相关记忆"),
+        topic: z.string().optional().describe("可选，只在该主题中查找"),
+        limit: z.string().optional().describe(`可选，最多附加多少条记忆，默认 ${DEFAULT_RECALL_LIMIT}，最多 ${MAX_RECALL_LIMIT}`),
+        namespace: z.string().optional().describe("可选，命名空间，默认为调用方的默认命名空间")
+      }
+    },
+    async ({ task, topic, limit, namespace }, extra) => {
+      const space = await openReadableSpace(extra, namespace);
+      if (topic && !space.memoryStore.has(topic)) {
+        throw new Error(`主题 "${topic}" 不存在`);
+      }
+      // 已被取代的记录不再作为上下文
+      const superseded = supersededIds(space.memoryStore);
+      const candidates = [];
+      let totalRecords = 0;
+      for (const [topicName, topicData] of space.memoryStore.entries()) {
+        totalRecords += topicData.records.length;
+        if (!topic || topicName === topic) {
+          for (const record of topicData.records.filter((item) => !superseded.has(item.id))) {
+            candidates.push({ topic: topicName, topicData, record });
+          }
+        }
+      }
+      // 相关的记忆中优先附加经常用到的
+      const results = rankBySalience(
+        rankDocuments(parseLooseQuery(task), candidates, totalRecords),
+        space.accessStore
+      ).slice(0, parseLimit(limit));
+      const scope = topic ? `主题 "${topic}"` : `命名空间 "${space.name}"`;
+      if (results.length === 0) {
+        return {
+          description: `${scope}中没有与任务相关的记忆`,
+          messages: [userMessage(`我正在处理以下任务：\n\n${task}\n\n记忆库（${scope}）中没有找到与该任务相关的记忆。`)]
+        };
+      }
+      space.markRead(results.map(({ record }) => record.id));
+      const sections = results.map(({ topic: topicName, record }) =>
+        formatRecordSection(record, `### [${topicName}]`)
+      );
+      return {
+        description: `${scope}中与任务最相关的 ${results.length} 条记忆`,
+        messages: [
+          userMessage(
+            `我正在处理以下任务：\n\n${task}\n\n以下是记忆库（${scope}）中与该任务最相关的 ${
+              results.length
+            } 条记忆，按相关度和使用频率排序。请结合这些记忆完成任务；如果记忆与当前情况不一致，以当前情况为准，并提醒我更新记忆。\n\n${sections.join(
+              "\n\n"
+            )}`
+          )
+        ]
+      };
+    }
+  );
+
+  server.registerPrompt(
+    "summarize_topic",
+    {
+      title: "总结记忆主题",
+      description: "附上主题的全部记录，请模型归纳要点并指出可以合并或清理的记录",
+      argsSchema: {
+        topic: z.string().describe("要总结的主题名称"),
+        focus: z.string().optional().describe("可选，总结时重点关注的方面"),
+        namespace: z.string().optional().describe("可选，命名空间，默认为调用方的默认命名空间")
+      }
+    },
+    async ({ topic, focus, namespace }, extra) => {
+      const space = await openReadableSpace(extra, namespace);
+      const topicData = space.memoryStore.get(topic);
+      if (!topicData) {
+        throw new Error(`主题 "${topic}" 不存在`);
+      }
+      return {
+        description: `总结主题 "${topic}"（${topicData.records.length} 条记录）`,
+        messages: [
+          userMessage(
+            `请总结记忆主题 "${topic}" 的内容：\n1. 归纳主要知识点和结论，重要性为"高"的记录优先\n2. 列出尚未解决的问题或待办事项\n3. 指出内容重复、相互矛盾或可能已过时的记录（附记录ID），便于合并或清理${
+              focus ? `\n\n重点关注：${focus}` : ""
+            }\n\n${formatTopicMarkdown(topicData)}`
+          )
+        ]
+      };
+    }
+  );
+}
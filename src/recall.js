@@ -0,0 +1,187 @@
+import { tokenize } from "./search.js";
+import { contentOverlap } from "./duplicates.js";
+
+// 按预算召回：为一项任务挑选最相关的记忆，拼成一段不超过预算的紧凑摘要，供 agent 在会话开始时放进上下文。
+// - 候选记录按显著性（相关度、重要性、最近使用时间和读取频率，见 salience.js）依次放入
+// - 与已放入摘要的内容重合度达到阈值的记录视为重复，跳过（已压缩的记录只比较摘要中保留的部分）
+// - 放不下完整内容时依次省略上下文、只摘录与任务相关的句子、截断正文；还有其他候选时一条记录最多占用预算的 40%
+// 预算按 token 或字符计算。token 为估算值：中日韩文字每字约 1 个，其余文本约每 4 个字符 1 个。
+
+export const BUDGET_UNITS = {
+  tokens: "tokens",
+  chars: "字符"
+};
+
+export const DEFAULT_RECALL_TOKENS = 2000;
+
+export const COMPRESSION_LABELS = {
+  none: "完整",
+  context_dropped: "省略上下文",
+  excerpt: "摘录相关句子",
+  truncated: "截断"
+};
+
+// 相关度低于最高分该比例的记录不参与召回，避免预算被只沾边的记录占满
+const MIN_RELATIVE_RELEVANCE = 0.2;
+
+const MAX_RECORD_SHARE = 0.4;
+
+// 剩余预算少于该值时不再放入新的记录
+const MIN_ENTRY_SIZE = { tokens: 20, chars: 40 };
+
+const CJK_CHAR = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+
+export function estimateTokens(text) {
+  let cjk = 0;
+  let other = 0;
+  for (const char of String(text ?? "")) {
+    if (CJK_CHAR.test(char)) {
+      cjk++;
+    } else {
+      other++;
+    }
+  }
+  return cjk + Math.ceil(other / 4);
+}
+
+export function measureText(text, unit) {
+  return unit === "chars" ? [...text].length : estimateTokens(text);
+}
+
+/**
+ * 去掉相关度过低的结果，results 为按相关度排序的 [{ record, score }]。
+ */
+export function filterRelevant(results) {
+  const maxScore = results[0]?.score || 0;
+  return results.filter((result) => result.score > 0 && result.score >= maxScore * MIN_RELATIVE_RELEVANCE);
+}
+
+function flatten(text) {
+  return String(text ?? "").replace(/\s+/g, " ").trim();
+}
+
+// 摘要中的一行：- [记录ID] 主题·重要性：内容（上下文）
+function formatLine(entry, content, context = "") {
+  return `- [${entry.record.id}] ${entry.topic}·${entry.record.importance}：${content}${context ? `（${context}）` : ""}`;
+}
+
+export function splitSentences(text) {
+  return String(text ?? "")
+    .split(/(?<=[。！？!?；;])|(?<=\.)\s+|\n+/)
+    .map(flatten)
+    .filter(Boolean);
+}
+
+// 按顺序拼接选中的句子，不相邻处用省略号连接
+function joinExcerpt(chosen, total) {
+  let text = chosen[0].index > 0 ? "…" : "";
+  chosen.forEach((sentence, position) => {
+    if (position > 0 && sentence.index !== chosen[position - 1].index + 1) {
+      text += "…";
+    }
+    text += sentence.text;
+  });
+  return chosen[chosen.length - 1].index < total - 1 ? `${text}…` : text;
+}
+
+// 按命中的任务分词数从多到少挑选句子，放得下就保留；没有句子命中时返回 null
+function excerpt(sentences, queryTokenSet, fits) {
+  const ranked = sentences
+    .map((text, index) => ({ text, index, hits: tokenize(text).filter((token) => queryTokenSet.has(token)).length }))
+    .filter((sentence) => sentence.hits > 0)
+    .sort((a, b) => b.hits - a.hits || a.index - b.index);
+  let chosen = [];
+  for (const sentence of ranked) {
+    const attempt = [...chosen, sentence].sort((a, b) => a.index - b.index);
+    if (fits(joinExcerpt(attempt, sentences.length))) {
+      chosen = attempt;
+    }
+  }
+  return chosen.length > 0 ? joinExcerpt(chosen, sentences.length) : null;
+}
+
+// 保留放得下的最长前缀
+function truncateToFit(text, fits) {
+  const chars = [...text];
+  let low = 0;
+  let high = chars.length;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (fits(`${chars.slice(0, middle).join("")}…`)) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return low > 0 ? `${chars.slice(0, low).join("")}…` : null;
+}
+
+/**
+ * 把一条记录压缩到 allowance 以内，返回 { line, text, compression, size }，text 为摘要中保留的正文，放不下时返回 null。
+ */
+function fitEntry(entry, allowance, unit, queryTokenSet) {
+  const content = flatten(entry.record.content);
+  const context = flatten(entry.record.context);
+  const fits = (text, withContext = "") => measureText(formatLine(entry, text, withContext), unit) <= allowance;
+  const result = (text, compression, withContext = "") => {
+    const line = formatLine(entry, text, withContext);
+    return { line, text, compression, size: measureText(line, unit) };
+  };
+  if (fits(content, context)) {
+    return result(content, "none", context);
+  }
+  if (context && fits(content)) {
+    return result(content, "context_dropped");
+  }
+  const sentences = splitSentences(entry.record.content);
+  if (sentences.length > 1) {
+    const text = excerpt(sentences, queryTokenSet, (candidate) => fits(candidate));
+    if (text) {
+      return result(text, "excerpt");
+    }
+  }
+  const text = truncateToFit(content, (candidate) => fits(candidate));
+  return text ? result(text, "truncated") : null;
+}
+
+/**
+ * 按预算拼装摘要。ranked 为按优先级排序的 [{ topic, record, score, salience }]，
+ * threshold 为判定重复的内容重合度。
+ * 返回 { digest, selected: [{ ...entry, line, text, compression, size }], duplicates: [{ recordId, duplicateOf }], overBudget, used }，
+ * overBudget 为因预算不足未放入的记录数，used 为摘要实际占用的预算。
+ */
+export function assembleRecall(ranked, { budget, unit = "tokens", query = "", threshold }) {
+  const queryTokenSet = new Set(tokenize(query));
+  const minimum = MIN_ENTRY_SIZE[unit];
+  const selected = [];
+  const duplicates = [];
+  let overBudget = 0;
+  let used = 0;
+  ranked.forEach((entry, index) => {
+    const covering = selected.find((item) => contentOverlap(item.kept, entry.record) >= threshold);
+    if (covering) {
+      duplicates.push({ recordId: entry.record.id, duplicateOf: covering.record.id });
+      return;
+    }
+    // 行之间的换行也计入预算
+    const separator = selected.length > 0 ? 1 : 0;
+    const remaining = budget - used - separator;
+    if (remaining < minimum) {
+      overBudget++;
+      return;
+    }
+    const allowance =
+      index < ranked.length - 1 ? Math.min(remaining, Math.max(minimum, Math.floor(budget * MAX_RECORD_SHARE))) : remaining;
+    const fitted = fitEntry(entry, allowance, unit, queryTokenSet);
+    if (!fitted) {
+      overBudget++;
+      return;
+    }
+    used += separator + fitted.size;
+    // 摘录或截断的记录只按保留下来的正文判断后续记录是否重复
+    const kept = fitted.compression === "excerpt" || fitted.compression === "truncated" ? { content: fitted.text } : entry.record;
+    selected.push({ ...entry, ...fitted, kept });
+  });
+  const digest = selected.map((item) => item.line).join("\n");
+  return { digest, selected, duplicates, overBudget, used: measureText(digest, unit) };
+}
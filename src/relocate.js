@@ -0,0 +1,32 @@
+import { getCurrentTimestamp } from "./utils.js";
+import { appendHistoryEvent } from "./history.js";
+
+// 在主题之间移动记录：move_record、merge_topics、split_topic 和整合后归档原记录共用。
+// selected 为 [{ topic, topicData, record }]，space 参数见 store.js。
+
+/**
+ * 把记录移到目标主题，保留记录ID和版本历史，并在历史中记下来源主题。
+ * 先更新内存再写入存储：存储中先删除原位置再写入新位置，写入过程中触发压缩也不会留下重复记录。
+ */
+export function relocateRecords(space, selected, targetData, { action, actor }) {
+  const movedIds = new Set(selected.map(({ record }) => record.id));
+  const sources = new Set(selected.map(({ topicData }) => topicData));
+  const now = getCurrentTimestamp();
+  for (const topicData of sources) {
+    topicData.records = topicData.records.filter((record) => !movedIds.has(record.id));
+    topicData.updatedAt = now;
+  }
+  for (const { topic: fromTopic, record } of selected) {
+    appendHistoryEvent(record, { action, actor, note: `从主题 "${fromTopic}" 移至 "${targetData.name}"` });
+    targetData.records.push(record);
+  }
+  targetData.updatedAt = now;
+  for (const { topic: fromTopic, record } of selected) {
+    space.removeRecord(fromTopic, record.id);
+    space.saveRecord(targetData.name, record);
+  }
+  for (const topicData of sources) {
+    space.saveTopic(topicData);
+  }
+  space.saveTopic(targetData);
+}
@@ -0,0 +1,320 @@
+import { ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
+import {
+  McpError,
+  ErrorCode,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema
+} from "@modelcontextprotocol/sdk/types.js";
+import { getSpace, viewSpace, onChange } from "./store.js";
+import { resolveAccess } from "./access.js";
+import { getVersion } from "./history.js";
+import { linkTypeLabel } from "./links.js";
+import { describeMetadataSchema } from "./metadataSchema.js";
+import { redactRecord } from "./sensitive.js";
+
+// MCP 资源：把记忆以只读资源的形式提供给客户端，客户端可以直接附加到对话中，不需要模型调用工具
+// - memory://topics          主题列表
+// - memory://topic/{name}    主题及其全部记录
+// - memory://record/{id}     单条记录
+// URI 可以附加 ?namespace=xxx 访问其他命名空间，默认为调用方的默认命名空间。
+// 订阅的资源在数据变更后收到 resources/updated 通知；主题或记录增删后收到 resources/list_changed 通知。
+
+const MIME_TYPE = "text/markdown";
+
+// 资源列表中最多列出的记录数，按更新时间从新到旧
+const MAX_LISTED_RECORDS = 100;
+
+function withNamespace(uri, namespace) {
+  return namespace ? `${uri}?namespace=${encodeURIComponent(namespace)}` : uri;
+}
+
+export function topicUri(name, namespace = "") {
+  return withNamespace(`memory://topic/${encodeURIComponent(name)}`, namespace);
+}
+
+export function recordUri(id, namespace = "") {
+  return withNamespace(`memory://record/${encodeURIComponent(id)}`, namespace);
+}
+
+/**
+ * 解析记忆资源 URI，返回 { kind, key, namespace }，kind 为 topics / topic / record；不是记忆资源时返回 null。
+ */
+function parseResourceUri(uri) {
+  let url;
+  try {
+    url = new URL(uri);
+  } catch {
+    return null;
+  }
+  if (url.protocol !== "memory:" || !["topics", "topic", "record"].includes(url.host)) {
+    return null;
+  }
+  const key = decodeURIComponent(url.pathname.replace(/^\//, ""));
+  if ((url.host === "topics") !== (key === "")) {
+    return null;
+  }
+  return { kind: url.host, key, namespace: url.searchParams.get("namespace") || "" };
+}
+
+function notFound(message) {
+  return new McpError(ErrorCode.InvalidParams, message);
+}
+
+async function openReadableSpace(extra, namespace) {
+  const access = resolveAccess(extra, namespace, "read");
+  if (access.error) {
+    throw new McpError(ErrorCode.InvalidRequest, access.error.message);
+  }
+  return viewSpace(access.namespace);
+}
+
+function findRecordById(space, recordId) {
+  for (const [topicName, topicData] of space.memoryStore.entries()) {
+    const record = topicData.records.find((item) => item.id === recordId);
+    if (record) {
+      return { topicName, topicData, record };
+    }
+  }
+  return null;
+}
+
+// ---------- Markdown 渲染（prompts.js 共用） ----------
+
+// 资源和提示词没有 reveal 参数，敏感记录总是脱敏显示
+export function formatRecordSection(storedRecord, heading) {
+  const record = redactRecord(storedRecord);
+  const lines = [`${heading} [${record.importance}] ${record.id}`, "", record.content];
+  if (record.context) {
+    lines.push("", `> 上下文: ${record.context}`);
+  }
+  if (Object.keys(record.metadata || {}).length > 0) {
+    lines.push("", `元数据: \`${JSON.stringify(record.metadata)}\``);
+  }
+  lines.push("", `创建: ${record.createdAt} · 更新: ${record.updatedAt}${record.expiresAt ? ` · 过期: ${record.expiresAt}` : ""}`);
+  return lines.join("\n");
+}
+
+export function formatTopicListMarkdown(space) {
+  const topics = [...space.memoryStore.values()];
+  const recordCount = topics.reduce((sum, topicData) => sum + topicData.records.length, 0);
+  const lines = [`# 记忆主题（命名空间 ${space.name}）`, "", `共 ${topics.length} 个主题，${recordCount} 条记录。`];
+  if (topics.length > 0) {
+    lines.push("");
+  }
+  for (const topicData of topics) {
+    lines.push(
+      `- **${topicData.name}**（${topicData.records.length} 条记录）${topicData.description ? `：${topicData.description}` : ""}${
+        topicData.tags.length > 0 ? ` · 标签: ${topicData.tags.join(", ")}` : ""
+      } · ${topicUri(topicData.name)}`
+    );
+  }
+  return lines.join("\n");
+}
+
+export function formatTopicMarkdown(topicData, records = topicData.records) {
+  const lines = [`# 主题：${topicData.name}`, ""];
+  if (topicData.description) {
+    lines.push(topicData.description, "");
+  }
+  lines.push(
+    `- 标签: ${topicData.tags.join(", ") || "无"}`,
+    `- 记录数: ${topicData.records.length}`,
+    `- 创建时间: ${topicData.createdAt}`,
+    `- 更新时间: ${topicData.updatedAt}`
+  );
+  if (topicData.metadataSchema) {
+    lines.push(`- 元数据结构: ${describeMetadataSchema(topicData.metadataSchema)}`);
+  }
+  if (records.length > 0) {
+    lines.push("", "## 记录");
+    for (const record of records) {
+      lines.push("", formatRecordSection(record, "###"));
+    }
+  }
+  return lines.join("\n");
+}
+
+export function formatRecordMarkdown(record, topicName, namespace = "") {
+  const lines = [formatRecordSection(record, "#"), "", `- 主题: ${topicName}`, `- 版本: ${getVersion(record)}`];
+  if ((record.links || []).length > 0) {
+    lines.push("", "## 关联");
+    for (const link of record.links) {
+      lines.push(`- ${linkTypeLabel(link.type)} → ${recordUri(link.target, namespace)}`);
+    }
+  }
+  return lines.join("\n");
+}
+
+// ---------- 注册 ----------
+
+// 主题名称和记录总数，任一变化时通知客户端重新获取资源列表
+function listSignature(space) {
+  let recordCount = 0;
+  for (const topicData of space.memoryStore.values()) {
+    recordCount += topicData.records.length;
+  }
+  return `${[...space.memoryStore.keys()].join("\u0000")}|${recordCount}`;
+}
+
+function changeAffects(subscription, change) {
+  if (subscription.namespace !== change.namespace) {
+    return false;
+  }
+  if (subscription.kind === "topics") {
+    return true;
+  }
+  return subscription.kind === "topic"
+    ? change.topics.includes(subscription.key)
+    : change.records.includes(subscription.key);
+}
+
+/**
+ * 为 McpServer 注册记忆资源，并在数据变更时发送订阅和列表变更通知。
+ * 服务关闭时自动取消对 store 的监听。
+ */
+export function registerMemoryResources(server) {
+  // 订阅的 URI -> { kind, key, namespace }，namespace 为解析后的实际命名空间
+  const subscriptions = new Map();
+  // 客户端读取过资源列表的命名空间 -> 列表签名
+  const listSignatures = new Map();
+
+  function rememberList(space) {
+    listSignatures.set(space.name, listSignature(space));
+  }
+
+  async function readTopicList(uri, extra) {
+    const space = await openReadableSpace(extra, uri.searchParams.get("namespace") || "");
+    space.recordAccess("read");
+    rememberList(space);
+    return { contents: [{ uri: uri.href, mimeType: MIME_TYPE, text: formatTopicListMarkdown(space) }] };
+  }
+
+  server.registerResource(
+    "topics",
+    "memory://topics",
+    { title: "记忆主题列表", description: "当前命名空间中的全部主题及记录数量", mimeType: MIME_TYPE },
+    readTopicList
+  );
+
+  // 带 ?namespace= 的主题列表不能按固定 URI 匹配，另外注册为模板
+  server.registerResource(
+    "topics-in-namespace",
+    new ResourceTemplate("memory://topics{?namespace}", { list: undefined }),
+    { title: "指定命名空间的记忆主题列表", description: "指定命名空间中的全部主题及记录数量", mimeType: MIME_TYPE },
+    (uri, variables, extra) => readTopicList(uri, extra)
+  );
+
+  server.registerResource(
+    "topic",
+    new ResourceTemplate("memory://topic/{name}", {
+      list: async (extra) => {
+        const space = await openReadableSpace(extra, "");
+        rememberList(space);
+        return {
+          resources: [...space.memoryStore.values()].map((topicData) => ({
+            uri: topicUri(topicData.name),
+            name: topicData.name,
+            title: `主题：${topicData.name}`,
+            description: `${topicData.description || "无描述"}（${topicData.records.length} 条记录）`,
+            mimeType: MIME_TYPE
+          }))
+        };
+      }
+    }),
+    { title: "记忆主题", description: "主题的描述、标签及其全部记录", mimeType: MIME_TYPE },
+    async (uri, variables, extra) => {
+      const target = parseResourceUri(uri.href);
+      const space = await openReadableSpace(extra, target?.namespace || "");
+      const topicData = target && space.memoryStore.get(target.key);
+      if (!topicData) {
+        throw notFound(`主题不存在: ${target?.key || uri.href}`);
+      }
+      space.recordAccess("read");
+      return { contents: [{ uri: uri.href, mimeType: MIME_TYPE, text: formatTopicMarkdown(topicData) }] };
+    }
+  );
+
+  server.registerResource(
+    "record",
+    new ResourceTemplate("memory://record/{id}", {
+      list: async (extra) => {
+        const space = await openReadableSpace(extra, "");
+        rememberList(space);
+        const entries = [];
+        for (const [topicName, topicData] of space.memoryStore.entries()) {
+          for (const record of topicData.records) {
+            entries.push({ topicName, record });
+          }
+        }
+        entries.sort((a, b) => Date.parse(b.record.updatedAt) - Date.parse(a.record.updatedAt));
+        return {
+          resources: entries.slice(0, MAX_LISTED_RECORDS).map(({ topicName, record }) => ({
+            uri: recordUri(record.id),
+            name: record.id,
+            title: `[${topicName}] ${redactRecord(record).content.slice(0, 40)}`,
+            description: `主题 ${topicName} · 重要性 ${record.importance}`,
+            mimeType: MIME_TYPE
+          }))
+        };
+      }
+    }),
+    { title: "记忆记录", description: "单条记录的内容、上下文和元数据", mimeType: MIME_TYPE },
+    async (uri, variables, extra) => {
+      const target = parseResourceUri(uri.href);
+      const space = await openReadableSpace(extra, target?.namespace || "");
+      const found = target && findRecordById(space, target.key);
+      if (!found) {
+        throw notFound(`记录不存在: ${target?.key || uri.href}`);
+      }
+      space.recordAccess("read");
+      space.markRead([found.record.id]);
+      return {
+        contents: [
+          {
+            uri: uri.href,
+            mimeType: MIME_TYPE,
+            text: formatRecordMarkdown(found.record, found.topicName, target.namespace)
+          }
+        ]
+      };
+    }
+  );
+
+  server.server.registerCapabilities({ resources: { subscribe: true, listChanged: true } });
+
+  server.server.setRequestHandler(SubscribeRequestSchema, async (request, extra) => {
+    const target = parseResourceUri(request.params.uri);
+    if (!target) {
+      throw notFound(`不支持订阅的资源: ${request.params.uri}`);
+    }
+    const space = await openReadableSpace(extra, target.namespace);
+    subscriptions.set(request.params.uri, { ...target, namespace: space.name });
+    return {};
+  });
+
+  server.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    subscriptions.delete(request.params.uri);
+    return {};
+  });
+
+  const stopListening = onChange((change) => {
+    if (!server.isConnected()) {
+      return;
+    }
+    for (const [uri, subscription] of subscriptions) {
+      if (changeAffects(subscription, change)) {
+        server.server.sendResourceUpdated({ uri }).catch(() => {});
+      }
+    }
+    if (listSignatures.has(change.namespace)) {
+      getSpace(change.namespace).then((space) => {
+        const signature = listSignature(space);
+        if (signature !== listSignatures.get(change.namespace)) {
+          listSignatures.set(change.namespace, signature);
+          server.sendResourceListChanged();
+        }
+      });
+    }
+  });
+  server.server.onclose = stopListening;
+}
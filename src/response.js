@@ -0,0 +1,422 @@
+import { z } from "zod";
+import { getVersion, getTopicVersion } from "./history.js";
+
+// 工具响应：同时返回 structuredContent（机器可读）与文本渲染（text / json / markdown）
+
+export const formatSchema = z
+  .enum(["text", "json", "markdown"])
+  .default("text")
+  .describe("返回格式：text(默认，中文说明文本)、json(结构化 JSON)、markdown(Markdown 文档)；structuredContent 始终返回");
+
+// ---------- 输出结构定义 ----------
+
+export const errorSchema = z.object({
+  code: z.string().describe("错误码，如 TOPIC_NOT_FOUND、RECORD_NOT_FOUND、INVALID_ARGUMENT"),
+  message: z.string()
+});
+
+export const topicSchema = z
+  .object({
+    id: z.string(),
+    name: z.string(),
+    description: z.string(),
+    tags: z.array(z.string()),
+    recordCount: z.number(),
+    version: z.number().describe("主题版本号：名称、描述、标签或策略每修改一次加 1，可作为 expectedVersion 传入"),
+    createdAt: z.string(),
+    updatedAt: z.string()
+  })
+  .passthrough();
+
+export const recordSchema = z
+  .object({
+    id: z.string(),
+    content: z.string(),
+    importance: z.string(),
+    context: z.string(),
+    metadata: z.record(z.any()),
+    createdAt: z.string(),
+    updatedAt: z.string(),
+    version: z.number().describe("当前版本号：内容、重要性、上下文、元数据或过期时间每修改一次加 1，可作为 expectedVersion 传入"),
+    topic: z.string().optional(),
+    sensitive: z
+      .object({ kinds: z.array(z.string()), fields: z.array(z.string()), detectedAt: z.string() })
+      .optional()
+      .describe("检测到的敏感信息类型和所在字段，只有敏感记录才有"),
+    redacted: z.boolean().optional().describe("内容是否已脱敏，查询时传入 reveal: true 获取原文"),
+    accessCount: z.number().optional().describe("被查询读取的次数"),
+    lastAccessedAt: z.string().nullable().optional().describe("最后一次被读取的时间")
+  })
+  .passthrough();
+
+export const changeSchema = z.object({
+  field: z.string().describe("变更字段，元数据字段形如 metadata.key"),
+  before: z.any().optional(),
+  after: z.any().optional()
+});
+
+export const versionSchema = z.object({
+  version: z.number(),
+  action: z.string(),
+  changedAt: z.string(),
+  changedBy: z.string(),
+  note: z.string().optional(),
+  changes: z.array(changeSchema)
+});
+
+export const eventSchema = z.object({
+  id: z.string(),
+  seq: z.number().describe("命名空间内递增的事件序号"),
+  namespace: z.string(),
+  timestamp: z.string(),
+  type: z.enum(["create", "update", "delete"]),
+  entity: z.enum(["topic", "record"]),
+  topic: z.string().describe("事件发生后所在的主题，删除时为删除前所在的主题"),
+  recordId: z.string().nullable(),
+  changes: z.array(z.string()).describe("update 中发生变化的字段"),
+  before: z.record(z.any()).nullable().describe("修改前的快照，create 时为 null"),
+  after: z.record(z.any()).nullable().describe("修改后的快照，delete 时为 null"),
+  action: z.string().describe("发起修改的操作，如 create_record、import、retention"),
+  actor: z.string(),
+  principal: z.string(),
+  sessionId: z.string()
+});
+
+export const trashEntrySchema = z.object({
+  id: z.string().describe("回收站条目ID"),
+  type: z.enum(["topic", "record"]),
+  topic: z.string(),
+  recordId: z.string().optional(),
+  recordCount: z.number(),
+  preview: z.string(),
+  deletedAt: z.string(),
+  deletedBy: z.string(),
+  reason: z.string().optional().describe("自动清理的原因")
+});
+
+export const linkSchema = z.object({
+  from: z.string().describe("关联的起点记录ID"),
+  to: z.string().describe("关联的终点记录ID"),
+  type: z.string().describe("关联类型：relates_to、supersedes、depends_on、contradicts 或自定义类型"),
+  createdAt: z.string().optional(),
+  createdBy: z.string().optional()
+});
+
+export const pageSchema = z.object({
+  offset: z.number(),
+  limit: z.number(),
+  total: z.number(),
+  nextCursor: z.string().nullable()
+});
+
+// 所有工具共有的字段
+export const baseOutputShape = {
+  ok: z.boolean().describe("操作是否成功"),
+  action: z.string().describe("执行的操作类型"),
+  message: z.string().describe("结果摘要"),
+  error: errorSchema.optional()
+};
+
+// ---------- 数据转换 ----------
+
+// 对外输出的主题摘要（不含记录数组）
+export function toTopicSummary(topicData) {
+  const { records, ...topicMeta } = topicData;
+  return { ...topicMeta, recordCount: records.length, version: getTopicVersion(topicData) };
+}
+
+// 对外输出的记录（去掉嵌入向量、版本历史等内部字段，历史通过 history 查询获取）
+// 传入 accessStore 时附带读取次数和最后读取时间
+export function toPublicRecord(record, topicName = undefined, accessStore = undefined) {
+  const { embedding, history, ...publicRecord } = record;
+  publicRecord.version = getVersion(record);
+  if (topicName !== undefined) {
+    publicRecord.topic = topicName;
+  }
+  if (accessStore) {
+    const access = accessStore.get(record.id);
+    publicRecord.accessCount = access?.count || 0;
+    publicRecord.lastAccessedAt = access?.lastAccessedAt || null;
+  }
+  return publicRecord;
+}
+
+// 对外输出的回收站条目（不含被删除的完整数据）
+export function toTrashSummary(entry) {
+  const summary = {
+    id: entry.id,
+    type: entry.type,
+    topic: entry.topic,
+    recordCount: entry.type === "topic" ? entry.data.records.length : 1,
+    preview: entry.type === "topic" ? entry.data.description : entry.data.content.slice(0, 80),
+    deletedAt: entry.deletedAt,
+    deletedBy: entry.deletedBy
+  };
+  if (entry.type === "record") {
+    summary.recordId = entry.recordId;
+  }
+  if (entry.reason) {
+    summary.reason = entry.reason;
+  }
+  return summary;
+}
+
+// ---------- 渲染 ----------
+
+const LABELS = {
+  id: "ID",
+  name: "名称",
+  topic: "主题",
+  topics: "主题",
+  description: "描述",
+  tags: "标签",
+  content: "内容",
+  importance: "重要性",
+  context: "上下文",
+  metadata: "元数据",
+  createdAt: "创建时间",
+  updatedAt: "更新时间",
+  recordCount: "记录数",
+  record: "记录",
+  records: "记录",
+  score: "相关度",
+  similarity: "相似度",
+  duplicates: "相似记录",
+  clusters: "重复记录组",
+  links: "关联",
+  from: "起点",
+  to: "终点",
+  target: "目标",
+  distance: "距离",
+  via: "经由",
+  createdBy: "创建者",
+  snippet: "摘要",
+  version: "版本",
+  versions: "版本历史",
+  action: "操作",
+  changedAt: "修改时间",
+  changedBy: "修改者",
+  note: "备注",
+  changes: "变更",
+  field: "字段",
+  before: "修改前",
+  after: "修改后",
+  trash: "回收站",
+  type: "类型",
+  recordId: "记录ID",
+  preview: "预览",
+  deletedAt: "删除时间",
+  deletedBy: "删除者",
+  reason: "原因",
+  expiresAt: "过期时间",
+  retention: "保留策略",
+  consolidation: "整合",
+  consolidatedFrom: "整合自",
+  archiveOf: "归档自",
+  archiveTopic: "归档主题",
+  summarizer: "摘要提供者",
+  originals: "原记录",
+  dryRun: "预演",
+  groups: "分组",
+  sourceIds: "原记录ID",
+  events: "变更事件",
+  seq: "序号",
+  timestamp: "时间",
+  entity: "对象",
+  principal: "调用方",
+  sessionId: "会话",
+  metadataSchema: "元数据结构",
+  migration: "迁移报告",
+  checked: "已检查",
+  conforming: "符合结构",
+  nonConforming: "不符合结构",
+  errors: "错误",
+  invalid: "校验失败",
+  page: "分页",
+  query: "搜索条件",
+  mode: "检索模式",
+  digest: "记忆摘要",
+  sources: "来源记录",
+  compression: "压缩方式",
+  size: "占用",
+  budget: "预算",
+  unit: "单位",
+  limit: "上限",
+  used: "已用",
+  omitted: "未放入",
+  duplicateOf: "重复于",
+  conflict: "版本冲突",
+  expectedVersion: "期望版本",
+  currentVersion: "当前版本",
+  sensitive: "敏感信息",
+  kinds: "类型",
+  fields: "字段",
+  detectedAt: "检测时间",
+  redacted: "已脱敏",
+  findings: "敏感信息",
+  detector: "检测规则",
+  label: "名称",
+  overBudget: "超出预算",
+  status: "状态",
+  totalTopics: "主题总数",
+  totalRecords: "记录总数",
+  totalMemorySize: "总内存占用",
+  averageRecordSize: "平均记录大小",
+  lastAccessTime: "最后访问时间",
+  accessCount: "总访问次数",
+  readCount: "查询次数",
+  writeCount: "修改次数",
+  memorySize: "大小",
+  share: "占比",
+  lastUpdatedAt: "最后更新",
+  lastReadAt: "最后读取",
+  lastAccessedAt: "最后读取",
+  salience: "显著性",
+  activity: "活动趋势",
+  granularity: "时间粒度",
+  series: "时间段",
+  period: "时间段",
+  created: "新建",
+  updated: "更新",
+  reads: "读取情况",
+  mostRead: "最常读取",
+  neverRead: "从未读取",
+  count: "次数",
+  total: "总数",
+  tag: "标签",
+  topicCount: "主题数",
+  health: "健康检查",
+  healthy: "健康",
+  issues: "问题",
+  kind: "类别",
+  value: "数值",
+  detail: "详情",
+  filters: "筛选条件",
+  error: "错误",
+  code: "错误码",
+  message: "说明"
+};
+
+function label(key) {
+  return LABELS[key] || key;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function scalarText(value) {
+  if (value === null || value === undefined || value === "") {
+    return "无";
+  }
+  if (Array.isArray(value)) {
+    return value.length > 0 ? value.map(scalarText).join(", ") : "无";
+  }
+  if (isPlainObject(value)) {
+    return `\`${JSON.stringify(value)}\``;
+  }
+  return String(value);
+}
+
+function renderFields(object, lines) {
+  for (const [key, value] of Object.entries(object)) {
+    if (value === undefined) {
+      continue;
+    }
+    if (typeof value === "string" && value.includes("\n")) {
+      lines.push(`- **${label(key)}**:`, "", "  ```text", ...value.split("\n").map((line) => `  ${line}`), "  ```");
+    } else {
+      lines.push(`- **${label(key)}**: ${scalarText(value)}`);
+    }
+  }
+}
+
+function renderSection(key, value, lines, level) {
+  const heading = "#".repeat(Math.min(level, 6));
+  if (Array.isArray(value) && value.some(isPlainObject)) {
+    lines.push("", `${heading} ${label(key)} (${value.length})`);
+    value.forEach((item, index) => {
+      lines.push("", `${"#".repeat(Math.min(level + 1, 6))} ${label(key)} ${index + 1}`, "");
+      if (isPlainObject(item)) {
+        renderObject(item, lines, level + 2);
+      } else {
+        lines.push(`- ${scalarText(item)}`);
+      }
+    });
+  } else if (isPlainObject(value)) {
+    lines.push("", `${heading} ${label(key)}`, "");
+    renderObject(value, lines, level + 1);
+  }
+}
+
+function renderObject(object, lines, level) {
+  const scalars = {};
+  const sections = [];
+  for (const [key, value] of Object.entries(object)) {
+    if (isPlainObject(value) && key !== "metadata") {
+      sections.push([key, value]);
+    } else if (Array.isArray(value) && value.some(isPlainObject)) {
+      sections.push([key, value]);
+    } else {
+      scalars[key] = value;
+    }
+  }
+  renderFields(scalars, lines);
+  for (const [key, value] of sections) {
+    renderSection(key, value, lines, level);
+  }
+}
+
+export function renderMarkdown(structured, title) {
+  const { ok, action, message, ...rest } = structured;
+  const lines = [`## ${ok ? "" : "❌ "}${title}`, "", message];
+  if (Object.keys(rest).length > 0) {
+    lines.push("");
+    renderObject(rest, lines, 3);
+  }
+  return lines.join("\n");
+}
+
+function render(format, structured, text, title) {
+  if (format === "json") {
+    return JSON.stringify(structured, null, 2);
+  }
+  if (format === "markdown") {
+    return renderMarkdown(structured, title);
+  }
+  return text;
+}
+
+/**
+ * 创建一个工具的响应构造器。
+ * respond.ok(format, action, data, text) 返回成功结果；respond.fail(format, action, code, text, data) 返回 isError 结果。
+ * message 取 text 的首个非空行（去掉开头的表情符号）。
+ */
+export function createResponder(title) {
+  function build(format, structured, text, isError) {
+    return {
+      content: [{ type: "text", text: render(format, structured, text, title) }],
+      structuredContent: structured,
+      ...(isError ? { isError: true } : {})
+    };
+  }
+  return {
+    ok(format, action, data, text) {
+      const structured = { ok: true, action, message: firstLine(text), ...data };
+      return build(format, structured, text, false);
+    },
+    fail(format, action, code, text, data = {}) {
+      const message = firstLine(text);
+      const structured = { ok: false, action, message, error: { code, message }, ...data };
+      return build(format, structured, text, true);
+    }
+  };
+}
+
+function firstLine(text) {
+  return text
+    .split("\n")
+    .find((line) => line.trim())
+    .replace(/^[^\p{L}\p{N}"“]+/u, "")
+    .trim();
+}
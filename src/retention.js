@@ -0,0 +1,291 @@
+import { listSpaces } from "./store.js";
+import { recordEvictions } from "./stats.js";
+import { trashRecord, removeFromTrash } from "./trash.js";
+import { detachLinks } from "./links.js";
+import { withEventContext } from "./events.js";
+import { lastUsedAt, salienceScore } from "./salience.js";
+import { consolidateOversized, CONSOLIDATOR_ACTOR } from "./consolidation.js";
+import { redactRecord } from "./sensitive.js";
+import { calculateRecordSize, getCurrentTimestamp } from "./utils.js";
+
+// 记忆过期与自动清理：
+// - 记录级：expiresAt 到期后清理（显式设置的过期时间对所有重要性生效）
+// - 主题级：retention 策略 { maxRecords, maxIdleDays, importance }，只作用于 importance 列出的级别，默认 低/中
+// - 全局：记忆总大小超出预算时，按重要性从低到高、显著性（最近使用时间和读取次数）从低到高清理，高重要性默认受保护
+// 最近被读取过的记录视为仍在使用，不会因长期未更新被清理。
+// 被清理的记录移入回收站，回收站中超过保留天数的条目会被彻底清除。各命名空间分别执行上述策略。
+// 清理后再检查超出大小阈值的主题并自动整合（见 consolidation.js）。
+
+export const EVICTION_REASONS = {
+  expired: "已过期",
+  max_records: "超出主题保留数量",
+  max_idle: "长期未使用",
+  budget: "超出内存预算"
+};
+
+export const DEFAULT_RETENTION_IMPORTANCE = ["低", "中"];
+
+const SWEEPER_ACTOR = "system:sweeper";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: DAY_MS, w: 7 * DAY_MS };
+
+const IMPORTANCE_RANK = { 低: 1, 中: 2, 高: 3 };
+
+let settings = { memoryBudget: 0, evictHigh: false, trashRetentionDays: 30 };
+let sweeper = null;
+// 上一轮清理（含自动整合）尚未结束时跳过本轮
+let sweeping = false;
+
+export function configureRetention(config = {}) {
+  settings = {
+    memoryBudget: config.memoryBudget || 0,
+    evictHigh: Boolean(config.evictHigh),
+    trashRetentionDays: config.trashRetentionDays ?? 30
+  };
+}
+
+export function getRetentionSettings() {
+  return { ...settings };
+}
+
+// 解析 "30m"、"12h"、"7d"、"2w" 形式的时长，返回毫秒
+export function parseDuration(text) {
+  const match = /^(\d+(?:\.\d+)?)\s*([smhdw])$/i.exec(String(text).trim());
+  if (!match || Number(match[1]) <= 0) {
+    throw new Error(`无效的时长: ${text}（示例: 30m、12h、7d、2w）`);
+  }
+  return Number(match[1]) * DURATION_UNITS[match[2].toLowerCase()];
+}
+
+/**
+ * 根据 expiresAt / ttl 参数计算记录的过期时间。
+ * 返回 undefined 表示不修改，null 表示清除过期时间，否则返回 ISO 时间。
+ */
+export function resolveExpiry({ expiresAt = "", ttl = "" }, now = Date.now()) {
+  if (ttl === "never" || expiresAt === "never") {
+    return null;
+  }
+  if (ttl) {
+    return new Date(now + parseDuration(ttl)).toISOString();
+  }
+  if (expiresAt) {
+    const time = Date.parse(expiresAt);
+    if (Number.isNaN(time)) {
+      throw new Error(`expiresAt 不是有效的时间: ${expiresAt}`);
+    }
+    return new Date(time).toISOString();
+  }
+  return undefined;
+}
+
+export function isExpired(record, now = Date.now()) {
+  return Boolean(record.expiresAt) && Date.parse(record.expiresAt) <= now;
+}
+
+// 规范化主题保留策略，空策略返回 null
+export function normalizeRetention(retention) {
+  if (!retention) {
+    return null;
+  }
+  const policy = {};
+  if (retention.maxRecords !== undefined) {
+    policy.maxRecords = retention.maxRecords;
+  }
+  if (retention.maxIdleDays !== undefined) {
+    policy.maxIdleDays = retention.maxIdleDays;
+  }
+  if (Object.keys(policy).length === 0) {
+    return null;
+  }
+  policy.importance = retention.importance?.length > 0 ? retention.importance : DEFAULT_RETENTION_IMPORTANCE;
+  return policy;
+}
+
+export function describeRetention(policy) {
+  if (!policy) {
+    return "无";
+  }
+  const parts = [];
+  if (policy.maxRecords !== undefined) {
+    parts.push(`最多保留最新 ${policy.maxRecords} 条`);
+  }
+  if (policy.maxIdleDays !== undefined) {
+    parts.push(`超过 ${policy.maxIdleDays} 天未更新或读取即清理`);
+  }
+  return `${parts.join("，")}（适用于重要性: ${policy.importance.join("/")}）`;
+}
+
+/**
+ * 计算命名空间中需要清理的记录，不修改数据。
+ * 返回 [{ topic, record, reason }]，同一记录只出现一次。
+ */
+export function findEvictions(space, now = Date.now()) {
+  const { memoryStore, accessStore } = space;
+  const evictions = [];
+  const chosen = new Set();
+  function evict(topicName, record, reason) {
+    chosen.add(record.id);
+    evictions.push({ topic: topicName, record, reason });
+  }
+
+  for (const [topicName, topicData] of memoryStore.entries()) {
+    for (const record of topicData.records) {
+      if (isExpired(record, now)) {
+        evict(topicName, record, "expired");
+      }
+    }
+    const policy = topicData.retention;
+    if (!policy) {
+      continue;
+    }
+    const levels = policy.importance || DEFAULT_RETENTION_IMPORTANCE;
+    const eligible = topicData.records.filter(
+      (record) => !chosen.has(record.id) && levels.includes(record.importance)
+    );
+    if (policy.maxIdleDays !== undefined) {
+      for (const record of eligible) {
+        if (now - lastUsedAt(record, accessStore.get(record.id)) > policy.maxIdleDays * DAY_MS) {
+          evict(topicName, record, "max_idle");
+        }
+      }
+    }
+    if (policy.maxRecords !== undefined) {
+      eligible
+        .filter((record) => !chosen.has(record.id))
+        .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt))
+        .slice(policy.maxRecords)
+        .forEach((record) => evict(topicName, record, "max_records"));
+    }
+  }
+
+  if (settings.memoryBudget > 0) {
+    const remaining = [];
+    let totalSize = 0;
+    for (const [topicName, topicData] of memoryStore.entries()) {
+      for (const record of topicData.records) {
+        if (!chosen.has(record.id)) {
+          const size = calculateRecordSize(record);
+          totalSize += size;
+          const salience = salienceScore(record, accessStore.get(record.id), { now });
+          remaining.push({ topic: topicName, record, size, salience });
+        }
+      }
+    }
+    const candidates = remaining
+      .filter(({ record }) => settings.evictHigh || record.importance !== "高")
+      .sort(
+        (a, b) =>
+          IMPORTANCE_RANK[a.record.importance] - IMPORTANCE_RANK[b.record.importance] ||
+          a.salience - b.salience
+      );
+    for (const candidate of candidates) {
+      if (totalSize <= settings.memoryBudget) {
+        break;
+      }
+      evict(candidate.topic, candidate.record, "budget");
+      totalSize -= candidate.size;
+    }
+  }
+  return evictions;
+}
+
+/**
+ * 对命名空间执行一次清理：过期和超出策略的记录移入回收站，回收站中过旧的条目彻底清除。
+ * 返回 { evicted: [{ topic, recordId, importance, content, reason, evictedAt }], purged }
+ */
+export function sweep(space, now = Date.now()) {
+  const { memoryStore, memoryStats } = space;
+  const evictions = findEvictions(space, now);
+  const evictedAt = getCurrentTimestamp();
+  const evicted = evictions.map(({ topic, record, reason }) => ({
+    topic,
+    recordId: record.id,
+    importance: record.importance,
+    content: redactRecord(record).content.slice(0, 80),
+    reason,
+    evictedAt
+  }));
+  if (evicted.length > 0) {
+    recordEvictions(memoryStats, evicted);
+    const evictedIds = new Set(evictions.map(({ record }) => record.id));
+    for (const topicData of memoryStore.values()) {
+      topicData.records = topicData.records.filter((record) => !evictedIds.has(record.id));
+    }
+    for (const { topic, record, reason } of evictions) {
+      trashRecord(space, topic, record, SWEEPER_ACTOR, reason);
+      space.removeRecord(topic, record.id);
+    }
+    detachLinks(space, evictedIds, SWEEPER_ACTOR);
+  }
+
+  let purged = 0;
+  if (settings.trashRetentionDays > 0) {
+    const cutoff = now - settings.trashRetentionDays * DAY_MS;
+    for (const entry of [...space.trashStore.values()]) {
+      if (Date.parse(entry.deletedAt) < cutoff) {
+        removeFromTrash(space, entry);
+        purged++;
+      }
+    }
+  }
+  return { evicted, purged };
+}
+
+async function runSweep() {
+  if (sweeping) {
+    return;
+  }
+  sweeping = true;
+  try {
+    await sweepSpaces();
+  } finally {
+    sweeping = false;
+  }
+}
+
+async function sweepSpaces() {
+  for (const space of listSpaces()) {
+    try {
+      // 与工具调用的写操作依次执行，不会插入到进行中的事务里
+      const { evicted, purged } = await space.exclusive(() =>
+        withEventContext({ action: "retention", actor: SWEEPER_ACTOR }, () => sweep(space))
+      );
+      if (evicted.length > 0 || purged > 0) {
+        console.error(
+          `[mcp-context-memory] 自动清理(${space.name}): 移入回收站 ${evicted.length} 条记录，彻底清除 ${purged} 个回收站条目`
+        );
+      }
+    } catch (error) {
+      console.error(`[mcp-context-memory] 自动清理失败(${space.name}): ${error.message}`);
+    }
+    try {
+      const consolidated = await withEventContext({ action: "consolidate", actor: CONSOLIDATOR_ACTOR }, () =>
+        consolidateOversized(space)
+      );
+      for (const { topic, consolidated: count, records } of consolidated) {
+        console.error(`[mcp-context-memory] 自动整合(${space.name}): 主题 "${topic}" 的 ${count} 条记录整合为 ${records} 条`);
+      }
+    } catch (error) {
+      console.error(`[mcp-context-memory] 自动整合失败(${space.name}): ${error.message}`);
+    }
+  }
+}
+
+// 启动后台清理任务，intervalSeconds 为 0 时只在启动时清理一次
+export function startSweeper(intervalSeconds) {
+  stopSweeper();
+  runSweep();
+  if (intervalSeconds > 0) {
+    sweeper = setInterval(runSweep, intervalSeconds * 1000);
+    sweeper.unref();
+  }
+}
+
+export function stopSweeper() {
+  if (sweeper) {
+    clearInterval(sweeper);
+    sweeper = null;
+  }
+}
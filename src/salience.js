@@ -0,0 +1,69 @@
+// 显著性（salience）：综合相关度、重要性、最近使用时间和读取频率给记录打分，经常被使用的记忆排在前面。
+// 最近使用时间按指数衰减，半衰期随读取次数增长：和间隔重复一样，每次被读取都会让记忆保持得更久。
+// access 为 store.js 中 accessStore 的条目 { count, lastAccessedAt }，从未读取时为 undefined。
+
+export const SALIENCE_WEIGHTS = {
+  relevance: 0.4,
+  importance: 0.2,
+  recency: 0.25,
+  frequency: 0.15
+};
+
+const IMPORTANCE_SCORE = { 高: 1, 中: 0.6, 低: 0.3 };
+
+// 从未读取的记录的半衰期，每多读取一次增加 log2(1 + 次数) 倍
+const BASE_HALF_LIFE_DAYS = 7;
+
+// 读取次数达到该值时频率得分约为 0.63，之后逐渐饱和
+const FREQUENCY_SCALE = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 最后一次使用（创建、更新或读取）的时间戳
+export function lastUsedAt(record, access) {
+  const touched = Date.parse(record.updatedAt || record.createdAt);
+  const read = access?.lastAccessedAt ? Date.parse(access.lastAccessedAt) : 0;
+  return Math.max(touched, read);
+}
+
+/**
+ * 计算记录的显著性，0-1。relevance 为 0-1 的相关度，列表等没有查询条件的场景传 null，
+ * 此时按其余三项的权重重新归一化。
+ */
+export function salienceScore(record, access, { relevance = null, now = Date.now() } = {}) {
+  const count = access?.count || 0;
+  const halfLifeDays = BASE_HALF_LIFE_DAYS * (1 + Math.log2(1 + count));
+  const idleDays = Math.max(0, now - lastUsedAt(record, access)) / DAY_MS;
+  const parts = {
+    importance: IMPORTANCE_SCORE[record.importance] ?? IMPORTANCE_SCORE["中"],
+    recency: 0.5 ** (idleDays / halfLifeDays),
+    frequency: 1 - Math.exp(-count / FREQUENCY_SCALE)
+  };
+  if (relevance !== null) {
+    parts.relevance = relevance;
+  }
+  let score = 0;
+  let weight = 0;
+  for (const [key, value] of Object.entries(parts)) {
+    score += SALIENCE_WEIGHTS[key] * value;
+    weight += SALIENCE_WEIGHTS[key];
+  }
+  return Math.round((score / weight) * 1000) / 1000;
+}
+
+/**
+ * 按显著性从高到低排序 entries（[{ record, score? }]），返回带 salience 字段的新数组。
+ * entries 带有 score（搜索相关度）时按最高分归一化后作为相关度。
+ */
+export function rankBySalience(entries, accessStore, now = Date.now()) {
+  const maxScore = Math.max(0, ...entries.map((entry) => entry.score ?? 0));
+  return entries
+    .map((entry) => ({
+      ...entry,
+      salience: salienceScore(entry.record, accessStore.get(entry.record.id), {
+        relevance: entry.score === undefined ? null : maxScore > 0 ? entry.score / maxScore : 0,
+        now
+      })
+    }))
+    .sort((a, b) => b.salience - a.salience);
+}
@@ -0,0 +1,315 @@
+// 搜索引擎：中英文分词、查询语法解析、BM25F 打分与高亮摘要
+
+// 中日韩文字按二元组切分，其余字母数字按单词切分
+const CJK_CHARS = "\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}\\p{Script=Hangul}";
+const TOKEN_PATTERN = new RegExp(
+  `[${CJK_CHARS}]+|(?:(?![${CJK_CHARS}])[\\p{L}\\p{N}_])+`,
+  "gu"
+);
+const CJK_RUN = new RegExp(`^[${CJK_CHARS}]`, "u");
+
+// 字段权重：沿用原有 内容 > 上下文 > 元数据 的优先级，主题标签介于两者之间
+export const FIELD_WEIGHTS = {
+  content: 3,
+  context: 2,
+  tags: 1.5,
+  metadata: 1
+};
+
+const K1 = 1.2;
+const B = 0.75;
+
+// 未加引号的词至少需要命中一半分词才算匹配，兼顾中文改写与召回率
+const TERM_MIN_MATCH_RATIO = 0.5;
+
+export function tokenize(text) {
+  const tokens = [];
+  for (const [run] of String(text ?? "").toLowerCase().matchAll(TOKEN_PATTERN)) {
+    if (!CJK_RUN.test(run)) {
+      tokens.push(run);
+      continue;
+    }
+    const chars = [...run];
+    if (chars.length === 1) {
+      tokens.push(run);
+      continue;
+    }
+    for (let i = 0; i < chars.length - 1; i++) {
+      tokens.push(chars[i] + chars[i + 1]);
+    }
+  }
+  return tokens;
+}
+
+function normalizeText(text) {
+  return String(text ?? "").toLowerCase().replace(/\s+/g, " ");
+}
+
+// ---------- 查询解析 ----------
+
+/**
+ * 解析查询语法：
+ *   "短语"      精确短语匹配
+ *   a b        默认 AND，全部满足
+ *   a OR b     任一满足（OR 优先级高于 AND）
+ *   -a / -"短语" 排除包含该词的记录
+ * 返回 { groups: [[item]], excludes: [item] }，groups 之间为 AND，组内为 OR。
+ */
+export function parseQuery(query) {
+  const groups = [];
+  const excludes = [];
+  let joinNext = false;
+  for (const match of query.matchAll(/(-?)"([^"]*)"|(\S+)/g)) {
+    const [, minus, phrase, word] = match;
+    if (word === "OR") {
+      joinNext = groups.length > 0;
+      continue;
+    }
+    if (word === "AND") {
+      joinNext = false;
+      continue;
+    }
+    let item;
+    if (phrase !== undefined) {
+      if (!phrase.trim()) {
+        continue;
+      }
+      item = { type: "phrase", text: normalizeText(phrase.trim()), tokens: tokenize(phrase), negate: minus === "-" };
+    } else {
+      const negate = word.startsWith("-") && word.length > 1;
+      const text = negate ? word.slice(1) : word;
+      item = { type: "term", text: normalizeText(text), tokens: [...new Set(tokenize(text))], negate };
+    }
+    if (item.negate) {
+      excludes.push(item);
+      joinNext = false;
+      continue;
+    }
+    if (joinNext) {
+      groups[groups.length - 1].push(item);
+    } else {
+      groups.push([item]);
+    }
+    joinNext = false;
+  }
+  return { groups, excludes };
+}
+
+/**
+ * 宽松查询：文本中任一分词命中即可匹配，得分仍按 BM25F 计算。
+ * 用于按一段任务描述召回相关记忆，这类文本不适合按默认的 AND 语义匹配。
+ */
+export function parseLooseQuery(text) {
+  const items = [...new Set(tokenize(text))].map((token) => ({ type: "term", text: token, tokens: [token], negate: false }));
+  return { groups: items.length > 0 ? [items] : [], excludes: [] };
+}
+
+// 查询中所有正向词的分词结果，用于打分和索引召回
+export function queryTokens(parsed) {
+  return [...new Set(parsed.groups.flat().flatMap((item) => item.tokens))];
+}
+
+// ---------- 文档分析（按记录对象缓存） ----------
+
+const documentCache = new WeakMap();
+const tagCache = new WeakMap();
+
+function analyzeField(text) {
+  const tokens = tokenize(text);
+  const tf = new Map();
+  for (const token of tokens) {
+    tf.set(token, (tf.get(token) || 0) + 1);
+  }
+  return { tf, length: tokens.length, text: normalizeText(text) };
+}
+
+function metadataText(metadata = {}) {
+  return Object.values(metadata).map((value) => String(value)).join("\n");
+}
+
+function analyzeTopicTags(topicData) {
+  const signature = `${topicData.name}|${topicData.tags.join("|")}`;
+  const cached = tagCache.get(topicData);
+  if (cached && cached.signature === signature) {
+    return cached.field;
+  }
+  const field = analyzeField([topicData.name, ...topicData.tags].join("\n"));
+  tagCache.set(topicData, { signature, field });
+  return field;
+}
+
+export function analyzeRecord(record, topicData) {
+  const signature = `${record.updatedAt}|${record.content.length}|${(record.context || "").length}`;
+  let cached = documentCache.get(record);
+  if (!cached || cached.signature !== signature) {
+    cached = {
+      signature,
+      fields: {
+        content: analyzeField(record.content),
+        context: analyzeField(record.context || ""),
+        metadata: analyzeField(metadataText(record.metadata))
+      }
+    };
+    documentCache.set(record, cached);
+  }
+  return { ...cached.fields, tags: analyzeTopicTags(topicData) };
+}
+
+// ---------- 匹配与打分 ----------
+
+function itemMatches(item, fields) {
+  if (item.type === "phrase" || item.tokens.length === 0) {
+    return Object.values(fields).some((field) => field.text.includes(item.text));
+  }
+  const required = Math.max(1, Math.ceil(item.tokens.length * TERM_MIN_MATCH_RATIO));
+  let matched = 0;
+  for (const token of item.tokens) {
+    if (Object.values(fields).some((field) => field.tf.has(token))) {
+      matched++;
+      if (matched >= required) {
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+// 排除项按子串判断，比分词匹配更符合直觉
+function itemExcludes(item, fields) {
+  return Object.values(fields).some((field) => field.text.includes(item.text));
+}
+
+export function matchesQuery(parsed, fields) {
+  if (parsed.excludes.some((item) => itemExcludes(item, fields))) {
+    return false;
+  }
+  return parsed.groups.every((group) => group.some((item) => itemMatches(item, fields)));
+}
+
+/**
+ * 对候选记录进行匹配与 BM25F 打分。
+ * candidates: [{ topic, topicData, record }]；totalDocuments 为全库记录数，用于计算 IDF。
+ * 返回按得分降序排列的 [{ topic, record, score, matchedFields, fields }]。
+ */
+export function rankDocuments(parsed, candidates, totalDocuments = candidates.length) {
+  const tokens = queryTokens(parsed);
+  const analyzed = candidates.map((candidate) => ({
+    ...candidate,
+    fields: analyzeRecord(candidate.record, candidate.topicData)
+  }));
+
+  const averageLength = {};
+  for (const fieldName of Object.keys(FIELD_WEIGHTS)) {
+    const total = analyzed.reduce((sum, doc) => sum + doc.fields[fieldName].length, 0);
+    averageLength[fieldName] = analyzed.length > 0 ? total / analyzed.length || 1 : 1;
+  }
+  const documentFrequency = new Map(tokens.map((token) => [token, 0]));
+  for (const doc of analyzed) {
+    for (const token of tokens) {
+      if (Object.values(doc.fields).some((field) => field.tf.has(token))) {
+        documentFrequency.set(token, documentFrequency.get(token) + 1);
+      }
+    }
+  }
+  const documentCount = Math.max(totalDocuments, analyzed.length);
+
+  const results = [];
+  for (const doc of analyzed) {
+    if (!matchesQuery(parsed, doc.fields)) {
+      continue;
+    }
+    let score = 0;
+    const matchedFields = new Set();
+    for (const token of tokens) {
+      let weightedTf = 0;
+      for (const [fieldName, weight] of Object.entries(FIELD_WEIGHTS)) {
+        const field = doc.fields[fieldName];
+        const tf = field.tf.get(token) || 0;
+        if (tf === 0) {
+          continue;
+        }
+        matchedFields.add(fieldName);
+        weightedTf += (weight * tf) / (1 - B + (B * field.length) / averageLength[fieldName]);
+      }
+      if (weightedTf === 0) {
+        continue;
+      }
+      const df = documentFrequency.get(token);
+      const idf = Math.log(1 + (documentCount - df + 0.5) / (df + 0.5));
+      score += (idf * weightedTf) / (K1 + weightedTf);
+    }
+    for (const item of parsed.groups.flat()) {
+      if (item.type === "phrase" && doc.fields.content.text.includes(item.text)) {
+        // 短语在正文中完整出现时额外加分
+        score *= 1.2;
+      }
+    }
+    results.push({
+      topic: doc.topic,
+      record: doc.record,
+      score,
+      matchedFields: [...matchedFields]
+    });
+  }
+  results.sort((a, b) => b.score - a.score);
+  return results;
+}
+
+// ---------- 高亮摘要 ----------
+
+/**
+ * 在文本中高亮查询命中的部分（用 **粗体** 标记），并截取命中位置附近的片段。
+ */
+export function highlightSnippet(text, parsed, maxLength = 120) {
+  const source = String(text ?? "");
+  const lower = source.toLowerCase();
+  const needles = [
+    ...parsed.groups.flat().filter((item) => item.type === "phrase").map((item) => item.text),
+    ...queryTokens(parsed)
+  ].filter(Boolean);
+
+  const ranges = [];
+  for (const needle of needles) {
+    let from = 0;
+    let index;
+    while ((index = lower.indexOf(needle, from)) !== -1) {
+      ranges.push([index, index + needle.length]);
+      from = index + needle.length;
+    }
+  }
+  if (ranges.length === 0) {
+    return source.length > maxLength ? `${source.slice(0, maxLength)}…` : source;
+  }
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = [ranges[0]];
+  for (const [start, end] of ranges.slice(1)) {
+    const last = merged[merged.length - 1];
+    if (start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  }
+
+  const windowStart = Math.max(0, merged[0][0] - Math.floor(maxLength / 3));
+  const windowEnd = Math.min(source.length, windowStart + maxLength);
+  let snippet = windowStart > 0 ? "…" : "";
+  let cursor = windowStart;
+  for (const [start, end] of merged) {
+    if (start >= windowEnd) {
+      break;
+    }
+    const clippedStart = Math.max(start, cursor);
+    const clippedEnd = Math.min(end, windowEnd);
+    if (clippedStart >= clippedEnd) {
+      continue;
+    }
+    snippet += source.slice(cursor, clippedStart) + `**${source.slice(clippedStart, clippedEnd)}**`;
+    cursor = clippedEnd;
+  }
+  snippet += source.slice(cursor, windowEnd);
+  if (windowEnd < source.length) {
+    snippet += "…";
+  }
+  return snippet;
+}
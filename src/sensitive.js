@@ -0,0 +1,338 @@
+import fs from "node:fs";
+import path from "node:path";
+import { getCurrentTimestamp } from "./utils.js";
+
+// 敏感信息检测：写入记录前扫描内容、上下文和元数据中的密钥、令牌和个人信息，按策略处理：
+// - off：不检测（默认）
+// - tag：照常保存，并在记录上标记 sensitive: { kinds, fields, detectedAt }
+// - mask：把命中的片段替换为 [已隐藏:类型] 后保存
+// - block：拒绝写入
+// 标记为敏感的记录在查询结果中默认脱敏显示（见 redactRecord），查询时传入 reveal: true 才显示原文。
+
+const DETECTOR_GROUPS = {
+  secret: "密钥和令牌",
+  pii: "个人信息"
+};
+
+// 内置检测规则；capture 为只隐藏的分组（如"密码: xxx"只隐藏 xxx），validate 进一步校验命中的文本。
+// 隐藏后的占位符不会再次命中，mask 策略保存的记录不会被标记为敏感
+const BUILTIN_DETECTORS = {
+  private_key: {
+    group: "secret",
+    label: "私钥",
+    pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/dg
+  },
+  api_key: {
+    group: "secret",
+    label: "API 密钥",
+    pattern:
+      /\b(?:sk-(?:proj-|ant-)?[A-Za-z0-9_-]{20,}|AKIA[0-9A-Z]{16}|gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,}|xox[abprs]-[A-Za-z0-9-]{10,}|AIza[0-9A-Za-z_-]{35})/dg
+  },
+  jwt: {
+    group: "secret",
+    label: "JWT 令牌",
+    pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/dg
+  },
+  bearer_token: {
+    group: "secret",
+    label: "访问令牌",
+    pattern: /\bBearer\s+([A-Za-z0-9._~+/-]{16,}=*)/dgi,
+    capture: 1
+  },
+  password: {
+    group: "secret",
+    label: "密码",
+    pattern:
+      /(?:password|passwd|pwd|secret|token|api[_-]?key|access[_-]?key|密码|口令|密钥)["']?\s*[:=：]\s*["']?(?!\[已隐藏)([^\s"'，。、,;；]{4,})/dgi,
+    capture: 1
+  },
+  email: {
+    group: "pii",
+    label: "邮箱",
+    pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/dg
+  },
+  phone: {
+    group: "pii",
+    label: "手机号",
+    pattern: /(?<![\d+])(?:\+?86[- ]?)?1[3-9]\d{9}(?!\d)/dg
+  },
+  id_card: {
+    group: "pii",
+    label: "身份证号",
+    pattern: /(?<![\dXx])[1-9]\d{5}(?:19|20)\d{2}(?:0[1-9]|1[0-2])(?:0[1-9]|[12]\d|3[01])\d{3}[\dXx](?![\dXx])/dg
+  },
+  credit_card: {
+    group: "pii",
+    label: "银行卡号",
+    pattern: /(?<![\d-])\d(?:[ -]?\d){12,18}(?![\d-])/dg,
+    validate: (text) => passesLuhn(text.replace(/\D/g, ""))
+  }
+};
+
+const BUILTIN_DETECTOR_NAMES = Object.keys(BUILTIN_DETECTORS);
+
+let policy = "off";
+let detectors = Object.entries(BUILTIN_DETECTORS).map(([name, detector]) => ({ name, ...detector }));
+
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// 自定义规则文件：[{ "name": "employee_id", "label": "工号", "pattern": "EMP-\\d{6}", "flags": "i" }]
+function loadCustomDetectors(filePath) {
+  let rules;
+  try {
+    rules = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(`无法读取敏感信息规则文件 ${filePath}: ${error.message}`);
+  }
+  if (!Array.isArray(rules)) {
+    throw new Error(`敏感信息规则文件 ${filePath} 应为规则数组`);
+  }
+  return rules.map((rule, index) => {
+    if (!rule || typeof rule.name !== "string" || !rule.name || typeof rule.pattern !== "string") {
+      throw new Error(`敏感信息规则文件 ${filePath} 第 ${index + 1} 条规则缺少 name 或 pattern`);
+    }
+    if (Object.hasOwn(BUILTIN_DETECTORS, rule.name)) {
+      throw new Error(`敏感信息规则 ${rule.name} 与内置规则重名`);
+    }
+    let pattern;
+    try {
+      pattern = new RegExp(rule.pattern, `${String(rule.flags || "").replace(/[dg]/g, "")}dg`);
+    } catch (error) {
+      throw new Error(`敏感信息规则 ${rule.name} 的正则表达式无效: ${error.message}`);
+    }
+    return { name: rule.name, group: "custom", label: rule.label || rule.name, pattern };
+  });
+}
+
+/**
+ * 根据配置设置检测策略和启用的规则。sensitiveDetectors 为规则名或分组名（secret、pii），为空时启用全部内置规则；
+ * sensitivePatterns 为自定义规则文件，其中的规则总是启用。
+ * 策略为 off 时也会加载规则，用于已标记为敏感的记录的脱敏显示。
+ */
+export function configureSensitive(config = {}) {
+  const selected = new Set();
+  for (const name of config.sensitiveDetectors || []) {
+    if (Object.hasOwn(DETECTOR_GROUPS, name)) {
+      BUILTIN_DETECTOR_NAMES.filter((key) => BUILTIN_DETECTORS[key].group === name).forEach((key) => selected.add(key));
+    } else if (Object.hasOwn(BUILTIN_DETECTORS, name)) {
+      selected.add(name);
+    } else {
+      throw new Error(
+        `不支持的敏感信息检测规则: ${name}（可选: ${[...Object.keys(DETECTOR_GROUPS), ...BUILTIN_DETECTOR_NAMES].join(", ")}）`
+      );
+    }
+  }
+  const builtins = selected.size > 0 ? [...selected] : BUILTIN_DETECTOR_NAMES;
+  detectors = builtins.map((name) => ({ name, ...BUILTIN_DETECTORS[name] }));
+  if (config.sensitivePatterns) {
+    detectors.push(...loadCustomDetectors(path.resolve(config.sensitivePatterns)));
+  }
+  policy = config.sensitivePolicy || "off";
+}
+
+export function getSensitivePolicy() {
+  return policy;
+}
+
+// 文本中命中的片段 [{ start, end, detector }]，按位置排序，重叠的片段只保留靠前的
+function findSpans(text) {
+  const spans = [];
+  for (const detector of detectors) {
+    for (const match of text.matchAll(detector.pattern)) {
+      const [start, end] = match.indices[detector.capture || 0] || match.indices[0];
+      if (end > start && (!detector.validate || detector.validate(match[0]))) {
+        spans.push({ start, end, detector });
+      }
+    }
+  }
+  spans.sort((a, b) => a.start - b.start || b.end - a.end);
+  const kept = [];
+  for (const span of spans) {
+    if (kept.length === 0 || span.start >= kept[kept.length - 1].end) {
+      kept.push(span);
+    }
+  }
+  return kept;
+}
+
+function maskText(text) {
+  let masked = text;
+  for (const span of findSpans(text).reverse()) {
+    masked = `${masked.slice(0, span.start)}[已隐藏:${span.detector.label}]${masked.slice(span.end)}`;
+  }
+  return masked;
+}
+
+function maskValue(value) {
+  if (typeof value === "string") {
+    return maskText(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(maskValue);
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, maskValue(item)]));
+  }
+  return value;
+}
+
+function collectStrings(value, strings = []) {
+  if (typeof value === "string") {
+    strings.push(value);
+  } else if (Array.isArray(value)) {
+    value.forEach((item) => collectStrings(item, strings));
+  } else if (value && typeof value === "object") {
+    Object.values(value).forEach((item) => collectStrings(item, strings));
+  }
+  return strings;
+}
+
+/**
+ * 扫描记录字段，返回命中的 [{ field, detector, label }]，每个字段中的每种规则只出现一次。
+ * fields 为 { content, context, metadata } 中的任意几项，元数据按键报告，如 metadata.token。
+ */
+export function scanFields({ content, context, metadata } = {}) {
+  const targets = [
+    ["content", content],
+    ["context", context],
+    ...Object.entries(metadata || {}).map(([key, value]) => [`metadata.${key}`, value])
+  ];
+  const findings = [];
+  for (const [field, value] of targets) {
+    const seen = new Set();
+    for (const text of collectStrings(value)) {
+      for (const { detector } of findSpans(text)) {
+        if (!seen.has(detector.name)) {
+          seen.add(detector.name);
+          findings.push({ field, detector: detector.name, label: detector.label });
+        }
+      }
+    }
+  }
+  return findings;
+}
+
+/**
+ * 把字段中命中的片段替换为 [已隐藏:类型]，只返回传入的字段。
+ */
+export function maskFields(fields) {
+  const masked = {};
+  for (const [key, value] of Object.entries(fields)) {
+    masked[key] = maskValue(value);
+  }
+  return masked;
+}
+
+// 命中结果的说明，如 "content(API 密钥)、metadata.owner(邮箱)"
+export function describeFindings(findings) {
+  const byField = new Map();
+  for (const finding of findings) {
+    if (!byField.has(finding.field)) {
+      byField.set(finding.field, []);
+    }
+    byField.get(finding.field).push(finding.label);
+  }
+  return [...byField].map(([field, labels]) => `${field}(${labels.join("、")})`).join("、");
+}
+
+/**
+ * 按记录当前内容重新判断是否敏感并更新 record.sensitive，策略为 off 时不改动已有标记。
+ * 返回记录是否为敏感记录。
+ */
+export function refreshSensitiveTag(record) {
+  if (policy === "off") {
+    return Boolean(record.sensitive);
+  }
+  const findings = scanFields(record);
+  if (findings.length === 0) {
+    delete record.sensitive;
+    return false;
+  }
+  record.sensitive = {
+    kinds: [...new Set(findings.map((finding) => finding.detector))],
+    fields: [...new Set(findings.map((finding) => finding.field))],
+    detectedAt: getCurrentTimestamp()
+  };
+  return true;
+}
+
+/**
+ * 由多条记录整合成的记录：按整合后的内容重新判断；策略为 off 时无法检测，只要有原记录是敏感记录就沿用其标记，
+ * 摘要来自原记录的内容，因此标记在 content 和沿用下来的元数据字段上。
+ */
+export function inheritSensitiveTag(record, sources) {
+  if (policy !== "off") {
+    return refreshSensitiveTag(record);
+  }
+  const tags = sources.map((source) => source.sensitive).filter(Boolean);
+  if (tags.length === 0) {
+    return false;
+  }
+  const metadataFields = tags
+    .flatMap((tag) => tag.fields)
+    .filter((field) => field.startsWith("metadata.") && Object.hasOwn(record.metadata || {}, field.slice("metadata.".length)));
+  record.sensitive = {
+    kinds: [...new Set(tags.flatMap((tag) => tag.kinds))],
+    fields: [...new Set(["content", ...metadataFields])],
+    detectedAt: getCurrentTimestamp()
+  };
+  return true;
+}
+
+// 标记为敏感的字段：隐藏命中的片段，规则变化后已经找不到命中片段时隐藏整个值
+function redactField(value, flagged) {
+  const masked = maskValue(value);
+  return flagged && JSON.stringify(masked) === JSON.stringify(value) ? "[已隐藏]" : masked;
+}
+
+/**
+ * 敏感记录的脱敏副本（附带 redacted: true），非敏感记录原样返回。也适用于事件快照等带有 content/context/metadata 的对象。
+ */
+export function redactRecord(record) {
+  if (!record?.sensitive) {
+    return record;
+  }
+  const flagged = new Set(record.sensitive.fields || []);
+  const metadata = {};
+  for (const [key, value] of Object.entries(record.metadata || {})) {
+    metadata[key] = redactField(value, flagged.has(`metadata.${key}`));
+  }
+  return {
+    ...record,
+    content: redactField(record.content ?? "", flagged.has("content")),
+    context: record.context ? redactField(record.context, flagged.has("context")) : record.context,
+    metadata,
+    redacted: true
+  };
+}
+
+/**
+ * 版本历史中的变更值脱敏：记录被标记为敏感或开启了检测时，隐藏各版本中命中的片段。
+ */
+export function redactChanges(record, changes) {
+  if (!record.sensitive && policy === "off") {
+    return changes;
+  }
+  return changes.map((change) => {
+    const redacted = { ...change };
+    for (const side of ["before", "after"]) {
+      if (side in change) {
+        redacted[side] = maskValue(change[side]);
+      }
+    }
+    return redacted;
+  });
+}
@@ -0,0 +1,22 @@
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { registerMemoryResources } from "./resources.js";
+import { registerMemoryPrompts } from "./prompts.js";
+import { registerMemoryManage } from "./tools/memoryManage.js";
+import { registerMemoryQuery } from "./tools/memoryQuery.js";
+import { registerMemoryStats } from "./tools/memoryStats.js";
+import { registerMemoryTransfer } from "./tools/memoryTransfer.js";
+
+// 创建注册好全部工具、资源和提示词的服务实例；HTTP 模式下每个客户端会话各用一个，命令行工具在进程内也使用一个，共享同一份数据
+export function createServer() {
+  const server = new McpServer({
+    name: "context-memory-server",
+    version: "1.0.0"
+  });
+  registerMemoryManage(server);
+  registerMemoryQuery(server);
+  registerMemoryStats(server);
+  registerMemoryTransfer(server);
+  registerMemoryResources(server);
+  registerMemoryPrompts(server);
+  return server;
+}
@@ -1,32 +1,297 @@
 import { getCurrentTimestamp, calculateRecordSize } from "./utils.js";
+import { findDuplicateClusters } from "./duplicates.js";
 
-export const memoryStats = {
-  totalTopics: 0,
-  totalRecords: 0,
-  totalMemorySize: 0,
-  lastAccessTime: null,
-  accessCount: 0
+// 统计信息：每个命名空间各有一份，见 store.js
+// 主题数、记录数和总大小由 memoryStore 计算得出，数据变更后重新计算；访问次数和清理记录随存储持久化。
+
+// 最多保留的最近清理记录条数
+const MAX_RECENT_EVICTIONS = 20;
+
+// 健康检查阈值：记录数或大小超出时视为过大，超过 staleDays 天没有更新和读取视为陈旧，
+// 可清理的重复记录占比达到 duplicateRatio 视为重复过多
+export const HEALTH_THRESHOLDS = {
+  maxRecords: 200,
+  maxMemorySize: 100000,
+  staleDays: 90,
+  duplicateRatio: 0.2
+};
+
+export const GRANULARITY_LABELS = {
+  day: "天",
+  week: "周",
+  month: "月"
 };
 
-export function updateStats(action, topic = null, record = null) {
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// memoryStats -> { memoryStore, totals }，totals 为 null 时在下次读取时重新计算
+const totalsCache = new WeakMap();
+
+function computeTotals(topics) {
+  const totals = { totalTopics: 0, totalRecords: 0, totalMemorySize: 0 };
+  for (const topicData of topics) {
+    totals.totalTopics++;
+    for (const record of topicData.records) {
+      totals.totalRecords++;
+      totals.totalMemorySize += calculateRecordSize(record);
+    }
+  }
+  return totals;
+}
+
+export function createStats(memoryStore) {
+  const memoryStats = {
+    lastAccessTime: null,
+    accessCount: 0,
+    readCount: 0,
+    writeCount: 0,
+    // 自动清理记录：累计数量、按原因统计、最近清理的记录
+    evictions: { total: 0, byReason: {}, recent: [] }
+  };
+  const cache = { memoryStore, totals: null };
+  for (const key of ["totalTopics", "totalRecords", "totalMemorySize"]) {
+    Object.defineProperty(memoryStats, key, {
+      enumerable: true,
+      get() {
+        cache.totals ??= computeTotals(cache.memoryStore.values());
+        return cache.totals[key];
+      }
+    });
+  }
+  totalsCache.set(memoryStats, cache);
+  return memoryStats;
+}
+
+// 数据变更后调用，主题数、记录数和总大小在下次读取时重新计算
+export function invalidateTotals(memoryStats) {
+  const cache = totalsCache.get(memoryStats);
+  if (cache) {
+    cache.totals = null;
+  }
+}
+
+// 记录一次访问，kind 为 read（查询）或 write（修改）
+export function recordAccess(memoryStats, kind) {
   memoryStats.lastAccessTime = getCurrentTimestamp();
   memoryStats.accessCount++;
+  if (kind === "read") {
+    memoryStats.readCount++;
+  } else {
+    memoryStats.writeCount++;
+  }
+}
 
-  if (action === "add_topic") {
-    memoryStats.totalTopics++;
-  } else if (action === "add_record") {
-    memoryStats.totalRecords++;
-    if (record) {
-      memoryStats.totalMemorySize += calculateRecordSize(record);
+// 记录一批自动清理，evictions 为 [{ topic, recordId, importance, content, reason, evictedAt }]
+export function recordEvictions(memoryStats, evictions) {
+  const log = memoryStats.evictions;
+  for (const eviction of evictions) {
+    log.total++;
+    log.byReason[eviction.reason] = (log.byReason[eviction.reason] || 0) + 1;
+  }
+  log.recent = [...evictions].reverse().concat(log.recent).slice(0, MAX_RECENT_EVICTIONS);
+}
+
+// 恢复上次保存的访问信息和清理记录
+export function loadStats(memoryStats, saved = {}) {
+  const { lastAccessTime = null, accessCount = 0, readCount = 0, writeCount = accessCount - readCount, evictions } = saved;
+  memoryStats.lastAccessTime = lastAccessTime;
+  memoryStats.accessCount = accessCount;
+  memoryStats.readCount = readCount;
+  memoryStats.writeCount = writeCount;
+  memoryStats.evictions = evictions
+    ? { total: evictions.total || 0, byReason: { ...evictions.byReason }, recent: [...(evictions.recent || [])] }
+    : { total: 0, byReason: {}, recent: [] };
+}
+
+// ---------- 统计报告 ----------
+
+function latest(a, b) {
+  if (!a) {
+    return b || null;
+  }
+  return b && Date.parse(b) > Date.parse(a) ? b : a;
+}
+
+/**
+ * 各主题的记录数、大小和读取情况，按大小从大到小排序。
+ * accessStore 为记录ID -> { count, lastAccessedAt }，见 store.js
+ */
+export function topicBreakdown(memoryStore, accessStore) {
+  const breakdown = [];
+  let totalSize = 0;
+  for (const [topicName, topicData] of memoryStore.entries()) {
+    let memorySize = 0;
+    let readCount = 0;
+    let lastReadAt = null;
+    for (const record of topicData.records) {
+      memorySize += calculateRecordSize(record);
+      const access = accessStore.get(record.id);
+      if (access) {
+        readCount += access.count;
+        lastReadAt = latest(lastReadAt, access.lastAccessedAt);
+      }
+    }
+    totalSize += memorySize;
+    breakdown.push({
+      name: topicName,
+      recordCount: topicData.records.length,
+      memorySize,
+      averageRecordSize: topicData.records.length > 0 ? Math.round(memorySize / topicData.records.length) : 0,
+      share: 0,
+      readCount,
+      lastUpdatedAt: topicData.updatedAt,
+      lastReadAt
+    });
+  }
+  for (const item of breakdown) {
+    item.share = totalSize > 0 ? Math.round((item.memorySize / totalSize) * 1000) / 1000 : 0;
+  }
+  return breakdown.sort((a, b) => b.memorySize - a.memorySize || a.name.localeCompare(b.name));
+}
+
+function periodStart(time, granularity) {
+  const date = new Date(time);
+  date.setUTCHours(0, 0, 0, 0);
+  if (granularity === "week") {
+    // 以周一为一周的开始
+    date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  } else if (granularity === "month") {
+    date.setUTCDate(1);
+  }
+  return date;
+}
+
+function periodKey(date, granularity) {
+  const iso = date.toISOString();
+  return granularity === "month" ? iso.slice(0, 7) : iso.slice(0, 10);
+}
+
+/**
+ * 最近 periods 个时间段（天、周或月，按 UTC 划分）中创建和更新的记录次数，从旧到新排列。
+ * 更新次数来自版本历史中除创建以外的事件，没有版本历史的记录按 updatedAt 计一次。
+ * 返回 [{ period, created, updated }]，period 为时间段的开始日期（按月时为 YYYY-MM）。
+ */
+export function activitySeries(memoryStore, { granularity = "day", periods = 14, now = Date.now() } = {}) {
+  const series = [];
+  const buckets = new Map();
+  const cursor = periodStart(now, granularity);
+  for (let i = 0; i < periods; i++) {
+    const item = { period: periodKey(cursor, granularity), created: 0, updated: 0 };
+    series.unshift(item);
+    buckets.set(item.period, item);
+    if (granularity === "month") {
+      cursor.setUTCMonth(cursor.getUTCMonth() - 1);
+    } else {
+      cursor.setUTCDate(cursor.getUTCDate() - (granularity === "week" ? 7 : 1));
+    }
+  }
+  const count = (time, field) => {
+    const parsed = Date.parse(time);
+    if (!Number.isNaN(parsed)) {
+      const bucket = buckets.get(periodKey(periodStart(parsed, granularity), granularity));
+      if (bucket) {
+        bucket[field]++;
+      }
     }
-  } else if (action === "remove_topic") {
-    memoryStats.totalTopics--;
-  } else if (action === "remove_record") {
-    memoryStats.totalRecords--;
-    if (record) {
-      memoryStats.totalMemorySize -= calculateRecordSize(record);
+  };
+  for (const topicData of memoryStore.values()) {
+    for (const record of topicData.records) {
+      count(record.createdAt, "created");
+      if (record.history?.length > 0) {
+        for (const entry of record.history) {
+          if (entry.action !== "create") {
+            count(entry.changedAt, "updated");
+          }
+        }
+      } else if (record.updatedAt && record.updatedAt !== record.createdAt) {
+        count(record.updatedAt, "updated");
+      }
     }
   }
+  return series;
 }
 
+/**
+ * 读取最多的记录和从未读取的记录。
+ * 返回 { mostRead: [{ topic, record, count, lastAccessedAt }], neverRead: { total, records: [{ topic, record }] } }，
+ * neverRead.records 按创建时间从旧到新，各列出最多 limit 条。
+ */
+export function readRanking(memoryStore, accessStore, limit = 10) {
+  const read = [];
+  const neverRead = [];
+  for (const [topicName, topicData] of memoryStore.entries()) {
+    for (const record of topicData.records) {
+      const access = accessStore.get(record.id);
+      if (access?.count > 0) {
+        read.push({ topic: topicName, record, count: access.count, lastAccessedAt: access.lastAccessedAt });
+      } else {
+        neverRead.push({ topic: topicName, record });
+      }
+    }
+  }
+  read.sort((a, b) => b.count - a.count || Date.parse(b.lastAccessedAt) - Date.parse(a.lastAccessedAt));
+  neverRead.sort((a, b) => Date.parse(a.record.createdAt) - Date.parse(b.record.createdAt));
+  return {
+    mostRead: read.slice(0, limit),
+    neverRead: { total: neverRead.length, records: neverRead.slice(0, limit) }
+  };
+}
+
+// 主题标签的使用频率 [{ tag, topicCount, recordCount }]，按使用的主题数从多到少排序
+export function tagFrequency(memoryStore) {
+  const tags = new Map();
+  for (const topicData of memoryStore.values()) {
+    for (const tag of new Set(topicData.tags)) {
+      const item = tags.get(tag) || { tag, topicCount: 0, recordCount: 0 };
+      item.topicCount++;
+      item.recordCount += topicData.records.length;
+      tags.set(tag, item);
+    }
+  }
+  return [...tags.values()].sort(
+    (a, b) => b.topicCount - a.topicCount || b.recordCount - a.recordCount || a.tag.localeCompare(b.tag)
+  );
+}
 
+/**
+ * 健康检查：找出过大、陈旧和重复记录过多的主题。
+ * breakdown 为 topicBreakdown() 的结果；返回 [{ topic, kind, detail, value }]，kind 为 oversized / stale / duplicates。
+ */
+export function healthReport(memoryStore, breakdown, { staleDays = HEALTH_THRESHOLDS.staleDays, now = Date.now() } = {}) {
+  const issues = [];
+  for (const item of breakdown) {
+    const topicData = memoryStore.get(item.name);
+    if (item.recordCount > HEALTH_THRESHOLDS.maxRecords || item.memorySize > HEALTH_THRESHOLDS.maxMemorySize) {
+      issues.push({
+        topic: item.name,
+        kind: "oversized",
+        value: item.recordCount,
+        detail: `${item.recordCount} 条记录，${item.memorySize} 字符（上限 ${HEALTH_THRESHOLDS.maxRecords} 条 / ${HEALTH_THRESHOLDS.maxMemorySize} 字符）`
+      });
+    }
+    const lastActivity = latest(item.lastUpdatedAt, item.lastReadAt);
+    const idleDays = lastActivity ? Math.floor((now - Date.parse(lastActivity)) / DAY_MS) : 0;
+    if (idleDays > staleDays) {
+      issues.push({
+        topic: item.name,
+        kind: "stale",
+        value: idleDays,
+        detail: `${idleDays} 天没有更新或读取（最后活动 ${lastActivity}）`
+      });
+    }
+    if (item.recordCount >= 2) {
+      const clusters = findDuplicateClusters(topicData.records.map((record) => ({ topic: item.name, record })));
+      const duplicateCount = clusters.reduce((sum, cluster) => sum + cluster.entries.length - 1, 0);
+      const ratio = duplicateCount / item.recordCount;
+      if (duplicateCount >= 2 && ratio >= HEALTH_THRESHOLDS.duplicateRatio) {
+        issues.push({
+          topic: item.name,
+          kind: "duplicates",
+          value: Math.round(ratio * 1000) / 1000,
+          detail: `${clusters.length} 组重复记录，可清理 ${duplicateCount} 条（占 ${Math.round(ratio * 100)}%）`
+        });
+      }
+    }
+  }
+  return issues;
+}
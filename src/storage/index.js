@@ -0,0 +1,47 @@
+import { createJsonlStorage } from "./jsonlStorage.js";
+import { createSqliteStorage } from "./sqliteStorage.js";
+
+// 存储后端统一接口：
+// load() -> { topics, meta, entries }、putTopic(topicData)、deleteTopic(name)、
+// putRecord(topicName, record)、deleteRecord(topicName, recordId)、putMeta(key, value)、
+// putEntry(collection, id, value)、deleteEntry(collection, id)、
+// transaction(fn)：fn 中的写入要么全部生效要么全部不生效、
+// needsCompaction()、compact(topics, meta, entries)、close()
+// entries 为 { 集合名: [value] }，保存回收站等附属数据，value 需带有 id 字段
+// config.cipher 为 encryption.js 的编解码器，文件后端用它读写主题、记录、元信息和附属数据
+// 可选：search(tokens) -> [{ topic, recordId }]，由后端全文索引召回包含任一分词的记录，返回 null 表示无法使用索引
+
+// 纯内存后端：不落盘，进程退出后数据丢失
+function createMemoryStorage() {
+  return {
+    type: "memory",
+    path: null,
+    load: () => ({ topics: [], meta: {}, entries: {} }),
+    putTopic() {},
+    deleteTopic() {},
+    putRecord() {},
+    deleteRecord() {},
+    putMeta() {},
+    putEntry() {},
+    deleteEntry() {},
+    transaction(fn) {
+      fn();
+    },
+    needsCompaction: () => false,
+    compact() {},
+    close() {}
+  };
+}
+
+export async function createStorage(config) {
+  switch (config.storage) {
+    case "json":
+      return createJsonlStorage(config);
+    case "sqlite":
+      return createSqliteStorage(config);
+    case "memory":
+      return createMemoryStorage();
+    default:
+      throw new Error(`不支持的存储类型: ${config.storage}`);
+  }
+}
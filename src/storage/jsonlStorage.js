@@ -0,0 +1,250 @@
+import fs from "node:fs";
+import path from "node:path";
+import { createCipher, isSealed } from "../encryption.js";
+
+// JSONL 文件存储：每次变更追加一行操作日志，启动时重放日志恢复数据。
+// 日志中的冗余行超过阈值后，将当前快照写入临时文件再原子重命名，完成压缩。
+// 事务中的多个操作合并为一行 { op: "batch", ops }，写了一半的行在启动时会被丢弃，因此事务要么整体生效要么不生效。
+// 配置了加密密钥时每一行整体加密（见 encryption.js），启动时发现明文行会立即压缩，把整个文件重写为密文。
+
+export function createJsonlStorage({ storagePath, compactThreshold = 1000, cipher = createCipher() }) {
+  const filePath = path.resolve(storagePath);
+  let fd = null;
+  let pendingOps = 0;
+  // 事务进行中时缓存的操作
+  let batchOps = null;
+
+  function openLog() {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fd = fs.openSync(filePath, "a");
+  }
+
+  function append(entry) {
+    if (batchOps) {
+      batchOps.push(entry);
+      return;
+    }
+    fs.writeSync(fd, cipher.encode(entry) + "\n");
+    fs.fsyncSync(fd);
+    pendingOps++;
+  }
+
+  // 重放日志，返回 { topics, meta, entries, lineCount, plainCount }；末尾因崩溃写坏的行会被忽略
+  function replay(text) {
+    const topics = new Map();
+    const meta = {};
+    const entries = new Map();
+    const lines = text.split("\n");
+    let lineCount = 0;
+    let plainCount = 0;
+    let unreadableSealed = 0;
+    const skippedLines = [];
+
+    function applyEntry(entry) {
+      switch (entry.op) {
+        case "topic": {
+          const existing = topics.get(entry.topic.name);
+          topics.set(entry.topic.name, { ...entry.topic, records: existing ? existing.records : [] });
+          break;
+        }
+        case "delete_topic":
+          topics.delete(entry.name);
+          break;
+        case "record": {
+          const topicData = topics.get(entry.topic);
+          if (!topicData) {
+            break;
+          }
+          const index = topicData.records.findIndex((record) => record.id === entry.record.id);
+          if (index === -1) {
+            topicData.records.push(entry.record);
+          } else {
+            topicData.records[index] = entry.record;
+          }
+          break;
+        }
+        case "delete_record": {
+          const topicData = topics.get(entry.topic);
+          if (topicData) {
+            topicData.records = topicData.records.filter((record) => record.id !== entry.id);
+          }
+          break;
+        }
+        case "meta":
+          meta[entry.key] = entry.value;
+          break;
+        case "entry":
+          if (!entries.has(entry.collection)) {
+            entries.set(entry.collection, new Map());
+          }
+          entries.get(entry.collection).set(entry.id, entry.value);
+          break;
+        case "delete_entry":
+          entries.get(entry.collection)?.delete(entry.id);
+          break;
+        case "batch":
+          entry.ops.forEach(applyEntry);
+          break;
+      }
+    }
+
+    lines.forEach((line, index) => {
+      if (!line.trim()) {
+        return;
+      }
+      const sealed = isSealed(line);
+      let entry;
+      try {
+        entry = cipher.decode(line);
+      } catch (error) {
+        // 没有密钥时无法读取任何密文行，直接报错而不是当作损坏的行跳过
+        if (sealed && !cipher.enabled) {
+          throw error;
+        }
+        if (sealed) {
+          unreadableSealed++;
+        }
+        if (index < lines.length - 1) {
+          skippedLines.push(index + 1);
+        }
+        return;
+      }
+      lineCount++;
+      if (!sealed) {
+        plainCount++;
+      }
+      applyEntry(entry);
+    });
+    // 没有一行密文能解开时是密钥不对，而不是个别行损坏
+    if (unreadableSealed > 0 && lineCount === plainCount) {
+      throw new Error(`解密失败：密钥不正确或数据已损坏: ${filePath}`);
+    }
+    for (const lineNumber of skippedLines) {
+      console.error(`[mcp-context-memory] 跳过损坏的日志行 ${lineNumber}: ${filePath}`);
+    }
+    const entryLists = {};
+    for (const [collection, values] of entries) {
+      entryLists[collection] = [...values.values()];
+    }
+    return { topics, meta, entries: entryLists, lineCount, plainCount };
+  }
+
+  function snapshotEntries(topics, meta, entries = {}) {
+    const lines = [];
+    for (const topicData of topics) {
+      const { records, ...topicMeta } = topicData;
+      lines.push({ op: "topic", topic: topicMeta });
+      for (const record of records) {
+        lines.push({ op: "record", topic: topicData.name, record });
+      }
+    }
+    for (const [key, value] of Object.entries(meta)) {
+      lines.push({ op: "meta", key, value });
+    }
+    for (const [collection, values] of Object.entries(entries)) {
+      for (const value of values) {
+        lines.push({ op: "entry", collection, id: value.id, value });
+      }
+    }
+    return lines;
+  }
+
+  return {
+    type: "json",
+    path: filePath,
+
+    load() {
+      let text = fs.existsSync(filePath) ? fs.readFileSync(filePath, "utf8") : "";
+      if (text && !text.endsWith("\n")) {
+        // 截掉崩溃时写了一半的末行，避免后续追加与其粘连
+        text = text.slice(0, text.lastIndexOf("\n") + 1);
+        fs.truncateSync(filePath, Buffer.byteLength(text));
+      }
+      const { topics, meta, entries, lineCount, plainCount } = replay(text);
+      const result = { topics: [...topics.values()], meta, entries };
+      openLog();
+      const liveEntries = snapshotEntries(result.topics, meta, entries).length;
+      if (cipher.enabled && plainCount > 0) {
+        this.compact(result.topics, meta, entries);
+        console.error(`[mcp-context-memory] 已将存储文件中的 ${plainCount} 行明文数据重写为密文: ${filePath}`);
+      } else if (lineCount - liveEntries >= compactThreshold) {
+        this.compact(result.topics, meta, entries);
+      }
+      return result;
+    },
+
+    putTopic(topicData) {
+      const { records, ...topicMeta } = topicData;
+      append({ op: "topic", topic: topicMeta });
+    },
+
+    deleteTopic(topicName) {
+      append({ op: "delete_topic", name: topicName });
+    },
+
+    putRecord(topicName, record) {
+      append({ op: "record", topic: topicName, record });
+    },
+
+    deleteRecord(topicName, recordId) {
+      append({ op: "delete_record", topic: topicName, id: recordId });
+    },
+
+    putMeta(key, value) {
+      append({ op: "meta", key, value });
+    },
+
+    putEntry(collection, id, value) {
+      append({ op: "entry", collection, id, value });
+    },
+
+    deleteEntry(collection, id) {
+      append({ op: "delete_entry", collection, id });
+    },
+
+    transaction(fn) {
+      batchOps = [];
+      let ops;
+      try {
+        fn();
+      } finally {
+        ops = batchOps;
+        batchOps = null;
+      }
+      if (ops.length > 0) {
+        append({ op: "batch", ops });
+        pendingOps += ops.length - 1;
+      }
+    },
+
+    needsCompaction() {
+      return pendingOps >= compactThreshold;
+    },
+
+    // 写入临时文件并 fsync 后重命名覆盖，任何时刻磁盘上都是完整的日志
+    compact(topics, meta, entries) {
+      const lines = snapshotEntries(topics, meta, entries).map((entry) => cipher.encode(entry));
+      const tmpPath = `${filePath}.${process.pid}.tmp`;
+      const tmpFd = fs.openSync(tmpPath, "w");
+      try {
+        fs.writeSync(tmpFd, lines.length > 0 ? lines.join("\n") + "\n" : "");
+        fs.fsyncSync(tmpFd);
+      } finally {
+        fs.closeSync(tmpFd);
+      }
+      if (fd !== null) {
+        fs.closeSync(fd);
+      }
+      fs.renameSync(tmpPath, filePath);
+      fd = fs.openSync(filePath, "a");
+      pendingOps = 0;
+    },
+
+    close() {
+      if (fd !== null) {
+        fs.closeSync(fd);
+        fd = null;
+      }
+    }
+  };
+}
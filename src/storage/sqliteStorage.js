@@ -0,0 +1,266 @@
+import fs from "node:fs";
+import path from "node:path";
+import { tokenize } from "../search.js";
+import { createCipher, isSealed } from "../encryption.js";
+
+// SQLite 存储：主题与记录分表保存，content/context/metadata 建立 FTS5 全文索引。
+// 索引中写入的是搜索引擎分词后的结果（中文二元组、英文单词），保证索引召回与内存打分使用同一套分词。
+// 配置了加密密钥时各表的 data/value 列保存密文（见 encryption.js），主题名称、记录ID等键仍为明文；
+// 分词后的索引同样会泄露内容，因此加密时不建立全文索引，搜索改为遍历内存中的记录。
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS topics (
+    name TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS records (
+    id TEXT PRIMARY KEY,
+    topic TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS records_topic ON records(topic);
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS entries (
+    collection TEXT NOT NULL,
+    id TEXT NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (collection, id)
+  );
+  CREATE VIRTUAL TABLE IF NOT EXISTS records_fts USING fts5(
+    record_id UNINDEXED,
+    topic UNINDEXED,
+    content,
+    context,
+    metadata,
+    tokenize = "unicode61 remove_diacritics 0 tokenchars '_'"
+  );
+`;
+
+// 索引格式版本：分词方式变化时据此重建全文索引
+const FTS_VERSION = 2;
+
+function indexText(text) {
+  return tokenize(text).join(" ");
+}
+
+function metadataText(metadata = {}) {
+  return Object.values(metadata).map((value) => String(value)).join("\n");
+}
+
+// 将分词包装为 FTS5 字符串字面量，避免被解析为查询语法
+function toFtsPhrase(token) {
+  return `"${token.replace(/"/g, '""')}"`;
+}
+
+export async function createSqliteStorage({ storagePath, cipher = createCipher() }) {
+  let Database;
+  try {
+    ({ default: Database } = await import("better-sqlite3"));
+  } catch {
+    throw new Error("sqlite 存储需要安装可选依赖 better-sqlite3：npm install better-sqlite3");
+  }
+
+  const filePath = path.resolve(storagePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const db = new Database(filePath);
+  db.pragma("journal_mode = WAL");
+  db.pragma("synchronous = FULL");
+  db.exec("CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT NOT NULL)");
+  const storedVersion = db
+    .prepare("SELECT value FROM meta WHERE key = 'fts_version'")
+    .pluck()
+    .get();
+  if (storedVersion !== undefined && JSON.parse(storedVersion) !== FTS_VERSION) {
+    db.exec("DROP TABLE IF EXISTS records_fts");
+  }
+  db.exec(SCHEMA);
+
+  const statements = {
+    upsertTopic: db.prepare(
+      "INSERT INTO topics (name, data) VALUES (?, ?) ON CONFLICT(name) DO UPDATE SET data = excluded.data"
+    ),
+    deleteTopic: db.prepare("DELETE FROM topics WHERE name = ?"),
+    deleteTopicRecords: db.prepare("DELETE FROM records WHERE topic = ?"),
+    deleteTopicFts: db.prepare("DELETE FROM records_fts WHERE topic = ?"),
+    upsertRecord: db.prepare(
+      "INSERT INTO records (id, topic, data) VALUES (?, ?, ?) ON CONFLICT(id) DO UPDATE SET topic = excluded.topic, data = excluded.data"
+    ),
+    deleteRecord: db.prepare("DELETE FROM records WHERE id = ?"),
+    deleteRecordFts: db.prepare("DELETE FROM records_fts WHERE record_id = ?"),
+    insertFts: db.prepare(
+      "INSERT INTO records_fts (record_id, topic, content, context, metadata) VALUES (?, ?, ?, ?, ?)"
+    ),
+    upsertMeta: db.prepare(
+      "INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value"
+    ),
+    upsertEntry: db.prepare(
+      "INSERT INTO entries (collection, id, data) VALUES (?, ?, ?) ON CONFLICT(collection, id) DO UPDATE SET data = excluded.data"
+    ),
+    deleteEntry: db.prepare("DELETE FROM entries WHERE collection = ? AND id = ?"),
+    search: db.prepare("SELECT record_id, topic FROM records_fts WHERE records_fts MATCH ?")
+  };
+
+  const putRecord = db.transaction((topicName, record) => {
+    statements.upsertRecord.run(record.id, topicName, cipher.encode(record));
+    statements.deleteRecordFts.run(record.id);
+    if (cipher.enabled) {
+      return;
+    }
+    statements.insertFts.run(
+      record.id,
+      topicName,
+      indexText(record.content),
+      indexText(record.context),
+      indexText(metadataText(record.metadata))
+    );
+  });
+
+  // 首次创建或分词方式升级后，根据 records 表重建全文索引
+  const rebuildIndex = db.transaction(() => {
+    db.exec("DELETE FROM records_fts");
+    for (const row of db.prepare("SELECT topic, data FROM records").all()) {
+      const record = cipher.decode(row.data);
+      statements.insertFts.run(
+        record.id,
+        row.topic,
+        indexText(record.content),
+        indexText(record.context),
+        indexText(metadataText(record.metadata))
+      );
+    }
+    statements.upsertMeta.run("fts_version", JSON.stringify(FTS_VERSION));
+  });
+  // 将明文行重写为密文，并清空全文索引；VACUUM 清除空闲页中残留的明文
+  const sealRows = db.transaction(() => {
+    let count = 0;
+    for (const table of ["topics", "records", "entries"]) {
+      const update = db.prepare(`UPDATE ${table} SET data = ? WHERE rowid = ?`);
+      for (const row of db.prepare(`SELECT rowid, data FROM ${table}`).all()) {
+        if (!isSealed(row.data)) {
+          update.run(cipher.encode(JSON.parse(row.data)), row.rowid);
+          count++;
+        }
+      }
+    }
+    const updateMeta = db.prepare("UPDATE meta SET value = ? WHERE key = ?");
+    for (const row of db.prepare("SELECT key, value FROM meta WHERE key != 'fts_version'").all()) {
+      if (!isSealed(row.value)) {
+        updateMeta.run(cipher.encode(JSON.parse(row.value)), row.key);
+        count++;
+      }
+    }
+    db.exec("DELETE FROM records_fts");
+    statements.upsertMeta.run("fts_version", JSON.stringify(FTS_VERSION));
+    return count;
+  });
+
+  if (cipher.enabled) {
+    const sealed = sealRows();
+    if (sealed > 0) {
+      db.pragma("wal_checkpoint(TRUNCATE)");
+      db.exec("VACUUM");
+      console.error(`[mcp-context-memory] 已将存储文件中的 ${sealed} 行明文数据重写为密文: ${filePath}`);
+    }
+  } else if (storedVersion === undefined || JSON.parse(storedVersion) !== FTS_VERSION) {
+    rebuildIndex();
+  }
+
+  const deleteTopic = db.transaction((topicName) => {
+    statements.deleteTopic.run(topicName);
+    statements.deleteTopicRecords.run(topicName);
+    statements.deleteTopicFts.run(topicName);
+  });
+
+  const deleteRecord = db.transaction((recordId) => {
+    statements.deleteRecord.run(recordId);
+    statements.deleteRecordFts.run(recordId);
+  });
+
+  return {
+    type: "sqlite",
+    path: filePath,
+
+    load() {
+      const topics = new Map();
+      for (const row of db.prepare("SELECT name, data FROM topics").all()) {
+        topics.set(row.name, { ...cipher.decode(row.data), records: [] });
+      }
+      for (const row of db.prepare("SELECT topic, data FROM records ORDER BY rowid").all()) {
+        const topicData = topics.get(row.topic);
+        if (topicData) {
+          topicData.records.push(cipher.decode(row.data));
+        }
+      }
+      const meta = {};
+      for (const row of db.prepare("SELECT key, value FROM meta").all()) {
+        meta[row.key] = cipher.decode(row.value);
+      }
+      const entries = {};
+      for (const row of db.prepare("SELECT collection, data FROM entries ORDER BY rowid").all()) {
+        if (!entries[row.collection]) {
+          entries[row.collection] = [];
+        }
+        entries[row.collection].push(cipher.decode(row.data));
+      }
+      return { topics: [...topics.values()], meta, entries };
+    },
+
+    putTopic(topicData) {
+      const { records, ...topicMeta } = topicData;
+      statements.upsertTopic.run(topicData.name, cipher.encode(topicMeta));
+    },
+
+    deleteTopic(topicName) {
+      deleteTopic(topicName);
+    },
+
+    putRecord(topicName, record) {
+      putRecord(topicName, record);
+    },
+
+    deleteRecord(topicName, recordId) {
+      deleteRecord(recordId);
+    },
+
+    putMeta(key, value) {
+      statements.upsertMeta.run(key, cipher.encode(value));
+    },
+
+    putEntry(collection, id, value) {
+      statements.upsertEntry.run(collection, id, cipher.encode(value));
+    },
+
+    deleteEntry(collection, id) {
+      statements.deleteEntry.run(collection, id);
+    },
+
+    transaction(fn) {
+      db.transaction(fn)();
+    },
+
+    // 全文检索：返回包含任一分词的 { topic, recordId }
+    search(tokens) {
+      if (tokens.length === 0 || cipher.enabled) {
+        return null;
+      }
+      return statements.search
+        .all(tokens.map(toFtsPhrase).join(" OR "))
+        .map((row) => ({ topic: row.topic, recordId: row.record_id }));
+    },
+
+    needsCompaction: () => false,
+
+    compact() {
+      db.pragma("wal_checkpoint(TRUNCATE)");
+    },
+
+    close() {
+      if (db.open) {
+        db.close();
+      }
+    }
+  };
+}
@@ -1,5 +1,552 @@
-// 内存存储结构：主题 -> 记录数组
+import fs from "node:fs";
+import path from "node:path";
+import { createStorage } from "./storage/index.js";
+import { createCipher, loadEncryptionKey } from "./encryption.js";
+import { getCurrentTimestamp } from "./utils.js";
+import { createStats, loadStats, invalidateTotals, recordAccess } from "./stats.js";
+import {
+  DEFAULT_EVENT_LOG_LIMIT,
+  currentEventContext,
+  snapshotTopic,
+  snapshotRecord,
+  changedFields,
+  createEvent
+} from "./events.js";
 
-export const memoryStore = new Map();
+// 命名空间（space）：每个命名空间拥有独立的主题、回收站、统计信息和存储后端。
+// 内存中的 memoryStore 是工作集，每次变更同步写入该命名空间的存储后端，并在事件日志中追加变更事件（见 events.js）。
+// 默认命名空间使用配置的存储文件，其他命名空间使用同目录下的 <文件名>.<命名空间><扩展名>，如 memory.project-a.jsonl。
 
+export const DEFAULT_NAMESPACE = "default";
 
+const NAMESPACE_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// 查询次数和各记录的读取次数先在内存中累计，最长间隔该时长写入存储；写入、压缩和关闭时也会一并写入
+const ACCESS_FLUSH_MS = 10 * 1000;
+
+// 命名空间名称 -> 加载中的 Promise；加载完成后同时记录在 openedSpaces 中，便于同步访问
+const spaces = new Map();
+const openedSpaces = new Map();
+// 数据变更监听器，见 onChange()
+const changeListeners = new Set();
+// 变更事件监听器，见 onEvent()
+const eventListeners = new Set();
+let baseConfig = { storage: "memory", storagePath: "" };
+
+export function isValidNamespace(name) {
+  return NAMESPACE_PATTERN.test(name);
+}
+
+function splitStoragePath(storagePath) {
+  const resolved = path.resolve(storagePath);
+  const ext = path.extname(resolved);
+  return { dir: path.dirname(resolved), base: path.basename(resolved, ext), ext };
+}
+
+function storagePathFor(name) {
+  if (baseConfig.storage === "memory" || name === DEFAULT_NAMESPACE) {
+    return baseConfig.storagePath;
+  }
+  const { dir, base, ext } = splitStoragePath(baseConfig.storagePath);
+  return path.join(dir, `${base}.${name}${ext}`);
+}
+
+// 扫描存储目录中已有的命名空间文件
+function discoverNamespaces() {
+  if (baseConfig.storage === "memory") {
+    return [];
+  }
+  const { dir, base, ext } = splitStoragePath(baseConfig.storagePath);
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  const names = [];
+  for (const file of fs.readdirSync(dir)) {
+    if (!file.startsWith(`${base}.`) || !file.endsWith(ext)) {
+      continue;
+    }
+    const name = file.slice(base.length + 1, file.length - ext.length);
+    if (isValidNamespace(name) && name !== DEFAULT_NAMESPACE) {
+      names.push(name);
+    }
+  }
+  return names;
+}
+
+async function openSpace(name) {
+  const storage = await createStorage({ ...baseConfig, storagePath: storagePathFor(name) });
+  const { topics, meta, entries = {} } = await storage.load();
+  // 主题 -> 记录数组
+  const memoryStore = new Map();
+  for (const topicData of topics) {
+    memoryStore.set(topicData.name, topicData);
+  }
+  // 回收站：回收站条目ID -> 条目，见 trash.js
+  const trashStore = new Map();
+  for (const entry of entries.trash || []) {
+    trashStore.set(entry.id, entry);
+  }
+  const memoryStats = createStats(memoryStore);
+  loadStats(memoryStats, meta.stats);
+  // 记录读取情况：记录ID -> { id, count, lastAccessedAt }，记录彻底删除后的条目在下次加载时清除
+  const accessStore = new Map();
+  const knownIds = new Set();
+  for (const topicData of memoryStore.values()) {
+    topicData.records.forEach((record) => knownIds.add(record.id));
+  }
+  for (const entry of trashStore.values()) {
+    (entry.type === "record" ? [entry.data] : entry.data.records).forEach((record) => knownIds.add(record.id));
+  }
+  for (const entry of entries.access || []) {
+    if (knownIds.has(entry.id)) {
+      accessStore.set(entry.id, entry);
+    } else {
+      storage.deleteEntry("access", entry.id);
+    }
+  }
+  // 事件日志，按 seq 从旧到新
+  const eventLimit = baseConfig.eventLogLimit ?? DEFAULT_EVENT_LOG_LIMIT;
+  const eventLog = [...(entries.events || [])].sort((a, b) => a.seq - b.seq);
+  let nextSeq = eventLog.length > 0 ? eventLog[eventLog.length - 1].seq + 1 : 1;
+  trimEventLog();
+  // 最近一次写入存储时的主题（按主题ID）和记录（按记录ID）快照，作为下一次事件的 before
+  const topicSnapshots = new Map();
+  const recordSnapshots = new Map();
+  for (const topicData of memoryStore.values()) {
+    topicSnapshots.set(topicData.id, snapshotTopic(topicData));
+    for (const record of topicData.records) {
+      recordSnapshots.set(record.id, snapshotRecord(topicData.name, record));
+    }
+  }
+
+  function persistedMeta() {
+    return {
+      stats: {
+        lastAccessTime: memoryStats.lastAccessTime,
+        accessCount: memoryStats.accessCount,
+        readCount: memoryStats.readCount,
+        writeCount: memoryStats.writeCount,
+        evictions: memoryStats.evictions
+      }
+    };
+  }
+
+  // 尚未写入存储的读取统计：accessChanged 为读取次数有变化的记录ID，statsChanged 表示访问计数有变化
+  const accessChanged = new Set();
+  let statsChanged = false;
+  let flushTimer = null;
+
+  function scheduleFlush() {
+    if (!flushTimer) {
+      flushTimer = setTimeout(flushAccess, ACCESS_FLUSH_MS);
+      flushTimer.unref();
+    }
+  }
+
+  // 把累计的读取统计合并为一次写入，需要时压缩
+  function flushAccess() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    if (statsChanged || accessChanged.size > 0) {
+      storage.transaction(() => {
+        for (const recordId of accessChanged) {
+          if (accessStore.has(recordId)) {
+            storage.putEntry("access", recordId, accessStore.get(recordId));
+          }
+        }
+        storage.putMeta("stats", persistedMeta().stats);
+      });
+      accessChanged.clear();
+      statsChanged = false;
+    }
+    // 事务进行中时内存数据含有未提交的修改，等提交后再压缩
+    if (!transaction && storage.needsCompaction()) {
+      storage.compact(memoryStore.values(), persistedMeta(), {
+        trash: [...trashStore.values()],
+        access: [...accessStore.values()],
+        events: eventLog
+      });
+    }
+  }
+
+  function afterWrite() {
+    statsChanged = true;
+    flushAccess();
+  }
+
+  function trimEventLog() {
+    while (eventLog.length > eventLimit) {
+      storage.deleteEntry("events", eventLog.shift().id);
+    }
+  }
+
+  /**
+   * 根据已写入存储的变更生成事件，追加到事件日志并写入存储，返回新事件。
+   * 与快照相比没有变化的写入不产生事件；记录从一个主题删除、同时出现在另一个主题中时视为移动，只记一次 update。
+   */
+  function appendEvents(changes) {
+    const events = [];
+    // 记录ID -> 当前所在主题，删除记录时用来区分移动，首次使用时建立
+    let locations = null;
+    const locate = (recordId) => {
+      if (!locations) {
+        locations = new Map();
+        for (const [topicName, topicData] of memoryStore.entries()) {
+          topicData.records.forEach((record) => locations.set(record.id, topicName));
+        }
+      }
+      return locations.get(recordId);
+    };
+    const push = (fields, context) => events.push(createEvent({ namespace: name, seq: nextSeq++, context, ...fields }));
+    for (const change of changes) {
+      const { topic, recordId, context } = change;
+      if (change.record) {
+        const after = change.snapshot;
+        const before = recordSnapshots.get(recordId);
+        // 更新时间和版本号随其他字段一起变化，不单独列出；只刷新了更新时间的写入（如合并重复内容）仍记为 update
+        const fields = before ? changedFields(before, after, ["updatedAt", "version"]) : [];
+        recordSnapshots.set(recordId, after);
+        if (!before || fields.length > 0 || before.updatedAt !== after.updatedAt) {
+          push({ type: before ? "update" : "create", entity: "record", topic, recordId, changes: fields, before, after }, context);
+        }
+      } else if (recordId) {
+        const before = recordSnapshots.get(recordId);
+        if (before?.topic === topic && !locate(recordId)) {
+          recordSnapshots.delete(recordId);
+          push({ type: "delete", entity: "record", topic, recordId, before }, context);
+        }
+      } else if (change.topicData) {
+        const after = change.snapshot;
+        const before = topicSnapshots.get(after.id);
+        const fields = before ? changedFields(before, after, ["updatedAt"]) : [];
+        topicSnapshots.set(after.id, after);
+        if (!before || fields.length > 0) {
+          push({ type: before ? "update" : "create", entity: "topic", topic, changes: fields, before, after }, context);
+        }
+      } else {
+        const before = [...topicSnapshots.values()].find((snapshot) => snapshot.name === topic);
+        // 重命名后同一ID的主题仍然存在
+        if (!before || [...memoryStore.values()].some((topicData) => topicData.id === before.id)) {
+          continue;
+        }
+        topicSnapshots.delete(before.id);
+        push({ type: "delete", entity: "topic", topic, before }, context);
+        // 主题中的记录随主题一起删除
+        for (const [id, snapshot] of recordSnapshots) {
+          if (snapshot.topic === topic && !locate(id)) {
+            recordSnapshots.delete(id);
+            push({ type: "delete", entity: "record", topic, recordId: id, before: snapshot }, context);
+          }
+        }
+      }
+    }
+    for (const event of events) {
+      eventLog.push(event);
+      storage.putEntry("events", event.id, event);
+    }
+    trimEventLog();
+    return events;
+  }
+
+  function emitEvents(events) {
+    for (const event of events) {
+      for (const listener of eventListeners) {
+        try {
+          listener(event);
+        } catch (error) {
+          console.error(`[mcp-context-memory] 事件通知失败(${name}): ${error.message}`);
+        }
+      }
+    }
+  }
+
+  // 进行中的事务：{ writes, changes, snapshot }，writes 为推迟到提交时执行的存储写入
+  let transaction = null;
+  // 串行执行写操作的队列，见 exclusive()
+  let queue = Promise.resolve();
+  // 尚未通知监听器的变更，同一轮事件循环中的多次写入合并为一次通知
+  let pendingChange = null;
+
+  function notifyChanges(changes) {
+    if (changes.length === 0 || changeListeners.size === 0) {
+      return;
+    }
+    if (!pendingChange) {
+      pendingChange = { topics: new Set(), records: new Set() };
+      queueMicrotask(() => {
+        const change = { namespace: name, topics: [...pendingChange.topics], records: [...pendingChange.records] };
+        pendingChange = null;
+        for (const listener of changeListeners) {
+          try {
+            listener(change);
+          } catch (error) {
+            console.error(`[mcp-context-memory] 变更通知失败(${name}): ${error.message}`);
+          }
+        }
+      });
+    }
+    for (const { topic, recordId } of changes) {
+      pendingChange.topics.add(topic);
+      if (recordId) {
+        pendingChange.records.add(recordId);
+      }
+    }
+  }
+
+  // change 为 { topic, recordId, topicData, record }，删除时没有 topicData / record；回收站等不对外暴露的数据为 null
+  // 事件的快照和上下文在写入时记录，事务中的多次修改在提交时仍能分别对应到各自的操作
+  function write(operation, change = null) {
+    invalidateTotals(memoryStats);
+    if (change) {
+      change.context = currentEventContext();
+      if (change.record) {
+        change.snapshot = snapshotRecord(change.topic, change.record);
+      } else if (change.topicData) {
+        change.snapshot = snapshotTopic(change.topicData);
+      }
+    }
+    if (transaction) {
+      transaction.writes.push(operation);
+      if (change) {
+        transaction.changes.push(change);
+      }
+      return;
+    }
+    operation();
+    const events = appendEvents(change ? [change] : []);
+    afterWrite();
+    notifyChanges(change ? [change] : []);
+    emitEvents(events);
+  }
+
+  return {
+    name,
+    memoryStore,
+    trashStore,
+    memoryStats,
+    accessStore,
+    eventLog,
+    storageInfo: {
+      type: storage.type,
+      path: storage.path,
+      encrypted: storage.type !== "memory" && baseConfig.cipher.enabled
+    },
+
+    saveTopic(topicData) {
+      write(() => storage.putTopic(topicData), { topic: topicData.name, topicData });
+    },
+
+    saveRecord(topicName, record) {
+      write(() => storage.putRecord(topicName, record), { topic: topicName, recordId: record.id, record });
+    },
+
+    removeTopic(topicName) {
+      write(() => storage.deleteTopic(topicName), { topic: topicName });
+    },
+
+    removeRecord(topicName, recordId) {
+      write(() => storage.deleteRecord(topicName, recordId), { topic: topicName, recordId });
+    },
+
+    saveTrashEntry(entry) {
+      write(() => storage.putEntry("trash", entry.id, entry));
+    },
+
+    removeTrashEntry(entryId) {
+      write(() => storage.deleteEntry("trash", entryId));
+    },
+
+    /**
+     * 开始事务：之后的存储写入先缓存，commit() 时一次性写入，rollback() 时丢弃并把内存数据恢复到开始时的状态。
+     * 事务期间不能有其他请求修改该命名空间，调用方需在 exclusive() 中使用。
+     */
+    begin() {
+      if (transaction) {
+        throw new Error(`命名空间 "${name}" 已有进行中的事务`);
+      }
+      transaction = {
+        writes: [],
+        changes: [],
+        snapshot: structuredClone({
+          topics: [...memoryStore.values()],
+          trash: [...trashStore.values()],
+          evictions: memoryStats.evictions
+        })
+      };
+    },
+
+    inTransaction() {
+      return transaction !== null;
+    },
+
+    commit() {
+      const { writes, changes } = transaction;
+      transaction = null;
+      if (writes.length > 0) {
+        let events = [];
+        storage.transaction(() => {
+          writes.forEach((operation) => operation());
+          events = appendEvents(changes);
+        });
+        afterWrite();
+        notifyChanges(changes);
+        emitEvents(events);
+      }
+    },
+
+    rollback() {
+      const { snapshot } = transaction;
+      transaction = null;
+      memoryStore.clear();
+      for (const topicData of snapshot.topics) {
+        memoryStore.set(topicData.name, topicData);
+      }
+      trashStore.clear();
+      for (const entry of snapshot.trash) {
+        trashStore.set(entry.id, entry);
+      }
+      memoryStats.evictions = snapshot.evictions;
+      invalidateTotals(memoryStats);
+    },
+
+    // 记录一次查询（read）或修改（write），访问信息稍后批量写入存储（见 ACCESS_FLUSH_MS），不受进行中的事务影响
+    recordAccess(kind) {
+      recordAccess(memoryStats, kind);
+      statsChanged = true;
+      scheduleFlush();
+    },
+
+    // 累计记录的读取次数，recordIds 为查询返回给调用方的记录
+    markRead(recordIds) {
+      const now = getCurrentTimestamp();
+      for (const recordId of new Set(recordIds)) {
+        const entry = accessStore.get(recordId) || { id: recordId, count: 0, lastAccessedAt: null };
+        entry.count++;
+        entry.lastAccessedAt = now;
+        accessStore.set(recordId, entry);
+        accessChanged.add(recordId);
+      }
+      scheduleFlush();
+    },
+
+    // 依次执行同一命名空间中的写操作，task 返回的 Promise 结束后才开始下一个
+    exclusive(task) {
+      const run = queue.then(task);
+      queue = run.catch(() => {});
+      return run;
+    },
+
+    // 使用存储后端的全文索引召回候选记录，后端不支持或无法走索引时返回 null
+    searchIndex(tokens) {
+      return typeof storage.search === "function" ? storage.search(tokens) : null;
+    },
+
+    close() {
+      flushAccess();
+      storage.close();
+    }
+  };
+}
+
+// 加载默认命名空间以及存储目录中已有的其他命名空间
+export async function initStore(config) {
+  closeStore();
+  // 所有命名空间的存储文件使用同一个密钥
+  baseConfig = { ...config, cipher: createCipher(loadEncryptionKey(config)) };
+  await getSpace(DEFAULT_NAMESPACE);
+  for (const name of discoverNamespaces()) {
+    await getSpace(name);
+  }
+}
+
+/**
+ * 获取命名空间，首次访问时创建并加载。
+ */
+export function getSpace(name = DEFAULT_NAMESPACE) {
+  if (!isValidNamespace(name)) {
+    return Promise.reject(new Error(`无效的命名空间名称: ${name}（只能包含字母、数字、- 和 _，最长 64 个字符）`));
+  }
+  if (!spaces.has(name)) {
+    const opening = openSpace(name).then(
+      (space) => {
+        openedSpaces.set(name, space);
+        return space;
+      },
+      (error) => {
+        spaces.delete(name);
+        throw error;
+      }
+    );
+    spaces.set(name, opening);
+  }
+  return spaces.get(name);
+}
+
+// 尚未创建的命名空间的只读视图：没有任何数据，查询不会创建存储文件，第一次写入时再通过 getSpace() 创建
+function emptySpace(name) {
+  const memoryStore = new Map();
+  return {
+    name,
+    memoryStore,
+    trashStore: new Map(),
+    memoryStats: createStats(memoryStore),
+    accessStore: new Map(),
+    eventLog: [],
+    storageInfo: {
+      type: baseConfig.storage,
+      path: storagePathFor(name),
+      encrypted: baseConfig.storage !== "memory" && baseConfig.cipher.enabled
+    },
+    recordAccess() {},
+    markRead() {},
+    exclusive(task) {
+      return Promise.resolve().then(task);
+    },
+    searchIndex() {
+      return null;
+    }
+  };
+}
+
+/**
+ * 以只读方式获取命名空间：已加载或存储文件已存在（如由命令行工具创建）时同 getSpace()，
+ * 否则返回空的只读视图，不创建命名空间。查询类操作使用，写操作必须使用 getSpace()。
+ */
+export function viewSpace(name = DEFAULT_NAMESPACE) {
+  const exists = spaces.has(name) || (baseConfig.storage !== "memory" && fs.existsSync(storagePathFor(name)));
+  if (!exists && isValidNamespace(name)) {
+    return Promise.resolve(emptySpace(name));
+  }
+  return getSpace(name);
+}
+
+/**
+ * 监听数据变更（包括事务提交和后台清理），返回取消监听的函数。
+ * listener 收到 { namespace, topics, records }，分别为变更涉及的主题名称和记录ID。
+ */
+export function onChange(listener) {
+  changeListeners.add(listener);
+  return () => changeListeners.delete(listener);
+}
+
+/**
+ * 监听变更事件（见 events.js），每个事件调用一次 listener，返回取消监听的函数。
+ * 事务中的事件在提交后依次通知，回滚的修改不产生事件。
+ */
+export function onEvent(listener) {
+  eventListeners.add(listener);
+  return () => eventListeners.delete(listener);
+}
+
+// 已加载完成的命名空间
+export function listSpaces() {
+  return [...openedSpaces.values()];
+}
+
+export function closeStore() {
+  for (const space of openedSpaces.values()) {
+    space.close();
+  }
+  openedSpaces.clear();
+  spaces.clear();
+}
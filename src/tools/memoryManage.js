@@ -1,7 +1,2042 @@
 import { z } from "zod";
-import { memoryStore } from "../store.js";
-import { updateStats } from "../stats.js";
-import { generateId, getCurrentTimestamp } from "../utils.js";
+import { CreateMessageResultSchema } from "@modelcontextprotocol/sdk/types.js";
+import { getSpace } from "../store.js";
+import { withEventContext } from "../events.js";
+import { generateId, getCurrentTimestamp, calculateRecordSize } from "../utils.js";
+import { embedRecords } from "../embedding.js";
+import {
+  initHistory,
+  commitVersion,
+  appendHistoryEvent,
+  recordSnapshot,
+  snapshotAtVersion,
+  getVersion,
+  getTopicVersion,
+  bumpTopicVersion
+} from "../history.js";
+import { trashTopic, trashRecord, findTrashEntries, listTrash, removeFromTrash, retargetTrash } from "../trash.js";
+import { resolveExpiry, normalizeRetention, describeRetention } from "../retention.js";
+import { relocateRecords } from "../relocate.js";
+import {
+  GROUP_MODES,
+  ORIGINALS_MODES,
+  DEFAULT_GROUP_SIMILARITY,
+  createExtractiveSummarizer,
+  createSamplingSummarizer,
+  getSummarizer,
+  normalizeConsolidation,
+  describeConsolidation,
+  archiveTopicName,
+  prepareConsolidation,
+  isPlanCurrent,
+  applyConsolidation
+} from "../consolidation.js";
+import {
+  METADATA_TYPES,
+  ITEM_TYPES,
+  normalizeMetadataSchema,
+  applyMetadataSchema,
+  mergeMetadata,
+  checkRecords,
+  describeMetadataSchema
+} from "../metadataSchema.js";
+import { resolveAccess, checkQuota } from "../access.js";
+import {
+  getSensitivePolicy,
+  scanFields,
+  maskFields,
+  describeFindings,
+  refreshSensitiveTag,
+  inheritSensitiveTag,
+  redactRecord
+} from "../sensitive.js";
+import { filterSchema, buildFilter, describeFilters } from "../filters.js";
+import {
+  DUPLICATE_POLICIES,
+  DEFAULT_SIMILARITY_THRESHOLD,
+  findSimilarRecords,
+  mergedDuplicateSnapshot,
+  mergeDuplicate
+} from "../duplicates.js";
+import {
+  LINK_TYPES,
+  MAX_LINKS_PER_RECORD,
+  isValidLinkType,
+  linkTypeLabel,
+  indexRecords,
+  addLink,
+  removeLinks,
+  detachLinks,
+  pruneDanglingLinks,
+  outgoingLinks
+} from "../links.js";
+import { parseQuery, matchesQuery, analyzeRecord } from "../search.js";
+import {
+  formatSchema,
+  baseOutputShape,
+  topicSchema,
+  recordSchema,
+  trashEntrySchema,
+  linkSchema,
+  createResponder,
+  toTopicSummary,
+  toPublicRecord,
+  toTrashSummary
+} from "../response.js";
+
+const respond = createResponder("记忆管理");
+
+// 各操作所需的权限，未列出的操作需要读写权限
+const ACTION_PERMISSIONS = {
+  delete_topic: "admin",
+  merge_topics: "admin",
+  bulk_delete: "admin",
+  purge: "admin"
+};
+
+// 可以放进 batch 的操作
+const BATCH_ACTIONS = [
+  "create_topic",
+  "create_record",
+  "update_topic",
+  "update_record",
+  "delete_topic",
+  "delete_record",
+  "rename_topic",
+  "move_record",
+  "copy_record",
+  "merge_topics",
+  "split_topic",
+  "link_records",
+  "unlink_records",
+  "bulk_update",
+  "bulk_delete"
+];
+
+// 整理主题的操作涉及多次写入，不在 batch 中时也放进事务执行
+const REORGANIZE_ACTIONS = ["rename_topic", "move_record", "copy_record", "merge_topics", "split_topic", "consolidate"];
+
+// 支持 expectedVersion 的操作：前者检查 recordId 指定的记录的版本，后者检查 topic 的版本
+const RECORD_VERSION_ACTIONS = ["update_record", "delete_record", "restore_version", "move_record", "link_records", "unlink_records"];
+const TOPIC_VERSION_ACTIONS = ["update_topic", "delete_topic", "rename_topic", "merge_topics", "split_topic", "consolidate"];
+
+// 一次 batch 最多包含的操作数量
+const MAX_BATCH_OPERATIONS = 500;
+
+// 确认清除前最多列出的记录数量
+const PREVIEW_LIMIT = 10;
+
+// 批量筛选条件沿用 memory_query 的筛选参数，分页参数除外
+const matchFilterShape = { ...filterSchema };
+delete matchFilterShape.offset;
+delete matchFilterShape.cursor;
+
+const matchSchema = z
+  .object({
+    ...matchFilterShape,
+    importance: z
+      .enum(["全部", "低", "中", "高"])
+      .default("全部")
+      .describe("重要性筛选：'全部'表示不筛选"),
+    query: z
+      .string()
+      .default("")
+      .describe('关键词：语法与 memory_query 的 search 相同，支持 "精确短语"、OR、-排除词')
+  })
+  .describe("批量筛选条件：bulk_update / bulk_delete 使用，至少指定一个条件");
+
+const setSchema = z
+  .object({
+    importance: z.enum(["低", "中", "高"]).optional(),
+    context: z.string().optional(),
+    metadata: z.record(z.any()).optional().describe("合并到记录的元数据中"),
+    expiresAt: z.string().optional().describe("ISO 时间，'never' 取消过期"),
+    ttl: z.string().optional().describe("如 '7d'，优先于 expiresAt，'never' 取消过期")
+  })
+  .describe("bulk_update 要修改的字段：未传入的字段保持不变");
+
+// 单个操作的参数，memory_manage 与 batch 中的每一步共用
+const operationShape = {
+  topic: z
+    .string()
+    .max(100, "主题名称不能超过100个字符")
+    .default("")
+    .describe("主题名称：用于组织相关记忆的类别，如'项目笔记'、'学习记录'等；bulk_update / bulk_delete / batch 不需要"),
+  description: z.string().default("").describe("主题描述：可选，描述这个主题的用途和内容"),
+  tags: z.array(z.string()).default([]).describe("主题标签：可选，用于分类和搜索，如['技术', '前端', 'React']"),
+  retention: z
+    .object({
+      maxRecords: z.number().int().min(0).optional().describe("最多保留最新的多少条记录"),
+      maxIdleDays: z.number().positive().optional().describe("超过多少天未更新也未被读取的记录会被清理"),
+      importance: z
+        .array(z.enum(["低", "中", "高"]))
+        .optional()
+        .describe("策略适用的重要性级别，默认 ['低', '中']，高重要性需显式列出才会被清理")
+    })
+    .optional()
+    .describe("主题保留策略：可选，创建或更新主题时设置，传入 {} 表示取消策略；超出策略的记录由后台任务移入回收站"),
+  consolidation: z
+    .object({
+      maxSize: z
+        .number()
+        .int()
+        .min(0)
+        .optional()
+        .describe("主题中记录的总大小（字符数）超过该值时由后台任务自动整合，0 表示不自动整合，未设置时沿用全局 --consolidate-threshold"),
+      groupBy: z
+        .enum(GROUP_MODES)
+        .optional()
+        .describe("分组方式：similarity(按内容相似度分组，每组整合为一条，默认)、all(全部整合为一条)"),
+      similarity: z
+        .number()
+        .min(0.1)
+        .max(1)
+        .optional()
+        .describe(`similarity 分组的相似度阈值，默认 ${DEFAULT_GROUP_SIMILARITY}`),
+      originals: z
+        .enum(ORIGINALS_MODES)
+        .optional()
+        .describe("原记录的处理：archive(移到归档主题并被整合记录取代，默认)、trash(移入回收站)"),
+      summarizer: z
+        .enum(["default", "extractive", "sampling"])
+        .optional()
+        .describe("仅 consolidate：摘要提供者，default(服务配置的提供者)、extractive(离线抽取句子)、sampling(请求客户端的模型生成)"),
+      dryRun: z.boolean().optional().describe("仅 consolidate：为 true 时只返回分组和摘要，不写入数据")
+    })
+    .optional()
+    .describe(
+      "主题整合：创建或更新主题时为自动整合策略（maxSize、groupBy、similarity、originals），传入 {} 表示取消策略；consolidate 时为本次整合的选项，未传入的沿用主题策略"
+    ),
+  metadataSchema: z
+    .object({
+      fields: z
+        .record(
+          z.object({
+            type: z
+              .enum(Object.keys(METADATA_TYPES))
+              .describe("字段类型：string(文本)、number(数字)、integer(整数)、boolean(布尔)、date(ISO 日期)、enum(枚举)、array(列表)"),
+            values: z
+              .array(z.union([z.string(), z.number()]))
+              .optional()
+              .describe("可选值：enum 必填；array 设置时限制列表元素的取值"),
+            items: z.enum(ITEM_TYPES).optional().describe("array 元素的类型，默认 string"),
+            required: z.boolean().optional().describe("是否必填"),
+            default: z.any().optional().describe("默认值：创建记录时未传入该字段则使用默认值"),
+            aliases: z
+              .array(z.string())
+              .optional()
+              .describe("别名：写入时会改写为字段名，字段名和别名都忽略大小写、空格、下划线和连字符"),
+            min: z.number().optional().describe("最小值：number / integer 的取值、string 的长度、array 的元素个数"),
+            max: z.number().optional().describe("最大值：含义同 min"),
+            description: z.string().optional().describe("字段说明")
+          })
+        )
+        .default({})
+        .describe("字段名 -> 字段定义"),
+      additionalFields: z
+        .enum(["allow", "reject"])
+        .optional()
+        .describe("未定义的字段：allow(允许，默认)、reject(拒绝)")
+    })
+    .optional()
+    .describe(
+      "主题元数据结构：可选，创建或更新主题时设置，传入 {} 表示取消；设置后 create_record / update_record / bulk_update 会按结构校验并转换元数据，update_topic 会返回不符合结构的已有记录"
+    ),
+  content: z.string().default("").describe("记录内容：要保存的具体信息内容，必填项"),
+  importance: z
+    .enum(["低", "中", "高"])
+    .default("中")
+    .describe("记录重要性：低(日常信息)、中(重要信息)、高(关键信息)"),
+  context: z.string().default("").describe("记录上下文：可选，记录相关的背景信息或来源"),
+  metadata: z.record(z.any()).default({}).describe("额外元数据：可选，存储额外的结构化信息"),
+  expiresAt: z
+    .string()
+    .default("")
+    .describe("过期时间：可选，ISO 时间，到期后记录会被自动清理；传入 'never' 取消过期"),
+  ttl: z
+    .string()
+    .default("")
+    .describe("有效期：可选，如 '30m'、'12h'、'7d'、'2w'，优先于 expiresAt；传入 'never' 取消过期"),
+  duplicatePolicy: z
+    .enum(DUPLICATE_POLICIES)
+    .default("allow")
+    .describe(
+      "重复内容处理：create_record 发现相似记录时 allow(照常保存并提示)、reject(拒绝保存)、merge(合并到最相似的已有记录，重要性取较高者并刷新更新时间)"
+    ),
+  duplicateScope: z
+    .enum(["topic", "all"])
+    .default("topic")
+    .describe("重复检测范围：topic(只在目标主题中查找)、all(在全部主题中查找)"),
+  similarityThreshold: z
+    .number()
+    .min(0.5)
+    .max(1)
+    .default(DEFAULT_SIMILARITY_THRESHOLD)
+    .describe("相似度阈值：0.5-1，内容相似度达到该值视为重复，1 表示只检测完全相同（忽略空白、标点和大小写）的内容"),
+  recordId: z.string().default("").describe("记录ID：更新、删除、恢复记录时需要的唯一标识符"),
+  expectedVersion: z
+    .number()
+    .int()
+    .min(1)
+    .optional()
+    .describe(
+      "期望的版本号：可选，传入读取时得到的 version，记录或主题在此期间被修改过时操作失败（VERSION_CONFLICT）并返回当前状态，避免覆盖他人的修改；用于 update_record、delete_record、restore_version、move_record、link_records、unlink_records（记录版本）和 update_topic、delete_topic、rename_topic、merge_topics、split_topic、consolidate（主题版本）"
+    ),
+  target: z
+    .string()
+    .max(100, "主题名称不能超过100个字符")
+    .default("")
+    .describe("目标主题：rename_topic 的新名称，move_record / copy_record / merge_topics / split_topic 的目标主题"),
+  toRecordId: z.string().default("").describe("目标记录ID：link_records / unlink_records 中关联指向的记录，可以在任意主题中"),
+  linkType: z
+    .string()
+    .default("")
+    .describe(
+      `关联类型：${Object.entries(LINK_TYPES)
+        .map(([type, label]) => `${type}(${label})`)
+        .join("、")}，或自定义类型（小写字母、数字和下划线）；link_records 默认 relates_to，unlink_records 留空表示移除全部类型`
+    ),
+  match: matchSchema.optional(),
+  set: setSchema.optional(),
+  confirm: z.boolean().default(false).describe("删除确认：删除主题、bulk_delete 或 purge 时必须设为true以确认操作")
+};
+
+const operationSchema = z.object({
+  action: z.enum(BATCH_ACTIONS).describe("操作类型，与 memory_manage 的同名操作相同"),
+  ...operationShape
+});
+
+// batch 所需的权限取其中要求最高的操作
+function requiredPermission(action, operations = []) {
+  const actions = action === "batch" ? operations.map((operation) => operation.action) : [action];
+  return actions.some((item) => ACTION_PERMISSIONS[item] === "admin") ? "admin" : "write";
+}
+
+function hasMatchConditions(match) {
+  return Boolean(match) && (Boolean(match.query) || match.importance !== "全部" || describeFilters(match).length > 0);
+}
+
+// 按 match 条件选出记录，返回 [{ topic, topicData, record }]
+function selectRecords(memoryStore, match) {
+  const { matchesTopic, matchesRecord } = buildFilter(match);
+  const parsedQuery = match.query ? parseQuery(match.query) : null;
+  const selected = [];
+  for (const [topicName, topicData] of memoryStore.entries()) {
+    if (!matchesTopic(topicName, topicData)) {
+      continue;
+    }
+    for (const record of topicData.records) {
+      if (matchesRecord(record) && (!parsedQuery || matchesQuery(parsedQuery, analyzeRecord(record, topicData)))) {
+        selected.push({ topic: topicName, topicData, record });
+      }
+    }
+  }
+  return selected;
+}
+
+function describeMatch(match) {
+  const parts = describeFilters(match);
+  if (match.importance !== "全部") {
+    parts.push(`重要性: ${match.importance}`);
+  }
+  if (match.query) {
+    parts.push(`关键词: ${match.query}`);
+  }
+  return parts.map((part) => `- ${part}`).join("\n");
+}
+
+function formatSelectedRecords(selected) {
+  const lines = selected
+    .slice(0, PREVIEW_LIMIT)
+    .map(({ topic, record }) => `- [${topic}] ${record.id}（${record.importance}）: ${redactRecord(record).content.slice(0, 60)}`);
+  if (selected.length > PREVIEW_LIMIT) {
+    lines.push(`... 另有 ${selected.length - PREVIEW_LIMIT} 条`);
+  }
+  return lines.join("\n");
+}
+
+function formatDetached(count) {
+  return count > 0 ? `\n🔗 已从 ${count} 条记录中移除指向被删除记录的关联。` : "";
+}
+
+// 操作结果中已有的记录：敏感记录脱敏显示，原文通过 memory_query 的 reveal 查看
+function toShownRecord(record, topic) {
+  return toPublicRecord(redactRecord(record), topic);
+}
+
+// 记录按快照更新后增加的大小（内容变短时为负数），用于配额检查
+function sizeGrowth(record, nextSnapshot) {
+  const next = { ...record, ...nextSnapshot };
+  if (!nextSnapshot.expiresAt) {
+    delete next.expiresAt;
+  }
+  return calculateRecordSize(next) - calculateRecordSize(record);
+}
+
+// 回收站条目的摘要：被删除记录的内容预览同样脱敏
+function toShownTrashEntry(entry) {
+  return toTrashSummary(entry.type === "record" ? { ...entry, data: redactRecord(entry.data) } : entry);
+}
+
+// 相似记录可能是其他调用方保存的敏感记录，输出前脱敏
+function toDuplicateSummary({ topic, record, similarity, exact }) {
+  return { ...toShownRecord(record, topic), similarity, exact };
+}
+
+function formatDuplicates(duplicates) {
+  const lines = duplicates
+    .slice(0, PREVIEW_LIMIT)
+    .map(
+      ({ topic, record, similarity, exact }) =>
+        `- [${topic}] ${record.id}（相似度 ${Math.round(similarity * 100)}%${exact ? "，完全重复" : ""}）: ${redactRecord(
+          record
+        ).content.slice(0, 60)}`
+    );
+  if (duplicates.length > PREVIEW_LIMIT) {
+    lines.push(`... 另有 ${duplicates.length - PREVIEW_LIMIT} 条`);
+  }
+  return lines.join("\n");
+}
+
+/**
+ * 按敏感信息策略检查要写入的字段（content、context、metadata 中传入的几项）：
+ * block 时返回 { failure }，mask 时返回隐藏敏感片段后的字段，其余情况原样返回；findings 为命中的位置。
+ */
+function screenSensitive(format, action, fields) {
+  const policy = getSensitivePolicy();
+  const findings = policy === "off" ? [] : scanFields(fields);
+  if (findings.length === 0) {
+    return { fields, findings };
+  }
+  if (policy === "block") {
+    return {
+      failure: respond.fail(
+        format,
+        action,
+        "SENSITIVE_CONTENT",
+        `❌ 检测到敏感信息，未保存！\n\n- 位置: ${describeFindings(
+          findings
+        )}\n\n💡 提示：请去掉密钥、令牌或个人信息后重试，必要时只记录它们的保存位置（如"数据库密码在密钥管理服务的 db/prod 条目"）。`,
+        { findings }
+      )
+    };
+  }
+  return { fields: policy === "mask" ? maskFields(fields) : fields, findings };
+}
+
+function formatSensitiveNotice(findings) {
+  if (findings.length === 0) {
+    return "";
+  }
+  return getSensitivePolicy() === "mask"
+    ? `\n\n🔒 已隐藏敏感信息: ${describeFindings(findings)}`
+    : `\n\n🔒 检测到敏感信息: ${describeFindings(findings)}，记录已标记为敏感，查询结果中默认脱敏显示（memory_query 传入 reveal: true 查看原文）`;
+}
+
+function metadataFailure(format, action, topic, topicData, errors) {
+  return respond.fail(
+    format,
+    action,
+    "INVALID_METADATA",
+    `❌ 元数据不符合主题 "${topic}" 的结构，未保存！\n\n${errors.map((error) => `- ${error}`).join("\n")}\n\n📐 字段定义: ${describeMetadataSchema(
+      topicData.metadataSchema
+    )}`,
+    { errors }
+  );
+}
+
+// update_topic 修改元数据结构后的迁移报告
+function formatMigration(migration) {
+  if (migration.nonConforming.length === 0) {
+    return `📐 已检查 ${migration.checked} 条已有记录，全部符合新的元数据结构。`;
+  }
+  const lines = migration.nonConforming.slice(0, PREVIEW_LIMIT).map(({ recordId, errors, changes }) => {
+    const parts = [...errors.map((error) => `❌ ${error}`), ...changes.map((change) => `🔧 ${change}`)];
+    return `- ${recordId}: ${parts.join("；")}`;
+  });
+  if (migration.nonConforming.length > PREVIEW_LIMIT) {
+    lines.push(`... 另有 ${migration.nonConforming.length - PREVIEW_LIMIT} 条`);
+  }
+  return `📐 已检查 ${migration.checked} 条已有记录，${migration.conforming} 条符合新的元数据结构，${
+    migration.nonConforming.length
+  } 条不符合:\n${lines.join(
+    "\n"
+  )}\n\n💡 ❌ 需要手动修正；🔧 会在下次通过 update_record 修改元数据时自动完成。已有记录不会被自动修改。`;
+}
+
+// rename_topic / merge_topics 的目标主题检查，mustExist 为 true 时目标主题必须存在，否则必须不存在
+function checkTarget(memoryStore, topic, target, mustExist) {
+  if (!target || target === topic) {
+    return { code: "INVALID_ARGUMENT", message: "❌ 请通过 target 指定目标主题（不能与原主题相同）！" };
+  }
+  if (mustExist && !memoryStore.has(target)) {
+    return { code: "TOPIC_NOT_FOUND", message: `❌ 目标主题 "${target}" 不存在！` };
+  }
+  if (!mustExist && memoryStore.has(target)) {
+    return {
+      code: "TOPIC_EXISTS",
+      message: `⚠️ 主题 "${target}" 已存在！\n\n💡 如需把两个主题合并，请使用 action: "merge_topics"。`
+    };
+  }
+  return null;
+}
+
+// 主题自身受版本控制的内容，update_topic 据此判断是否产生新版本
+function topicSettings(topicData) {
+  const { name, description, tags, retention, consolidation, metadataSchema } = topicData;
+  return JSON.stringify({ name, description, tags, retention, consolidation, metadataSchema });
+}
+
+// 最近一次修改的时间和操作者
+function describeLastChange(record) {
+  const last = record.history?.[record.history.length - 1];
+  return last ? `${last.changedAt}（${last.changedBy || "未知操作者"}）` : record.updatedAt;
+}
+
+/**
+ * 乐观锁：expectedVersion 与当前版本不一致时返回冲突结果，附带记录或主题的当前状态；
+ * 没有传入 expectedVersion、或要检查的记录或主题不存在（由各操作返回相应错误）时返回 null。
+ */
+function checkExpectedVersion(memoryStore, { action, topic, recordId, expectedVersion, format }) {
+  if (expectedVersion === undefined) {
+    return null;
+  }
+  if (RECORD_VERSION_ACTIONS.includes(action)) {
+    if (!recordId) {
+      return respond.fail(format, action, "INVALID_ARGUMENT", `❌ ${action} 只能在通过 recordId 指定单条记录时使用 expectedVersion！`);
+    }
+    const found = topic
+      ? { topic, record: memoryStore.get(topic)?.records.find((item) => item.id === recordId) }
+      : indexRecords(memoryStore).get(recordId);
+    if (!found?.record) {
+      return null;
+    }
+    const currentVersion = getVersion(found.record);
+    if (currentVersion === expectedVersion) {
+      return null;
+    }
+    const record = redactRecord(found.record);
+    return respond.fail(
+      format,
+      action,
+      "VERSION_CONFLICT",
+      `❌ 版本冲突：记录 ${record.id} 已被修改，期望版本 ${expectedVersion}，当前版本 ${currentVersion}，未执行 ${action}！\n\n当前状态:\n- 主题: ${
+        found.topic
+      }\n- 内容: ${record.content}\n- 重要性: ${record.importance}\n- 上下文: ${record.context || "无"}\n- 元数据: ${JSON.stringify(
+        record.metadata
+      )}\n- 最后修改: ${describeLastChange(
+        record
+      )}\n\n💡 请基于当前内容重新确认修改，并传入 expectedVersion: ${currentVersion}；期间的变更可通过 memory_query 的 action: "history" 查看。`,
+      { conflict: { expectedVersion, currentVersion }, record: toPublicRecord(record, found.topic) }
+    );
+  }
+  if (TOPIC_VERSION_ACTIONS.includes(action)) {
+    const topicData = memoryStore.get(topic);
+    if (!topicData || getTopicVersion(topicData) === expectedVersion) {
+      return null;
+    }
+    const currentVersion = getTopicVersion(topicData);
+    return respond.fail(
+      format,
+      action,
+      "VERSION_CONFLICT",
+      `❌ 版本冲突：主题 "${topic}" 已被修改，期望版本 ${expectedVersion}，当前版本 ${currentVersion}，未执行 ${action}！\n\n当前状态:\n- 描述: ${
+        topicData.description || "无描述"
+      }\n- 标签: ${topicData.tags.join(", ") || "无标签"}\n- 保留策略: ${describeRetention(
+        topicData.retention
+      )}\n- 整合策略: ${describeConsolidation(topicData.consolidation)}\n- 元数据结构: ${describeMetadataSchema(
+        topicData.metadataSchema
+      )}\n- 记录数量: ${topicData.records.length}条\n- 最后更新: ${
+        topicData.updatedAt
+      }\n\n💡 请基于当前设置重新确认修改，并传入 expectedVersion: ${currentVersion}。`,
+      { conflict: { expectedVersion, currentVersion }, topic: toTopicSummary(topicData) }
+    );
+  }
+  return respond.fail(format, action, "INVALID_ARGUMENT", `❌ ${action} 不支持 expectedVersion！`);
+}
+
+// move_record / copy_record 的源记录：topic + recordId 指定单条记录，或通过 match 选择（指定 topic 时只在该主题中选择）
+function selectSourceRecords(memoryStore, { topic, recordId, match }) {
+  if (recordId) {
+    const topicData = memoryStore.get(topic);
+    const record = topicData?.records.find((item) => item.id === recordId);
+    if (!record) {
+      return {
+        error: topicData
+          ? { code: "RECORD_NOT_FOUND", message: `❌ 在主题 "${topic}" 中未找到ID为 "${recordId}" 的记录！` }
+          : { code: "TOPIC_NOT_FOUND", message: `❌ 主题 "${topic}" 不存在！` }
+      };
+    }
+    return { selected: [{ topic, topicData, record }] };
+  }
+  if (!hasMatchConditions(match) && !topic) {
+    return { error: { code: "INVALID_ARGUMENT", message: "❌ 请通过 topic + recordId 或 match 指定要处理的记录！" } };
+  }
+  if (topic && !memoryStore.has(topic)) {
+    return { error: { code: "TOPIC_NOT_FOUND", message: `❌ 主题 "${topic}" 不存在！` } };
+  }
+  const conditions = match || { importance: "全部", query: "" };
+  return { selected: selectRecords(memoryStore, topic ? { ...conditions, topics: [topic] } : conditions) };
+}
+
+// 在事务中执行单个操作，返回错误结果或抛出异常时撤销全部修改
+async function runInTransaction(space, task) {
+  space.begin();
+  try {
+    const result = await task();
+    if (result.isError) {
+      space.rollback();
+    } else {
+      space.commit();
+    }
+    return result;
+  } catch (error) {
+    space.rollback();
+    throw error;
+  }
+}
+
+/**
+ * consolidate 的第一步：选出记录并生成摘要。摘要可能要等待客户端的模型（sampling）或外部模块，
+ * 因此在命名空间的写锁之外执行，写入时再检查版本，并确认各组记录在此期间没有被修改。
+ * 不需要写入时（参数错误、没有可整合的记录、预演）返回 { response }，否则返回写入所需的整合计划。
+ */
+async function planConsolidate(space, params) {
+  const { action, topic, consolidation, match, expectedVersion, format, requestSampling } = params;
+  const { memoryStore } = space;
+  if (!topic) {
+    return { response: respond.fail(format, action, "INVALID_ARGUMENT", "❌ 主题名称不能为空！") };
+  }
+  const versionConflict = checkExpectedVersion(memoryStore, { action, topic, expectedVersion, format });
+  if (versionConflict) {
+    return { response: versionConflict };
+  }
+  if (!memoryStore.has(topic)) {
+    return { response: respond.fail(format, action, "TOPIC_NOT_FOUND", `❌ 主题 "${topic}" 不存在！`) };
+  }
+  const consolidateSource = memoryStore.get(topic);
+  const consolidateOptions = { ...consolidateSource.consolidation, ...consolidation };
+  const originals = consolidateOptions.originals || "archive";
+  let summarizer = getSummarizer();
+  if (consolidateOptions.summarizer === "extractive") {
+    summarizer = createExtractiveSummarizer();
+  } else if (consolidateOptions.summarizer === "sampling") {
+    if (!requestSampling) {
+      return {
+        response: respond.fail(
+          format,
+          action,
+          "SAMPLING_UNAVAILABLE",
+          `❌ 当前客户端不支持 sampling，无法请求客户端的模型生成摘要！\n\n💡 可以改用 summarizer: "extractive"（离线抽取）或服务配置的摘要提供者。`
+        )
+      };
+    }
+    summarizer = createSamplingSummarizer(requestSampling);
+  }
+  const candidates = hasMatchConditions(match)
+    ? selectRecords(memoryStore, { ...match, topics: [topic] })
+    : consolidateSource.records.map((record) => ({ topic, topicData: consolidateSource, record }));
+  let plans;
+  try {
+    plans = await prepareConsolidation(candidates, { ...consolidateOptions, summarizer });
+  } catch (error) {
+    return {
+      response: respond.fail(format, action, "SUMMARIZER_FAILED", `❌ 生成摘要失败（${summarizer.id}）: ${error.message}`)
+    };
+  }
+  const matchText = hasMatchConditions(match) ? `\n\n🔎 筛选条件:\n${describeMatch(match)}` : "";
+  if (plans.length === 0) {
+    return {
+      response: respond.ok(
+        format,
+        action,
+        { status: "unchanged", topic: toTopicSummary(consolidateSource), affected: 0, records: [] },
+        `ℹ️ 主题 "${topic}" 的 ${candidates.length} 条记录中没有可以整合的记录，未做修改。${matchText}\n\n💡 ${
+          consolidateOptions.groupBy === "all"
+            ? "至少需要 2 条记录。"
+            : `按相似度分组时每组至少需要 2 条内容相近的记录，可以降低 similarity（当前 ${
+                consolidateOptions.similarity ?? DEFAULT_GROUP_SIMILARITY
+              }）或使用 groupBy: "all"。`
+        }`
+      )
+    };
+  }
+  const consolidatedCount = plans.reduce((total, plan) => total + plan.entries.length, 0);
+  // 摘要来自原记录的内容，与整合后的记录一样按原记录判断是否脱敏显示
+  const planGroups = plans.map((plan) => {
+    const preview = { content: plan.content, metadata: {} };
+    inheritSensitiveTag(preview, plan.entries.map(({ record }) => record));
+    return {
+      sourceIds: plan.entries.map(({ record }) => record.id),
+      importance: plan.importance,
+      content: redactRecord(preview).content
+    };
+  });
+  if (consolidateOptions.dryRun) {
+    return {
+      response: respond.ok(
+        format,
+        action,
+        {
+          status: "unchanged",
+          topic: toTopicSummary(consolidateSource),
+          affected: consolidatedCount,
+          consolidation: { summarizer: summarizer.id, originals, dryRun: true, groups: planGroups }
+        },
+        `🧪 整合预演（未写入任何数据）：主题 "${topic}" 的 ${consolidatedCount} 条记录将整合为 ${
+          plans.length
+        } 条${matchText}\n\n${planGroups
+          .map(
+            (group, index) =>
+              `${index + 1}. 整合 ${group.sourceIds.length} 条（${group.sourceIds.join(", ")}），重要性 ${
+                group.importance
+              }:\n${group.content}`
+          )
+          .join("\n\n")}\n\n- 摘要提供者: ${summarizer.id}\n- 原记录: ${
+          originals === "trash" ? "移入回收站" : "移到归档主题"
+        }`
+      )
+    };
+  }
+  return { topicData: consolidateSource, summarizer, originals, plans, planGroups, consolidatedCount, matchText };
+}
+
+// 执行单个操作；batch 中的每一步也通过这里执行，params 中的 actor 已解析为最终的操作者
+async function runAction(space, params) {
+  const {
+    action,
+    topic,
+    description,
+    tags,
+    content,
+    importance,
+    context,
+    metadata,
+    expiresAt,
+    ttl,
+    retention,
+    consolidation,
+    metadataSchema,
+    recordId,
+    version,
+    expectedVersion,
+    duplicatePolicy,
+    duplicateScope,
+    similarityThreshold,
+    target,
+    toRecordId,
+    linkType,
+    match,
+    set,
+    actor,
+    confirm,
+    format,
+    consolidationPlan
+  } = params;
+  const { memoryStore, saveTopic, saveRecord, removeTopic, removeRecord } = space;
+  // 按 match 选择记录或按ID查找记录的操作不需要指定主题
+  const topicOptional =
+    ["bulk_update", "bulk_delete", "link_records", "unlink_records"].includes(action) ||
+    (["move_record", "copy_record"].includes(action) && match);
+  if (!topic && !topicOptional) {
+    return respond.fail(format, action, "INVALID_ARGUMENT", "❌ 主题名称不能为空！");
+  }
+  if (REORGANIZE_ACTIONS.includes(action) && !space.inTransaction()) {
+    return runInTransaction(space, () => runAction(space, params));
+  }
+  const versionConflict = checkExpectedVersion(memoryStore, { action, topic, recordId, expectedVersion, format });
+  if (versionConflict) {
+    return versionConflict;
+  }
+  try {
+    switch (action) {
+      case "create_topic": {
+        if (memoryStore.has(topic)) {
+          return respond.fail(
+            format,
+            action,
+            "TOPIC_EXISTS",
+            `⚠️ 主题 "${topic}" 已存在，无法重复创建。\n\n现有主题信息:\n- 描述: ${
+              memoryStore.get(topic).description || "无描述"
+            }\n- 标签: ${
+              memoryStore.get(topic).tags.join(", ") || "无标签"
+            }\n- 记录数量: ${
+              memoryStore.get(topic).records.length
+            }条\n\n如需添加记录到此主题，请使用 action: "create_record"。`,
+            { topic: toTopicSummary(memoryStore.get(topic)) }
+          );
+        }
+        const topicQuotaError = checkQuota(space, { topics: 1 });
+        if (topicQuotaError) {
+          return respond.fail(format, action, "QUOTA_EXCEEDED", topicQuotaError);
+        }
+        let newMetadataSchema;
+        try {
+          newMetadataSchema = normalizeMetadataSchema(metadataSchema);
+        } catch (error) {
+          return respond.fail(format, action, "INVALID_ARGUMENT", `❌ 元数据结构无效：${error.message}`);
+        }
+        const newTopic = {
+          id: generateId(),
+          name: topic,
+          description,
+          tags,
+          records: [],
+          version: 1,
+          createdAt: getCurrentTimestamp(),
+          updatedAt: getCurrentTimestamp()
+        };
+        const newRetention = normalizeRetention(retention);
+        if (newRetention) {
+          newTopic.retention = newRetention;
+        }
+        const newConsolidation = normalizeConsolidation(consolidation);
+        if (newConsolidation) {
+          newTopic.consolidation = newConsolidation;
+        }
+        if (newMetadataSchema) {
+          newTopic.metadataSchema = newMetadataSchema;
+        }
+        memoryStore.set(topic, newTopic);
+        saveTopic(newTopic);
+        return respond.ok(
+          format,
+          action,
+          { status: "created", topic: toTopicSummary(newTopic) },
+          `✅ 主题 "${topic}" 创建成功！\n\n主题信息:\n- ID: ${
+            newTopic.id
+          }\n- 描述: ${description || "无描述"}\n- 标签: ${
+            tags.join(", ") || "无标签"
+          }\n- 保留策略: ${describeRetention(newTopic.retention)}\n- 整合策略: ${describeConsolidation(
+            newTopic.consolidation
+          )}\n- 元数据结构: ${describeMetadataSchema(
+            newTopic.metadataSchema
+          )}\n- 创建时间: ${
+            newTopic.createdAt
+          }\n- 当前记录数: 0条`
+        );
+      }
+      case "create_record": {
+        if (!content) {
+          return respond.fail(
+            format,
+            action,
+            "INVALID_ARGUMENT",
+            `❌ 记录内容不能为空！\n\n💡 提示：记录内容是必填项，请提供要保存的具体信息内容。\n例如：项目进展、学习笔记、重要决策等。`
+          );
+        }
+        if (!memoryStore.has(topic)) {
+          return respond.fail(
+            format,
+            action,
+            "TOPIC_NOT_FOUND",
+            `❌ 主题 "${topic}" 不存在！\n\n💡 解决步骤：\n1. 先使用 action: "create_topic" 创建主题 "${topic}"\n2. 然后使用 action: "create_record" 添加记录到该主题\n\n或者使用 memory_query 工具的 action: "list_topics" 查看现有主题列表。`
+          );
+        }
+        let newExpiry;
+        try {
+          newExpiry = resolveExpiry({ expiresAt, ttl });
+        } catch (error) {
+          return respond.fail(format, action, "INVALID_ARGUMENT", `❌ ${error.message}`);
+        }
+        const screened = screenSensitive(format, action, { content, context, metadata });
+        if (screened.failure) {
+          return screened.failure;
+        }
+        const { content: recordContent, context: recordContext, metadata: recordMetadata } = screened.fields;
+        const checkedMetadata = applyMetadataSchema(memoryStore.get(topic).metadataSchema, recordMetadata);
+        if (checkedMetadata.errors.length > 0) {
+          return metadataFailure(format, action, topic, memoryStore.get(topic), checkedMetadata.errors);
+        }
+        const duplicates = findSimilarRecords(memoryStore, recordContent, {
+          topic: duplicateScope === "topic" ? topic : "",
+          threshold: similarityThreshold
+        });
+        if (duplicates.length > 0 && duplicatePolicy === "reject") {
+          return respond.fail(
+            format,
+            action,
+            "DUPLICATE_RECORD",
+            `❌ 发现 ${duplicates.length} 条相似记录，未保存！\n\n${formatDuplicates(
+              duplicates
+            )}\n\n💡 提示：可以使用 action: "update_record" 更新已有记录，或设置 duplicatePolicy: "merge" 合并到已有记录、"allow" 照常保存。`,
+            { duplicates: duplicates.map(toDuplicateSummary) }
+          );
+        }
+        if (duplicates.length > 0 && duplicatePolicy === "merge") {
+          const [closest] = duplicates;
+          // 合并到其他主题的记录时按该主题的结构校验
+          const mergedMetadata =
+            closest.topic === topic
+              ? checkedMetadata
+              : applyMetadataSchema(closest.topicData.metadataSchema, recordMetadata, { partial: true });
+          if (mergedMetadata.errors.length > 0) {
+            return metadataFailure(format, action, closest.topic, closest.topicData, mergedMetadata.errors);
+          }
+          const incoming = { importance, context: recordContext, metadata: mergedMetadata.metadata, expiresAt: newExpiry };
+          const mergeQuotaError = checkQuota(space, {
+            size: sizeGrowth(closest.record, mergedDuplicateSnapshot(closest.record, incoming))
+          });
+          if (mergeQuotaError) {
+            return respond.fail(format, action, "QUOTA_EXCEEDED", mergeQuotaError);
+          }
+          const mergeChanges = mergeDuplicate(closest.record, incoming, {
+            actor,
+            note: `合并相似度 ${Math.round(closest.similarity * 100)}% 的重复内容: ${recordContent.slice(0, 80)}`
+          });
+          refreshSensitiveTag(closest.record);
+          closest.topicData.updatedAt = getCurrentTimestamp();
+          await embedRecords([closest.record]);
+          saveRecord(closest.topic, closest.record);
+          saveTopic(closest.topicData);
+          const mergedRecord = redactRecord(closest.record);
+          return respond.ok(
+            format,
+            action,
+            {
+              status: "merged",
+              topic: toTopicSummary(closest.topicData),
+              record: toPublicRecord(mergedRecord, closest.topic),
+              duplicates: duplicates.map(toDuplicateSummary),
+              ...(screened.findings.length > 0 ? { findings: screened.findings } : {})
+            },
+            `🔁 内容与已有记录重复，已合并到主题 "${closest.topic}" 的记录 ${closest.record.id}！\n\n- 相似度: ${Math.round(
+              closest.similarity * 100
+            )}%${closest.exact ? "（完全重复）" : ""}\n- 已有内容: ${mergedRecord.content}\n- 重要性: ${
+              closest.record.importance
+            }\n- 版本: ${closest.record.version}${
+              mergeChanges.length > 0 ? `（变更字段: ${mergeChanges.map((change) => change.field).join(", ")}）` : "（仅刷新更新时间）"
+            }\n- 最后更新: ${closest.record.updatedAt}${
+              duplicates.length > 1 ? `\n\n其他相似记录:\n${formatDuplicates(duplicates.slice(1))}` : ""
+            }${formatSensitiveNotice(screened.findings)}`
+          );
+        }
+        const newRecord = {
+          id: generateId(),
+          content: recordContent,
+          importance,
+          context: recordContext,
+          metadata: checkedMetadata.metadata,
+          createdAt: getCurrentTimestamp(),
+          updatedAt: getCurrentTimestamp()
+        };
+        if (newExpiry) {
+          newRecord.expiresAt = newExpiry;
+        }
+        const recordQuotaError = checkQuota(space, { records: 1, size: calculateRecordSize(newRecord) });
+        if (recordQuotaError) {
+          return respond.fail(format, action, "QUOTA_EXCEEDED", recordQuotaError);
+        }
+        refreshSensitiveTag(newRecord);
+        initHistory(newRecord, actor);
+        await embedRecords([newRecord]);
+        const topicDataForRecord = memoryStore.get(topic);
+        topicDataForRecord.records.push(newRecord);
+        topicDataForRecord.updatedAt = getCurrentTimestamp();
+        saveRecord(topic, newRecord);
+        saveTopic(topicDataForRecord);
+        return respond.ok(
+          format,
+          action,
+          {
+            status: "created",
+            topic: toTopicSummary(topicDataForRecord),
+            record: toPublicRecord(newRecord, topic),
+            ...(duplicates.length > 0 ? { duplicates: duplicates.map(toDuplicateSummary) } : {}),
+            ...(screened.findings.length > 0 ? { findings: screened.findings } : {})
+          },
+          `✅ 记录已成功添加到主题 "${topic}"！\n\n记录信息:\n- ID: ${
+            newRecord.id
+          }\n- 重要性: ${importance}\n- 内容: ${recordContent}\n- 上下文: ${
+            recordContext || "无"
+          }\n- 创建时间: ${newRecord.createdAt}${
+            newRecord.expiresAt ? `\n- 过期时间: ${newRecord.expiresAt}` : ""
+          }\n\n主题 "${topic}" 当前共有 ${
+            topicDataForRecord.records.length
+          } 条记录。${
+            duplicates.length > 0
+              ? `\n\n⚠️ 发现 ${duplicates.length} 条相似记录:\n${formatDuplicates(
+                  duplicates
+                )}\n\n💡 可设置 duplicatePolicy: "reject" 或 "merge" 避免保存重复内容，或使用 memory_query 的 action: "find_duplicates" 查找并清理重复记录。`
+              : ""
+          }${formatSensitiveNotice(screened.findings)}`
+        );
+      }
+      case "update_topic": {
+        if (!memoryStore.has(topic)) {
+          return respond.fail(
+            format,
+            action,
+            "TOPIC_NOT_FOUND",
+            `❌ 主题 "${topic}" 不存在！\n\n请使用 action: "list_topics" 查看现有主题列表。`
+          );
+        }
+        const topicToUpdate = memoryStore.get(topic);
+        const settingsBefore = topicSettings(topicToUpdate);
+        let updatedMetadataSchema;
+        try {
+          updatedMetadataSchema = metadataSchema === undefined ? undefined : normalizeMetadataSchema(metadataSchema);
+        } catch (error) {
+          return respond.fail(format, action, "INVALID_ARGUMENT", `❌ 元数据结构无效：${error.message}`);
+        }
+        if (description && description !== "") {
+          topicToUpdate.description = description;
+        }
+        if (tags && tags.length > 0) {
+          topicToUpdate.tags = tags;
+        }
+        if (retention !== undefined) {
+          const updatedRetention = normalizeRetention(retention);
+          if (updatedRetention) {
+            topicToUpdate.retention = updatedRetention;
+          } else {
+            delete topicToUpdate.retention;
+          }
+        }
+        if (consolidation !== undefined) {
+          const updatedConsolidation = normalizeConsolidation(consolidation);
+          if (updatedConsolidation) {
+            topicToUpdate.consolidation = updatedConsolidation;
+          } else {
+            delete topicToUpdate.consolidation;
+          }
+        }
+        let migration;
+        if (updatedMetadataSchema) {
+          topicToUpdate.metadataSchema = updatedMetadataSchema;
+          migration = checkRecords(updatedMetadataSchema, topicToUpdate.records);
+        } else if (updatedMetadataSchema === null) {
+          delete topicToUpdate.metadataSchema;
+        }
+        if (topicSettings(topicToUpdate) !== settingsBefore) {
+          bumpTopicVersion(topicToUpdate);
+        }
+        topicToUpdate.updatedAt = getCurrentTimestamp();
+        saveTopic(topicToUpdate);
+        return respond.ok(
+          format,
+          action,
+          { status: "updated", topic: toTopicSummary(topicToUpdate), ...(migration ? { migration } : {}) },
+          `✅ 主题 "${topic}" 更新成功！\n\n更新后信息:\n- 描述: ${
+            topicToUpdate.description || "无描述"
+          }\n- 标签: ${
+            topicToUpdate.tags.join(", ") || "无标签"
+          }\n- 保留策略: ${describeRetention(topicToUpdate.retention)}\n- 整合策略: ${describeConsolidation(
+            topicToUpdate.consolidation
+          )}\n- 元数据结构: ${describeMetadataSchema(
+            topicToUpdate.metadataSchema
+          )}\n- 记录数量: ${
+            topicToUpdate.records.length
+          }条\n- 版本: ${getTopicVersion(topicToUpdate)}\n- 最后更新: ${topicToUpdate.updatedAt}${migration ? `\n\n${formatMigration(migration)}` : ""}`
+        );
+      }
+      case "update_record": {
+        if (!recordId) {
+          return respond.fail(format, action, "INVALID_ARGUMENT", "❌ 记录ID不能为空！");
+        }
+        if (!memoryStore.has(topic)) {
+          return respond.fail(format, action, "TOPIC_NOT_FOUND", `❌ 主题 "${topic}" 不存在！`);
+        }
+        const topicDataForUpdate = memoryStore.get(topic);
+        const recordToUpdate = topicDataForUpdate.records.find(
+          (record) => record.id === recordId
+        );
+        if (!recordToUpdate) {
+          return respond.fail(
+            format,
+            action,
+            "RECORD_NOT_FOUND",
+            `❌ 在主题 "${topic}" 中未找到ID为 "${recordId}" 的记录！`
+          );
+        }
+        let updatedExpiry;
+        try {
+          updatedExpiry = resolveExpiry({ expiresAt, ttl });
+        } catch (error) {
+          return respond.fail(format, action, "INVALID_ARGUMENT", `❌ ${error.message}`);
+        }
+        const screened = screenSensitive(format, action, {
+          ...(content ? { content } : {}),
+          ...(context ? { context } : {}),
+          ...(metadata && Object.keys(metadata).length > 0 ? { metadata } : {})
+        });
+        if (screened.failure) {
+          return screened.failure;
+        }
+        const nextSnapshot = recordSnapshot(recordToUpdate);
+        if (updatedExpiry === null) {
+          delete nextSnapshot.expiresAt;
+        } else if (updatedExpiry) {
+          nextSnapshot.expiresAt = updatedExpiry;
+        }
+        if (screened.fields.content) {
+          nextSnapshot.content = screened.fields.content;
+        }
+        if (importance && importance !== "中") {
+          nextSnapshot.importance = importance;
+        }
+        if (screened.fields.context) {
+          nextSnapshot.context = screened.fields.context;
+        }
+        if (screened.fields.metadata) {
+          const mergedMetadata = mergeMetadata(
+            topicDataForUpdate.metadataSchema,
+            nextSnapshot.metadata,
+            screened.fields.metadata
+          );
+          if (mergedMetadata.errors.length > 0) {
+            return metadataFailure(format, action, topic, topicDataForUpdate, mergedMetadata.errors);
+          }
+          nextSnapshot.metadata = mergedMetadata.metadata;
+        }
+        const updateQuotaError = checkQuota(space, { size: sizeGrowth(recordToUpdate, nextSnapshot) });
+        if (updateQuotaError) {
+          return respond.fail(format, action, "QUOTA_EXCEEDED", updateQuotaError);
+        }
+        const changes = commitVersion(recordToUpdate, nextSnapshot, { actor });
+        if (changes.length === 0) {
+          return respond.ok(
+            format,
+            action,
+            {
+              status: "unchanged",
+              topic: toTopicSummary(topicDataForUpdate),
+              record: toShownRecord(recordToUpdate, topic)
+            },
+            `ℹ️ 记录内容没有变化，未产生新版本。\n\n- 记录ID: ${recordToUpdate.id}\n- 当前版本: ${getVersion(
+              recordToUpdate
+            )}`
+          );
+        }
+        refreshSensitiveTag(recordToUpdate);
+        topicDataForUpdate.updatedAt = getCurrentTimestamp();
+        await embedRecords([recordToUpdate]);
+        saveRecord(topic, recordToUpdate);
+        saveTopic(topicDataForUpdate);
+        const shownUpdated = redactRecord(recordToUpdate);
+        return respond.ok(
+          format,
+          action,
+          {
+            status: "updated",
+            topic: toTopicSummary(topicDataForUpdate),
+            record: toPublicRecord(shownUpdated, topic),
+            ...(screened.findings.length > 0 ? { findings: screened.findings } : {})
+          },
+          `✅ 记录更新成功！\n\n更新后信息:\n- 记录ID: ${
+            recordToUpdate.id
+          }\n- 内容: ${shownUpdated.content}\n- 重要性: ${
+            recordToUpdate.importance
+          }\n- 上下文: ${shownUpdated.context || "无"}${
+            recordToUpdate.expiresAt ? `\n- 过期时间: ${recordToUpdate.expiresAt}` : ""
+          }\n- 版本: ${
+            recordToUpdate.version
+          }（变更字段: ${changes.map((change) => change.field).join(", ")}）\n- 最后更新: ${
+            recordToUpdate.updatedAt
+          }\n\n主题 "${topic}" 已同步更新，可使用 memory_query 的 action: "history" 查看修改历史。${formatSensitiveNotice(
+            screened.findings
+          )}`
+        );
+      }
+      case "delete_topic": {
+        if (!memoryStore.has(topic)) {
+          return respond.fail(format, action, "TOPIC_NOT_FOUND", `❌ 主题 "${topic}" 不存在！`);
+        }
+        if (!confirm) {
+          const topicData = memoryStore.get(topic);
+          return respond.ok(
+            format,
+            action,
+            { status: "confirmation_required", topic: toTopicSummary(topicData) },
+            `⚠️ 确认删除主题 "${topic}"？\n\n主题信息:\n- 描述: ${
+              topicData.description || "无描述"
+            }\n- 标签: ${
+              topicData.tags.join(", ") || "无标签"
+            }\n- 记录数量: ${
+              topicData.records.length
+            }条\n- 创建时间: ${topicData.createdAt}\n\n🗑️ 删除后主题及其记录将移入回收站，可使用 action: "restore" 恢复，或使用 action: "purge" 彻底清除。\n\n如需确认删除，请设置 confirm: true。`
+          );
+        }
+        const topicToDelete = memoryStore.get(topic);
+        const recordCount = topicToDelete.records.length;
+        memoryStore.delete(topic);
+        const topicTrashEntry = trashTopic(space, topicToDelete, actor);
+        removeTopic(topic);
+        const detachedForTopic = detachLinks(
+          space,
+          topicToDelete.records.map((record) => record.id),
+          actor
+        );
+        return respond.ok(
+          format,
+          action,
+          {
+            status: "deleted",
+            topic: toTopicSummary(topicToDelete),
+            remainingTopics: memoryStore.size,
+            trash: [toShownTrashEntry(topicTrashEntry)]
+          },
+          `✅ 主题 "${topic}" 删除成功！\n\n已删除:\n- 主题名称: ${
+            topic
+          }\n- 记录数量: ${recordCount}条\n- 主题描述: ${
+            topicToDelete.description || "无描述"
+          }\n\n🗑️ 已移入回收站，可使用 action: "restore" 恢复。${formatDetached(
+            detachedForTopic
+          )}\n现在还有 ${memoryStore.size} 个主题。`
+        );
+      }
+      case "delete_record": {
+        if (!recordId) {
+          return respond.fail(format, action, "INVALID_ARGUMENT", "❌ 记录ID不能为空！");
+        }
+        if (!memoryStore.has(topic)) {
+          return respond.fail(format, action, "TOPIC_NOT_FOUND", `❌ 主题 "${topic}" 不存在！`);
+        }
+        const topicDataForDelete = memoryStore.get(topic);
+        const recordIndex = topicDataForDelete.records.findIndex(
+          (record) => record.id === recordId
+        );
+        if (recordIndex === -1) {
+          return respond.fail(
+            format,
+            action,
+            "RECORD_NOT_FOUND",
+            `❌ 在主题 "${topic}" 中未找到ID为 "${recordId}" 的记录！`
+          );
+        }
+        const removedRecord = topicDataForDelete.records.splice(recordIndex, 1)[0];
+        topicDataForDelete.updatedAt = getCurrentTimestamp();
+        const recordTrashEntry = trashRecord(space, topic, removedRecord, actor);
+        removeRecord(topic, removedRecord.id);
+        saveTopic(topicDataForDelete);
+        const detachedForRecord = detachLinks(space, [removedRecord.id], actor);
+        const shownRemoved = redactRecord(removedRecord);
+        return respond.ok(
+          format,
+          action,
+          {
+            status: "deleted",
+            topic: toTopicSummary(topicDataForDelete),
+            record: toPublicRecord(shownRemoved, topic),
+            trash: [toShownTrashEntry(recordTrashEntry)]
+          },
+          `✅ 记录删除成功！\n\n已删除的记录信息:\n- 主题: ${
+            topic
+          }\n- 记录ID: ${removedRecord.id}\n- 内容: ${
+            shownRemoved.content
+          }\n- 重要性: ${removedRecord.importance}\n\n🗑️ 已移入回收站，可使用 action: "restore" 恢复。${formatDetached(
+            detachedForRecord
+          )}\n主题 "${topic}" 现在还有 ${
+            topicDataForDelete.records.length
+          } 条记录。`
+        );
+      }
+      case "restore_version": {
+        if (!recordId || version === undefined) {
+          return respond.fail(format, action, "INVALID_ARGUMENT", "❌ 恢复版本需要提供 recordId 和 version！");
+        }
+        if (!memoryStore.has(topic)) {
+          return respond.fail(format, action, "TOPIC_NOT_FOUND", `❌ 主题 "${topic}" 不存在！`);
+        }
+        const topicDataForRestore = memoryStore.get(topic);
+        const recordToRestore = topicDataForRestore.records.find((record) => record.id === recordId);
+        if (!recordToRestore) {
+          return respond.fail(
+            format,
+            action,
+            "RECORD_NOT_FOUND",
+            `❌ 在主题 "${topic}" 中未找到ID为 "${recordId}" 的记录！`
+          );
+        }
+        const snapshot = snapshotAtVersion(recordToRestore, version);
+        if (!snapshot) {
+          return respond.fail(
+            format,
+            action,
+            "VERSION_NOT_FOUND",
+            `❌ 记录 "${recordId}" 没有版本 ${version}！\n\n💡 提示：请使用 memory_query 的 action: "history" 查看可用的版本。`
+          );
+        }
+        const restoreVersionQuotaError = checkQuota(space, { size: sizeGrowth(recordToRestore, snapshot) });
+        if (restoreVersionQuotaError) {
+          return respond.fail(format, action, "QUOTA_EXCEEDED", restoreVersionQuotaError);
+        }
+        const restoredChanges = commitVersion(recordToRestore, snapshot, {
+          action: "restore_version",
+          actor,
+          note: `恢复到版本 ${version}`
+        });
+        if (restoredChanges.length === 0) {
+          return respond.ok(
+            format,
+            action,
+            {
+              status: "unchanged",
+              topic: toTopicSummary(topicDataForRestore),
+              record: toShownRecord(recordToRestore, topic)
+            },
+            `ℹ️ 记录当前内容与版本 ${version} 相同，无需恢复。`
+          );
+        }
+        refreshSensitiveTag(recordToRestore);
+        topicDataForRestore.updatedAt = getCurrentTimestamp();
+        await embedRecords([recordToRestore]);
+        saveRecord(topic, recordToRestore);
+        saveTopic(topicDataForRestore);
+        const shownRestored = redactRecord(recordToRestore);
+        return respond.ok(
+          format,
+          action,
+          {
+            status: "restored",
+            topic: toTopicSummary(topicDataForRestore),
+            record: toPublicRecord(shownRestored, topic)
+          },
+          `✅ 记录已恢复到版本 ${version}！\n\n- 记录ID: ${recordToRestore.id}\n- 新版本: ${
+            recordToRestore.version
+          }\n- 变更字段: ${restoredChanges.map((change) => change.field).join(", ")}\n- 内容: ${
+            shownRestored.content
+          }\n\n恢复操作本身也会记入历史，可以再次撤销。`
+        );
+      }
+      case "restore": {
+        const [entry] = findTrashEntries(space, topic, recordId);
+        if (!entry) {
+          return respond.fail(
+            format,
+            action,
+            "TRASH_NOT_FOUND",
+            `❌ 回收站中没有${recordId ? `主题 "${topic}" 下ID为 "${recordId}" 的记录` : `主题 "${topic}"`}！\n\n💡 提示：请使用 memory_query 的 action: "trash" 查看回收站内容。`
+          );
+        }
+        if (entry.type === "topic") {
+          if (memoryStore.has(topic)) {
+            return respond.fail(
+              format,
+              action,
+              "TOPIC_EXISTS",
+              `⚠️ 主题 "${topic}" 已存在，无法从回收站恢复同名主题。\n\n请先重命名或删除现有主题后再恢复。`
+            );
+          }
+          const restoredTopic = entry.data;
+          const restoreQuotaError = checkQuota(space, {
+            topics: 1,
+            records: restoredTopic.records.length,
+            size: restoredTopic.records.reduce((sum, record) => sum + calculateRecordSize(record), 0)
+          });
+          if (restoreQuotaError) {
+            return respond.fail(format, action, "QUOTA_EXCEEDED", restoreQuotaError);
+          }
+          restoredTopic.updatedAt = getCurrentTimestamp();
+          for (const record of restoredTopic.records) {
+            appendHistoryEvent(record, { action: "restore", actor });
+          }
+          memoryStore.set(topic, restoredTopic);
+          pruneDanglingLinks(memoryStore, restoredTopic.records);
+          saveTopic(restoredTopic);
+          for (const record of restoredTopic.records) {
+            saveRecord(topic, record);
+          }
+          removeFromTrash(space, entry);
+          return respond.ok(
+            format,
+            action,
+            { status: "restored", topic: toTopicSummary(restoredTopic), trash: [toShownTrashEntry(entry)] },
+            `✅ 主题 "${topic}" 已从回收站恢复！\n\n- 记录数量: ${restoredTopic.records.length}条\n- 删除时间: ${entry.deletedAt}`
+          );
+        }
+        if (!memoryStore.has(topic)) {
+          return respond.fail(
+            format,
+            action,
+            "TOPIC_NOT_FOUND",
+            `❌ 主题 "${topic}" 不存在，无法恢复其中的记录！\n\n💡 提示：如果主题也已删除，请先使用 action: "restore"（不带 recordId）恢复主题。`
+          );
+        }
+        const targetTopic = memoryStore.get(topic);
+        if (targetTopic.records.some((record) => record.id === entry.recordId)) {
+          return respond.fail(
+            format,
+            action,
+            "RECORD_EXISTS",
+            `⚠️ 主题 "${topic}" 中已存在ID为 "${entry.recordId}" 的记录，无法重复恢复。`
+          );
+        }
+        const restoredRecord = entry.data;
+        const restoreQuotaError = checkQuota(space, { records: 1, size: calculateRecordSize(restoredRecord) });
+        if (restoreQuotaError) {
+          return respond.fail(format, action, "QUOTA_EXCEEDED", restoreQuotaError);
+        }
+        appendHistoryEvent(restoredRecord, { action: "restore", actor });
+        targetTopic.records.push(restoredRecord);
+        targetTopic.updatedAt = getCurrentTimestamp();
+        pruneDanglingLinks(memoryStore, [restoredRecord]);
+        saveRecord(topic, restoredRecord);
+        saveTopic(targetTopic);
+        removeFromTrash(space, entry);
+        const shownFromTrash = redactRecord(restoredRecord);
+        return respond.ok(
+          format,
+          action,
+          {
+            status: "restored",
+            topic: toTopicSummary(targetTopic),
+            record: toPublicRecord(shownFromTrash, topic),
+            trash: [toShownTrashEntry(entry)]
+          },
+          `✅ 记录已从回收站恢复到主题 "${topic}"！\n\n- 记录ID: ${restoredRecord.id}\n- 内容: ${
+            shownFromTrash.content
+          }\n- 删除时间: ${entry.deletedAt}`
+        );
+      }
+      case "purge": {
+        const entries = recordId ? findTrashEntries(space, topic, recordId) : listTrash(space, topic);
+        if (entries.length === 0) {
+          return respond.fail(
+            format,
+            action,
+            "TRASH_NOT_FOUND",
+            `❌ 回收站中没有${recordId ? `主题 "${topic}" 下ID为 "${recordId}" 的记录` : `与主题 "${topic}" 相关的条目`}！`
+          );
+        }
+        const summaries = entries.map(toShownTrashEntry);
+        const entryLines = summaries
+          .map((entry) =>
+            entry.type === "topic"
+              ? `- 主题 "${entry.topic}"（${entry.recordCount}条记录，删除于 ${entry.deletedAt}）`
+              : `- 记录 "${entry.recordId}"（主题 "${entry.topic}"，删除于 ${entry.deletedAt}）`
+          )
+          .join("\n");
+        if (!confirm) {
+          return respond.ok(
+            format,
+            action,
+            { status: "confirmation_required", trash: summaries },
+            `⚠️ 确认从回收站彻底清除以下 ${entries.length} 个条目？\n\n${entryLines}\n\n⚠️ 清除后将无法恢复！\n\n如需确认清除，请设置 confirm: true。`
+          );
+        }
+        for (const entry of entries) {
+          removeFromTrash(space, entry);
+        }
+        return respond.ok(
+          format,
+          action,
+          { status: "purged", trash: summaries },
+          `✅ 已从回收站彻底清除 ${entries.length} 个条目！\n\n${entryLines}`
+        );
+      }
+      case "rename_topic": {
+        if (!memoryStore.has(topic)) {
+          return respond.fail(format, action, "TOPIC_NOT_FOUND", `❌ 主题 "${topic}" 不存在！`);
+        }
+        const targetError = checkTarget(memoryStore, topic, target, false);
+        if (targetError) {
+          return respond.fail(format, action, targetError.code, targetError.message);
+        }
+        const renamedTopic = memoryStore.get(topic);
+        // 重建 Map 以保持主题原来的顺序
+        const renamedEntries = [...memoryStore.entries()].map(([name, topicData]) =>
+          name === topic ? [target, topicData] : [name, topicData]
+        );
+        memoryStore.clear();
+        for (const [name, topicData] of renamedEntries) {
+          memoryStore.set(name, topicData);
+        }
+        renamedTopic.name = target;
+        bumpTopicVersion(renamedTopic);
+        renamedTopic.updatedAt = getCurrentTimestamp();
+        removeTopic(topic);
+        saveTopic(renamedTopic);
+        for (const record of renamedTopic.records) {
+          saveRecord(target, record);
+        }
+        const retargetedForRename = retargetTrash(space, topic, target);
+        return respond.ok(
+          format,
+          action,
+          { status: "updated", topic: toTopicSummary(renamedTopic) },
+          `✅ 主题 "${topic}" 已重命名为 "${target}"！\n\n- 主题ID: ${renamedTopic.id}\n- 记录数量: ${
+            renamedTopic.records.length
+          }条（记录ID和版本历史保持不变）${
+            retargetedForRename > 0 ? `\n- 回收站中 ${retargetedForRename} 条原属该主题的记录将恢复到新名称下` : ""
+          }`
+        );
+      }
+      case "move_record":
+      case "copy_record": {
+        const source = selectSourceRecords(memoryStore, { topic, recordId, match });
+        if (source.error) {
+          return respond.fail(format, action, source.error.code, source.error.message);
+        }
+        if (!memoryStore.has(target)) {
+          return respond.fail(
+            format,
+            action,
+            target ? "TOPIC_NOT_FOUND" : "INVALID_ARGUMENT",
+            target
+              ? `❌ 目标主题 "${target}" 不存在！\n\n💡 提示：请先使用 action: "create_topic" 创建目标主题。`
+              : "❌ 请通过 target 指定目标主题！"
+          );
+        }
+        const targetTopic = memoryStore.get(target);
+        const candidates = source.selected.filter(({ topic: fromTopic }) => fromTopic !== target);
+        if (candidates.length === 0) {
+          return respond.ok(
+            format,
+            action,
+            { status: "unchanged", topic: toTopicSummary(targetTopic), affected: 0, records: [] },
+            `ℹ️ 没有需要${action === "move_record" ? "移动" : "复制"}的记录（记录已在主题 "${target}" 中或没有符合条件的记录）。`
+          );
+        }
+        if (action === "move_record") {
+          relocateRecords(space, candidates, targetTopic, { action: "move", actor });
+        } else {
+          const copies = candidates.map(({ topic: fromTopic, record }) => {
+            const copy = structuredClone(record);
+            copy.id = generateId();
+            copy.updatedAt = getCurrentTimestamp();
+            appendHistoryEvent(copy, { action: "copy", actor, note: `复制自主题 "${fromTopic}" 的记录 ${record.id}` });
+            return { topic: target, topicData: targetTopic, record: copy };
+          });
+          const copyQuotaError = checkQuota(space, {
+            records: copies.length,
+            size: copies.reduce((sum, { record }) => sum + calculateRecordSize(record), 0)
+          });
+          if (copyQuotaError) {
+            return respond.fail(format, action, "QUOTA_EXCEEDED", copyQuotaError);
+          }
+          for (const { record } of copies) {
+            targetTopic.records.push(record);
+            saveRecord(target, record);
+          }
+          targetTopic.updatedAt = getCurrentTimestamp();
+          saveTopic(targetTopic);
+          candidates.splice(0, candidates.length, ...copies);
+        }
+        return respond.ok(
+          format,
+          action,
+          {
+            status: action === "move_record" ? "updated" : "created",
+            topic: toTopicSummary(targetTopic),
+            affected: candidates.length,
+            records: candidates.map(({ record }) => toShownRecord(record, target))
+          },
+          `✅ 已${action === "move_record" ? "移动" : "复制"} ${candidates.length} 条记录到主题 "${target}"！\n\n${formatSelectedRecords(
+            candidates
+          )}\n\n${
+            action === "move_record" ? "记录ID和版本历史保持不变。" : "副本使用新的记录ID，并保留原记录的版本历史。"
+          }`
+        );
+      }
+      case "merge_topics": {
+        if (!memoryStore.has(topic)) {
+          return respond.fail(format, action, "TOPIC_NOT_FOUND", `❌ 主题 "${topic}" 不存在！`);
+        }
+        const mergeTargetError = checkTarget(memoryStore, topic, target, true);
+        if (mergeTargetError) {
+          return respond.fail(format, action, mergeTargetError.code, mergeTargetError.message);
+        }
+        const sourceTopic = memoryStore.get(topic);
+        const mergeTarget = memoryStore.get(target);
+        const mergedCount = sourceTopic.records.length;
+        const mergeTargetBefore = topicSettings(mergeTarget);
+        mergeTarget.tags = [...new Set([...mergeTarget.tags, ...sourceTopic.tags])];
+        if (!mergeTarget.description) {
+          mergeTarget.description = sourceTopic.description;
+        }
+        if (topicSettings(mergeTarget) !== mergeTargetBefore) {
+          bumpTopicVersion(mergeTarget);
+        }
+        relocateRecords(
+          space,
+          sourceTopic.records.map((record) => ({ topic, topicData: sourceTopic, record })),
+          mergeTarget,
+          { action: "merge", actor }
+        );
+        memoryStore.delete(topic);
+        removeTopic(topic);
+        const retargetedForMerge = retargetTrash(space, topic, target);
+        return respond.ok(
+          format,
+          action,
+          { status: "updated", topic: toTopicSummary(mergeTarget), affected: mergedCount, remainingTopics: memoryStore.size },
+          `✅ 主题 "${topic}" 已合并到 "${target}"！\n\n- 合并的记录: ${mergedCount}条（记录ID和版本历史保持不变）\n- 合并后的标签: ${
+            mergeTarget.tags.join(", ") || "无标签"
+          }\n- 主题 "${target}" 现有 ${mergeTarget.records.length} 条记录${
+            retargetedForMerge > 0 ? `\n- 回收站中 ${retargetedForMerge} 条原属 "${topic}" 的记录将恢复到 "${target}"` : ""
+          }\n\n原主题 "${topic}" 已移除。`
+        );
+      }
+      case "split_topic": {
+        if (!memoryStore.has(topic)) {
+          return respond.fail(format, action, "TOPIC_NOT_FOUND", `❌ 主题 "${topic}" 不存在！`);
+        }
+        if (!hasMatchConditions(match)) {
+          return respond.fail(
+            format,
+            action,
+            "INVALID_ARGUMENT",
+            `❌ split_topic 需要通过 match 指定要拆分出去的记录！\n\n💡 例如按元数据拆分：{"match": {"metadataFilters": [{"field": "category", "op": "eq", "value": "前端"}]}, "target": "前端笔记"}`
+          );
+        }
+        if (!target || target === topic) {
+          return respond.fail(format, action, "INVALID_ARGUMENT", "❌ 请通过 target 指定拆分后的新主题名称（不能与原主题相同）！");
+        }
+        const splitSource = memoryStore.get(topic);
+        const splitSelected = selectRecords(memoryStore, { ...match, topics: [topic] });
+        if (splitSelected.length === 0) {
+          return respond.ok(
+            format,
+            action,
+            { status: "unchanged", topic: toTopicSummary(splitSource), affected: 0, records: [] },
+            `ℹ️ 主题 "${topic}" 中没有符合条件的记录，未拆分。\n\n🔎 筛选条件:\n${describeMatch(match)}`
+          );
+        }
+        let splitTarget = memoryStore.get(target);
+        if (!splitTarget) {
+          const splitQuotaError = checkQuota(space, { topics: 1 });
+          if (splitQuotaError) {
+            return respond.fail(format, action, "QUOTA_EXCEEDED", splitQuotaError);
+          }
+          splitTarget = {
+            id: generateId(),
+            name: target,
+            description: `从主题 "${topic}" 拆分`,
+            tags: [...splitSource.tags],
+            records: [],
+            version: 1,
+            createdAt: getCurrentTimestamp(),
+            updatedAt: getCurrentTimestamp()
+          };
+          memoryStore.set(target, splitTarget);
+        }
+        relocateRecords(space, splitSelected, splitTarget, { action: "split", actor });
+        return respond.ok(
+          format,
+          action,
+          {
+            status: "updated",
+            topic: toTopicSummary(splitTarget),
+            affected: splitSelected.length,
+            records: splitSelected.map(({ record }) => toShownRecord(record, target))
+          },
+          `✅ 已从主题 "${topic}" 拆分出 ${splitSelected.length} 条记录到 "${target}"！\n\n🔎 筛选条件:\n${describeMatch(
+            match
+          )}\n\n- 主题 "${topic}" 剩余 ${splitSource.records.length} 条记录\n- 主题 "${target}" 现有 ${
+            splitTarget.records.length
+          } 条记录\n\n记录ID和版本历史保持不变。`
+        );
+      }
+      case "consolidate": {
+        const {
+          topicData: consolidateSource,
+          summarizer,
+          originals,
+          plans,
+          planGroups,
+          consolidatedCount,
+          matchText
+        } = consolidationPlan;
+        if (memoryStore.get(topic) !== consolidateSource || !plans.every((plan) => isPlanCurrent(consolidateSource, plan))) {
+          return respond.fail(
+            format,
+            action,
+            "VERSION_CONFLICT",
+            `❌ 生成摘要期间主题 "${topic}" 中要整合的记录被修改、移动或删除，未做整合！\n\n💡 请重新执行 consolidate。`
+          );
+        }
+        const consolidateQuotaError = checkQuota(space, {
+          topics: originals === "archive" && !memoryStore.has(archiveTopicName(topic)) ? 1 : 0,
+          records: originals === "archive" ? plans.length : 0,
+          size: originals === "archive" ? plans.reduce((total, plan) => total + plan.content.length, 0) : 0
+        });
+        if (consolidateQuotaError) {
+          return respond.fail(format, action, "QUOTA_EXCEEDED", consolidateQuotaError);
+        }
+        const applied = await applyConsolidation(space, consolidateSource, plans, {
+          originals,
+          actor,
+          summarizerId: summarizer.id
+        });
+        const consolidatedRecords = applied.created.map(({ record }) => record);
+        return respond.ok(
+          format,
+          action,
+          {
+            status: "created",
+            topic: toTopicSummary(consolidateSource),
+            affected: consolidatedCount,
+            records: consolidatedRecords.map((record) => toShownRecord(record, topic)),
+            consolidation: {
+              summarizer: summarizer.id,
+              originals,
+              dryRun: false,
+              ...(applied.archiveTopic ? { archiveTopic: applied.archiveTopic.name } : {}),
+              groups: planGroups.map((group, index) => ({ recordId: consolidatedRecords[index].id, ...group }))
+            },
+            ...(applied.trash.length > 0 ? { trash: applied.trash.map(toShownTrashEntry) } : {})
+          },
+          `✅ 已将主题 "${topic}" 的 ${consolidatedCount} 条记录整合为 ${plans.length} 条！${matchText}\n\n${consolidatedRecords
+            .map(
+              (record) =>
+                `- ${record.id}（${record.importance}，整合自 ${record.consolidatedFrom.length} 条）: ${redactRecord(record)
+                  .content.replace(/\s+/g, " ")
+                  .slice(0, 60)}`
+            )
+            .join("\n")}\n\n- 摘要提供者: ${summarizer.id}\n- 原记录: ${
+            applied.archiveTopic
+              ? `已移到归档主题 "${applied.archiveTopic.name}"，被整合记录取代，检索和召回默认不再返回`
+              : `已移入回收站，可使用 action: "restore" 恢复`
+          }\n- 主题 "${topic}" 现有 ${consolidateSource.records.length} 条记录\n\n整合记录的 consolidatedFrom 保存了原记录ID。${formatDetached(
+            applied.detached
+          )}`
+        );
+      }
+      case "link_records":
+      case "unlink_records": {
+        if (!recordId || !toRecordId) {
+          return respond.fail(
+            format,
+            action,
+            "INVALID_ARGUMENT",
+            "❌ 请通过 recordId 和 toRecordId 指定关联的起点和终点记录！"
+          );
+        }
+        const recordIndex = indexRecords(memoryStore);
+        const linkSource = recordIndex.get(recordId);
+        if (!linkSource || (topic && linkSource.topic !== topic)) {
+          return respond.fail(
+            format,
+            action,
+            "RECORD_NOT_FOUND",
+            `❌ 未找到ID为 "${recordId}" 的记录${topic ? `（主题 "${topic}"）` : ""}！`
+          );
+        }
+        if (action === "unlink_records") {
+          const removedLinks = removeLinks(linkSource.record, { type: linkType, target: toRecordId, actor });
+          if (removedLinks.length === 0) {
+            return respond.fail(
+              format,
+              action,
+              "LINK_NOT_FOUND",
+              `❌ 记录 ${recordId} 没有指向 ${toRecordId} 的${linkType ? ` ${linkTypeLabel(linkType)} ` : ""}关联！`
+            );
+          }
+          saveRecord(linkSource.topic, linkSource.record);
+          return respond.ok(
+            format,
+            action,
+            {
+              status: "deleted",
+              record: toShownRecord(linkSource.record, linkSource.topic),
+              links: outgoingLinks({ id: recordId, links: removedLinks })
+            },
+            `✅ 已移除 ${removedLinks.length} 个关联！\n\n${removedLinks
+              .map((link) => `- ${recordId} —${linkTypeLabel(link.type)}→ ${toRecordId}`)
+              .join("\n")}`
+          );
+        }
+        const newLinkType = linkType || "relates_to";
+        if (!isValidLinkType(newLinkType)) {
+          return respond.fail(
+            format,
+            action,
+            "INVALID_ARGUMENT",
+            `❌ 无效的关联类型: ${newLinkType}\n\n💡 可用类型：${Object.keys(LINK_TYPES).join("、")}，或由小写字母、数字和下划线组成的自定义类型。`
+          );
+        }
+        if (toRecordId === recordId) {
+          return respond.fail(format, action, "INVALID_ARGUMENT", "❌ 记录不能关联到自身！");
+        }
+        const linkTarget = recordIndex.get(toRecordId);
+        if (!linkTarget) {
+          return respond.fail(format, action, "RECORD_NOT_FOUND", `❌ 未找到ID为 "${toRecordId}" 的目标记录！`);
+        }
+        if ((linkSource.record.links || []).length >= MAX_LINKS_PER_RECORD) {
+          return respond.fail(
+            format,
+            action,
+            "LINK_LIMIT_EXCEEDED",
+            `❌ 记录 ${recordId} 的关联数量已达上限（${MAX_LINKS_PER_RECORD} 个）！`
+          );
+        }
+        const newLink = addLink(linkSource.record, { type: newLinkType, target: toRecordId, actor });
+        const linkText = `[${linkSource.topic}] ${recordId} —${linkTypeLabel(newLinkType)}→ [${linkTarget.topic}] ${toRecordId}`;
+        if (!newLink) {
+          return respond.ok(
+            format,
+            action,
+            { status: "unchanged", record: toShownRecord(linkSource.record, linkSource.topic) },
+            `ℹ️ 关联已存在，未重复添加。\n\n${linkText}`
+          );
+        }
+        saveRecord(linkSource.topic, linkSource.record);
+        return respond.ok(
+          format,
+          action,
+          {
+            status: "created",
+            record: toShownRecord(linkSource.record, linkSource.topic),
+            links: outgoingLinks({ id: recordId, links: [newLink] })
+          },
+          `✅ 关联已添加！\n\n${linkText}\n- 起点内容: ${redactRecord(linkSource.record).content.slice(0, 60)}\n- 终点内容: ${redactRecord(linkTarget.record).content.slice(
+            0,
+            60
+          )}${
+            newLinkType === "supersedes" ? "\n\n💡 被取代的记录默认不会出现在搜索结果中（search 设置 includeSuperseded: true 可显示）。" : ""
+          }\n\n可使用 memory_query 的 action: "links" 查看记录的关联。`
+        );
+      }
+      case "bulk_update": {
+        if (!hasMatchConditions(match)) {
+          return respond.fail(
+            format,
+            action,
+            "INVALID_ARGUMENT",
+            `❌ bulk_update 需要通过 match 指定至少一个筛选条件！\n\n💡 例如：{"match": {"importance": "低", "topics": ["临时笔记"]}, "set": {"importance": "中"}}`
+          );
+        }
+        if (!set || Object.values(set).every((value) => value === undefined)) {
+          return respond.fail(format, action, "INVALID_ARGUMENT", "❌ bulk_update 需要通过 set 指定要修改的字段！");
+        }
+        let bulkExpiry;
+        try {
+          bulkExpiry = resolveExpiry({ expiresAt: set.expiresAt, ttl: set.ttl });
+        } catch (error) {
+          return respond.fail(format, action, "INVALID_ARGUMENT", `❌ ${error.message}`);
+        }
+        const bulkScreened = screenSensitive(format, action, {
+          ...(set.context ? { context: set.context } : {}),
+          ...(set.metadata && Object.keys(set.metadata).length > 0 ? { metadata: set.metadata } : {})
+        });
+        if (bulkScreened.failure) {
+          return bulkScreened.failure;
+        }
+        const bulkContext = set.context ? bulkScreened.fields.context : set.context;
+        const bulkMetadata = set.metadata && bulkScreened.fields.metadata ? bulkScreened.fields.metadata : set.metadata;
+        const selectedForUpdate = selectRecords(memoryStore, match);
+        // 先校验全部记录的元数据，任一不符合所在主题的结构则不做任何修改
+        const mergedMetadata = new Map();
+        if (bulkMetadata) {
+          const invalid = [];
+          for (const { topic: topicName, topicData, record } of selectedForUpdate) {
+            const merged = mergeMetadata(topicData.metadataSchema, record.metadata, bulkMetadata);
+            if (merged.errors.length > 0) {
+              invalid.push({ topic: topicName, recordId: record.id, errors: merged.errors });
+            }
+            mergedMetadata.set(record.id, merged.metadata);
+          }
+          if (invalid.length > 0) {
+            return respond.fail(
+              format,
+              action,
+              "INVALID_METADATA",
+              `❌ ${invalid.length} 条记录的元数据不符合所在主题的结构，未做任何修改！\n\n${invalid
+                .slice(0, PREVIEW_LIMIT)
+                .map((item) => `- [${item.topic}] ${item.recordId}: ${item.errors.join("；")}`)
+                .join("\n")}${invalid.length > PREVIEW_LIMIT ? `\n... 另有 ${invalid.length - PREVIEW_LIMIT} 条` : ""}`,
+              { invalid }
+            );
+          }
+        }
+        const bulkSnapshots = selectedForUpdate.map(({ record }) => {
+          const nextSnapshot = recordSnapshot(record);
+          if (set.importance) {
+            nextSnapshot.importance = set.importance;
+          }
+          if (bulkContext !== undefined) {
+            nextSnapshot.context = bulkContext;
+          }
+          if (bulkMetadata) {
+            nextSnapshot.metadata = mergedMetadata.get(record.id);
+          }
+          if (bulkExpiry === null) {
+            delete nextSnapshot.expiresAt;
+          } else if (bulkExpiry) {
+            nextSnapshot.expiresAt = bulkExpiry;
+          }
+          return nextSnapshot;
+        });
+        const bulkQuotaError = checkQuota(space, {
+          size: selectedForUpdate.reduce((total, { record }, index) => total + sizeGrowth(record, bulkSnapshots[index]), 0)
+        });
+        if (bulkQuotaError) {
+          return respond.fail(format, action, "QUOTA_EXCEEDED", bulkQuotaError);
+        }
+        const updatedEntries = selectedForUpdate.filter(
+          ({ record }, index) => commitVersion(record, bulkSnapshots[index], { actor, note: "批量更新" }).length > 0
+        );
+        if (updatedEntries.length > 0) {
+          await embedRecords(updatedEntries.map(({ record }) => record));
+          const touchedTopics = new Set();
+          for (const { topic: topicName, topicData, record } of updatedEntries) {
+            refreshSensitiveTag(record);
+            saveRecord(topicName, record);
+            touchedTopics.add(topicData);
+          }
+          for (const topicData of touchedTopics) {
+            topicData.updatedAt = getCurrentTimestamp();
+            saveTopic(topicData);
+          }
+        }
+        return respond.ok(
+          format,
+          action,
+          {
+            status: updatedEntries.length > 0 ? "updated" : "unchanged",
+            affected: updatedEntries.length,
+            records: updatedEntries.map(({ topic: topicName, record }) => toShownRecord(record, topicName)),
+            ...(bulkScreened.findings.length > 0 ? { findings: bulkScreened.findings } : {})
+          },
+          `✅ 批量更新完成：符合条件 ${selectedForUpdate.length} 条，实际修改 ${updatedEntries.length} 条。\n\n🔎 筛选条件:\n${describeMatch(
+            match
+          )}${updatedEntries.length > 0 ? `\n\n📝 已修改的记录:\n${formatSelectedRecords(updatedEntries)}` : ""}${formatSensitiveNotice(
+            bulkScreened.findings
+          )}`
+        );
+      }
+      case "bulk_delete": {
+        if (!hasMatchConditions(match)) {
+          return respond.fail(
+            format,
+            action,
+            "INVALID_ARGUMENT",
+            `❌ bulk_delete 需要通过 match 指定至少一个筛选条件！\n\n💡 例如：{"match": {"importance": "低", "createdBefore": "2024-01-01"}}`
+          );
+        }
+        const selectedForDelete = selectRecords(memoryStore, match);
+        if (selectedForDelete.length === 0) {
+          return respond.ok(
+            format,
+            action,
+            { status: "unchanged", affected: 0, records: [] },
+            `ℹ️ 没有符合条件的记录，未删除任何内容。\n\n🔎 筛选条件:\n${describeMatch(match)}`
+          );
+        }
+        if (!confirm) {
+          return respond.ok(
+            format,
+            action,
+            {
+              status: "confirmation_required",
+              affected: selectedForDelete.length,
+              records: selectedForDelete.map(({ topic: topicName, record }) => toShownRecord(record, topicName))
+            },
+            `⚠️ 确认删除以下 ${selectedForDelete.length} 条记录？\n\n${formatSelectedRecords(
+              selectedForDelete
+            )}\n\n删除的记录会移入回收站，可以恢复。\n如需确认删除，请设置 confirm: true。`
+          );
+        }
+        // 先从内存中移除再写入存储，避免写入过程中触发的压缩把待删除的记录重新写回
+        const deletedIds = new Set(selectedForDelete.map(({ record }) => record.id));
+        const touchedTopics = new Set(selectedForDelete.map(({ topicData }) => topicData));
+        for (const topicData of touchedTopics) {
+          topicData.records = topicData.records.filter((record) => !deletedIds.has(record.id));
+          topicData.updatedAt = getCurrentTimestamp();
+        }
+        const bulkTrashEntries = selectedForDelete.map(({ topic: topicName, record }) => {
+          const entry = trashRecord(space, topicName, record, actor);
+          removeRecord(topicName, record.id);
+          return entry;
+        });
+        for (const topicData of touchedTopics) {
+          saveTopic(topicData);
+        }
+        const detachedForBulk = detachLinks(space, deletedIds, actor);
+        return respond.ok(
+          format,
+          action,
+          {
+            status: "deleted",
+            affected: selectedForDelete.length,
+            records: selectedForDelete.map(({ topic: topicName, record }) => toShownRecord(record, topicName)),
+            trash: bulkTrashEntries.map(toShownTrashEntry)
+          },
+          `✅ 已删除 ${selectedForDelete.length} 条记录！\n\n${formatSelectedRecords(
+            selectedForDelete
+          )}\n\n🗑️ 已移入回收站，可使用 action: "restore" 逐条恢复。${formatDetached(detachedForBulk)}`
+        );
+      }
+      default:
+        return respond.fail(
+          format,
+          action,
+          "INVALID_ARGUMENT",
+          `❌ 不支持的操作类型: ${action}\n\n💡 支持的操作类型:\n- create_topic: 创建新主题（如"项目笔记"、"学习记录"）\n- create_record: 在指定主题中添加新记录\n- update_topic: 更新主题的描述和标签\n- update_record: 修改指定记录的内容、重要性等\n- delete_topic: 删除整个主题及其所有记录（移入回收站）\n- delete_record: 删除主题中的指定记录（移入回收站）\n- restore_version: 将记录恢复到指定历史版本\n- restore: 从回收站恢复主题或记录\n- purge: 从回收站彻底清除\n- rename_topic: 重命名主题\n- move_record / copy_record: 移动或复制记录到其他主题\n- merge_topics: 合并两个主题\n- split_topic: 按条件拆分主题\n- consolidate: 把主题中内容相近的记录整合为摘要记录\n- link_records / unlink_records: 添加或移除记录之间的关联\n- bulk_update: 按 match 条件批量修改记录\n- bulk_delete: 按 match 条件批量删除记录\n- batch: 在一个事务中执行多个操作\n\n🔧 使用建议：先创建主题，再添加记录，最后进行查询和管理。`
+        );
+    }
+  } catch (error) {
+    return respond.fail(format, action, "INTERNAL_ERROR", `❌ 操作失败: ${error.message}`);
+  }
+}
+
+/**
+ * 在一个事务中依次执行多个操作：任一操作失败时撤销此前的全部修改，成功后一次性写入存储。
+ * 删除主题和 bulk_delete 需要在对应操作中设置 confirm: true，否则视为失败。
+ */
+async function runBatch(space, operations, actor, format) {
+  if (operations.length === 0) {
+    return respond.fail(format, "batch", "INVALID_ARGUMENT", "❌ batch 需要通过 operations 提供至少一个操作！");
+  }
+  const results = [];
+  let failure = null;
+  space.begin();
+  try {
+    for (const [index, operation] of operations.entries()) {
+      const result = await withEventContext({ action: operation.action }, () =>
+        runAction(space, { ...operation, actor, format: "text" })
+      );
+      const data = result.structuredContent;
+      const summary = {
+        index,
+        action: operation.action,
+        ok: data.ok && data.status !== "confirmation_required",
+        status: data.status,
+        topic: data.topic?.name || operation.topic || undefined,
+        recordId: data.record?.id || operation.recordId || undefined,
+        affected: data.affected,
+        message: data.message
+      };
+      if (!summary.ok) {
+        summary.error = data.error || {
+          code: "CONFIRMATION_REQUIRED",
+          message: `${operation.action} 需要在该操作中设置 confirm: true`
+        };
+        failure = summary;
+        results.push(summary);
+        break;
+      }
+      results.push(summary);
+    }
+  } catch (error) {
+    failure = { error: { code: "INTERNAL_ERROR", message: error.message } };
+  }
+  if (failure) {
+    space.rollback();
+    const failedAt = failure.index === undefined ? "" : `第 ${failure.index + 1} 个操作（${failure.action}）`;
+    return respond.fail(
+      format,
+      "batch",
+      failure.error.code,
+      `❌ 批量操作失败，已撤销全部修改！\n\n${failedAt ? `失败位置: ${failedAt}\n` : ""}原因: ${
+        failure.error.message
+      }\n\n💡 修正该操作后重新提交整个 batch。`,
+      { status: "rolled_back", results }
+    );
+  }
+  space.commit();
+  const lines = results.map(
+    (result) =>
+      `${result.index + 1}. ${result.action}${result.topic ? ` "${result.topic}"` : ""}: ${result.message}`
+  );
+  return respond.ok(
+    format,
+    "batch",
+    { status: "committed", results },
+    `✅ 批量操作完成，共 ${results.length} 个操作！\n\n${lines.join("\n")}`
+  );
+}
 
 export function registerMemoryManage(server) {
   server.registerTool(
@@ -9,7 +2044,7 @@ export function registerMemoryManage(server) {
     {
       title: "记忆管理",
       description:
-        "统一管理记忆主题和记录的创建、更新、删除操作。先创建主题，再添加记录。",
+        "统一管理记忆主题和记录的创建、更新、删除操作。先创建主题，再添加记录。支持 batch 一次提交多个操作（全部成功或全部撤销）、按条件批量更新或删除记录，以及把内容相近的记录整合为摘要记录。",
       inputSchema: {
         action: z
           .enum([
@@ -18,300 +2053,179 @@ export function registerMemoryManage(server) {
             "update_topic",
             "update_record",
             "delete_topic",
-            "delete_record"
+            "delete_record",
+            "restore_version",
+            "restore",
+            "purge",
+            "link_records",
+            "unlink_records",
+            "rename_topic",
+            "move_record",
+            "copy_record",
+            "merge_topics",
+            "split_topic",
+            "consolidate",
+            "bulk_update",
+            "bulk_delete",
+            "batch"
           ])
           .describe(
-            "操作类型：create_topic(创建主题)、create_record(添加记录)、update_topic(更新主题)、update_record(更新记录)、delete_topic(删除主题)、delete_record(删除记录)"
+            "操作类型：create_topic(创建主题)、create_record(添加记录)、update_topic(更新主题)、update_record(更新记录)、delete_topic(删除主题，移入回收站)、delete_record(删除记录，移入回收站)、restore_version(将记录恢复到历史版本)、restore(从回收站恢复主题或记录)、purge(从回收站彻底清除)、rename_topic(重命名主题)、move_record(移动记录到 target 主题)、copy_record(复制记录到 target 主题)、merge_topics(将主题合并到 target)、split_topic(把符合 match 的记录拆分到 target 主题)、consolidate(把主题中内容相近的记录整合为摘要记录，可用 match 限定范围)、link_records(从 recordId 添加指向 toRecordId 的关联)、unlink_records(移除关联)、bulk_update(按 match 条件批量修改记录)、bulk_delete(按 match 条件批量删除记录)、batch(在一个事务中执行 operations)"
           ),
-        topic: z
+        ...operationShape,
+        version: z.number().int().min(1).optional().describe("版本号：restore_version 时要恢复到的版本"),
+        operations: z
+          .array(operationSchema)
+          .max(MAX_BATCH_OPERATIONS)
+          .default([])
+          .describe(`batch 的操作列表：按顺序执行，任一失败则全部撤销，最多 ${MAX_BATCH_OPERATIONS} 个`),
+        actor: z
           .string()
-          .min(1, "主题名称不能为空")
-          .max(100, "主题名称不能超过100个字符")
-          .describe("主题名称：用于组织相关记忆的类别，如'项目笔记'、'学习记录'等"),
-        description: z.string().default("").describe("主题描述：可选，描述这个主题的用途和内容"),
-        tags: z.array(z.string()).default([]).describe("主题标签：可选，用于分类和搜索，如['技术', '前端', 'React']"),
-        content: z.string().default("").describe("记录内容：要保存的具体信息内容，必填项"),
-        importance: z
-          .enum(["低", "中", "高"]) 
-          .default("中")
-          .describe("记录重要性：低(日常信息)、中(重要信息)、高(关键信息)"),
-        context: z.string().default("").describe("记录上下文：可选，记录相关的背景信息或来源"),
-        metadata: z.record(z.any()).default({}).describe("额外元数据：可选，存储额外的结构化信息"),
-        recordId: z.string().default("").describe("记录ID：更新或删除记录时需要的唯一标识符"),
-        confirm: z.boolean().default(false).describe("删除确认：删除主题时必须设为true以确认操作")
+          .default("")
+          .describe("操作者：可选，记录在版本历史和回收站中，如 agent 或用户名称，默认为调用方身份"),
+        namespace: z.string().default("").describe("命名空间：可选，默认为调用方的默认命名空间"),
+        format: formatSchema
+      },
+      outputSchema: {
+        ...baseOutputShape,
+        status: z
+          .enum([
+            "created",
+            "merged",
+            "updated",
+            "unchanged",
+            "deleted",
+            "restored",
+            "purged",
+            "confirmation_required",
+            "committed",
+            "rolled_back"
+          ])
+          .optional()
+          .describe("操作结果状态"),
+        topic: topicSchema.optional().describe("操作涉及的主题（删除后为删除前的状态）"),
+        record: recordSchema.optional().describe("操作涉及的记录（删除后为删除前的状态）"),
+        records: z.array(recordSchema).optional().describe("bulk_update / bulk_delete 涉及的记录，consolidate 新建的整合记录"),
+        duplicates: z
+          .array(
+            recordSchema.extend({
+              similarity: z.number().describe("与新内容的相似度，0-1"),
+              exact: z.boolean().describe("规范化后内容是否完全相同")
+            })
+          )
+          .optional()
+          .describe("create_record 发现的相似记录，按相似度从高到低排序"),
+        links: z.array(linkSchema).optional().describe("link_records / unlink_records 添加或移除的关联"),
+        conflict: z
+          .object({ expectedVersion: z.number(), currentVersion: z.number() })
+          .optional()
+          .describe("版本冲突时期望的版本和当前版本，record / topic 为当前状态"),
+        findings: z
+          .array(
+            z.object({
+              field: z.string().describe("命中的字段，元数据形如 metadata.key"),
+              detector: z.string().describe("命中的检测规则"),
+              label: z.string()
+            })
+          )
+          .optional()
+          .describe("create_record / update_record 检测到的敏感信息，block 策略下为拒绝写入的原因"),
+        consolidation: z
+          .object({
+            summarizer: z.string().describe("生成摘要的提供者"),
+            originals: z.enum(ORIGINALS_MODES).describe("原记录的处理方式"),
+            dryRun: z.boolean().describe("是否为预演"),
+            archiveTopic: z.string().optional().describe("原记录移入的归档主题"),
+            groups: z
+              .array(
+                z.object({
+                  recordId: z.string().optional().describe("整合记录的ID，预演时没有"),
+                  sourceIds: z.array(z.string()).describe("被整合的原记录ID"),
+                  importance: z.string(),
+                  content: z.string().describe("摘要内容")
+                })
+              )
+              .describe("每组整合的结果")
+          })
+          .optional()
+          .describe("consolidate 的整合结果"),
+        migration: z
+          .object({
+            checked: z.number().describe("检查的记录数"),
+            conforming: z.number().describe("符合结构的记录数"),
+            nonConforming: z
+              .array(
+                z.object({
+                  recordId: z.string(),
+                  errors: z.array(z.string()).describe("需要手动修正的问题"),
+                  changes: z.array(z.string()).describe("更新元数据时会自动完成的改写")
+                })
+              )
+              .describe("不符合结构的记录")
+          })
+          .optional()
+          .describe("update_topic 修改元数据结构后，已有记录的检查结果"),
+        errors: z.array(z.string()).optional().describe("元数据校验失败的原因"),
+        invalid: z
+          .array(z.object({ topic: z.string(), recordId: z.string(), errors: z.array(z.string()) }))
+          .optional()
+          .describe("bulk_update 中元数据校验失败的记录"),
+        affected: z.number().optional().describe("bulk_update / bulk_delete 实际修改或删除的记录数，consolidate 整合的原记录数"),
+        remainingTopics: z.number().optional().describe("删除主题后剩余的主题数量"),
+        trash: z.array(trashEntrySchema).optional().describe("移入、恢复或清除的回收站条目"),
+        results: z
+          .array(
+            z.object({
+              index: z.number(),
+              action: z.string(),
+              ok: z.boolean(),
+              status: z.string().optional(),
+              topic: z.string().optional(),
+              recordId: z.string().optional(),
+              affected: z.number().optional(),
+              message: z.string(),
+              error: z.object({ code: z.string(), message: z.string() }).optional()
+            })
+          )
+          .optional()
+          .describe("batch 中每个操作的结果，失败时最后一项为失败的操作")
       }
     },
-    async ({
-      action,
-      topic,
-      description,
-      tags,
-      content,
-      importance,
-      context,
-      metadata,
-      recordId,
-      confirm
-    }) => {
+    async (params, extra) => {
+      const { action, namespace, format } = params;
+      const access = resolveAccess(extra, namespace, requiredPermission(action, params.operations));
+      if (access.error) {
+        return respond.fail(format, action, access.error.code, access.error.message);
+      }
+      const actor = params.actor || access.principal;
+      // 客户端声明了 sampling 能力时，consolidate 可以请求客户端的模型生成摘要
+      const requestSampling = server.server.getClientCapabilities()?.sampling
+        ? (request) => extra.sendRequest({ method: "sampling/createMessage", params: request }, CreateMessageResultSchema)
+        : null;
       try {
-        switch (action) {
-          case "create_topic": {
-            if (memoryStore.has(topic)) {
-              return {
-                content: [
-                  {
-                    type: "text",
-                    text: `⚠️ 主题 "${topic}" 已存在，无法重复创建。\n\n现有主题信息:\n- 描述: ${
-                      memoryStore.get(topic).description || "无描述"
-                    }\n- 标签: ${
-                      memoryStore.get(topic).tags.join(", ") || "无标签"
-                    }\n- 记录数量: ${
-                      memoryStore.get(topic).records.length
-                    }条\n\n如需添加记录到此主题，请使用 action: "create_record"。`
-                  }
-                ]
-              };
-            }
-            const newTopic = {
-              id: generateId(),
-              name: topic,
-              description,
-              tags,
-              records: [],
-              createdAt: getCurrentTimestamp(),
-              updatedAt: getCurrentTimestamp()
-            };
-            memoryStore.set(topic, newTopic);
-            updateStats("add_topic");
-            return {
-              content: [
-                {
-                  type: "text",
-                  text: `✅ 主题 "${topic}" 创建成功！\n\n主题信息:\n- ID: ${
-                    newTopic.id
-                  }\n- 描述: ${description || "无描述"}\n- 标签: ${
-                    tags.join(", ") || "无标签"
-                  }\n- 创建时间: ${newTopic.createdAt}\n- 当前记录数: 0条`
-                }
-              ]
-            };
-          }
-          case "create_record": {
-            if (!content) {
-              return {
-                content: [
-                  {
-                    type: "text",
-                    text: `❌ 记录内容不能为空！\n\n💡 提示：记录内容是必填项，请提供要保存的具体信息内容。\n例如：项目进展、学习笔记、重要决策等。`
-                  }
-                ]
-              };
-            }
-            if (!memoryStore.has(topic)) {
-              return {
-                content: [
-                  {
-                    type: "text",
-                    text: `❌ 主题 "${topic}" 不存在！\n\n💡 解决步骤：\n1. 先使用 action: "create_topic" 创建主题 "${topic}"\n2. 然后使用 action: "create_record" 添加记录到该主题\n\n或者使用 memory_query 工具的 action: "list_topics" 查看现有主题列表。`
-                  }
-                ]
-              };
-            }
-            const newRecord = {
-              id: generateId(),
-              content,
-              importance,
-              context,
-              metadata,
-              createdAt: getCurrentTimestamp(),
-              updatedAt: getCurrentTimestamp()
-            };
-            const topicDataForRecord = memoryStore.get(topic);
-            topicDataForRecord.records.push(newRecord);
-            topicDataForRecord.updatedAt = getCurrentTimestamp();
-            updateStats("add_record", topic, newRecord);
-            return {
-              content: [
-                {
-                  type: "text",
-                  text: `✅ 记录已成功添加到主题 "${topic}"！\n\n记录信息:\n- ID: ${
-                    newRecord.id
-                  }\n- 重要性: ${importance}\n- 内容: ${content}\n- 上下文: ${
-                    context || "无"
-                  }\n- 创建时间: ${newRecord.createdAt}\n\n主题 "${topic}" 当前共有 ${
-                    topicDataForRecord.records.length
-                  } 条记录。`
-                }
-              ]
-            };
-          }
-          case "update_topic": {
-            if (!memoryStore.has(topic)) {
-              return {
-                content: [
-                  { type: "text", text: `❌ 主题 "${topic}" 不存在！\n\n请使用 action: "list_topics" 查看现有主题列表。` }
-                ]
-              };
-            }
-            const topicToUpdate = memoryStore.get(topic);
-            if (description && description !== "") {
-              topicToUpdate.description = description;
-            }
-            if (tags && tags.length > 0) {
-              topicToUpdate.tags = tags;
-            }
-            topicToUpdate.updatedAt = getCurrentTimestamp();
-            return {
-              content: [
-                {
-                  type: "text",
-                  text: `✅ 主题 "${topic}" 更新成功！\n\n更新后信息:\n- 描述: ${
-                    topicToUpdate.description || "无描述"
-                  }\n- 标签: ${
-                    topicToUpdate.tags.join(", ") || "无标签"
-                  }\n- 记录数量: ${
-                    topicToUpdate.records.length
-                  }条\n- 最后更新: ${topicToUpdate.updatedAt}`
-                }
-              ]
-            };
-          }
-          case "update_record": {
-            if (!recordId) {
-              return { content: [{ type: "text", text: "❌ 记录ID不能为空！" }] };
-            }
-            if (!memoryStore.has(topic)) {
-              return { content: [{ type: "text", text: `❌ 主题 "${topic}" 不存在！` }] };
-            }
-            const topicDataForUpdate = memoryStore.get(topic);
-            const recordToUpdate = topicDataForUpdate.records.find(
-              (record) => record.id === recordId
-            );
-            if (!recordToUpdate) {
-              return {
-                content: [
-                  { type: "text", text: `❌ 在主题 "${topic}" 中未找到ID为 "${recordId}" 的记录！` }
-                ]
-              };
-            }
-            if (content && content !== "") {
-              recordToUpdate.content = content;
-            }
-            if (importance && importance !== "中") {
-              recordToUpdate.importance = importance;
-            }
-            if (context && context !== "") {
-              recordToUpdate.context = context;
-            }
-            if (metadata && Object.keys(metadata).length > 0) {
-              recordToUpdate.metadata = { ...recordToUpdate.metadata, ...metadata };
-            }
-            recordToUpdate.updatedAt = getCurrentTimestamp();
-            topicDataForUpdate.updatedAt = getCurrentTimestamp();
-            return {
-              content: [
-                {
-                  type: "text",
-                  text: `✅ 记录更新成功！\n\n更新后信息:\n- 记录ID: ${
-                    recordToUpdate.id
-                  }\n- 内容: ${recordToUpdate.content}\n- 重要性: ${
-                    recordToUpdate.importance
-                  }\n- 上下文: ${recordToUpdate.context || "无"}\n- 最后更新: ${
-                    recordToUpdate.updatedAt
-                  }\n\n主题 "${topic}" 已同步更新。`
-                }
-              ]
-            };
-          }
-          case "delete_topic": {
-            if (!memoryStore.has(topic)) {
-              return { content: [{ type: "text", text: `❌ 主题 "${topic}" 不存在！` }] };
-            }
-            if (!confirm) {
-              const topicData = memoryStore.get(topic);
-              return {
-                content: [
-                  {
-                    type: "text",
-                    text: `⚠️ 确认删除主题 "${topic}"？\n\n主题信息:\n- 描述: ${
-                      topicData.description || "无描述"
-                    }\n- 标签: ${
-                      topicData.tags.join(", ") || "无标签"
-                    }\n- 记录数量: ${
-                      topicData.records.length
-                    }条\n- 创建时间: ${topicData.createdAt}\n\n⚠️ 删除后将无法恢复！\n\n如需确认删除，请设置 confirm: true。`
-                  }
-                ]
-              };
-            }
-            const topicToDelete = memoryStore.get(topic);
-            const recordCount = topicToDelete.records.length;
-            memoryStore.delete(topic);
-            updateStats("remove_topic", topic);
-            return {
-              content: [
-                {
-                  type: "text",
-                  text: `✅ 主题 "${topic}" 删除成功！\n\n已删除:\n- 主题名称: ${
-                    topic
-                  }\n- 记录数量: ${recordCount}条\n- 主题描述: ${
-                    topicToDelete.description || "无描述"
-                  }\n\n现在还有 ${memoryStore.size} 个主题。`
-                }
-              ]
-            };
+        const space = await getSpace(access.namespace);
+        space.recordAccess("write");
+        // consolidate 的摘要在写锁之外生成，见 planConsolidate()
+        let consolidationPlan;
+        if (action === "consolidate") {
+          consolidationPlan = await planConsolidate(space, { ...params, requestSampling });
+          if (consolidationPlan.response) {
+            return consolidationPlan.response;
           }
-          case "delete_record": {
-            if (!recordId) {
-              return { content: [{ type: "text", text: "❌ 记录ID不能为空！" }] };
-            }
-            if (!memoryStore.has(topic)) {
-              return { content: [{ type: "text", text: `❌ 主题 "${topic}" 不存在！` }] };
-            }
-            const topicDataForDelete = memoryStore.get(topic);
-            const recordIndex = topicDataForDelete.records.findIndex(
-              (record) => record.id === recordId
-            );
-            if (recordIndex === -1) {
-              return {
-                content: [
-                  { type: "text", text: `❌ 在主题 "${topic}" 中未找到ID为 "${recordId}" 的记录！` }
-                ]
-              };
-            }
-            const removedRecord = topicDataForDelete.records.splice(recordIndex, 1)[0];
-            topicDataForDelete.updatedAt = getCurrentTimestamp();
-            updateStats("remove_record", topic, removedRecord);
-            return {
-              content: [
-                {
-                  type: "text",
-                  text: `✅ 记录删除成功！\n\n已删除的记录信息:\n- 主题: ${
-                    topic
-                  }\n- 记录ID: ${removedRecord.id}\n- 内容: ${
-                    removedRecord.content
-                  }\n- 重要性: ${removedRecord.importance}\n\n主题 "${topic}" 现在还有 ${
-                    topicDataForDelete.records.length
-                  } 条记录。`
-                }
-              ]
-            };
-          }
-          default:
-            return {
-              content: [
-                {
-                  type: "text",
-                  text: `❌ 不支持的操作类型: ${action}\n\n💡 支持的操作类型:\n- create_topic: 创建新主题（如"项目笔记"、"学习记录"）\n- create_record: 在指定主题中添加新记录\n- update_topic: 更新主题的描述和标签\n- update_record: 修改指定记录的内容、重要性等\n- delete_topic: 删除整个主题及其所有记录\n- delete_record: 删除主题中的指定记录\n\n🔧 使用建议：先创建主题，再添加记录，最后进行查询和管理。`
-                }
-              ]
-            };
         }
+        // 同一命名空间的写操作依次执行，避免 batch 执行期间混入其他请求的修改
+        return await withEventContext(
+          { action, actor, principal: access.principal, sessionId: extra.sessionId || "" },
+          () =>
+            space.exclusive(() =>
+              action === "batch"
+                ? runBatch(space, params.operations, actor, format)
+                : runAction(space, { ...params, actor, consolidationPlan })
+            )
+        );
       } catch (error) {
-        return { content: [{ type: "text", text: `❌ 操作失败: ${error.message}` }] };
+        return respond.fail(format, action, "INTERNAL_ERROR", `❌ 操作失败: ${error.message}`);
       }
     }
   );
 }
-
-
@@ -1,5 +1,297 @@
 import { z } from "zod";
-import { memoryStore } from "../store.js";
+import { viewSpace, listSpaces } from "../store.js";
+import { parseQuery, parseLooseQuery, queryTokens, tokenize, rankDocuments, highlightSnippet } from "../search.js";
+import { embedRecords, embedQuery, cosineSimilarity } from "../embedding.js";
+import { filterSchema, buildFilter, describeFilters, paginate } from "../filters.js";
+import { getVersion, getTopicVersion, formatChange, HISTORY_ACTION_LABELS } from "../history.js";
+import { listTrash } from "../trash.js";
+import { EVICTION_REASONS } from "../retention.js";
+import { resolveAccess, accessibleNamespaces, ROLE_LABELS } from "../access.js";
+import { DEFAULT_SIMILARITY_THRESHOLD, findDuplicateClusters } from "../duplicates.js";
+import { rankBySalience } from "../salience.js";
+import { describeMetadataSchema } from "../metadataSchema.js";
+import { redactRecord, redactChanges } from "../sensitive.js";
+import { EVENT_TYPES, EVENT_ENTITIES, filterEvents, describeEvent } from "../events.js";
+import {
+  BUDGET_UNITS,
+  DEFAULT_RECALL_TOKENS,
+  COMPRESSION_LABELS,
+  filterRelevant,
+  assembleRecall
+} from "../recall.js";
+import {
+  MAX_DEPTH,
+  indexRecords,
+  traverse,
+  findPath,
+  supersededIds,
+  linkTypeLabel,
+  outgoingLinks,
+  incomingLinks
+} from "../links.js";
+import {
+  formatSchema,
+  baseOutputShape,
+  topicSchema,
+  recordSchema,
+  pageSchema,
+  versionSchema,
+  eventSchema,
+  trashEntrySchema,
+  linkSchema,
+  createResponder,
+  toTopicSummary,
+  toPublicRecord,
+  toTrashSummary
+} from "../response.js";
+
+const respond = createResponder("记忆查询");
+
+// 混合检索中语义相似度所占权重，其余为归一化后的关键词得分
+const HYBRID_SEMANTIC_WEIGHT = 0.5;
+
+const SEARCH_MODE_LABELS = {
+  keyword: "关键词",
+  semantic: "语义",
+  hybrid: "混合"
+};
+
+// 搜索候选集：存储后端有全文索引时只取索引召回的记录（以及标签命中的主题），否则遍历全部记录
+function searchCandidates(space, parsed) {
+  const tokens = queryTokens(parsed);
+  const needsFullScan = parsed.groups.flat().some((item) => item.tokens.length === 0);
+  const hits = needsFullScan ? null : space.searchIndex(tokens);
+  if (hits === null) {
+    return allCandidates(space);
+  }
+  const hitIds = new Set(hits.map((hit) => hit.recordId));
+  const candidates = [];
+  for (const [topicName, topicData] of space.memoryStore.entries()) {
+    const topicTokens = new Set(tokenize([topicName, ...topicData.tags].join("\n")));
+    const topicMatched = tokens.some((token) => topicTokens.has(token));
+    for (const record of topicData.records) {
+      if (topicMatched || hitIds.has(record.id)) {
+        candidates.push({ topic: topicName, topicData, record });
+      }
+    }
+  }
+  return candidates;
+}
+
+function allCandidates(space) {
+  const candidates = [];
+  for (const [topicName, topicData] of space.memoryStore.entries()) {
+    for (const record of topicData.records) {
+      candidates.push({ topic: topicName, topicData, record });
+    }
+  }
+  return candidates;
+}
+
+const IMPORTANCE_ORDER = { 高: 3, 中: 2, 低: 1 };
+
+function sortEntries(entries, sortBy, accessStore) {
+  if (sortBy === "显著性") {
+    return rankBySalience(entries, accessStore);
+  }
+  const sorted = [...entries];
+  if (sortBy === "时间") {
+    sorted.sort((a, b) => new Date(b.record.createdAt) - new Date(a.record.createdAt));
+  } else if (sortBy === "重要性") {
+    sorted.sort((a, b) => IMPORTANCE_ORDER[b.record.importance] - IMPORTANCE_ORDER[a.record.importance]);
+  }
+  return sorted;
+}
+
+function toPageInfo(page, limit) {
+  return { offset: page.offset, limit, total: page.total, nextCursor: page.nextCursor };
+}
+
+function formatPageRange(page, unit = "条") {
+  return page.items.length === 0
+    ? `0${unit}`
+    : `第${page.offset + 1}-${page.offset + page.items.length}${unit}`;
+}
+
+function formatPageFooter(page, unit) {
+  if (!page.nextCursor) {
+    return "";
+  }
+  const shown = page.offset + page.items.length;
+  return `\n... 还有 ${page.total - shown} ${unit}未显示，使用 cursor: "${page.nextCursor}"（或 offset: ${shown}）获取下一页。`;
+}
+
+// 结果中有敏感记录被脱敏时的提示
+function formatRedactionNote(records) {
+  const count = records.filter((record) => record.redacted).length;
+  return count > 0 ? `\n🔒 ${count} 条敏感记录已脱敏显示，传入 reveal: true 查看原文。` : "";
+}
+
+function formatFilterLines(filters) {
+  const parts = describeFilters(filters);
+  return parts.length > 0 ? `🧰 筛选条件:\n${parts.map((part) => `- ${part}`).join("\n")}\n` : "";
+}
+
+function formatRecordBlock(record, index, topicName = null, salience = undefined) {
+  let text = `\n--- 记录 ${index} ---\n${topicName ? `📚 主题: ${topicName}\n` : ""}🆔 ID: ${
+    record.id
+  }\n⭐ 重要性: ${record.importance}\n🔢 版本: ${getVersion(record)}${
+    salience === undefined ? "" : `\n🧠 显著性: ${salience.toFixed(3)}`
+  }\n📅 创建时间: ${
+    record.createdAt
+  }\n💭 内容: ${record.content}`;
+  if (record.context) {
+    text += `\n🔗 上下文: ${record.context}`;
+  }
+  if (Object.keys(record.metadata).length > 0) {
+    text += `\n📊 元数据: ${JSON.stringify(record.metadata, null, 2)}`;
+  }
+  return text + "\n";
+}
+
+// 按ID查找记录，找不到时再到回收站中查找（包括随主题一起删除的记录）
+function findRecordIncludingTrash(space, recordId) {
+  for (const [topicName, topicData] of space.memoryStore.entries()) {
+    const record = topicData.records.find((item) => item.id === recordId);
+    if (record) {
+      return { topicName, record, trashed: false };
+    }
+  }
+  for (const entry of space.trashStore.values()) {
+    const record =
+      entry.type === "record"
+        ? entry.recordId === recordId && entry.data
+        : entry.data.records.find((item) => item.id === recordId);
+    if (record) {
+      return { topicName: entry.topic, record, trashed: true };
+    }
+  }
+  return null;
+}
+
+function formatVersionBlock(entry) {
+  let text = `\n--- 版本 ${entry.version} · ${HISTORY_ACTION_LABELS[entry.action] || entry.action} ---\n📅 时间: ${
+    entry.changedAt
+  }\n👤 操作者: ${entry.changedBy || "未知"}`;
+  if (entry.note) {
+    text += `\n📝 备注: ${entry.note}`;
+  }
+  for (const change of entry.changes) {
+    text += `\n${formatChange(change)
+      .map((line) => `  ${line}`)
+      .join("\n")}`;
+  }
+  return text + "\n";
+}
+
+// 语义检索：按查询向量与记录向量的余弦相似度排序，缺失或过期的向量会先补齐并保存
+async function rankSemantic(space, query, candidates) {
+  const updatedIds = new Set(
+    (await embedRecords(candidates.map(({ record }) => record))).map((record) => record.id)
+  );
+  if (updatedIds.size > 0) {
+    // 与写操作依次执行；生成向量期间被移动或删除的记录不再写回
+    await space.exclusive(() => {
+      for (const { topic, record } of candidates) {
+        if (updatedIds.has(record.id) && space.memoryStore.get(topic)?.records.includes(record)) {
+          space.saveRecord(topic, record);
+        }
+      }
+    });
+  }
+  const queryVector = await embedQuery(query);
+  return candidates
+    .map(({ topic, record }) => ({
+      topic,
+      record,
+      score: cosineSimilarity(queryVector, record.embedding?.vector)
+    }))
+    .filter((result) => result.score > 0)
+    .sort((a, b) => b.score - a.score);
+}
+
+// 事件中变化字段的修改前后值，过长的值截断显示
+function formatEventBlock(event) {
+  const preview = (value) => {
+    const text = value === undefined ? "无" : typeof value === "string" ? value : JSON.stringify(value);
+    return text.length > 60 ? `${text.slice(0, 60)}…` : text;
+  };
+  let block = `\n${describeEvent(event)}\n`;
+  for (const field of event.changes) {
+    block += `  - ${field}: ${preview(event.before?.[field])} → ${preview(event.after?.[field])}\n`;
+  }
+  if (event.type === "create" && event.entity === "record") {
+    block += `  💭 ${preview(event.after.content)}\n`;
+  }
+  if (event.type === "delete" && event.entity === "record") {
+    block += `  💭 ${preview(event.before.content)}\n`;
+  }
+  return block;
+}
+
+// 混合排序：关键词得分按最高分归一化后与语义相似度加权求和
+function mergeHybrid(keywordResults, semanticResults) {
+  const maxKeywordScore = keywordResults[0]?.score || 1;
+  const merged = new Map();
+  for (const { topic, record, score } of semanticResults) {
+    merged.set(record.id, { topic, record, score: HYBRID_SEMANTIC_WEIGHT * score });
+  }
+  for (const { topic, record, score } of keywordResults) {
+    const entry = merged.get(record.id) || { topic, record, score: 0 };
+    entry.score += ((1 - HYBRID_SEMANTIC_WEIGHT) * score) / maxKeywordScore;
+    merged.set(record.id, entry);
+  }
+  return [...merged.values()].sort((a, b) => b.score - a.score);
+}
+
+const DIRECTION_LABELS = {
+  out: "出向（本记录指向的记录）",
+  in: "入向（指向本记录的记录）",
+  both: "双向"
+};
+
+function formatLinkEdge(edge) {
+  return `${edge.from} —${linkTypeLabel(edge.type)}→ ${edge.to}`;
+}
+
+function formatLinkTypesLine(linkTypes) {
+  return `🏷️ 关联类型: ${linkTypes.length > 0 ? linkTypes.map(linkTypeLabel).join(", ") : "全部"}\n`;
+}
+
+// get_record 中列出的关联
+function formatRecordLinks(outgoing, incoming) {
+  if (outgoing.length === 0 && incoming.length === 0) {
+    return "";
+  }
+  let text = `\n🕸️ 关联: ${outgoing.length} 个出向，${incoming.length} 个入向`;
+  for (const edge of [...outgoing, ...incoming]) {
+    text += `\n- ${formatLinkEdge(edge)}`;
+  }
+  return text;
+}
+
+// 调用方可以访问的命名空间，尚未创建的命名空间记为 0 个主题
+function listNamespaces(format, extra) {
+  const opened = new Map(listSpaces().map((space) => [space.name, space]));
+  const namespaces = accessibleNamespaces(extra, opened.keys()).map(({ name, role }) => {
+    const space = opened.get(name);
+    return {
+      name,
+      role,
+      topicCount: space ? space.memoryStats.totalTopics : 0,
+      recordCount: space ? space.memoryStats.totalRecords : 0
+    };
+  });
+  if (namespaces.length === 0) {
+    return respond.ok(format, "list_namespaces", { namespaces }, "🗂️ 没有可访问的命名空间。");
+  }
+  let text = `🗂️ 可访问的命名空间 (共${namespaces.length}个)\n`;
+  for (const item of namespaces) {
+    text += `\n--- ${item.name} ---\n🔑 权限: ${ROLE_LABELS[item.role]}\n📚 主题数: ${item.topicCount}个\n📊 记录数: ${item.recordCount}条\n`;
+  }
+  text += `\n💡 在 memory_manage / memory_query / memory_stats 中传入 namespace 参数即可访问对应命名空间。`;
+  return respond.ok(format, "list_namespaces", { namespaces }, text);
+}
 
 export function registerMemoryQuery(server) {
   server.registerTool(
@@ -7,45 +299,269 @@ export function registerMemoryQuery(server) {
     {
       title: "记忆查询",
       description:
-        "统一处理记忆的查询、搜索、列表操作。支持按主题、关键词、重要性等维度查找记忆。",
+        "统一处理记忆的查询、搜索、列表操作。支持按主题、关键词、重要性等维度查找记忆，沿记录之间的关联遍历，以及按 token 预算为任务召回一份紧凑的记忆摘要。",
       inputSchema: {
         action: z
-          .enum(["list_topics", "view_topic", "search", "get_record"])
+          .enum([
+            "list_topics",
+            "view_topic",
+            "list_records",
+            "search",
+            "recall",
+            "get_record",
+            "history",
+            "trash",
+            "find_duplicates",
+            "links",
+            "path",
+            "events",
+            "list_namespaces"
+          ])
           .describe(
-            "查询类型：list_topics(列出所有主题)、view_topic(查看主题详情)、search(搜索记录)、get_record(获取单个记录)"
+            "查询类型：list_topics(列出所有主题)、view_topic(查看主题详情)、list_records(跨主题列出记录)、search(搜索记录)、recall(按预算召回任务相关记忆的摘要)、get_record(获取单个记录)、history(查看记录的版本历史)、trash(查看回收站)、find_duplicates(查找内容重复或相近的记录组)、links(查看记录的关联记录，可多跳遍历)、path(查找两条记录之间的关联路径)、events(查看变更事件日志)、list_namespaces(列出可访问的命名空间)"
           ),
         topic: z.string().default("").describe("主题名称：要查询或查看的主题，如'项目笔记'、'学习记录'等"),
-        query: z.string().default("").describe("搜索关键词：在记录内容、上下文、元数据中搜索的关键词"),
+        query: z
+          .string()
+          .default("")
+          .describe(
+            '搜索关键词：在记录内容、上下文、元数据和主题标签中搜索，支持中英文。多个词默认同时满足，支持 "精确短语"、OR、-排除词；recall 中为任务描述，任一词命中即可'
+          ),
+        mode: z
+          .enum(["keyword", "semantic", "hybrid"])
+          .default("keyword")
+          .describe(
+            "搜索模式：keyword(关键词相关度)、semantic(按语义相似度查找意思相近的记录)、hybrid(关键词与语义混合排序)"
+          ),
         importance: z
           .enum(["全部", "低", "中", "高"]) 
           .default("全部")
           .describe("重要性筛选：按记录重要性筛选结果，'全部'表示不筛选"),
         sortBy: z
-          .enum(["时间", "重要性"]) 
+          .enum(["时间", "重要性", "显著性"])
           .default("时间")
-          .describe("排序方式：'时间'按创建时间排序，'重要性'按重要性等级排序"),
+          .describe(
+            "排序方式：'时间'按创建时间排序，'重要性'按重要性等级排序，'显著性'综合相关度、重要性、最近使用时间和读取次数排序（经常用到的记忆排在前面）。search 默认按相关度排序，只有'显著性'会改变其顺序"
+          ),
         limit: z
           .number()
           .min(1)
           .max(100)
           .default(20)
-          .describe("结果数量限制：最多返回多少条结果，避免信息过多"),
-        recordId: z.string().default("").describe("记录ID：获取特定记录时需要的唯一标识符")
+          .describe("结果数量限制：每页最多返回多少条结果，配合 offset/cursor 翻页"),
+        recordId: z.string().default("").describe("记录ID：获取特定记录、查看版本历史或作为 links / path 的起点"),
+        toRecordId: z.string().default("").describe("目标记录ID：path 的终点"),
+        depth: z
+          .number()
+          .int()
+          .min(1)
+          .max(MAX_DEPTH)
+          .optional()
+          .describe(`遍历跳数：links 默认 1（只看直接关联），path 默认 ${MAX_DEPTH}（最大跳数）`),
+        direction: z
+          .enum(["out", "in", "both"])
+          .default("both")
+          .describe("关联方向：out(本记录指向的记录)、in(指向本记录的记录)、both(双向)，仅用于 links"),
+        linkTypes: z
+          .array(z.string())
+          .default([])
+          .describe("关联类型筛选：links / path 只沿这些类型的关联遍历，为空表示全部类型"),
+        includeSuperseded: z
+          .boolean()
+          .default(false)
+          .describe("search / recall 是否包含已被其他记录取代（supersedes 关联指向）的记录，默认隐藏"),
+        similarityThreshold: z
+          .number()
+          .min(0.5)
+          .max(1)
+          .default(DEFAULT_SIMILARITY_THRESHOLD)
+          .describe(
+            "相似度阈值：find_duplicates 中内容相似度达到该值的记录归为一组，1 表示只查找完全相同的内容；recall 中与已选记录内容重合度达到该值的记录视为重复"
+          ),
+        maxTokens: z
+          .number()
+          .int()
+          .min(50)
+          .max(100000)
+          .optional()
+          .describe(`recall 的预算：摘要最多占用多少 token（估算值），与 maxChars 二选一，默认 ${DEFAULT_RECALL_TOKENS}`),
+        maxChars: z
+          .number()
+          .int()
+          .min(100)
+          .max(400000)
+          .optional()
+          .describe("recall 的预算：摘要最多包含多少个字符，与 maxTokens 二选一"),
+        eventFilters: z
+          .object({
+            types: z
+              .array(z.enum(Object.keys(EVENT_TYPES)))
+              .default([])
+              .describe("事件类型：create(创建)、update(更新)、delete(删除)，为空表示全部"),
+            entities: z
+              .array(z.enum(Object.keys(EVENT_ENTITIES)))
+              .default([])
+              .describe("事件对象：topic(主题)、record(记录)，为空表示全部"),
+            actions: z
+              .array(z.string())
+              .default([])
+              .describe("发起修改的操作，如 create_record、bulk_update、import、retention(后台清理)"),
+            actor: z.string().default("").describe("操作者或调用方身份"),
+            since: z.string().default("").describe("事件时间下限：ISO 时间"),
+            until: z.string().default("").describe("事件时间上限：ISO 时间"),
+            afterSeq: z
+              .number()
+              .int()
+              .min(0)
+              .optional()
+              .describe("只返回序号大于该值的事件，用于从上次读到的位置增量同步")
+          })
+          .default({})
+          .describe("events 的筛选条件；另可通过 topic / topics 和 recordId 筛选"),
+        reveal: z
+          .boolean()
+          .default(false)
+          .describe("是否显示敏感记录的原文：标记为敏感的记录默认隐藏其中的密钥、令牌和个人信息，显示原文需要管理员权限"),
+        namespace: z.string().default("").describe("命名空间：可选，默认为调用方的默认命名空间"),
+        ...filterSchema,
+        format: formatSchema
+      },
+      outputSchema: {
+        ...baseOutputShape,
+        topics: z.array(topicSchema).optional().describe("list_topics 返回的主题列表"),
+        topic: topicSchema.optional().describe("view_topic 查看的主题"),
+        records: z
+          .array(
+            recordSchema.extend({
+              score: z.number().optional().describe("search 的相关度得分"),
+              snippet: z.string().optional().describe("search 的高亮摘要"),
+              salience: z.number().optional().describe("sortBy 为'显著性'时的显著性得分，0-1"),
+              distance: z.number().optional().describe("links 中与起点相距的跳数"),
+              via: linkSchema.optional().describe("links 中到达该记录经过的关联")
+            })
+          )
+          .optional()
+          .describe("view_topic / list_records / search / links 返回的记录，path 返回路径上依次经过的记录"),
+        record: recordSchema.optional().describe("get_record / history 返回的记录"),
+        versions: z.array(versionSchema).optional().describe("history 返回的版本历史，最新的在前"),
+        events: z.array(eventSchema).optional().describe("events 返回的变更事件，最新的在前"),
+        trashed: z.boolean().optional().describe("history 查询的记录是否已在回收站中"),
+        trash: z.array(trashEntrySchema).optional().describe("trash 返回的回收站条目"),
+        clusters: z
+          .array(
+            z.object({
+              similarity: z.number().describe("组内最高的两两相似度，0-1"),
+              records: z
+                .array(recordSchema.extend({ similarity: z.number().describe("与组内最早创建的记录的相似度") }))
+                .describe("组内记录，按创建时间排序，第一条为最早的记录")
+            })
+          )
+          .optional()
+          .describe("find_duplicates 返回的重复记录组"),
+        links: z
+          .array(linkSchema)
+          .optional()
+          .describe("get_record 的出向和入向关联，links 遍历到的关联，path 路径上依次经过的关联"),
+        hiddenSuperseded: z.number().optional().describe("search 中因已被取代而隐藏的记录数"),
+        digest: z.string().optional().describe("recall 的记忆摘要，每行一条记录：- [记录ID] 主题·重要性：内容（上下文）"),
+        sources: z
+          .array(
+            z.object({
+              recordId: z.string(),
+              topic: z.string(),
+              importance: z.string(),
+              score: z.number().describe("与任务的相关度"),
+              salience: z.number().describe("显著性得分，决定放入摘要的顺序"),
+              compression: z
+                .enum(Object.keys(COMPRESSION_LABELS))
+                .describe("none(完整)、context_dropped(省略上下文)、excerpt(摘录相关句子)、truncated(截断)"),
+              size: z.number().describe("在摘要中占用的预算")
+            })
+          )
+          .optional()
+          .describe("recall 摘要中依次包含的记录"),
+        budget: z
+          .object({
+            unit: z.enum(Object.keys(BUDGET_UNITS)),
+            limit: z.number(),
+            used: z.number()
+          })
+          .optional()
+          .describe("recall 的预算及摘要实际占用"),
+        omitted: z
+          .object({
+            duplicates: z
+              .array(z.object({ recordId: z.string(), duplicateOf: z.string().describe("已放入摘要的重合记录") }))
+              .describe("因与已选记录重复而跳过的记录"),
+            overBudget: z.number().describe("因预算不足未放入的相关记录数")
+          })
+          .optional()
+          .describe("recall 中相关但未放入摘要的记录"),
+        namespaces: z
+          .array(
+            z.object({
+              name: z.string(),
+              role: z.string().describe("调用方在该命名空间的角色：read-only、read-write、admin"),
+              topicCount: z.number(),
+              recordCount: z.number()
+            })
+          )
+          .optional()
+          .describe("list_namespaces 返回的命名空间"),
+        page: pageSchema.optional().describe("分页信息"),
+        query: z.string().optional(),
+        mode: z.string().optional()
       }
     },
-    async ({ action, topic, query, importance, sortBy, limit, recordId }) => {
+    async (
+      {
+        action,
+        topic,
+        query,
+        mode,
+        importance,
+        sortBy,
+        limit,
+        recordId,
+        toRecordId,
+        depth,
+        direction,
+        linkTypes,
+        includeSuperseded,
+        similarityThreshold,
+        maxTokens,
+        maxChars,
+        eventFilters,
+        reveal,
+        namespace,
+        format,
+        ...filters
+      },
+      extra
+    ) => {
+      if (action === "list_namespaces") {
+        return listNamespaces(format, extra);
+      }
+      // 查看敏感记录的原文需要管理员权限
+      const access = resolveAccess(extra, namespace, reveal ? "admin" : "read");
+      if (access.error) {
+        return respond.fail(format, action, access.error.code, access.error.message);
+      }
       try {
+        const space = await viewSpace(access.namespace);
+        const { memoryStore, accessStore } = space;
+        // 输出前的记录：默认对敏感记录脱敏
+        const present = (record) => (reveal ? record : redactRecord(record));
+        space.recordAccess("read");
         switch (action) {
           case "list_topics": {
             if (memoryStore.size === 0) {
-              return {
-                content: [
-                  {
-                    type: "text",
-                    text: `📚 记忆主题列表\n\n目前还没有创建任何主题。\n\n💡 开始使用记忆系统：\n1. 使用 memory_manage 工具，action: "create_topic" 创建第一个主题\n2. 然后使用 action: "create_record" 添加记录到主题中\n\n例如：创建"学习笔记"主题，然后添加各种学习内容。`
-                  }
-                ]
-              };
+              return respond.ok(
+                format,
+                action,
+                { topics: [] },
+                `📚 记忆主题列表\n\n目前还没有创建任何主题。\n\n💡 开始使用记忆系统：\n1. 使用 memory_manage 工具，action: "create_topic" 创建第一个主题\n2. 然后使用 action: "create_record" 添加记录到主题中\n\n例如：创建"学习笔记"主题，然后添加各种学习内容。`
+              );
             }
             let displayText = `📚 记忆主题列表 (共${memoryStore.size}个主题)\n`;
             for (const [topicName, topicData] of memoryStore.entries()) {
@@ -57,173 +573,619 @@ export function registerMemoryQuery(server) {
                 topicData.records.length
               }条\n📅 创建时间: ${topicData.createdAt}\n🔄 最后更新: ${topicData.updatedAt}\n`;
             }
-            return { content: [{ type: "text", text: displayText }] };
+            return respond.ok(
+              format,
+              action,
+              { topics: [...memoryStore.values()].map(toTopicSummary) },
+              displayText
+            );
           }
           case "view_topic": {
             if (!topic) {
-              return { content: [{ type: "text", text: "❌ 主题名称不能为空！" }] };
+              return respond.fail(format, action, "INVALID_ARGUMENT", "❌ 主题名称不能为空！");
             }
             if (!memoryStore.has(topic)) {
-              return {
-                content: [
-                  { type: "text", text: `❌ 主题 "${topic}" 不存在！\n\n请使用 action: "list_topics" 查看现有主题列表。` }
-                ]
-              };
+              return respond.fail(
+                format,
+                action,
+                "TOPIC_NOT_FOUND",
+                `❌ 主题 "${topic}" 不存在！\n\n请使用 action: "list_topics" 查看现有主题列表。`
+              );
             }
             const topicData = memoryStore.get(topic);
-            let records = [...topicData.records];
-            if (sortBy === "时间") {
-              records.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-            } else if (sortBy === "重要性") {
-              const importanceOrder = { 高: 3, 中: 2, 低: 1 };
-              records.sort((a, b) => importanceOrder[b.importance] - importanceOrder[a.importance]);
-            }
-            const displayRecords = records.slice(0, limit);
+            const { matchesRecord } = buildFilter({ ...filters, importance });
+            const filteredRecords = topicData.records.filter(matchesRecord);
+            const page = paginate(
+              sortEntries(filteredRecords.map((record) => ({ record })), sortBy, accessStore),
+              { limit, offset: filters.offset, cursor: filters.cursor }
+            );
+            const shownRecords = page.items.map(({ record }) => present(record));
             let topicDisplayText = `📚 主题: "${topic}"\n\n📝 主题信息:\n- 描述: ${
               topicData.description || "无描述"
             }\n- 标签: ${
               topicData.tags.join(", ") || "无标签"
-            }\n- 总记录数: ${
+            }\n${
+              topicData.metadataSchema ? `- 元数据结构: ${describeMetadataSchema(topicData.metadataSchema)}\n` : ""
+            }- 总记录数: ${
               topicData.records.length
-            }条\n- 创建时间: ${topicData.createdAt}\n- 最后更新: ${
+            }条\n- 版本: ${getTopicVersion(topicData)}\n- 创建时间: ${topicData.createdAt}\n- 最后更新: ${
               topicData.updatedAt
-            }\n\n📋 记忆记录 (显示前${displayRecords.length}条，按${sortBy}排序):\n`;
-            if (displayRecords.length === 0) {
+            }\n\n${formatFilterLines({ ...filters, topics: [], tags: [] })}`;
+            if (filteredRecords.length !== topicData.records.length) {
+              topicDisplayText += `🔎 符合条件: ${filteredRecords.length}条\n`;
+            }
+            topicDisplayText += `\n📋 记忆记录 (显示${formatPageRange(page)}，按${sortBy}排序):\n`;
+            if (page.items.length === 0) {
               topicDisplayText += "\n暂无记录。";
             } else {
-              displayRecords.forEach((record, index) => {
-                topicDisplayText += `\n--- 记录 ${index + 1} ---\n🆔 ID: ${
-                  record.id
-                }\n⭐ 重要性: ${record.importance}\n📅 创建时间: ${
-                  record.createdAt
-                }\n💭 内容: ${record.content}`;
-                if (record.context) {
-                  topicDisplayText += `\n🔗 上下文: ${record.context}`;
-                }
-                if (Object.keys(record.metadata).length > 0) {
-                  topicDisplayText += `\n📊 元数据: ${JSON.stringify(
-                    record.metadata,
-                    null,
-                    2
-                  )}`;
-                }
-                topicDisplayText += "\n";
+              page.items.forEach(({ salience }, index) => {
+                topicDisplayText += formatRecordBlock(shownRecords[index], page.offset + index + 1, null, salience);
               });
             }
-            if (topicData.records.length > limit) {
-              topicDisplayText += `\n... 还有 ${
-                topicData.records.length - limit
-              } 条记录未显示。`;
-            }
-            return { content: [{ type: "text", text: topicDisplayText }] };
+            topicDisplayText += formatPageFooter(page, "条记录") + formatRedactionNote(shownRecords);
+            space.markRead(page.items.map(({ record }) => record.id));
+            return respond.ok(
+              format,
+              action,
+              {
+                topic: toTopicSummary(topicData),
+                records: page.items.map(({ salience }, index) => ({
+                  ...toPublicRecord(shownRecords[index], topic, accessStore),
+                  salience
+                })),
+                page: toPageInfo(page, limit)
+              },
+              topicDisplayText
+            );
           }
-          case "search": {
-            if (!query) {
-              return {
-                content: [
-                  {
-                    type: "text",
-                    text: `❌ 搜索关键词不能为空！\n\n💡 提示：请提供要搜索的关键词，系统会在所有记录的内容、上下文和元数据中查找匹配项。\n例如：搜索"React"、"项目"、"学习"等关键词。`
-                  }
-                ]
-              };
-            }
-            const results = [];
+          case "list_records": {
+            const { matchesTopic, matchesRecord } = buildFilter({ ...filters, importance });
+            const entries = [];
             for (const [topicName, topicData] of memoryStore.entries()) {
+              if (!matchesTopic(topicName, topicData)) {
+                continue;
+              }
               for (const record of topicData.records) {
-                if (importance !== "全部" && record.importance !== importance) {
-                  continue;
+                if (matchesRecord(record)) {
+                  entries.push({ topic: topicName, record });
                 }
-                const contentMatch = record.content
-                  .toLowerCase()
-                  .includes(query.toLowerCase());
-                const contextMatch =
-                  record.context &&
-                  record.context.toLowerCase().includes(query.toLowerCase());
-                const metadataMatch = Object.values(record.metadata).some((value) =>
-                  String(value).toLowerCase().includes(query.toLowerCase())
-                );
-                if (contentMatch || contextMatch || metadataMatch) {
-                  results.push({
-                    topic: topicName,
-                    record,
-                    relevance: contentMatch ? 3 : contextMatch ? 2 : 1
-                  });
+              }
+            }
+            const page = paginate(sortEntries(entries, sortBy, accessStore), {
+              limit,
+              offset: filters.offset,
+              cursor: filters.cursor
+            });
+            const shownRecords = page.items.map(({ record }) => present(record));
+            let listDisplayText = `📋 记录列表\n\n📊 重要性筛选: ${importance}\n${formatFilterLines(
+              filters
+            )}📈 共 ${page.total} 条符合条件的记录\n📋 显示${formatPageRange(page)}，按${sortBy}排序:\n`;
+            if (page.items.length === 0) {
+              listDisplayText += "\n未找到符合条件的记录。";
+            } else {
+              page.items.forEach(({ topic: topicName, salience }, index) => {
+                listDisplayText += formatRecordBlock(shownRecords[index], page.offset + index + 1, topicName, salience);
+              });
+            }
+            listDisplayText += formatPageFooter(page, "条记录") + formatRedactionNote(shownRecords);
+            space.markRead(page.items.map(({ record }) => record.id));
+            return respond.ok(
+              format,
+              action,
+              {
+                records: page.items.map(({ topic: topicName, salience }, index) => ({
+                  ...toPublicRecord(shownRecords[index], topicName, accessStore),
+                  salience
+                })),
+                page: toPageInfo(page, limit)
+              },
+              listDisplayText
+            );
+          }
+          case "find_duplicates": {
+            const { matchesTopic, matchesRecord } = buildFilter({ ...filters, importance });
+            const entries = [];
+            for (const [topicName, topicData] of memoryStore.entries()) {
+              if (!matchesTopic(topicName, topicData)) {
+                continue;
+              }
+              for (const record of topicData.records) {
+                if (matchesRecord(record)) {
+                  entries.push({ topic: topicName, record });
                 }
               }
             }
-            results.sort((a, b) => b.relevance - a.relevance);
-            const displayResults = results.slice(0, limit);
-            let searchDisplayText = `🔍 搜索记忆结果\n\n🔎 搜索关键词: "${query}"\n📊 重要性筛选: ${
+            const clusters = findDuplicateClusters(entries, similarityThreshold);
+            const page = paginate(clusters, { limit, offset: filters.offset, cursor: filters.cursor });
+            const duplicateCount = clusters.reduce((sum, cluster) => sum + cluster.entries.length - 1, 0);
+            let duplicatesText = `🧬 重复记录检测\n\n📏 相似度阈值: ${Math.round(
+              similarityThreshold * 100
+            )}%\n📊 重要性筛选: ${importance}\n${formatFilterLines(filters)}🔍 检查了 ${entries.length} 条记录\n📈 共发现 ${
+              clusters.length
+            } 组重复记录（可清理 ${duplicateCount} 条）\n`;
+            if (clusters.length === 0) {
+              duplicatesText += "\n✅ 没有发现重复记录。";
+            } else {
+              duplicatesText += `📋 显示${formatPageRange(page, "组")}:\n`;
+              page.items.forEach((cluster, index) => {
+                duplicatesText += `\n--- 重复组 ${page.offset + index + 1}（${cluster.entries.length} 条，最高相似度 ${Math.round(
+                  cluster.similarity * 100
+                )}%）---\n`;
+                cluster.entries.forEach(({ topic: topicName, record, similarity }, position) => {
+                  duplicatesText += `${position === 0 ? "📌" : "  -"} [${topicName}] ${record.id}（${record.importance}，${
+                    position === 0 ? "最早" : `相似度 ${Math.round(similarity * 100)}%`
+                  }）: ${present(record).content.slice(0, 80)}\n`;
+                });
+              });
+              duplicatesText += formatPageFooter(page, "组重复记录");
+              duplicatesText += `\n💡 清理建议：保留每组中的一条记录，使用 memory_manage 的 action: "delete_record" 删除其余记录（删除的记录会移入回收站）。`;
+            }
+            return respond.ok(
+              format,
+              action,
+              {
+                clusters: page.items.map((cluster) => ({
+                  similarity: cluster.similarity,
+                  records: cluster.entries.map(({ topic: topicName, record, similarity }) => ({
+                    ...toPublicRecord(present(record), topicName, accessStore),
+                    similarity
+                  }))
+                })),
+                page: toPageInfo(page, limit)
+              },
+              duplicatesText
+            );
+          }
+          case "search": {
+            if (!query) {
+              return respond.fail(
+                format,
+                action,
+                "INVALID_ARGUMENT",
+                `❌ 搜索关键词不能为空！\n\n💡 提示：请提供要搜索的关键词，系统会在所有记录的内容、上下文和元数据中查找匹配项。\n例如：搜索"React"、"项目"、"学习"等关键词。`
+              );
+            }
+            const parsedQuery = parseQuery(query);
+            if (mode !== "semantic" && parsedQuery.groups.length === 0) {
+              return respond.fail(
+                format,
+                action,
+                "INVALID_ARGUMENT",
+                `❌ 搜索条件中至少需要一个非排除的关键词！\n\n💡 提示：排除词（如 -React）需要与其他关键词一起使用。`
+              );
+            }
+            const totalDocuments = [...memoryStore.values()].reduce(
+              (sum, topicData) => sum + topicData.records.length,
+              0
+            );
+            const { matchesTopic, matchesRecord } = buildFilter({ ...filters, importance });
+            const matchesFilters = ({ topic: topicName, topicData, record }) =>
+              matchesTopic(topicName, topicData) && matchesRecord(record);
+            let results;
+            if (mode === "keyword") {
+              results = rankDocuments(
+                parsedQuery,
+                searchCandidates(space, parsedQuery).filter(matchesFilters),
+                totalDocuments
+              );
+            } else {
+              const candidates = allCandidates(space).filter(matchesFilters);
+              const semanticResults = await rankSemantic(space, query, candidates);
+              results =
+                mode === "semantic"
+                  ? semanticResults
+                  : mergeHybrid(rankDocuments(parsedQuery, candidates, totalDocuments), semanticResults);
+            }
+            if (sortBy === "显著性") {
+              results = rankBySalience(results, accessStore);
+            }
+            let hiddenSuperseded = 0;
+            if (!includeSuperseded) {
+              const superseded = supersededIds(memoryStore);
+              if (superseded.size > 0) {
+                const visible = results.filter((result) => !superseded.has(result.record.id));
+                hiddenSuperseded = results.length - visible.length;
+                results = visible;
+              }
+            }
+            const page = paginate(results, { limit, offset: filters.offset, cursor: filters.cursor });
+            const shownRecords = page.items.map((result) => present(result.record));
+            let searchDisplayText = `🔍 搜索记忆结果\n\n🔎 搜索关键词: "${query}"\n🧭 搜索模式: ${
+              SEARCH_MODE_LABELS[mode]
+            }${sortBy === "显著性" ? "（按显著性排序）" : ""}\n📊 重要性筛选: ${
               importance
-            }\n📈 找到 ${results.length} 条相关记录\n📋 显示前 ${displayResults.length} 条:\n`;
-            if (displayResults.length === 0) {
+            }\n${formatFilterLines(filters)}📈 找到 ${results.length} 条相关记录${
+              hiddenSuperseded > 0 ? `（另有 ${hiddenSuperseded} 条已被取代的记录未显示，传入 includeSuperseded: true 查看）` : ""
+            }\n📋 显示${formatPageRange(page)}:\n`;
+            if (page.items.length === 0) {
               searchDisplayText += "\n未找到相关记录。";
             } else {
-              displayResults.forEach((result, index) => {
-                searchDisplayText += `\n--- 结果 ${index + 1} ---\n📚 主题: ${
+              page.items.forEach((result, index) => {
+                const shown = shownRecords[index];
+                searchDisplayText += `\n--- 结果 ${page.offset + index + 1} ---\n📚 主题: ${
                   result.topic
                 }\n🆔 记录ID: ${result.record.id}\n⭐ 重要性: ${
                   result.record.importance
-                }\n📅 创建时间: ${result.record.createdAt}\n💭 内容: ${
-                  result.record.content
-                }`;
-                if (result.record.context) {
-                  searchDisplayText += `\n🔗 上下文: ${result.record.context}`;
+                }\n🔢 版本: ${getVersion(result.record)}\n📈 相关度: ${result.score.toFixed(3)}${
+                  result.salience === undefined ? "" : `\n🧠 显著性: ${result.salience.toFixed(3)}`
+                }\n📅 创建时间: ${
+                  result.record.createdAt
+                }\n💭 内容: ${highlightSnippet(shown.content, parsedQuery)}`;
+                if (shown.context) {
+                  searchDisplayText += `\n🔗 上下文: ${highlightSnippet(shown.context, parsedQuery)}`;
                 }
                 searchDisplayText += "\n";
               });
             }
-            if (results.length > limit) {
-              searchDisplayText += `\n... 还有 ${
-                results.length - limit
-              } 条结果未显示。`;
+            searchDisplayText += formatPageFooter(page, "条结果") + formatRedactionNote(shownRecords);
+            space.markRead(page.items.map((result) => result.record.id));
+            return respond.ok(
+              format,
+              action,
+              {
+                query,
+                mode,
+                records: page.items.map((result, index) => ({
+                  ...toPublicRecord(shownRecords[index], result.topic, accessStore),
+                  score: result.score,
+                  salience: result.salience,
+                  snippet: highlightSnippet(shownRecords[index].content, parsedQuery)
+                })),
+                hiddenSuperseded,
+                page: toPageInfo(page, limit)
+              },
+              searchDisplayText
+            );
+          }
+          case "recall": {
+            if (!query) {
+              return respond.fail(
+                format,
+                action,
+                "INVALID_ARGUMENT",
+                `❌ 任务描述不能为空！\n\n💡 提示：在 query 中描述当前任务，如"为订单服务增加退款接口"，系统会挑选与之最相关的记忆。`
+              );
+            }
+            if (maxTokens !== undefined && maxChars !== undefined) {
+              return respond.fail(format, action, "INVALID_ARGUMENT", "❌ maxTokens 和 maxChars 只能指定一个！");
+            }
+            if (topic && !memoryStore.has(topic)) {
+              return respond.fail(
+                format,
+                action,
+                "TOPIC_NOT_FOUND",
+                `❌ 主题 "${topic}" 不存在！\n\n请使用 action: "list_topics" 查看现有主题列表。`
+              );
+            }
+            const unit = maxChars !== undefined ? "chars" : "tokens";
+            const budgetLimit = maxChars ?? maxTokens ?? DEFAULT_RECALL_TOKENS;
+            const { matchesTopic, matchesRecord } = buildFilter({ ...filters, importance });
+            const superseded = includeSuperseded ? new Set() : supersededIds(memoryStore);
+            const candidates = allCandidates(space).filter(
+              ({ topic: topicName, topicData, record }) =>
+                (!topic || topicName === topic) &&
+                matchesTopic(topicName, topicData) &&
+                matchesRecord(record) &&
+                !superseded.has(record.id)
+            );
+            const totalDocuments = [...memoryStore.values()].reduce(
+              (sum, topicData) => sum + topicData.records.length,
+              0
+            );
+            let results;
+            if (mode === "keyword") {
+              results = rankDocuments(parseLooseQuery(query), candidates, totalDocuments);
+            } else {
+              const semanticResults = await rankSemantic(space, query, candidates);
+              results =
+                mode === "semantic"
+                  ? semanticResults
+                  : mergeHybrid(rankDocuments(parseLooseQuery(query), candidates, totalDocuments), semanticResults);
+            }
+            // 相关的记录中优先放入重要、经常用到的
+            const ranked = rankBySalience(filterRelevant(results), accessStore).map((entry) => ({
+              ...entry,
+              record: present(entry.record)
+            }));
+            const recall = assembleRecall(ranked, {
+              budget: budgetLimit,
+              unit,
+              query,
+              threshold: similarityThreshold
+            });
+            space.markRead(recall.selected.map(({ record }) => record.id));
+            const data = {
+              query,
+              mode,
+              digest: recall.digest,
+              sources: recall.selected.map(({ topic: topicName, record, score, salience, compression, size }) => ({
+                recordId: record.id,
+                topic: topicName,
+                importance: record.importance,
+                score,
+                salience,
+                compression,
+                size
+              })),
+              budget: { unit, limit: budgetLimit, used: recall.used },
+              omitted: { duplicates: recall.duplicates, overBudget: recall.overBudget }
+            };
+            if (recall.selected.length === 0) {
+              return respond.ok(
+                format,
+                action,
+                data,
+                `🧠 没有找到与任务相关的记忆。\n\n🔎 任务: "${query}"\n🧭 检索模式: ${SEARCH_MODE_LABELS[mode]}\n${formatFilterLines(filters)}`
+              );
             }
-            return { content: [{ type: "text", text: searchDisplayText }] };
+            const compressed = recall.selected.filter((item) => item.compression !== "none").length;
+            const omittedParts = [
+              recall.duplicates.length > 0 ? `${recall.duplicates.length} 条与已选记录重复` : "",
+              recall.overBudget > 0 ? `${recall.overBudget} 条超出预算` : ""
+            ].filter(Boolean);
+            return respond.ok(
+              format,
+              action,
+              data,
+              `🧠 任务相关记忆：${recall.selected.length} 条，占用 ${recall.used}/${budgetLimit} ${BUDGET_UNITS[unit]}${
+                compressed > 0 ? `，其中 ${compressed} 条已压缩` : ""
+              }${omittedParts.length > 0 ? `（另有 ${omittedParts.join("、")}，未放入）` : ""}\n\n${
+                recall.digest
+              }${formatRedactionNote(recall.selected.map(({ record }) => record))}`
+            );
           }
           case "get_record": {
             if (!recordId) {
-              return { content: [{ type: "text", text: "❌ 记录ID不能为空！" }] };
+              return respond.fail(format, action, "INVALID_ARGUMENT", "❌ 记录ID不能为空！");
             }
             for (const [topicName, topicData] of memoryStore.entries()) {
-              const foundRecord = topicData.records.find((record) => record.id === recordId);
-              if (foundRecord) {
-                return {
-                  content: [
-                    {
-                      type: "text",
-                      text: `🔍 记录详情\n\n🏷️ 记录ID: ${
-                        foundRecord.id
-                      }\n📚 所在主题: ${topicName}\n⭐ 重要性: ${
-                        foundRecord.importance
-                      }\n📅 创建时间: ${foundRecord.createdAt}\n🔄 更新时间: ${
-                        foundRecord.updatedAt || foundRecord.createdAt
-                      }\n💭 内容: ${foundRecord.content}\n${
-                        foundRecord.context ? `🔗 上下文: ${foundRecord.context}` : ""
-                      }\n${
-                        Object.keys(foundRecord.metadata).length > 0
-                          ? `📊 元数据: ${JSON.stringify(foundRecord.metadata, null, 2)}`
-                          : ""
-                      }`
-                    }
-                  ]
-                };
+              const storedRecord = topicData.records.find((record) => record.id === recordId);
+              if (storedRecord) {
+                const foundRecord = present(storedRecord);
+                const outgoing = outgoingLinks(foundRecord);
+                const incoming = incomingLinks(memoryStore, recordId);
+                space.markRead([recordId]);
+                return respond.ok(
+                  format,
+                  action,
+                  { record: toPublicRecord(foundRecord, topicName, accessStore), links: [...outgoing, ...incoming] },
+                  `🔍 记录详情\n\n🏷️ 记录ID: ${
+                    foundRecord.id
+                  }\n📚 所在主题: ${topicName}\n⭐ 重要性: ${
+                    foundRecord.importance
+                  }\n🔢 版本: ${getVersion(foundRecord)}\n📅 创建时间: ${foundRecord.createdAt}\n🔄 更新时间: ${
+                    foundRecord.updatedAt || foundRecord.createdAt
+                  }\n👀 读取次数: ${accessStore.get(recordId).count}次（最近 ${
+                    accessStore.get(recordId).lastAccessedAt
+                  }）\n💭 内容: ${foundRecord.content}\n${
+                    foundRecord.context ? `🔗 上下文: ${foundRecord.context}` : ""
+                  }\n${
+                    Object.keys(foundRecord.metadata).length > 0
+                      ? `📊 元数据: ${JSON.stringify(foundRecord.metadata, null, 2)}`
+                      : ""
+                  }${
+                    foundRecord.consolidatedFrom
+                      ? `\n🧬 整合自 ${foundRecord.consolidatedFrom.length} 条记录: ${foundRecord.consolidatedFrom.join(", ")}`
+                      : ""
+                  }${formatRecordLinks(outgoing, incoming)}${formatRedactionNote([foundRecord])}`
+                );
               }
             }
-            return { content: [{ type: "text", text: `❌ 未找到ID为 "${recordId}" 的记录！` }] };
+            return respond.fail(format, action, "RECORD_NOT_FOUND", `❌ 未找到ID为 "${recordId}" 的记录！`);
+          }
+          case "history": {
+            if (!recordId) {
+              return respond.fail(format, action, "INVALID_ARGUMENT", "❌ 记录ID不能为空！");
+            }
+            const found = findRecordIncludingTrash(space, recordId);
+            if (!found) {
+              return respond.fail(format, action, "RECORD_NOT_FOUND", `❌ 未找到ID为 "${recordId}" 的记录！`);
+            }
+            const { topicName, trashed } = found;
+            const record = present(found.record);
+            const versions = [...(found.record.history || [])]
+              .reverse()
+              .map((entry) => (reveal ? entry : { ...entry, changes: redactChanges(found.record, entry.changes) }));
+            const page = paginate(versions, { limit, offset: filters.offset, cursor: filters.cursor });
+            let historyText = `📜 记录版本历史\n\n🆔 记录ID: ${record.id}\n📚 所在主题: ${topicName}${
+              trashed ? "（已在回收站中）" : ""
+            }\n🔢 当前版本: ${getVersion(record)}\n💭 当前内容: ${record.content}\n📋 共 ${
+              versions.length
+            } 个版本，显示${formatPageRange(page)}\n`;
+            if (versions.length === 0) {
+              historyText += "\n该记录创建于版本历史功能之前，暂无历史记录。\n";
+            }
+            for (const entry of page.items) {
+              historyText += formatVersionBlock(entry);
+            }
+            historyText += formatPageFooter(page, "个版本") + formatRedactionNote([record]);
+            if (!trashed && versions.length > 1) {
+              historyText += `\n💡 使用 memory_manage 的 action: "restore_version"，传入 recordId 和 version 可恢复到任一版本。`;
+            }
+            return respond.ok(
+              format,
+              action,
+              {
+                record: toPublicRecord(record, topicName, accessStore),
+                versions: page.items,
+                trashed,
+                page: toPageInfo(page, limit)
+              },
+              historyText
+            );
+          }
+          case "links": {
+            if (!recordId) {
+              return respond.fail(format, action, "INVALID_ARGUMENT", "❌ 记录ID不能为空！");
+            }
+            const index = indexRecords(memoryStore);
+            const origin = index.get(recordId);
+            if (!origin) {
+              return respond.fail(format, action, "RECORD_NOT_FOUND", `❌ 未找到ID为 "${recordId}" 的记录！`);
+            }
+            const hops = depth ?? 1;
+            const { nodes, edges } = traverse(index, recordId, { depth: hops, direction, types: linkTypes });
+            const page = paginate(nodes, { limit, offset: filters.offset, cursor: filters.cursor });
+            const originRecord = present(origin.record);
+            const shownRecords = page.items.map(({ record }) => present(record));
+            let linksText = `🕸️ 记录关联\n\n🆔 起点: [${origin.topic}] ${recordId}\n💭 内容: ${
+              originRecord.content
+            }\n🧭 方向: ${DIRECTION_LABELS[direction]}\n📏 深度: ${hops} 跳\n${formatLinkTypesLine(linkTypes)}📈 共找到 ${
+              nodes.length
+            } 条关联记录（${edges.length} 个关联）\n`;
+            if (nodes.length === 0) {
+              linksText += "\n该记录没有符合条件的关联。\n💡 使用 memory_manage 的 action: \"link_records\" 添加关联。";
+            } else {
+              linksText += `📋 显示${formatPageRange(page)}:\n`;
+              page.items.forEach(({ topic: topicName, distance, via }, position) => {
+                const record = shownRecords[position];
+                linksText += `\n--- ${distance} 跳 · ${formatLinkEdge(via)} ---\n📚 主题: ${topicName}\n🆔 ID: ${
+                  record.id
+                }\n⭐ 重要性: ${record.importance}\n💭 内容: ${record.content}\n`;
+              });
+              linksText += formatPageFooter(page, "条关联记录");
+            }
+            linksText += formatRedactionNote([originRecord, ...shownRecords]);
+            space.markRead(page.items.map(({ record }) => record.id));
+            return respond.ok(
+              format,
+              action,
+              {
+                record: toPublicRecord(originRecord, origin.topic, accessStore),
+                records: page.items.map(({ topic: topicName, distance, via }, position) => ({
+                  ...toPublicRecord(shownRecords[position], topicName, accessStore),
+                  distance,
+                  via
+                })),
+                links: edges,
+                page: toPageInfo(page, limit)
+              },
+              linksText
+            );
+          }
+          case "path": {
+            if (!recordId || !toRecordId) {
+              return respond.fail(format, action, "INVALID_ARGUMENT", "❌ 起点记录ID（recordId）和目标记录ID（toRecordId）不能为空！");
+            }
+            const index = indexRecords(memoryStore);
+            const missing = [recordId, toRecordId].filter((id) => !index.has(id));
+            if (missing.length > 0) {
+              return respond.fail(format, action, "RECORD_NOT_FOUND", `❌ 未找到ID为 "${missing.join('", "')}" 的记录！`);
+            }
+            const maxHops = depth ?? MAX_DEPTH;
+            const found = findPath(index, recordId, toRecordId, { maxHops, types: linkTypes });
+            if (!found) {
+              return respond.ok(
+                format,
+                action,
+                { records: [], links: [] },
+                `🧭 关联路径\n\n${recordId} → ${toRecordId}\n${formatLinkTypesLine(
+                  linkTypes
+                )}\n未找到 ${maxHops} 跳以内的关联路径。`
+              );
+            }
+            let pathText = `🧭 关联路径\n\n${recordId} → ${toRecordId}\n${formatLinkTypesLine(linkTypes)}📏 共 ${
+              found.edges.length
+            } 跳:\n`;
+            found.nodes.forEach(({ topic: topicName, record }, position) => {
+              if (position > 0) {
+                pathText += `  ↓ ${formatLinkEdge(found.edges[position - 1])}\n`;
+              }
+              pathText += `${position + 1}. [${topicName}] ${record.id}: ${present(record).content.slice(0, 80)}\n`;
+            });
+            space.markRead(found.nodes.map(({ record }) => record.id));
+            return respond.ok(
+              format,
+              action,
+              {
+                records: found.nodes.map(({ topic: topicName, record }) =>
+                  toPublicRecord(present(record), topicName, accessStore)
+                ),
+                links: found.edges
+              },
+              pathText
+            );
+          }
+          case "trash": {
+            const entries = listTrash(space, topic);
+            const page = paginate(entries, { limit, offset: filters.offset, cursor: filters.cursor });
+            if (entries.length === 0) {
+              return respond.ok(
+                format,
+                action,
+                { trash: [], page: toPageInfo(page, limit) },
+                `🗑️ 回收站为空${topic ? `（主题 "${topic}"）` : ""}。`
+              );
+            }
+            let trashText = `🗑️ 回收站${topic ? `（主题 "${topic}"）` : ""}\n\n📋 共 ${
+              entries.length
+            } 个条目，显示${formatPageRange(page)}\n`;
+            const summaries = page.items.map((entry) =>
+              toTrashSummary(entry.type === "record" ? { ...entry, data: present(entry.data) } : entry)
+            );
+            summaries.forEach((entry, index) => {
+              trashText += `\n--- 条目 ${page.offset + index + 1} ---\n${
+                entry.type === "topic"
+                  ? `📚 主题: ${entry.topic}\n📊 记录数量: ${entry.recordCount}条`
+                  : `📝 记录ID: ${entry.recordId}\n📚 原主题: ${entry.topic}\n💭 内容: ${entry.preview}`
+              }\n📅 删除时间: ${entry.deletedAt}\n👤 删除者: ${entry.deletedBy || "未知"}${
+                entry.reason ? `\n🧹 清理原因: ${EVICTION_REASONS[entry.reason] || entry.reason}` : ""
+              }\n`;
+            });
+            trashText += formatPageFooter(page, "个条目");
+            trashText += `\n💡 使用 memory_manage 的 action: "restore" 恢复（记录需同时传入 topic 和 recordId），action: "purge" 彻底清除。`;
+            return respond.ok(format, action, { trash: summaries, page: toPageInfo(page, limit) }, trashText);
+          }
+          case "events": {
+            const topics = topic ? [topic, ...filters.topics] : filters.topics;
+            let events;
+            try {
+              events = filterEvents(space.eventLog, { ...eventFilters, topics, recordId });
+            } catch (error) {
+              return respond.fail(format, action, "INVALID_ARGUMENT", `❌ ${error.message}`);
+            }
+            const page = paginate(events, { limit, offset: filters.offset, cursor: filters.cursor });
+            const conditions = [
+              topics.length > 0 ? `主题: ${topics.join(", ")}` : "",
+              recordId ? `记录: ${recordId}` : "",
+              eventFilters.types.length > 0 ? `类型: ${eventFilters.types.map((type) => EVENT_TYPES[type]).join("/")}` : "",
+              eventFilters.entities.length > 0
+                ? `对象: ${eventFilters.entities.map((entity) => EVENT_ENTITIES[entity]).join("/")}`
+                : "",
+              eventFilters.actions.length > 0 ? `操作: ${eventFilters.actions.join(", ")}` : "",
+              eventFilters.actor ? `操作者: ${eventFilters.actor}` : "",
+              eventFilters.since ? `不早于: ${eventFilters.since}` : "",
+              eventFilters.until ? `不晚于: ${eventFilters.until}` : "",
+              eventFilters.afterSeq !== undefined ? `序号大于: ${eventFilters.afterSeq}` : ""
+            ].filter(Boolean);
+            let eventsText = `🧾 变更事件（命名空间 ${space.name}）\n\n${
+              conditions.length > 0 ? `🔎 筛选条件: ${conditions.join("；")}\n` : ""
+            }📋 共 ${events.length} 个事件，显示${formatPageRange(page, "个")}\n`;
+            if (events.length === 0) {
+              eventsText += "\n没有符合条件的事件。";
+            }
+            const shownEvents = page.items.map((event) =>
+              event.entity === "record" ? { ...event, before: present(event.before), after: present(event.after) } : event
+            );
+            for (const event of shownEvents) {
+              eventsText += formatEventBlock(event);
+            }
+            eventsText += formatPageFooter(page, "个事件");
+            if (events.length > 0) {
+              eventsText += `\n💡 记下最新事件的序号 ${events[0].seq}，下次传入 eventFilters.afterSeq 只获取之后的事件。`;
+            }
+            return respond.ok(format, action, { events: shownEvents, page: toPageInfo(page, limit) }, eventsText);
           }
           default:
-            return {
-              content: [
-                {
-                  type: "text",
-                  text: `❌ 不支持的查询类型: ${action}\n\n💡 支持的查询类型:\n- list_topics: 列出所有主题及其基本信息\n- view_topic: 查看指定主题的详细内容和所有记录\n- search: 在所有记录中搜索包含关键词的内容\n- get_record: 根据记录ID获取特定记录的详细信息\n\n🔧 使用建议：先用 list_topics 查看有哪些主题，再用 view_topic 查看具体主题内容，或用 search 搜索特定信息。`
-                }
-              ]
-            };
+            return respond.fail(
+              format,
+              action,
+              "INVALID_ARGUMENT",
+              `❌ 不支持的查询类型: ${action}\n\n💡 支持的查询类型:\n- list_topics: 列出所有主题及其基本信息\n- view_topic: 查看指定主题的详细内容和所有记录\n- list_records: 跨主题按标签、时间、元数据条件列出记录\n- search: 在所有记录中按相关度搜索关键词\n- recall: 按 token 或字符预算召回与任务最相关的记忆摘要\n- get_record: 根据记录ID获取特定记录的详细信息\n- history: 查看记录的版本历史和每次修改的差异\n- trash: 查看回收站中已删除的主题和记录\n- find_duplicates: 查找内容重复或相近的记录组\n- links: 查看记录的关联记录，支持多跳遍历\n- path: 查找两条记录之间的关联路径\n- events: 查看主题和记录的变更事件日志\n- list_namespaces: 列出可访问的命名空间及权限\n\n🔧 使用建议：先用 list_topics 查看有哪些主题，再用 view_topic 查看具体主题内容，或用 search 搜索特定信息。`
+            );
         }
       } catch (error) {
-        return { content: [{ type: "text", text: `❌ 查询失败: ${error.message}` }] };
+        return respond.fail(format, action, "INTERNAL_ERROR", `❌ 查询失败: ${error.message}`);
       }
     }
   );
@@ -1,6 +1,123 @@
 import { z } from "zod";
-import { memoryStats } from "../stats.js";
-import { memoryStore } from "../store.js";
+import { viewSpace } from "../store.js";
+import { formatSchema, baseOutputShape, createResponder } from "../response.js";
+import { EVICTION_REASONS, getRetentionSettings } from "../retention.js";
+import { resolveAccess, getQuota, ROLE_LABELS } from "../access.js";
+import { redactRecord } from "../sensitive.js";
+import {
+  HEALTH_THRESHOLDS,
+  GRANULARITY_LABELS,
+  topicBreakdown,
+  activitySeries,
+  readRanking,
+  tagFrequency,
+  healthReport
+} from "../stats.js";
+
+const respond = createResponder("记忆统计");
+
+const SECTIONS = ["overview", "topics", "activity", "reads", "tags", "health"];
+
+const HEALTH_KIND_LABELS = {
+  oversized: "主题过大",
+  stale: "长期未使用",
+  duplicates: "重复记录过多"
+};
+
+const HEALTH_SUGGESTIONS = {
+  oversized: '使用 memory_manage 的 action: "split_topic" 按条件拆分主题，或清理不再需要的记录',
+  stale: "确认内容是否仍然有效，过时的记录可以删除，或设置主题的 retention 策略自动清理",
+  duplicates: '使用 memory_query 的 action: "find_duplicates" 查看重复组并删除多余记录'
+};
+
+// 活动趋势中柱状图的最大宽度
+const BAR_WIDTH = 20;
+
+const recordRefSchema = z.object({
+  topic: z.string(),
+  recordId: z.string(),
+  importance: z.string(),
+  preview: z.string()
+});
+
+// 只读身份也可以查看统计，敏感记录的预览脱敏显示
+function toRecordRef({ topic, record }) {
+  return { topic, recordId: record.id, importance: record.importance, preview: redactRecord(record).content.slice(0, 80) };
+}
+
+function formatPercent(ratio) {
+  return `${(ratio * 100).toFixed(1)}%`;
+}
+
+function formatBar(value, max) {
+  return value > 0 ? "█".repeat(Math.max(1, Math.round((value / max) * BAR_WIDTH))) : "";
+}
+
+function formatTopicsSection(topics, limit) {
+  if (topics.length === 0) {
+    return "\n\n📚 主题明细:\n暂无主题";
+  }
+  const lines = topics.slice(0, limit).map(
+    (item) =>
+      `- ${item.name}: ${item.recordCount}条，${item.memorySize}字符（${formatPercent(item.share)}），平均 ${
+        item.averageRecordSize
+      }字符/条，读取 ${item.readCount}次，最后更新 ${item.lastUpdatedAt}`
+  );
+  const more = topics.length > limit ? `\n... 还有 ${topics.length - limit} 个主题未列出` : "";
+  return `\n\n📚 主题明细（按大小排序）:\n${lines.join("\n")}${more}`;
+}
+
+function formatActivitySection(activity) {
+  const max = Math.max(1, ...activity.series.map((item) => Math.max(item.created, item.updated)));
+  const lines = activity.series.map(
+    (item) =>
+      `${item.period}  新建 ${String(item.created).padStart(3)} ${formatBar(item.created, max).padEnd(BAR_WIDTH)}  更新 ${String(
+        item.updated
+      ).padStart(3)} ${formatBar(item.updated, max)}`.trimEnd()
+  );
+  const created = activity.series.reduce((sum, item) => sum + item.created, 0);
+  const updated = activity.series.reduce((sum, item) => sum + item.updated, 0);
+  return `\n\n📅 活动趋势（最近 ${activity.series.length} ${GRANULARITY_LABELS[activity.granularity]}，UTC）:\n合计新建 ${created}条，更新 ${updated}次\n${lines.join(
+    "\n"
+  )}`;
+}
+
+function formatReadsSection(reads) {
+  let text = `\n\n👀 读取情况:\n查询次数: ${reads.readCount}次\n修改次数: ${reads.writeCount}次`;
+  if (reads.mostRead.length > 0) {
+    text += `\n最常读取:\n${reads.mostRead
+      .map((item) => `- [${item.topic}] ${item.recordId}（${item.count}次，最近 ${item.lastAccessedAt}）: ${item.preview}`)
+      .join("\n")}`;
+  } else {
+    text += "\n最常读取: 暂无记录被读取";
+  }
+  text += `\n从未读取: ${reads.neverRead.total}条`;
+  if (reads.neverRead.records.length > 0) {
+    text += `（最早创建的 ${reads.neverRead.records.length} 条）\n${reads.neverRead.records
+      .map((item) => `- [${item.topic}] ${item.recordId}（${item.importance}）: ${item.preview}`)
+      .join("\n")}`;
+  }
+  return text;
+}
+
+function formatTagsSection(tags, limit) {
+  if (tags.length === 0) {
+    return "\n\n🏷️ 标签频率:\n暂无标签";
+  }
+  const lines = tags.slice(0, limit).map((item) => `- ${item.tag}: ${item.topicCount}个主题，${item.recordCount}条记录`);
+  const more = tags.length > limit ? `\n... 还有 ${tags.length - limit} 个标签未列出` : "";
+  return `\n\n🏷️ 标签频率:\n${lines.join("\n")}${more}`;
+}
+
+function formatHealthSection(health) {
+  if (health.issues.length === 0) {
+    return "\n\n🩺 健康检查:\n✅ 没有发现问题";
+  }
+  const lines = health.issues.map((issue) => `- ⚠️ [${HEALTH_KIND_LABELS[issue.kind]}] ${issue.topic}: ${issue.detail}`);
+  const kinds = [...new Set(health.issues.map((issue) => issue.kind))];
+  const suggestions = kinds.map((kind) => `- ${HEALTH_KIND_LABELS[kind]}: ${HEALTH_SUGGESTIONS[kind]}`);
+  return `\n\n🩺 健康检查（发现 ${health.issues.length} 个问题）:\n${lines.join("\n")}\n💡 建议:\n${suggestions.join("\n")}`;
+}
 
 export function registerMemoryStats(server) {
   server.registerTool(
@@ -8,62 +125,251 @@ export function registerMemoryStats(server) {
     {
       title: "记忆统计",
       description:
-        "获取记忆系统的详细统计信息，包括主题数量、记录数量、内存占用、重要性分布等",
+        "获取记忆系统的详细统计信息，包括主题数量、记录数量、内存占用、重要性分布、各主题明细、活动趋势、读取情况、标签频率和健康检查等",
       inputSchema: {
         random_string: z
           .string()
           .default("")
-          .describe("无需参数，直接调用即可获取统计信息")
+          .describe("无需参数，直接调用即可获取统计信息"),
+        sections: z
+          .array(z.enum(SECTIONS))
+          .default([])
+          .describe(
+            "统计内容：overview(基本统计)、topics(各主题明细)、activity(活动趋势)、reads(读取情况)、tags(标签频率)、health(健康检查)，为空表示全部"
+          ),
+        granularity: z
+          .enum(["day", "week", "month"])
+          .default("day")
+          .describe("活动趋势的时间粒度：day(天)、week(周)、month(月)"),
+        periods: z.number().int().min(1).max(90).default(14).describe("活动趋势统计最近多少个时间段"),
+        limit: z.number().int().min(1).max(100).default(10).describe("主题明细、读取排行和标签频率最多列出多少项"),
+        staleDays: z
+          .number()
+          .int()
+          .min(1)
+          .default(HEALTH_THRESHOLDS.staleDays)
+          .describe("健康检查中主题超过多少天没有更新或读取视为长期未使用"),
+        namespace: z.string().default("").describe("命名空间：可选，默认为调用方的默认命名空间"),
+        format: formatSchema
+      },
+      outputSchema: {
+        ...baseOutputShape,
+        namespace: z.string().optional().describe("统计的命名空间"),
+        role: z.string().optional().describe("调用方在该命名空间的角色"),
+        quota: z
+          .object({
+            maxTopics: z.number().optional(),
+            maxRecords: z.number().optional(),
+            maxMemorySize: z.number().optional()
+          })
+          .nullable()
+          .optional()
+          .describe("命名空间配额，null 表示不限制"),
+        totalTopics: z.number().optional(),
+        totalRecords: z.number().optional(),
+        totalMemorySize: z.number().optional().describe("总内存占用（字符数）"),
+        averageRecordSize: z.number().optional().describe("平均记录大小（字符数）"),
+        importance: z
+          .object({ 高: z.number(), 中: z.number(), 低: z.number() })
+          .optional()
+          .describe("重要性分布"),
+        lastAccessTime: z.string().nullable().optional(),
+        accessCount: z.number().optional().describe("总访问次数，包括查询和修改"),
+        readCount: z.number().optional().describe("查询次数"),
+        writeCount: z.number().optional().describe("修改次数"),
+        memoryBudget: z.number().optional().describe("全局内存预算（字符数），0 表示不限制"),
+        evictions: z
+          .object({
+            total: z.number(),
+            byReason: z.record(z.number()).describe("按原因统计：expired、max_records、max_idle、budget"),
+            recent: z.array(
+              z.object({
+                topic: z.string(),
+                recordId: z.string(),
+                importance: z.string(),
+                content: z.string(),
+                reason: z.string(),
+                evictedAt: z.string()
+              })
+            )
+          })
+          .optional()
+          .describe("自动清理记录"),
+        topics: z
+          .array(
+            z.object({
+              name: z.string(),
+              recordCount: z.number(),
+              memorySize: z.number().describe("主题中记录的总大小（字符数）"),
+              averageRecordSize: z.number(),
+              share: z.number().describe("占总大小的比例，0-1"),
+              readCount: z.number().describe("主题中记录被读取的总次数"),
+              lastUpdatedAt: z.string(),
+              lastReadAt: z.string().nullable()
+            })
+          )
+          .optional()
+          .describe("各主题明细，按大小从大到小排序"),
+        activity: z
+          .object({
+            granularity: z.string(),
+            series: z.array(
+              z.object({
+                period: z.string().describe("时间段的开始日期，按月时为 YYYY-MM"),
+                created: z.number().describe("新建的记录数"),
+                updated: z.number().describe("记录的更新次数")
+              })
+            )
+          })
+          .optional()
+          .describe("活动趋势，从旧到新"),
+        reads: z
+          .object({
+            readCount: z.number(),
+            writeCount: z.number(),
+            mostRead: z.array(
+              recordRefSchema.extend({ count: z.number().describe("读取次数"), lastAccessedAt: z.string() })
+            ),
+            neverRead: z.object({
+              total: z.number().describe("从未被读取的记录数"),
+              records: z.array(recordRefSchema).describe("最早创建的若干条从未读取的记录")
+            })
+          })
+          .optional()
+          .describe("读取情况：查询返回给调用方的记录计为读取一次"),
+        tags: z
+          .array(z.object({ tag: z.string(), topicCount: z.number(), recordCount: z.number() }))
+          .optional()
+          .describe("主题标签的使用频率"),
+        health: z
+          .object({
+            healthy: z.boolean(),
+            issues: z.array(
+              z.object({
+                topic: z.string(),
+                kind: z.string().describe("oversized(过大)、stale(长期未使用)、duplicates(重复记录过多)"),
+                value: z.number().describe("过大时为记录数，长期未使用时为天数，重复过多时为可清理记录的占比"),
+                detail: z.string()
+              })
+            )
+          })
+          .optional()
+          .describe("健康检查")
       }
     },
-    async ({ random_string }) => {
+    async ({ random_string, sections, granularity, periods, limit, staleDays, namespace, format }, extra) => {
+      const access = resolveAccess(extra, namespace, "read");
+      if (access.error) {
+        return respond.fail(format, "stats", access.error.code, access.error.message);
+      }
       try {
-        const totalMemorySizeKB = (memoryStats.totalMemorySize / 1024).toFixed(2);
-        const averageRecordSize =
-          memoryStats.totalRecords > 0
-            ? (memoryStats.totalMemorySize / memoryStats.totalRecords).toFixed(2)
-            : 0;
-
-        const importanceStats = { 高: 0, 中: 0, 低: 0 };
-        for (const topicData of memoryStore.values()) {
-          for (const record of topicData.records) {
-            importanceStats[record.importance]++;
+        const { memoryStore, memoryStats, accessStore } = await viewSpace(access.namespace);
+        const wanted = new Set(sections.length > 0 ? sections : SECTIONS);
+        const data = { namespace: access.namespace, role: access.role };
+        let text = `📊 记忆系统统计信息\n\n🗂️ 命名空间: ${access.namespace}（${ROLE_LABELS[access.role]}权限）`;
+
+        if (wanted.has("overview")) {
+          const quota = getQuota(access.namespace);
+          const { totalTopics, totalRecords, totalMemorySize } = memoryStats;
+          const totalMemorySizeKB = (totalMemorySize / 1024).toFixed(2);
+          const averageRecordSize = totalRecords > 0 ? (totalMemorySize / totalRecords).toFixed(2) : 0;
+          const { memoryBudget } = getRetentionSettings();
+          const { evictions } = memoryStats;
+          const importanceStats = { 高: 0, 中: 0, 低: 0 };
+          for (const topicData of memoryStore.values()) {
+            for (const record of topicData.records) {
+              importanceStats[record.importance]++;
+            }
           }
+
+          const budgetText =
+            memoryBudget > 0
+              ? `\n内存预算: ${totalMemorySize}/${memoryBudget}字符（${((totalMemorySize / memoryBudget) * 100).toFixed(1)}%）`
+              : "";
+          const quotaText = quota
+            ? `\n命名空间配额: ${[
+                quota.maxTopics !== undefined ? `主题 ${totalTopics}/${quota.maxTopics}个` : "",
+                quota.maxRecords !== undefined ? `记录 ${totalRecords}/${quota.maxRecords}条` : "",
+                quota.maxMemorySize !== undefined ? `大小 ${totalMemorySize}/${quota.maxMemorySize}字符` : ""
+              ]
+                .filter(Boolean)
+                .join("，")}`
+            : "";
+          let evictionText = "";
+          if (evictions.total > 0) {
+            const reasonText = Object.entries(evictions.byReason)
+              .map(([reason, count]) => `${EVICTION_REASONS[reason] || reason} ${count}条`)
+              .join("，");
+            const recentText = evictions.recent
+              .map(
+                (item) =>
+                  `- [${EVICTION_REASONS[item.reason] || item.reason}] ${item.topic} / ${item.recordId}（${
+                    item.importance
+                  }）: ${item.content}（${item.evictedAt}）`
+              )
+              .join("\n");
+            evictionText = `\n按原因: ${reasonText}\n最近清理:\n${recentText}\n被清理的记录已移入回收站，可使用 memory_query 的 action: "trash" 查看。`;
+          }
+
+          Object.assign(data, {
+            quota,
+            totalTopics,
+            totalRecords,
+            totalMemorySize,
+            averageRecordSize: Number(averageRecordSize),
+            importance: importanceStats,
+            lastAccessTime: memoryStats.lastAccessTime,
+            accessCount: memoryStats.accessCount,
+            readCount: memoryStats.readCount,
+            writeCount: memoryStats.writeCount,
+            memoryBudget,
+            evictions
+          });
+          text += `\n\n📈 基本统计:\n主题总数: ${totalTopics}个\n记录总数: ${totalRecords}条\n总内存占用: ${totalMemorySizeKB}KB\n平均记录大小: ${averageRecordSize}字符\n\n⭐ 重要性分布:\n高重要性: ${
+            importanceStats["高"]
+          }条\n中重要性: ${importanceStats["中"]}条\n低重要性: ${importanceStats["低"]}条\n\n🔄 使用统计:\n最后访问时间: ${
+            memoryStats.lastAccessTime || "从未访问"
+          }\n总访问次数: ${memoryStats.accessCount}次（查询 ${memoryStats.readCount}次，修改 ${
+            memoryStats.writeCount
+          }次）\n\n💾 存储效率:\n${
+            totalTopics > 0 ? `平均每主题记录数: ${(totalRecords / totalTopics).toFixed(2)}条` : "暂无数据"
+          }${budgetText}${quotaText}\n\n🧹 自动清理:\n累计清理: ${evictions.total}条${evictionText}`;
         }
 
-        return {
-          content: [
-            {
-              type: "text",
-              text: `📊 记忆系统统计信息\n\n📈 基本统计:\n主题总数: ${
-                memoryStats.totalTopics
-              }个\n记录总数: ${
-                memoryStats.totalRecords
-              }条\n总内存占用: ${totalMemorySizeKB}KB\n平均记录大小: ${averageRecordSize}字符\n\n⭐ 重要性分布:\n高重要性: ${
-                importanceStats["高"]
-              }条\n中重要性: ${
-                importanceStats["中"]
-              }条\n低重要性: ${
-                importanceStats["低"]
-              }条\n\n🔄 使用统计:\n最后访问时间: ${
-                memoryStats.lastAccessTime || "从未访问"
-              }\n总访问次数: ${
-                memoryStats.accessCount
-              }次\n\n💾 存储效率:\n$${
-                memoryStats.totalRecords > 0
-                  ? `平均每主题记录数: ${(memoryStats.totalRecords / memoryStats.totalTopics).toFixed(2)}条`
-                  : "暂无数据"
-              }`
-            }
-          ]
-        };
+        const breakdown = wanted.has("topics") || wanted.has("health") ? topicBreakdown(memoryStore, accessStore) : [];
+        if (wanted.has("topics")) {
+          data.topics = breakdown.slice(0, limit);
+          text += formatTopicsSection(breakdown, limit);
+        }
+        if (wanted.has("activity")) {
+          data.activity = { granularity, series: activitySeries(memoryStore, { granularity, periods }) };
+          text += formatActivitySection(data.activity);
+        }
+        if (wanted.has("reads")) {
+          const { mostRead, neverRead } = readRanking(memoryStore, accessStore, limit);
+          data.reads = {
+            readCount: memoryStats.readCount,
+            writeCount: memoryStats.writeCount,
+            mostRead: mostRead.map((item) => ({ ...toRecordRef(item), count: item.count, lastAccessedAt: item.lastAccessedAt })),
+            neverRead: { total: neverRead.total, records: neverRead.records.map(toRecordRef) }
+          };
+          text += formatReadsSection(data.reads);
+        }
+        if (wanted.has("tags")) {
+          const tags = tagFrequency(memoryStore);
+          data.tags = tags.slice(0, limit);
+          text += formatTagsSection(tags, limit);
+        }
+        if (wanted.has("health")) {
+          const issues = healthReport(memoryStore, breakdown, { staleDays });
+          data.health = { healthy: issues.length === 0, issues };
+          text += formatHealthSection(data.health);
+        }
+
+        return respond.ok(format, "stats", data, text);
       } catch (error) {
-        return {
-          content: [{ type: "text", text: `❌ 获取统计信息失败: ${error.message}` }]
-        };
+        return respond.fail(format, "stats", "INTERNAL_ERROR", `❌ 获取统计信息失败: ${error.message}`);
       }
     }
   );
 }
-
-
@@ -0,0 +1,305 @@
+import fs from "node:fs";
+import path from "node:path";
+import { z } from "zod";
+import { getSpace, viewSpace } from "../store.js";
+import { withEventContext } from "../events.js";
+import { getCurrentTimestamp, calculateRecordSize } from "../utils.js";
+import { serializeTopics, parseTopics, planImport, summarizePlan, resolveTransferPath } from "../transfer.js";
+import { resolveAccess, checkQuota } from "../access.js";
+import { pruneDanglingLinks } from "../links.js";
+import { refreshSensitiveTag, redactRecord, redactChanges } from "../sensitive.js";
+
+const TOPIC_MODE_LABELS = {
+  create: "新建",
+  merge: "合并",
+  overwrite: "覆盖",
+  rename: "重命名",
+  skip: "跳过"
+};
+
+// 按导入计划写入命名空间
+function applyImport(space, plan) {
+  const { memoryStore, saveTopic, saveRecord, removeTopic, removeRecord } = space;
+  // 导入时改了ID的记录，同批导入的记录中指向原ID的关联改为指向新ID
+  const renamedIds = new Map();
+  for (const entry of plan) {
+    for (const item of entry.records) {
+      if (item.action === "rename") {
+        renamedIds.set(item.originalId, item.record.id);
+      }
+    }
+  }
+  const imported = [];
+  for (const entry of plan) {
+    if (entry.mode === "skip") {
+      continue;
+    }
+    let topicData;
+    if (entry.mode === "merge") {
+      topicData = memoryStore.get(entry.targetName);
+      topicData.tags = [...new Set([...topicData.tags, ...entry.topicMeta.tags])];
+      if (!topicData.description) {
+        topicData.description = entry.topicMeta.description;
+      }
+      topicData.updatedAt = getCurrentTimestamp();
+    } else {
+      if (entry.mode === "overwrite") {
+        memoryStore.delete(entry.targetName);
+        removeTopic(entry.targetName);
+      }
+      topicData = { ...entry.topicMeta, name: entry.targetName, records: [] };
+      memoryStore.set(entry.targetName, topicData);
+    }
+    for (const item of entry.records) {
+      if (item.action === "skip") {
+        continue;
+      }
+      if (item.action === "overwrite") {
+        const sourceTopic = memoryStore.get(item.fromTopic);
+        if (sourceTopic) {
+          sourceTopic.records = sourceTopic.records.filter((record) => record.id !== item.record.id);
+          removeRecord(item.fromTopic, item.record.id);
+          if (sourceTopic !== topicData) {
+            sourceTopic.updatedAt = getCurrentTimestamp();
+            saveTopic(sourceTopic);
+          }
+        }
+      }
+      if (item.record.links && renamedIds.size > 0) {
+        item.record.links = item.record.links.map((link) =>
+          renamedIds.has(link.target) ? { ...link, target: renamedIds.get(link.target) } : link
+        );
+      }
+      refreshSensitiveTag(item.record);
+      topicData.records.push(item.record);
+      saveRecord(topicData.name, item.record);
+      imported.push({ topic: topicData.name, record: item.record });
+    }
+    saveTopic(topicData);
+  }
+  // 去掉指向本库中不存在的记录的关联
+  const pruned = new Set(pruneDanglingLinks(memoryStore, imported.map(({ record }) => record)));
+  for (const { topic, record } of imported) {
+    if (pruned.has(record)) {
+      saveRecord(topic, record);
+    }
+  }
+}
+
+// 导入计划新增的主题、记录数量和大小，用于配额检查
+function planAdditions(plan) {
+  const addition = { topics: 0, records: 0, size: 0 };
+  for (const entry of plan) {
+    if (entry.mode === "skip") {
+      continue;
+    }
+    if (entry.mode !== "merge") {
+      addition.topics++;
+    }
+    for (const item of entry.records) {
+      if (item.action !== "skip") {
+        addition.records++;
+        addition.size += calculateRecordSize(item.record);
+      }
+    }
+  }
+  return addition;
+}
+
+// 导出的主题：敏感记录脱敏，版本历史中的变更值同样隐藏
+function redactTopic(topicData) {
+  return {
+    ...topicData,
+    records: topicData.records.map((record) => {
+      const redacted = redactRecord(record);
+      if (!record.history) {
+        return redacted;
+      }
+      return {
+        ...redacted,
+        history: record.history.map((entry) => ({ ...entry, changes: redactChanges(record, entry.changes) }))
+      };
+    })
+  };
+}
+
+// 导出敏感记录的原文，以及导入时会覆盖现有数据的冲突策略需要管理员权限
+function importPermission(action, topicConflict, recordConflict, reveal) {
+  if (action === "export") {
+    return reveal ? "admin" : "read";
+  }
+  return topicConflict === "overwrite" || recordConflict === "overwrite" ? "admin" : "write";
+}
+
+function formatPlanReport(plan, dryRun) {
+  const summary = summarizePlan(plan);
+  let text = `${dryRun ? "🧪 导入预演（未写入任何数据）" : "✅ 导入完成"}\n\n📚 主题: 新建 ${
+    summary.topics.create
+  } / 合并 ${summary.topics.merge} / 覆盖 ${summary.topics.overwrite} / 重命名 ${
+    summary.topics.rename
+  } / 跳过 ${summary.topics.skip}\n📝 记录: 新建 ${summary.records.create} / 覆盖 ${
+    summary.records.overwrite
+  } / 重新分配ID ${summary.records.rename} / 跳过 ${summary.records.skip}\n`;
+  for (const entry of plan) {
+    text += `\n--- ${entry.sourceName} ---\n🔧 处理方式: ${TOPIC_MODE_LABELS[entry.mode]}`;
+    if (entry.targetName !== entry.sourceName) {
+      text += ` → "${entry.targetName}"`;
+    }
+    text += `\n📊 记录数: ${entry.records.length}条`;
+    for (const item of entry.records) {
+      if (item.action === "rename") {
+        text += `\n  - ID "${item.originalId}" 已存在，分配新ID "${item.record.id}"`;
+      } else if (item.action === "overwrite") {
+        text += `\n  - ID "${item.record.id}" 已存在于主题 "${item.fromTopic}"，将被覆盖`;
+      } else if (item.action === "skip" && item.reason === "id") {
+        text += `\n  - ID "${item.record.id}" 已存在，跳过`;
+      }
+    }
+    text += "\n";
+  }
+  return text;
+}
+
+export function registerMemoryTransfer(server) {
+  server.registerTool(
+    "memory_transfer",
+    {
+      title: "记忆导入导出",
+      description:
+        "将主题和记录导出为 JSON、JSONL 或 Markdown，或从这些格式导入。导入支持重名主题和重复ID的冲突策略及预演。",
+      inputSchema: {
+        action: z
+          .enum(["export", "import"])
+          .describe("操作类型：export(导出)、import(导入)"),
+        topics: z
+          .array(z.string())
+          .default([])
+          .describe("导出的主题列表：可选，留空表示导出全部主题"),
+        format: z
+          .enum(["json", "jsonl", "markdown"])
+          .default("json")
+          .describe("数据格式：json、jsonl(每行一个主题或记录)、markdown(便于阅读的文档)"),
+        data: z.string().default("").describe("导入数据：要导入的文本内容，与 filePath 二选一"),
+        filePath: z
+          .string()
+          .default("")
+          .describe("文件路径：可选，导入导出目录（--transfer-dir）中的相对路径，导出时写入该文件，导入时从该文件读取"),
+        topicConflict: z
+          .enum(["skip", "overwrite", "rename", "merge"])
+          .default("skip")
+          .describe("主题重名时的处理：skip(跳过)、overwrite(覆盖现有主题)、rename(以新名称导入)、merge(合并记录到现有主题)"),
+        recordConflict: z
+          .enum(["skip", "overwrite", "rename"])
+          .default("skip")
+          .describe("记录ID重复时的处理：skip(跳过)、overwrite(覆盖现有记录)、rename(分配新ID)"),
+        dryRun: z.boolean().default(false).describe("预演：为true时只返回导入报告，不写入数据"),
+        reveal: z
+          .boolean()
+          .default(false)
+          .describe("导出时是否保留敏感记录的原文：默认脱敏导出，需要管理员权限"),
+        namespace: z.string().default("").describe("命名空间：可选，默认为调用方的默认命名空间")
+      }
+    },
+    async (
+      { action, topics, format, data, filePath, topicConflict, recordConflict, dryRun, reveal, namespace },
+      extra
+    ) => {
+      const access = resolveAccess(extra, namespace, importPermission(action, topicConflict, recordConflict, reveal));
+      if (access.error) {
+        return { content: [{ type: "text", text: access.error.message }] };
+      }
+      try {
+        // 导出和导入预演不创建尚不存在的命名空间
+        const space =
+          action === "export" || dryRun ? await viewSpace(access.namespace) : await getSpace(access.namespace);
+        const { memoryStore } = space;
+        switch (action) {
+          case "export": {
+            const missing = topics.filter((name) => !memoryStore.has(name));
+            if (missing.length > 0) {
+              return {
+                content: [
+                  {
+                    type: "text",
+                    text: `❌ 以下主题不存在: ${missing.join(", ")}\n\n请使用 memory_query 工具的 action: "list_topics" 查看现有主题列表。`
+                  }
+                ]
+              };
+            }
+            const selected =
+              topics.length > 0
+                ? topics.map((name) => memoryStore.get(name))
+                : [...memoryStore.values()];
+            const output = serializeTopics(reveal ? selected : selected.map(redactTopic), format);
+            const recordCount = selected.reduce((sum, topicData) => sum + topicData.records.length, 0);
+            space.recordAccess("read");
+            const summary = `✅ 导出成功！\n\n- 格式: ${format}\n- 主题数: ${selected.length}个\n- 记录数: ${recordCount}条`;
+            if (filePath) {
+              const resolvedPath = resolveTransferPath(filePath);
+              fs.mkdirSync(path.dirname(resolvedPath), { recursive: true });
+              fs.writeFileSync(resolvedPath, output, "utf8");
+              return {
+                content: [{ type: "text", text: `${summary}\n- 文件: ${resolvedPath}` }]
+              };
+            }
+            return {
+              content: [
+                { type: "text", text: summary },
+                { type: "text", text: output }
+              ]
+            };
+          }
+          case "import": {
+            if (!data && !filePath) {
+              return {
+                content: [
+                  {
+                    type: "text",
+                    text: `❌ 导入数据不能为空！\n\n💡 提示：请通过 data 传入导出的文本内容，或通过 filePath 指定导出文件。`
+                  }
+                ]
+              };
+            }
+            const text = data || fs.readFileSync(resolveTransferPath(filePath), "utf8");
+            const importedTopics = parseTopics(text, format);
+            // 与 memory_manage 的写操作依次执行，导入计划基于执行时的最新数据生成
+            return await space.exclusive(() => {
+              const plan = planImport(memoryStore, importedTopics, { topicConflict, recordConflict });
+              if (!dryRun) {
+                const quotaError = checkQuota(space, planAdditions(plan));
+                if (quotaError) {
+                  return { content: [{ type: "text", text: quotaError }] };
+                }
+                space.recordAccess("write");
+                // 在事务中写入，中途出错时撤销已导入的部分
+                space.begin();
+                try {
+                  withEventContext(
+                    { action: "import", actor: access.principal, principal: access.principal, sessionId: extra.sessionId || "" },
+                    () => applyImport(space, plan)
+                  );
+                  space.commit();
+                } catch (error) {
+                  space.rollback();
+                  throw error;
+                }
+              }
+              return { content: [{ type: "text", text: formatPlanReport(plan, dryRun) }] };
+            });
+          }
+          default:
+            return {
+              content: [
+                {
+                  type: "text",
+                  text: `❌ 不支持的操作类型: ${action}\n\n💡 支持的操作类型:\n- export: 导出主题和记录\n- import: 导入主题和记录`
+                }
+              ]
+            };
+        }
+      } catch (error) {
+        return { content: [{ type: "text", text: `❌ 导入导出失败: ${error.message}` }] };
+      }
+    }
+  );
+}
@@ -0,0 +1,400 @@
+import fs from "node:fs";
+import path from "node:path";
+import { generateId, getCurrentTimestamp } from "./utils.js";
+
+// 导入导出：在主题数组与 JSON / JSONL / Markdown 文本之间转换
+
+export const TRANSFER_FORMAT_VERSION = 1;
+
+const IMPORTANCE_LEVELS = ["低", "中", "高"];
+
+// 导入时保留的字段，其余字段（如向量）丢弃，由本服务重新生成
+const TOPIC_FIELDS = [
+  "id",
+  "name",
+  "description",
+  "tags",
+  "version",
+  "retention",
+  "consolidation",
+  "metadataSchema",
+  "createdAt",
+  "updatedAt"
+];
+const RECORD_FIELDS = [
+  "id",
+  "content",
+  "importance",
+  "context",
+  "metadata",
+  "expiresAt",
+  "links",
+  "version",
+  "history",
+  "sensitive",
+  "createdAt",
+  "updatedAt"
+];
+
+// 导入导出文件所在的目录，未配置时 memory_transfer 不读写文件
+let transferDir = "";
+
+export function configureTransfer(config = {}) {
+  transferDir = config.transferDir ? path.resolve(config.transferDir) : "";
+}
+
+/**
+ * 把 filePath 解析为导入导出目录中的绝对路径：只接受目录内的相对路径，不能包含 ".."，也不能经过符号链接。
+ */
+export function resolveTransferPath(filePath) {
+  if (!transferDir) {
+    throw new Error("未配置导入导出目录，请通过 --transfer-dir 或 MCP_MEMORY_TRANSFER_DIR 指定，或改用 data 传入内容");
+  }
+  const segments = filePath.split(/[\\/]+/).filter((segment) => segment && segment !== ".");
+  if (path.isAbsolute(filePath) || segments.length === 0 || segments.includes("..")) {
+    throw new Error(`文件路径必须是导入导出目录中的相对路径，且不能包含 "..": ${filePath}`);
+  }
+  let current = fs.existsSync(transferDir) ? fs.realpathSync(transferDir) : transferDir;
+  for (const segment of segments) {
+    current = path.join(current, segment);
+    if (fs.lstatSync(current, { throwIfNoEntry: false })?.isSymbolicLink()) {
+      throw new Error(`文件路径不能经过符号链接: ${filePath}`);
+    }
+  }
+  return current;
+}
+
+function pickFields(source, fields) {
+  return Object.fromEntries(fields.filter((field) => source[field] !== undefined).map((field) => [field, source[field]]));
+}
+
+function splitTopic(topicData) {
+  const { records, ...topicMeta } = topicData;
+  return { topicMeta, records };
+}
+
+// ---------- 序列化 ----------
+
+export function serializeTopics(topics, format) {
+  switch (format) {
+    case "json":
+      return JSON.stringify(
+        { version: TRANSFER_FORMAT_VERSION, exportedAt: getCurrentTimestamp(), topics },
+        null,
+        2
+      );
+    case "jsonl":
+      return topics
+        .flatMap((topicData) => {
+          const { topicMeta, records } = splitTopic(topicData);
+          return [
+            JSON.stringify({ type: "topic", topic: topicMeta }),
+            ...records.map((record) => JSON.stringify({ type: "record", topic: topicData.name, record }))
+          ];
+        })
+        .join("\n");
+    case "markdown":
+      return toMarkdown(topics);
+    default:
+      throw new Error(`不支持的格式: ${format}`);
+  }
+}
+
+// Markdown 列表项的值：含换行或首尾空白时用 JSON 字符串保存，保证可以原样导回
+function mdValue(value) {
+  const text = String(value ?? "");
+  return /[\n\r]|^\s|\s$|^"/.test(text) ? JSON.stringify(text) : text;
+}
+
+function fenceFor(text) {
+  const longestRun = Math.max(2, ...(text.match(/`+/g) || []).map((run) => run.length));
+  return "`".repeat(longestRun + 1);
+}
+
+function toMarkdown(topics) {
+  const lines = [`# 记忆导出`, ``, `> 导出时间: ${getCurrentTimestamp()}`, ``];
+  for (const topicData of topics) {
+    lines.push(
+      `## ${topicData.name}`,
+      ``,
+      `- ID: ${topicData.id}`,
+      `- 描述: ${mdValue(topicData.description)}`,
+      `- 标签: ${mdValue(topicData.tags.join(", "))}`,
+      `- 创建时间: ${topicData.createdAt}`,
+      `- 更新时间: ${topicData.updatedAt}`,
+      ``
+    );
+    for (const record of topicData.records) {
+      const fence = fenceFor(record.content);
+      lines.push(
+        `### 记录 ${record.id}`,
+        ``,
+        `- 重要性: ${record.importance}`,
+        `- 上下文: ${mdValue(record.context)}`,
+        `- 元数据: \`${JSON.stringify(record.metadata || {})}\``,
+        `- 创建时间: ${record.createdAt}`,
+        `- 更新时间: ${record.updatedAt}`,
+        ``,
+        `${fence}text`,
+        record.content,
+        fence,
+        ``
+      );
+    }
+  }
+  return lines.join("\n");
+}
+
+// ---------- 解析 ----------
+
+export function parseTopics(text, format) {
+  switch (format) {
+    case "json": {
+      const data = JSON.parse(text);
+      const topics = Array.isArray(data) ? data : data.topics;
+      if (!Array.isArray(topics)) {
+        throw new Error("JSON 数据中缺少 topics 数组");
+      }
+      return topics.map(normalizeTopic);
+    }
+    case "jsonl":
+      return parseJsonl(text);
+    case "markdown":
+      return parseMarkdown(text);
+    default:
+      throw new Error(`不支持的格式: ${format}`);
+  }
+}
+
+function parseJsonl(text) {
+  const topics = new Map();
+  text.split("\n").forEach((line, index) => {
+    if (!line.trim()) {
+      return;
+    }
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      throw new Error(`第 ${index + 1} 行不是有效的 JSON`);
+    }
+    if (entry.type === "topic") {
+      const existing = topics.get(entry.topic.name);
+      topics.set(entry.topic.name, { ...entry.topic, records: existing ? existing.records : [] });
+    } else if (entry.type === "record") {
+      if (!topics.has(entry.topic)) {
+        topics.set(entry.topic, { name: entry.topic, records: [] });
+      }
+      topics.get(entry.topic).records.push(entry.record);
+    } else {
+      throw new Error(`第 ${index + 1} 行的 type 无效: ${entry.type}`);
+    }
+  });
+  return [...topics.values()].map(normalizeTopic);
+}
+
+function parseMdValue(text) {
+  if (text.startsWith('"')) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text;
+    }
+  }
+  return text;
+}
+
+function parseMarkdown(text) {
+  const topics = [];
+  const lines = text.split(/\r?\n/);
+  let currentTopic = null;
+  let currentRecord = null;
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const topicMatch = line.match(/^## (.+)$/);
+    const recordMatch = line.match(/^### 记录 (\S+)/);
+    const fieldMatch = line.match(/^- ([^:：]+)[:：] ?(.*)$/);
+    const fenceMatch = line.match(/^(`{3,})/);
+    if (topicMatch) {
+      currentTopic = { name: topicMatch[1].trim(), records: [] };
+      currentRecord = null;
+      topics.push(currentTopic);
+    } else if (recordMatch) {
+      if (!currentTopic) {
+        throw new Error(`第 ${i + 1} 行的记录不属于任何主题`);
+      }
+      currentRecord = { id: recordMatch[1], content: "" };
+      currentTopic.records.push(currentRecord);
+    } else if (fenceMatch && currentRecord) {
+      const fence = fenceMatch[1];
+      const body = [];
+      i++;
+      while (i < lines.length && lines[i] !== fence) {
+        body.push(lines[i]);
+        i++;
+      }
+      currentRecord.content = body.join("\n");
+    } else if (fieldMatch && (currentRecord || currentTopic)) {
+      const [, label, rawValue] = fieldMatch;
+      const value = parseMdValue(rawValue);
+      const target = currentRecord || currentTopic;
+      switch (label.trim()) {
+        case "ID":
+          target.id = value;
+          break;
+        case "描述":
+          target.description = value;
+          break;
+        case "标签":
+          target.tags = value ? value.split(",").map((tag) => tag.trim()).filter(Boolean) : [];
+          break;
+        case "重要性":
+          target.importance = value;
+          break;
+        case "上下文":
+          target.context = value;
+          break;
+        case "元数据":
+          target.metadata = JSON.parse(rawValue.replace(/^`|`$/g, "") || "{}");
+          break;
+        case "创建时间":
+          target.createdAt = value;
+          break;
+        case "更新时间":
+          target.updatedAt = value;
+          break;
+      }
+    }
+  }
+  return topics.map(normalizeTopic);
+}
+
+// 补全缺省字段并校验必填项
+function normalizeTopic(topicData) {
+  if (!topicData || typeof topicData.name !== "string" || !topicData.name.trim()) {
+    throw new Error("导入数据中存在缺少名称的主题");
+  }
+  const now = getCurrentTimestamp();
+  return {
+    ...pickFields(topicData, TOPIC_FIELDS),
+    id: topicData.id || generateId(),
+    name: topicData.name.trim(),
+    description: topicData.description || "",
+    tags: Array.isArray(topicData.tags) ? topicData.tags : [],
+    records: (topicData.records || []).map((record) => normalizeRecord(record, topicData.name)),
+    createdAt: topicData.createdAt || now,
+    updatedAt: topicData.updatedAt || now
+  };
+}
+
+function normalizeRecord(record, topicName) {
+  if (!record || typeof record.content !== "string" || !record.content) {
+    throw new Error(`主题 "${topicName}" 中存在内容为空的记录`);
+  }
+  const now = getCurrentTimestamp();
+  const normalized = {
+    ...pickFields(record, RECORD_FIELDS),
+    id: record.id || generateId(),
+    importance: IMPORTANCE_LEVELS.includes(record.importance) ? record.importance : "中",
+    context: record.context || "",
+    metadata: record.metadata && typeof record.metadata === "object" ? record.metadata : {},
+    createdAt: record.createdAt || now,
+    updatedAt: record.updatedAt || record.createdAt || now
+  };
+  // 格式不对的版本历史和关联不导入，避免之后恢复版本或遍历关联时出错
+  for (const field of ["links", "history"]) {
+    if (!Array.isArray(normalized[field])) {
+      delete normalized[field];
+    }
+  }
+  if (!Number.isInteger(normalized.version) || normalized.version < 1) {
+    delete normalized.version;
+  }
+  return normalized;
+}
+
+// ---------- 导入计划 ----------
+
+// 为重名主题生成不冲突的新名称，如 "笔记 (2)"
+function uniqueTopicName(name, takenNames) {
+  let index = 2;
+  while (takenNames.has(`${name} (${index})`)) {
+    index++;
+  }
+  return `${name} (${index})`;
+}
+
+/**
+ * 根据冲突策略生成导入计划，不修改存储。
+ * topicConflict: skip | overwrite | rename | merge（主题重名时）
+ * recordConflict: skip | overwrite | rename（记录ID重复时）
+ */
+export function planImport(store, importedTopics, { topicConflict, recordConflict }) {
+  const takenNames = new Set(store.keys());
+  const existingIds = new Map();
+  for (const [topicName, topicData] of store.entries()) {
+    for (const record of topicData.records) {
+      existingIds.set(record.id, topicName);
+    }
+  }
+
+  const plan = [];
+  for (const imported of importedTopics) {
+    const { topicMeta, records } = splitTopic(imported);
+    let mode = "create";
+    let targetName = topicMeta.name;
+    if (takenNames.has(topicMeta.name)) {
+      mode = topicConflict;
+      if (mode === "rename") {
+        targetName = uniqueTopicName(topicMeta.name, takenNames);
+      }
+    }
+    takenNames.add(targetName);
+    const entry = { mode, sourceName: topicMeta.name, targetName, topicMeta, records: [] };
+    plan.push(entry);
+    if (mode === "skip") {
+      entry.records = records.map((record) => ({ action: "skip", reason: "topic", record }));
+      continue;
+    }
+    if (mode === "overwrite") {
+      // 被覆盖主题中的记录会一并删除，不再视为ID冲突
+      for (const [id, topicName] of existingIds.entries()) {
+        if (topicName === targetName) {
+          existingIds.delete(id);
+        }
+      }
+    }
+    for (const record of records) {
+      if (!existingIds.has(record.id)) {
+        existingIds.set(record.id, targetName);
+        entry.records.push({ action: "create", record });
+        continue;
+      }
+      if (recordConflict === "skip") {
+        entry.records.push({ action: "skip", reason: "id", record });
+      } else if (recordConflict === "overwrite") {
+        entry.records.push({ action: "overwrite", record, fromTopic: existingIds.get(record.id) });
+        existingIds.set(record.id, targetName);
+      } else {
+        const newId = generateId();
+        existingIds.set(newId, targetName);
+        entry.records.push({ action: "rename", record: { ...record, id: newId }, originalId: record.id });
+      }
+    }
+  }
+  return plan;
+}
+
+export function summarizePlan(plan) {
+  const summary = {
+    topics: { create: 0, merge: 0, overwrite: 0, rename: 0, skip: 0 },
+    records: { create: 0, overwrite: 0, rename: 0, skip: 0 }
+  };
+  for (const entry of plan) {
+    summary.topics[entry.mode]++;
+    for (const item of entry.records) {
+      summary.records[item.action]++;
+    }
+  }
+  return summary;
+}
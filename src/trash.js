@@ -0,0 +1,77 @@
+import { generateId, getCurrentTimestamp } from "./utils.js";
+
+// 回收站：删除的主题和记录先移入回收站，可以恢复或彻底清除。
+// 条目结构：{ id, type: "topic" | "record", topic, recordId, data, deletedAt, deletedBy, reason }
+// 主题条目的 data 为删除时的完整主题（包含全部记录），记录条目的 data 为记录本身。
+// reason 仅在自动清理时写入，说明被清理的原因。回收站属于命名空间，以下函数的 space 参数见 store.js。
+
+export function trashTopic(space, topicData, actor = "") {
+  const entry = {
+    id: generateId(),
+    type: "topic",
+    topic: topicData.name,
+    data: topicData,
+    deletedAt: getCurrentTimestamp(),
+    deletedBy: actor
+  };
+  space.trashStore.set(entry.id, entry);
+  space.saveTrashEntry(entry);
+  return entry;
+}
+
+export function trashRecord(space, topicName, record, actor = "", reason = "") {
+  const entry = {
+    id: generateId(),
+    type: "record",
+    topic: topicName,
+    recordId: record.id,
+    data: record,
+    deletedAt: getCurrentTimestamp(),
+    deletedBy: actor
+  };
+  if (reason) {
+    entry.reason = reason;
+  }
+  space.trashStore.set(entry.id, entry);
+  space.saveTrashEntry(entry);
+  return entry;
+}
+
+/**
+ * 按主题名和记录ID查找回收站条目，最近删除的在前。
+ * 指定 recordId 时只返回该记录的条目；否则返回该主题的主题条目。
+ */
+export function findTrashEntries(space, topicName, recordId = "") {
+  return [...space.trashStore.values()]
+    .filter((entry) =>
+      recordId
+        ? entry.type === "record" && entry.recordId === recordId && (!topicName || entry.topic === topicName)
+        : entry.type === "topic" && entry.topic === topicName
+    )
+    .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+}
+
+// 主题改名或合并后，让从原主题删除的记录恢复到新主题，返回更新的条目数
+export function retargetTrash(space, fromTopic, toTopic) {
+  let count = 0;
+  for (const entry of space.trashStore.values()) {
+    if (entry.type === "record" && entry.topic === fromTopic) {
+      entry.topic = toTopic;
+      space.saveTrashEntry(entry);
+      count++;
+    }
+  }
+  return count;
+}
+
+// 列出回收站条目，可按主题过滤（包含该主题本身和从该主题删除的记录），最近删除的在前
+export function listTrash(space, topicName = "") {
+  return [...space.trashStore.values()]
+    .filter((entry) => !topicName || entry.topic === topicName)
+    .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+}
+
+export function removeFromTrash(space, entry) {
+  space.trashStore.delete(entry.id);
+  space.removeTrashEntry(entry.id);
+}
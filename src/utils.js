@@ -9,7 +9,9 @@ export function getCurrentTimestamp() {
 }
 
 export function calculateRecordSize(record) {
-  return JSON.stringify(record).length;
+  // 嵌入向量是派生数据、版本历史是审计数据，均不计入记忆大小
+  const { embedding, history, ...content } = record;
+  return JSON.stringify(content).length;
 }
 
 
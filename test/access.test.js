@@ -0,0 +1,167 @@
+import { test, after, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import { loadConfig } from "../src/config.js";
+import { configureAccess } from "../src/access.js";
+import { configureSensitive } from "../src/sensitive.js";
+import { initEmbedder } from "../src/embedding.js";
+import { initStore, closeStore } from "../src/store.js";
+import { createServer } from "../src/server.js";
+
+// 命名空间与权限：各命名空间的数据互不可见，角色限制可执行的操作，新增和变大的内容都受配额限制
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "mcp-memory-access-"));
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+const aclPath = path.join(tmpDir, "acl.json");
+fs.writeFileSync(
+  aclPath,
+  JSON.stringify({
+    principals: {
+      writer: { defaultNamespace: "team", roles: { team: "read-write", limited: "read-write", shared: "read-only" } },
+      owner: { roles: { "*": "admin" } }
+    },
+    namespaces: { limited: { quota: { maxTopics: 1, maxRecords: 2, maxMemorySize: 1000 } } }
+  })
+);
+
+let client = null;
+
+async function connect(principal, argv = []) {
+  const config = loadConfig(["--acl", aclPath, "--principal", principal, ...argv], {});
+  configureAccess(config);
+  configureSensitive(config);
+  await initEmbedder(config);
+  await initStore(config);
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await createServer().connect(serverTransport);
+  client = new Client({ name: "test", version: "1.0.0" });
+  await client.connect(clientTransport);
+}
+
+// 同一个服务实例中切换调用方身份
+function switchPrincipal(principal) {
+  configureAccess(loadConfig(["--acl", aclPath, "--principal", principal], {}));
+}
+
+afterEach(async () => {
+  await client?.close();
+  client = null;
+  closeStore();
+  configureAccess({});
+});
+
+async function manage(args) {
+  return (await client.callTool({ name: "memory_manage", arguments: args })).structuredContent;
+}
+
+async function query(args) {
+  return (await client.callTool({ name: "memory_query", arguments: args })).structuredContent;
+}
+
+test("各命名空间的数据互不可见，不传 namespace 时使用调用方的默认命名空间", async () => {
+  await connect("writer");
+  await manage({ action: "create_topic", topic: "笔记" });
+  await manage({ action: "create_record", topic: "笔记", content: "团队约定" });
+  await manage({ action: "create_topic", topic: "笔记", namespace: "limited" });
+
+  const team = await query({ action: "view_topic", topic: "笔记", namespace: "team" });
+  assert.deepEqual(
+    team.records.map((record) => record.content),
+    ["团队约定"]
+  );
+  const limited = await query({ action: "view_topic", topic: "笔记", namespace: "limited" });
+  assert.equal(limited.records.length, 0);
+
+  const namespaces = await query({ action: "list_namespaces" });
+  assert.deepEqual(
+    Object.fromEntries(namespaces.namespaces.map((item) => [item.name, item.role])),
+    { team: "read-write", limited: "read-write", shared: "read-only" }
+  );
+});
+
+test("查询尚不存在的命名空间时不创建存储文件，第一次写入时创建", async () => {
+  const storagePath = path.join(tmpDir, "memory.jsonl");
+  const namespaceFile = path.join(tmpDir, "memory.limited.jsonl");
+  await connect("writer", ["--storage-path", storagePath]);
+  const namespace = "limited";
+
+  assert.equal((await query({ action: "list_topics", namespace })).ok, true);
+  assert.equal((await query({ action: "search", query: "笔记", namespace })).ok, true);
+  await client.callTool({ name: "memory_stats", arguments: { namespace } });
+  await client.callTool({ name: "memory_transfer", arguments: { action: "export", namespace } });
+  assert.ok(!fs.existsSync(namespaceFile));
+  assert.deepEqual(
+    (await query({ action: "list_namespaces" })).namespaces.find((item) => item.name === namespace),
+    { name: namespace, role: "read-write", topicCount: 0, recordCount: 0 }
+  );
+
+  await manage({ action: "create_topic", topic: "笔记", namespace });
+  assert.ok(fs.existsSync(namespaceFile));
+  assert.equal((await query({ action: "list_topics", namespace })).topics.length, 1);
+});
+
+test("角色限制可执行的操作，未授权的命名空间无法访问", async () => {
+  await connect("writer");
+  const readOnly = await manage({ action: "create_topic", topic: "公告", namespace: "shared" });
+  assert.equal(readOnly.error.code, "FORBIDDEN");
+  assert.equal((await query({ action: "list_topics", namespace: "shared" })).ok, true);
+
+  const other = await query({ action: "list_topics", namespace: "private" });
+  assert.equal(other.error.code, "FORBIDDEN");
+
+  await manage({ action: "create_topic", topic: "笔记" });
+  const deleteTopic = await manage({ action: "delete_topic", topic: "笔记", confirm: true });
+  assert.equal(deleteTopic.error.code, "FORBIDDEN");
+
+  switchPrincipal("owner");
+  const deleted = await manage({ action: "delete_topic", topic: "笔记", confirm: true, namespace: "team" });
+  assert.equal(deleted.status, "deleted");
+
+  switchPrincipal("nobody");
+  assert.equal((await query({ action: "list_topics" })).error.code, "UNAUTHENTICATED");
+});
+
+test("配额：超出主题数和记录数时拒绝新增", async () => {
+  await connect("writer");
+  const namespace = "limited";
+  await manage({ action: "create_topic", topic: "笔记", namespace });
+  assert.equal((await manage({ action: "create_topic", topic: "其他", namespace })).error.code, "QUOTA_EXCEEDED");
+  await manage({ action: "create_record", topic: "笔记", content: "第一条", namespace });
+  await manage({ action: "create_record", topic: "笔记", content: "第二条", namespace });
+  const third = await manage({ action: "create_record", topic: "笔记", content: "第三条", namespace });
+  assert.equal(third.error.code, "QUOTA_EXCEEDED");
+});
+
+test("配额：update_record、bulk_update 和合并重复记录使内容变大时同样检查", async () => {
+  await connect("writer");
+  const namespace = "limited";
+  const longText = "很长的内容".repeat(200);
+  await manage({ action: "create_topic", topic: "笔记", namespace });
+  const { record } = await manage({ action: "create_record", topic: "笔记", content: "数据库使用 PostgreSQL", namespace });
+
+  const updated = await manage({ action: "update_record", topic: "笔记", recordId: record.id, content: longText, namespace });
+  assert.equal(updated.error.code, "QUOTA_EXCEEDED");
+  const bulk = await manage({ action: "bulk_update", match: { topics: ["笔记"] }, set: { context: longText }, namespace });
+  assert.equal(bulk.error.code, "QUOTA_EXCEEDED");
+  const merged = await manage({
+    action: "create_record",
+    topic: "笔记",
+    content: "数据库使用 PostgreSQL",
+    context: longText,
+    duplicatePolicy: "merge",
+    namespace
+  });
+  assert.equal(merged.error.code, "QUOTA_EXCEEDED");
+
+  const current = await query({ action: "get_record", recordId: record.id, namespace });
+  assert.equal(current.record.version, 1);
+  assert.equal(current.record.context, "");
+
+  // 内容变小的修改不受配额限制
+  const shorter = await manage({ action: "update_record", topic: "笔记", recordId: record.id, content: "PostgreSQL", namespace });
+  assert.equal(shorter.status, "updated");
+});
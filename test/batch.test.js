@@ -0,0 +1,202 @@
+import { test, after, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import { loadConfig } from "../src/config.js";
+import { configureAccess } from "../src/access.js";
+import { configureSensitive } from "../src/sensitive.js";
+import { initEmbedder } from "../src/embedding.js";
+import { initStore, closeStore } from "../src/store.js";
+import { createServer } from "../src/server.js";
+
+// 批量操作：batch 在一个事务中执行并在失败时整体撤销，bulk_update / bulk_delete 按 match 筛选，删除和合并需要管理员权限
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "mcp-memory-batch-"));
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+const aclPath = path.join(tmpDir, "acl.json");
+fs.writeFileSync(
+  aclPath,
+  JSON.stringify({ principals: { writer: { roles: { "*": "read-write" } }, owner: { roles: { "*": "admin" } } } })
+);
+
+let client = null;
+
+async function connect(argv = []) {
+  const config = loadConfig(argv, {});
+  configureAccess(config);
+  configureSensitive(config);
+  await initEmbedder(config);
+  await initStore(config);
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await createServer().connect(serverTransport);
+  client = new Client({ name: "test", version: "1.0.0" });
+  await client.connect(clientTransport);
+}
+
+async function reconnect(argv) {
+  await client.close();
+  closeStore();
+  await connect(argv);
+}
+
+afterEach(async () => {
+  await client?.close();
+  client = null;
+  closeStore();
+  configureAccess({});
+});
+
+async function manage(args) {
+  return (await client.callTool({ name: "memory_manage", arguments: args })).structuredContent;
+}
+
+async function query(args) {
+  return (await client.callTool({ name: "memory_query", arguments: args })).structuredContent;
+}
+
+async function recordContents(topic) {
+  return (await query({ action: "view_topic", topic })).records.map((record) => record.content).sort();
+}
+
+async function seed() {
+  await manage({ action: "create_topic", topic: "临时" });
+  await manage({ action: "create_record", topic: "临时", content: "草稿一", importance: "低" });
+  await manage({ action: "create_record", topic: "临时", content: "草稿二", importance: "低" });
+  await manage({ action: "create_record", topic: "临时", content: "定稿", importance: "高" });
+}
+
+test("batch：全部成功时一次提交，重启后数据仍在", async () => {
+  const argv = ["--storage-path", path.join(tmpDir, "committed.jsonl")];
+  await connect(argv);
+  const result = await manage({
+    action: "batch",
+    operations: [
+      { action: "create_topic", topic: "项目" },
+      { action: "create_record", topic: "项目", content: "接口设计" },
+      { action: "create_record", topic: "项目", content: "数据库选型" }
+    ]
+  });
+  assert.equal(result.status, "committed");
+  assert.deepEqual(
+    result.results.map((item) => [item.action, item.ok]),
+    [
+      ["create_topic", true],
+      ["create_record", true],
+      ["create_record", true]
+    ]
+  );
+
+  await reconnect(argv);
+  assert.deepEqual(await recordContents("项目"), ["接口设计", "数据库选型"]);
+});
+
+test("batch：任一操作失败时撤销全部修改，缺少 confirm 的删除视为失败", async () => {
+  const argv = ["--storage-path", path.join(tmpDir, "rolled-back.jsonl")];
+  await connect(argv);
+  await seed();
+  const result = await manage({
+    action: "batch",
+    operations: [
+      { action: "create_record", topic: "临时", content: "批量新增" },
+      { action: "create_topic", topic: "归档" },
+      { action: "bulk_delete", match: { importance: "低" } }
+    ]
+  });
+  assert.equal(result.ok, false);
+  assert.equal(result.status, "rolled_back");
+  assert.equal(result.error.code, "CONFIRMATION_REQUIRED");
+  assert.equal(result.results.at(-1).index, 2);
+
+  const missing = await manage({
+    action: "batch",
+    operations: [
+      { action: "create_record", topic: "临时", content: "批量新增" },
+      { action: "create_record", topic: "不存在", content: "失败" }
+    ]
+  });
+  assert.equal(missing.status, "rolled_back");
+
+  await reconnect(argv);
+  assert.deepEqual(await recordContents("临时"), ["定稿", "草稿一", "草稿二"]);
+  assert.deepEqual(
+    (await query({ action: "list_topics" })).topics.map((topic) => topic.name),
+    ["临时"]
+  );
+});
+
+test("bulk_update：只修改符合 match 的记录，缺少条件时拒绝", async () => {
+  await connect();
+  await seed();
+  assert.equal((await manage({ action: "bulk_update", match: {}, set: { importance: "中" } })).error.code, "INVALID_ARGUMENT");
+  assert.equal((await manage({ action: "bulk_update", match: { importance: "低" } })).error.code, "INVALID_ARGUMENT");
+
+  const result = await manage({
+    action: "bulk_update",
+    match: { importance: "低", topics: ["临时"] },
+    set: { importance: "中", metadata: { reviewed: true } }
+  });
+  assert.equal(result.status, "updated");
+  assert.equal(result.affected, 2);
+  const records = (await query({ action: "view_topic", topic: "临时" })).records;
+  assert.deepEqual(
+    records.map((record) => [record.content, record.importance, record.version]).sort(),
+    [
+      ["定稿", "高", 1],
+      ["草稿一", "中", 2],
+      ["草稿二", "中", 2]
+    ]
+  );
+
+  const again = await manage({ action: "bulk_update", match: { importance: "中" }, set: { importance: "中" } });
+  assert.equal(again.status, "unchanged");
+  assert.equal(again.affected, 0);
+});
+
+test("bulk_delete：未确认时只预览，确认后移入回收站并可恢复", async () => {
+  await connect();
+  await seed();
+  const preview = await manage({ action: "bulk_delete", match: { query: "草稿" } });
+  assert.equal(preview.status, "confirmation_required");
+  assert.equal(preview.affected, 2);
+  assert.equal((await recordContents("临时")).length, 3);
+
+  const deleted = await manage({ action: "bulk_delete", match: { query: "草稿" }, confirm: true });
+  assert.equal(deleted.status, "deleted");
+  assert.equal(deleted.trash.length, 2);
+  assert.deepEqual(await recordContents("临时"), ["定稿"]);
+
+  const restored = await manage({ action: "restore", topic: "临时", recordId: deleted.records[0].id });
+  assert.equal(restored.status, "restored");
+  assert.equal((await recordContents("临时")).length, 2);
+});
+
+test("权限：bulk_delete、merge_topics 以及包含它们的 batch 需要管理员", async () => {
+  await connect(["--acl", aclPath, "--principal", "writer"]);
+  await seed();
+  await manage({ action: "create_topic", topic: "归档" });
+
+  const denied = [
+    { action: "bulk_delete", match: { importance: "低" }, confirm: true },
+    { action: "merge_topics", topic: "临时", target: "归档" },
+    {
+      action: "batch",
+      operations: [
+        { action: "create_record", topic: "归档", content: "新增" },
+        { action: "merge_topics", topic: "临时", target: "归档" }
+      ]
+    }
+  ];
+  for (const args of denied) {
+    assert.equal((await manage(args)).error.code, "FORBIDDEN", args.action);
+  }
+  assert.equal((await manage({ action: "bulk_update", match: { importance: "低" }, set: { importance: "中" } })).affected, 2);
+  assert.equal((await recordContents("归档")).length, 0);
+
+  configureAccess(loadConfig(["--acl", aclPath, "--principal", "owner"], {}));
+  const merged = await manage({ action: "merge_topics", topic: "临时", target: "归档" });
+  assert.equal(merged.ok, true);
+  assert.equal((await recordContents("归档")).length, 3);
+});
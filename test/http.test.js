@@ -0,0 +1,172 @@
+import { test, after, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { StreamableHTTPClientTransport } from "@modelcontextprotocol/sdk/client/streamableHttp.js";
+import { loadConfig } from "../src/config.js";
+import { configureAccess } from "../src/access.js";
+import { configureSensitive } from "../src/sensitive.js";
+import { initEmbedder } from "../src/embedding.js";
+import { initStore, closeStore } from "../src/store.js";
+import { createServer } from "../src/server.js";
+import { startHttpServer } from "../src/http.js";
+
+// HTTP 传输：令牌认证、DNS 重绑定防护、健康检查在未认证时不返回详情，会话只能由创建它的身份使用
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "mcp-memory-http-"));
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+const aclPath = path.join(tmpDir, "acl.json");
+fs.writeFileSync(
+  aclPath,
+  JSON.stringify({
+    principals: {
+      writer: { token: "writer-token", roles: { "*": "read-write" } },
+      reader: { token: "reader-token", roles: { "*": "read-only" } }
+    }
+  })
+);
+
+const INITIALIZE = JSON.stringify({
+  jsonrpc: "2.0",
+  id: 1,
+  method: "initialize",
+  params: { protocolVersion: "2025-03-26", capabilities: {}, clientInfo: { name: "test", version: "1.0.0" } }
+});
+
+let httpServer = null;
+let port = 0;
+const clients = [];
+
+async function start(argv = []) {
+  const config = loadConfig(["--transport", "http", "--port", "0", ...argv], {});
+  configureAccess(config);
+  configureSensitive(config);
+  await initEmbedder(config);
+  await initStore(config);
+  httpServer = await startHttpServer(config, createServer);
+  port = httpServer.address().port;
+}
+
+afterEach(async () => {
+  for (const client of clients.splice(0)) {
+    await client.close();
+  }
+  httpServer.closeAllConnections();
+  await new Promise((resolve) => httpServer.close(resolve));
+  httpServer = null;
+  closeStore();
+  configureAccess({});
+});
+
+// fetch 不允许修改 Host 请求头，这里直接使用 node:http
+function request(method, pathname, headers = {}, body = "") {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: "127.0.0.1", port, method, path: pathname, headers }, (res) => {
+      let text = "";
+      res.setEncoding("utf8");
+      res.on("data", (chunk) => (text += chunk));
+      res.on("end", () => resolve({ status: res.statusCode, headers: res.headers, text }));
+    });
+    req.on("error", reject);
+    req.end(body);
+  });
+}
+
+function initialize(headers = {}) {
+  return request(
+    "POST",
+    "/mcp",
+    { "Content-Type": "application/json", Accept: "application/json, text/event-stream", ...headers },
+    INITIALIZE
+  );
+}
+
+async function connectClient(token, sessionId) {
+  const transport = new StreamableHTTPClientTransport(new URL(`http://127.0.0.1:${port}/mcp`), {
+    requestInit: { headers: { Authorization: `Bearer ${token}` } },
+    sessionId
+  });
+  const client = new Client({ name: "test", version: "1.0.0" });
+  await client.connect(transport);
+  clients.push(client);
+  return { client, transport };
+}
+
+async function manage(client, args) {
+  return (await client.callTool({ name: "memory_manage", arguments: args })).structuredContent;
+}
+
+test("--auth-token：缺少或错误的令牌返回 401，正确的令牌可以调用工具", async () => {
+  await start(["--auth-token", "secret"]);
+  const missing = await initialize();
+  assert.equal(missing.status, 401);
+  assert.equal(missing.headers["www-authenticate"], "Bearer");
+  assert.equal((await initialize({ Authorization: "Bearer wrong" })).status, 401);
+
+  const { client } = await connectClient("secret");
+  assert.equal((await manage(client, { action: "create_topic", topic: "笔记" })).status, "created");
+  const { client: other } = await connectClient("secret");
+  const topics = (await other.callTool({ name: "memory_query", arguments: { action: "list_topics" } })).structuredContent;
+  assert.deepEqual(
+    topics.topics.map((topic) => topic.name),
+    ["笔记"]
+  );
+});
+
+test("DNS 重绑定防护：拒绝非本机的 Host 和不匹配的 Origin", async () => {
+  await start();
+  assert.equal((await initialize()).status, 200);
+  const host = await initialize({ Host: `evil.example:${port}` });
+  assert.equal(host.status, 403);
+  assert.match(host.text, /Host/);
+  assert.equal((await initialize({ Origin: "http://evil.example" })).status, 403);
+  assert.equal((await initialize({ Origin: `http://localhost:${port}` })).status, 200);
+});
+
+test("--allowed-hosts 中的地址可以访问", async () => {
+  await start(["--allowed-hosts", "memory.internal"]);
+  assert.equal((await initialize({ Host: `memory.internal:${port}` })).status, 200);
+  assert.equal((await initialize({ Host: `other.internal:${port}` })).status, 403);
+});
+
+test("健康检查：需要认证时未携带有效令牌只返回状态", async () => {
+  await start(["--auth-token", "secret"]);
+  const anonymous = JSON.parse((await request("GET", "/health")).text);
+  assert.deepEqual(anonymous, { status: "ok" });
+  const wrong = JSON.parse((await request("GET", "/health", { Authorization: "Bearer wrong" })).text);
+  assert.deepEqual(wrong, { status: "ok" });
+
+  // 会话表在整个进程中共享，这里只比较连接前后的会话数
+  const health = async () => JSON.parse((await request("GET", "/health", { Authorization: "Bearer secret" })).text);
+  const before = await health();
+  await connectClient("secret");
+  const detail = await health();
+  assert.equal(detail.sessions.streamable, before.sessions.streamable + 1);
+  assert.deepEqual(detail.namespaces, ["default"]);
+});
+
+test("权限文件：按令牌识别身份，会话不能被其他身份使用", async () => {
+  await start(["--acl", aclPath]);
+  assert.equal((await initialize({ Authorization: "Bearer unknown" })).status, 401);
+
+  const { client, transport } = await connectClient("writer-token");
+  assert.equal((await manage(client, { action: "create_topic", topic: "笔记" })).status, "created");
+  const { client: reader } = await connectClient("reader-token");
+  assert.equal((await manage(reader, { action: "create_topic", topic: "公告" })).error.code, "FORBIDDEN");
+
+  const hijacked = await request(
+    "POST",
+    "/mcp",
+    {
+      "Content-Type": "application/json",
+      Accept: "application/json, text/event-stream",
+      Authorization: "Bearer reader-token",
+      "Mcp-Session-Id": transport.sessionId
+    },
+    JSON.stringify({ jsonrpc: "2.0", id: 2, method: "tools/list" })
+  );
+  assert.equal(hijacked.status, 403);
+});
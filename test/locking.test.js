@@ -0,0 +1,153 @@
+import { test, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import { CreateMessageRequestSchema } from "@modelcontextprotocol/sdk/types.js";
+import { loadConfig } from "../src/config.js";
+import { configureAccess } from "../src/access.js";
+import { configureSensitive } from "../src/sensitive.js";
+import { initEmbedder } from "../src/embedding.js";
+import { initStore, closeStore } from "../src/store.js";
+import { createServer } from "../src/server.js";
+
+// 乐观锁：expectedVersion 与当前版本不一致时返回 VERSION_CONFLICT 且不做修改，同一命名空间的写操作依次执行
+
+let client = null;
+
+async function connect(argv = [], capabilities = {}) {
+  const config = loadConfig(argv, {});
+  configureAccess(config);
+  configureSensitive(config);
+  await initEmbedder(config);
+  await initStore(config);
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await createServer().connect(serverTransport);
+  client = new Client({ name: "test", version: "1.0.0" }, { capabilities });
+  await client.connect(clientTransport);
+}
+
+afterEach(async () => {
+  mock.timers.reset();
+  await client?.close();
+  client = null;
+  closeStore();
+});
+
+async function manage(args) {
+  return (await client.callTool({ name: "memory_manage", arguments: args })).structuredContent;
+}
+
+async function query(args) {
+  return (await client.callTool({ name: "memory_query", arguments: args })).structuredContent;
+}
+
+async function createRecord(topic, content) {
+  await manage({ action: "create_topic", topic });
+  return (await manage({ action: "create_record", topic, content })).record;
+}
+
+test("expectedVersion 与当前版本一致时更新并生成新版本", async () => {
+  await connect();
+  const record = await createRecord("项目", "接口开发中");
+  assert.equal(record.version, 1);
+  const result = await manage({
+    action: "update_record",
+    topic: "项目",
+    recordId: record.id,
+    content: "接口已上线",
+    expectedVersion: 1
+  });
+  assert.equal(result.ok, true);
+  assert.equal(result.record.version, 2);
+});
+
+test("expectedVersion 过期时返回冲突和当前状态，记录不变", async () => {
+  await connect();
+  const record = await createRecord("项目", "接口开发中");
+  await manage({ action: "update_record", topic: "项目", recordId: record.id, content: "接口联调中" });
+  const result = await manage({
+    action: "update_record",
+    topic: "项目",
+    recordId: record.id,
+    content: "接口已上线",
+    expectedVersion: 1
+  });
+  assert.equal(result.ok, false);
+  assert.equal(result.error.code, "VERSION_CONFLICT");
+  assert.deepEqual(result.conflict, { expectedVersion: 1, currentVersion: 2 });
+  assert.equal(result.record.content, "接口联调中");
+  const current = await query({ action: "get_record", recordId: record.id });
+  assert.equal(current.record.content, "接口联调中");
+});
+
+test("并发更新同一版本时只有一个成功", async () => {
+  await connect();
+  const record = await createRecord("项目", "初始内容");
+  const results = await Promise.all(
+    ["agent-a", "agent-b"].map((actor) =>
+      manage({
+        action: "update_record",
+        topic: "项目",
+        recordId: record.id,
+        content: `${actor} 的修改`,
+        actor,
+        expectedVersion: 1
+      })
+    )
+  );
+  assert.deepEqual(results.map((result) => result.ok).sort(), [false, true]);
+  assert.equal(results.find((result) => !result.ok).error.code, "VERSION_CONFLICT");
+  const current = await query({ action: "get_record", recordId: record.id });
+  assert.equal(current.record.version, 2);
+});
+
+test("主题的 expectedVersion 过期时不修改主题", async () => {
+  await connect();
+  await manage({ action: "create_topic", topic: "项目", description: "v1" });
+  await manage({ action: "update_topic", topic: "项目", description: "v2", expectedVersion: 1 });
+  const result = await manage({ action: "update_topic", topic: "项目", description: "v3", expectedVersion: 1 });
+  assert.equal(result.error.code, "VERSION_CONFLICT");
+  assert.deepEqual(result.conflict, { expectedVersion: 1, currentVersion: 2 });
+  const topics = await query({ action: "list_topics" });
+  assert.equal(topics.topics.find((topic) => topic.name === "项目").description, "v2");
+});
+
+test("batch 中出现冲突时撤销整个批量操作", async () => {
+  await connect();
+  const record = await createRecord("项目", "初始内容");
+  await manage({ action: "update_record", topic: "项目", recordId: record.id, content: "第二版" });
+  const result = await manage({
+    action: "batch",
+    operations: [
+      { action: "create_record", topic: "项目", content: "批量新增" },
+      { action: "update_record", topic: "项目", recordId: record.id, content: "第三版", expectedVersion: 1 }
+    ]
+  });
+  assert.equal(result.ok, false);
+  assert.equal(result.error.code, "VERSION_CONFLICT");
+  const topic = await query({ action: "view_topic", topic: "项目" });
+  assert.deepEqual(
+    topic.records.map((item) => item.content),
+    ["第二版"]
+  );
+});
+
+test("consolidate 生成摘要期间记录被修改时不做整合，同一毫秒内的修改同样能发现", async () => {
+  await connect([], { sampling: {} });
+  // 固定当前时间，摘要期间的修改与生成摘要前的更新时间相同
+  mock.timers.enable({ apis: ["Date"], now: Date.now() });
+  const record = await createRecord("项目", "接口开发中");
+  await manage({ action: "create_record", topic: "项目", content: "接口联调中" });
+  client.setRequestHandler(CreateMessageRequestSchema, async () => {
+    await manage({ action: "update_record", topic: "项目", recordId: record.id, content: "接口已上线" });
+    return { model: "test", role: "assistant", content: { type: "text", text: "接口开发和联调" } };
+  });
+  const result = await manage({
+    action: "consolidate",
+    topic: "项目",
+    consolidation: { summarizer: "sampling", groupBy: "all" }
+  });
+  assert.equal(result.error.code, "VERSION_CONFLICT");
+  const topic = await query({ action: "view_topic", topic: "项目" });
+  assert.deepEqual(topic.records.map((item) => item.content).sort(), ["接口已上线", "接口联调中"]);
+});
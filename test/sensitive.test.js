@@ -0,0 +1,232 @@
+import { test, after, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import { CreateMessageRequestSchema } from "@modelcontextprotocol/sdk/types.js";
+import { loadConfig } from "../src/config.js";
+import { configureAccess } from "../src/access.js";
+import { configureSensitive, scanFields, maskFields, refreshSensitiveTag, redactRecord } from "../src/sensitive.js";
+import { initEmbedder } from "../src/embedding.js";
+import { initStore, closeStore } from "../src/store.js";
+import { createServer } from "../src/server.js";
+
+// 敏感信息：按策略检测、隐藏或拒绝写入，标记为敏感的记录在查询、导出、冲突、重复检测和统计结果中脱敏显示
+
+const API_KEY = "sk-proj-Abcdefghijklmnopqrstuvwxyz012345";
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "mcp-memory-sensitive-"));
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+const aclPath = path.join(tmpDir, "acl.json");
+fs.writeFileSync(
+  aclPath,
+  JSON.stringify({ principals: { writer: { roles: { "*": "read-write" } }, owner: { roles: { "*": "admin" } } } })
+);
+
+let client = null;
+
+async function connect(argv = [], capabilities = {}) {
+  const config = loadConfig(argv, {});
+  configureAccess(config);
+  configureSensitive(config);
+  await initEmbedder(config);
+  await initStore(config);
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await createServer().connect(serverTransport);
+  client = new Client({ name: "test", version: "1.0.0" }, { capabilities });
+  await client.connect(clientTransport);
+}
+
+afterEach(async () => {
+  await client?.close();
+  client = null;
+  closeStore();
+  configureSensitive({});
+});
+
+async function callTool(name, args) {
+  const result = await client.callTool({ name, arguments: args });
+  return { ...result.structuredContent, text: result.content.map((item) => item.text).join("\n") };
+}
+
+const manage = (args) => callTool("memory_manage", args);
+const query = (args) => callTool("memory_query", args);
+
+async function createSecret(topic = "部署") {
+  await manage({ action: "create_topic", topic });
+  return manage({ action: "create_record", topic, content: `生产环境使用 ${API_KEY} 调用模型接口` });
+}
+
+function assertHidden(result) {
+  assert.ok(!JSON.stringify(result).includes(API_KEY), "结果中出现了原文");
+}
+
+test("检测规则：按字段报告命中，校验银行卡号，隐藏后的占位符不再命中", () => {
+  configureSensitive({ sensitivePolicy: "tag" });
+  const fields = {
+    content: `key: ${API_KEY}`,
+    metadata: { owner: "dev@example.com", card: "4111 1111 1111 1112" }
+  };
+  const findings = scanFields(fields);
+  assert.deepEqual(
+    findings.map((finding) => `${finding.field}:${finding.detector}`),
+    ["content:api_key", "metadata.owner:email"]
+  );
+  const masked = maskFields(fields);
+  assert.match(masked.content, /\[已隐藏:(API 密钥|密码)\]/);
+  assert.equal(masked.metadata.owner, "[已隐藏:邮箱]");
+  assert.deepEqual(scanFields(masked), []);
+});
+
+test("敏感记录的脱敏副本不修改原记录", () => {
+  configureSensitive({ sensitivePolicy: "tag" });
+  const record = { id: "r1", content: `token ${API_KEY}`, context: "", metadata: {} };
+  assert.equal(refreshSensitiveTag(record), true);
+  assert.deepEqual(record.sensitive.fields, ["content"]);
+  const redacted = redactRecord(record);
+  assert.equal(redacted.redacted, true);
+  assertHidden(redacted);
+  assert.ok(record.content.includes(API_KEY));
+  assert.equal(redactRecord({ id: "r2", content: "普通内容" }).redacted, undefined);
+});
+
+test("tag：照常保存并标记，查询默认脱敏，reveal 显示原文", async () => {
+  await connect(["--sensitive-policy", "tag"]);
+  const created = await createSecret();
+  assert.equal(created.ok, true);
+  assert.deepEqual(created.record.sensitive.kinds, ["api_key"]);
+  assert.deepEqual(
+    created.findings.map((finding) => finding.detector),
+    ["api_key"]
+  );
+
+  const shown = await query({ action: "get_record", recordId: created.record.id });
+  assert.equal(shown.record.redacted, true);
+  assertHidden(shown);
+  const searched = await query({ action: "search", query: "生产环境" });
+  assertHidden(searched);
+
+  const revealed = await query({ action: "get_record", recordId: created.record.id, reveal: true });
+  assert.ok(revealed.record.content.includes(API_KEY));
+});
+
+test("mask：保存前隐藏命中的片段", async () => {
+  await connect(["--sensitive-policy", "mask"]);
+  const created = await createSecret();
+  assertHidden(created);
+  const shown = await query({ action: "get_record", recordId: created.record.id, reveal: true });
+  assert.match(shown.record.content, /\[已隐藏:API 密钥\]/);
+  assert.equal(shown.record.sensitive, undefined);
+});
+
+test("block：拒绝写入，bulk_update 同样按策略检查", async () => {
+  await connect(["--sensitive-policy", "block"]);
+  const rejected = await createSecret();
+  assert.equal(rejected.error.code, "SENSITIVE_CONTENT");
+  assert.equal(rejected.findings[0].field, "content");
+  const topic = await query({ action: "view_topic", topic: "部署" });
+  assert.equal(topic.records.length, 0);
+
+  await manage({ action: "create_record", topic: "部署", content: "普通记录" });
+  const bulk = await manage({ action: "bulk_update", match: { topics: ["部署"] }, set: { metadata: { key: API_KEY } } });
+  assert.equal(bulk.error.code, "SENSITIVE_CONTENT");
+});
+
+test("版本冲突、重复检测和统计结果中的敏感记录脱敏", async () => {
+  await connect(["--sensitive-policy", "tag"]);
+  const created = await createSecret();
+
+  const conflict = await manage({
+    action: "update_record",
+    topic: "部署",
+    recordId: created.record.id,
+    content: "改写",
+    expectedVersion: 5
+  });
+  assert.equal(conflict.error.code, "VERSION_CONFLICT");
+  assertHidden(conflict);
+
+  const duplicate = await manage({
+    action: "create_record",
+    topic: "部署",
+    content: "生产环境使用 sk-proj 调用模型接口",
+    duplicatePolicy: "reject",
+    similarityThreshold: 0.5
+  });
+  assert.equal(duplicate.error.code, "DUPLICATE_RECORD");
+  assertHidden(duplicate);
+
+  const stats = await callTool("memory_stats", { sections: ["overview", "reads"] });
+  assertHidden(stats);
+});
+
+test("导出默认脱敏（包括版本历史），reveal 需要管理员权限", async () => {
+  await connect(["--sensitive-policy", "tag", "--acl", aclPath, "--principal", "writer"]);
+  const created = await createSecret();
+  const exported = await callTool("memory_transfer", { action: "export", format: "jsonl" });
+  assert.match(exported.text, /已隐藏/);
+  assertHidden(exported);
+
+  const deniedExport = await callTool("memory_transfer", { action: "export", reveal: true });
+  assert.match(deniedExport.text, /权限不足/);
+  assertHidden(deniedExport);
+  const deniedQuery = await query({ action: "get_record", recordId: created.record.id, reveal: true });
+  assert.equal(deniedQuery.error.code, "FORBIDDEN");
+
+  configureAccess(loadConfig(["--acl", aclPath, "--principal", "owner"], {}));
+  const revealed = await callTool("memory_transfer", { action: "export", reveal: true });
+  assert.ok(revealed.text.includes(API_KEY));
+
+  await manage({ action: "update_record", topic: "部署", recordId: created.record.id, content: "密钥已轮换" });
+  assertHidden(await callTool("memory_transfer", { action: "export", format: "json" }));
+});
+
+test("更新、恢复版本、删除和从回收站恢复的结果中敏感记录脱敏", async () => {
+  await connect(["--sensitive-policy", "tag"]);
+  const created = await createSecret();
+  const recordId = created.record.id;
+
+  const updated = await manage({ action: "update_record", topic: "部署", recordId, importance: "高" });
+  assert.equal(updated.record.redacted, true);
+  assertHidden(updated);
+  const restored = await manage({ action: "restore_version", topic: "部署", recordId, version: 1 });
+  assert.equal(restored.status, "restored");
+  assertHidden(restored);
+  const deleted = await manage({ action: "delete_record", topic: "部署", recordId });
+  assert.equal(deleted.record.redacted, true);
+  assertHidden(deleted);
+  const fromTrash = await manage({ action: "restore", topic: "部署", recordId });
+  assert.equal(fromTrash.status, "restored");
+  assertHidden(fromTrash);
+});
+
+test("consolidate 通过 sampling 发给客户端模型的记录和整合结果脱敏", async () => {
+  await connect(["--sensitive-policy", "tag"], { sampling: {} });
+  const prompts = [];
+  client.setRequestHandler(CreateMessageRequestSchema, async (request) => {
+    prompts.push(request.params.messages[0].content.text);
+    return { model: "test", role: "assistant", content: { type: "text", text: "部署使用模型接口" } };
+  });
+  await createSecret();
+  await manage({ action: "create_record", topic: "部署", content: "生产环境部署在华东区域" });
+
+  const preview = await manage({
+    action: "consolidate",
+    topic: "部署",
+    consolidation: { summarizer: "extractive", groupBy: "all", dryRun: true }
+  });
+  assert.equal(preview.consolidation.dryRun, true);
+  assertHidden(preview);
+
+  const result = await manage({
+    action: "consolidate",
+    topic: "部署",
+    consolidation: { summarizer: "sampling", groupBy: "all" }
+  });
+  assert.equal(result.status, "created");
+  assert.equal(prompts.length, 1);
+  assert.match(prompts[0], /已隐藏/);
+  assert.ok(!prompts[0].includes(API_KEY));
+});
@@ -0,0 +1,190 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { randomBytes } from "node:crypto";
+import { loadConfig } from "../src/config.js";
+import { initStore, closeStore, getSpace } from "../src/store.js";
+import { generateId, getCurrentTimestamp } from "../src/utils.js";
+
+// 存储后端的持久化：写入后重启（closeStore + initStore）能恢复全部数据，加密存储的文件中没有明文
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "mcp-memory-test-"));
+after(() => {
+  closeStore();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const SECRET = "绝密内容 Tango-Foxtrot-42";
+
+// better-sqlite3 是可选依赖，无法加载时跳过 sqlite 的用例
+const hasSqlite = await import("better-sqlite3").then(
+  () => true,
+  () => false
+);
+
+let fileCount = 0;
+function storagePath(ext) {
+  return path.join(tmpDir, `memory-${++fileCount}${ext}`);
+}
+
+async function open(file, argv = [], env = {}) {
+  await initStore(loadConfig(["--storage-path", file, ...argv], env));
+  return getSpace();
+}
+
+function addTopic(space, name) {
+  const topicData = {
+    id: generateId(),
+    name,
+    description: "",
+    tags: [],
+    records: [],
+    version: 1,
+    createdAt: getCurrentTimestamp(),
+    updatedAt: getCurrentTimestamp()
+  };
+  space.memoryStore.set(name, topicData);
+  space.saveTopic(topicData);
+  return topicData;
+}
+
+function addRecord(space, topicData, content) {
+  const record = {
+    id: generateId(),
+    content,
+    importance: "中",
+    context: "",
+    metadata: {},
+    version: 1,
+    createdAt: getCurrentTimestamp(),
+    updatedAt: getCurrentTimestamp()
+  };
+  topicData.records.push(record);
+  space.saveRecord(topicData.name, record);
+  return record;
+}
+
+// 存储目录中属于该存储文件的所有文件（包括 SQLite 的 -wal / -shm）的内容
+function readStorageFiles(file) {
+  return fs
+    .readdirSync(path.dirname(file))
+    .filter((name) => name.startsWith(path.basename(file)))
+    .map((name) => fs.readFileSync(path.join(path.dirname(file), name)).toString("latin1"))
+    .join("\n");
+}
+
+for (const [storage, ext] of [
+  ["json", ".jsonl"],
+  ["sqlite", ".db"]
+]) {
+  const options = { skip: storage === "sqlite" && !hasSqlite };
+
+  test(`${storage}: 主题、记录、删除和读取统计在重启后恢复`, options, async () => {
+    const file = storagePath(ext);
+    let space = await open(file);
+    const topicData = addTopic(space, "项目笔记");
+    const kept = addRecord(space, topicData, "数据库使用 PostgreSQL");
+    const removed = addRecord(space, topicData, "临时记录");
+    kept.content = "数据库改用 MySQL";
+    kept.version = 2;
+    space.saveRecord(topicData.name, kept);
+    topicData.records = topicData.records.filter((record) => record.id !== removed.id);
+    space.removeRecord(topicData.name, removed.id);
+    space.markRead([kept.id, kept.id]);
+    space.markRead([kept.id]);
+    const eventCount = space.eventLog.length;
+    closeStore();
+
+    space = await open(file);
+    const restored = space.memoryStore.get("项目笔记");
+    assert.ok(restored);
+    assert.deepEqual(
+      restored.records.map((record) => [record.id, record.content, record.version]),
+      [[kept.id, "数据库改用 MySQL", 2]]
+    );
+    assert.equal(space.accessStore.get(kept.id).count, 2);
+    assert.equal(space.eventLog.length, eventCount);
+    closeStore();
+  });
+
+  test(`${storage}: 加密存储重启后可读，文件中没有明文`, options, async () => {
+    const file = storagePath(ext);
+    const env = { MCP_MEMORY_ENCRYPTION_KEY: randomBytes(32).toString("hex") };
+    let space = await open(file, [], env);
+    const record = addRecord(space, addTopic(space, "密钥"), SECRET);
+    closeStore();
+
+    assert.ok(!readStorageFiles(file).includes("Tango-Foxtrot-42"));
+    space = await open(file, [], env);
+    assert.equal(space.memoryStore.get("密钥").records[0].content, SECRET);
+    assert.equal(space.memoryStore.get("密钥").records[0].id, record.id);
+    assert.equal(space.storageInfo.encrypted, true);
+    closeStore();
+
+    await assert.rejects(open(file), /已加密/);
+    closeStore();
+    await assert.rejects(open(file, [], { MCP_MEMORY_ENCRYPTION_KEY: randomBytes(32).toString("hex") }), /密钥不正确/);
+    closeStore();
+  });
+
+  test(`${storage}: 开启加密后已有的明文存储被重写为密文`, options, async () => {
+    const file = storagePath(ext);
+    let space = await open(file);
+    addRecord(space, addTopic(space, "迁移"), SECRET);
+    closeStore();
+    assert.ok(readStorageFiles(file).includes("Tango-Foxtrot-42"));
+
+    const env = { MCP_MEMORY_ENCRYPTION_KEY: randomBytes(32).toString("base64") };
+    space = await open(file, [], env);
+    assert.equal(space.memoryStore.get("迁移").records[0].content, SECRET);
+    closeStore();
+    assert.ok(!readStorageFiles(file).includes("Tango-Foxtrot-42"));
+  });
+}
+
+test("json: 压缩后数据完整", async () => {
+  const file = storagePath(".jsonl");
+  let space = await open(file, ["--compact-threshold", "5"]);
+  const topicData = addTopic(space, "压缩");
+  const record = addRecord(space, topicData, "版本 0");
+  for (let i = 1; i <= 20; i++) {
+    record.content = `版本 ${i}`;
+    record.version = i + 1;
+    space.saveRecord(topicData.name, record);
+  }
+  closeStore();
+  // 压缩后只保留记录的最新状态，之后追加的修改不超过压缩阈值
+  const recordLines = fs
+    .readFileSync(file, "utf8")
+    .split("\n")
+    .filter((line) => line.includes('"op":"record"'));
+  assert.ok(recordLines.length <= 5, `记录行数 ${recordLines.length}`);
+
+  space = await open(file);
+  assert.equal(space.memoryStore.get("压缩").records[0].content, "版本 20");
+  closeStore();
+});
+
+test("json: 事务回滚后内存和存储都恢复到开始前的状态", async () => {
+  const file = storagePath(".jsonl");
+  let space = await open(file);
+  const topicData = addTopic(space, "事务");
+  addRecord(space, topicData, "已提交");
+  space.begin();
+  addRecord(space, space.memoryStore.get("事务"), "未提交");
+  space.rollback();
+  assert.deepEqual(
+    space.memoryStore.get("事务").records.map((record) => record.content),
+    ["已提交"]
+  );
+  closeStore();
+
+  space = await open(file);
+  assert.deepEqual(
+    space.memoryStore.get("事务").records.map((record) => record.content),
+    ["已提交"]
+  );
+  closeStore();
+});
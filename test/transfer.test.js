@@ -0,0 +1,148 @@
+import { test, after, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import { loadConfig } from "../src/config.js";
+import { configureAccess } from "../src/access.js";
+import { configureSensitive } from "../src/sensitive.js";
+import { configureTransfer } from "../src/transfer.js";
+import { initEmbedder } from "../src/embedding.js";
+import { initStore, closeStore } from "../src/store.js";
+import { createServer } from "../src/server.js";
+
+// 导入导出：各格式往返后数据一致，冲突策略按计划处理，filePath 只能读写导入导出目录中的文件
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "mcp-memory-transfer-"));
+const transferDir = path.join(tmpDir, "exports");
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+let client = null;
+
+async function connect(argv = []) {
+  const config = loadConfig(argv, {});
+  configureAccess(config);
+  configureSensitive(config);
+  configureTransfer(config);
+  await initEmbedder(config);
+  await initStore(config);
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await createServer().connect(serverTransport);
+  client = new Client({ name: "test", version: "1.0.0" });
+  await client.connect(clientTransport);
+}
+
+afterEach(async () => {
+  await client?.close();
+  client = null;
+  closeStore();
+  configureTransfer({});
+});
+
+async function callTool(name, args) {
+  const result = await client.callTool({ name, arguments: args });
+  return { ...result.structuredContent, contents: result.content.map((item) => item.text) };
+}
+
+const manage = (args) => callTool("memory_manage", args);
+const query = (args) => callTool("memory_query", args);
+const transfer = async (args) => (await callTool("memory_transfer", args)).contents;
+
+async function seed() {
+  await manage({ action: "create_topic", topic: "笔记", tags: ["学习"] });
+  await manage({ action: "create_record", topic: "笔记", content: "第一行\n```代码```\n第三行", importance: "高" });
+  await manage({ action: "create_record", topic: "笔记", content: "普通记录", metadata: { source: "书" } });
+}
+
+async function recordContents(topic) {
+  return (await query({ action: "view_topic", topic })).records.map((record) => record.content).sort();
+}
+
+for (const format of ["json", "jsonl", "markdown"]) {
+  test(`${format}: 导出后导入到空存储，内容一致`, async () => {
+    await connect();
+    await seed();
+    const [, output] = await transfer({ action: "export", format });
+    const before = await recordContents("笔记");
+    await client.close();
+    closeStore();
+
+    await connect();
+    const [report] = await transfer({ action: "import", format, data: output });
+    assert.match(report, /导入完成/);
+    assert.deepEqual(await recordContents("笔记"), before);
+  });
+}
+
+test("冲突策略：skip 跳过重名主题，rename 以新名称导入，dryRun 不写入", async () => {
+  await connect();
+  await seed();
+  const [, output] = await transfer({ action: "export", format: "json" });
+
+  const [preview] = await transfer({ action: "import", data: output, topicConflict: "rename", dryRun: true });
+  assert.match(preview, /导入预演/);
+  assert.deepEqual(
+    (await query({ action: "list_topics" })).topics.map((topic) => topic.name),
+    ["笔记"]
+  );
+
+  await transfer({ action: "import", data: output, topicConflict: "skip" });
+  assert.equal((await recordContents("笔记")).length, 2);
+
+  await transfer({ action: "import", data: output, topicConflict: "rename", recordConflict: "rename" });
+  assert.deepEqual(await recordContents("笔记 (2)"), await recordContents("笔记"));
+});
+
+test("导入只保留已知字段", async () => {
+  await connect();
+  const data = JSON.stringify({
+    topics: [
+      {
+        name: "导入",
+        owner: "someone",
+        records: [{ id: "r1", content: "内容", embedding: { vector: [1] }, redacted: true, history: "无效" }]
+      }
+    ]
+  });
+  await transfer({ action: "import", data });
+  const [, output] = await transfer({ action: "export", format: "json" });
+  const [topic] = JSON.parse(output).topics;
+  assert.equal(topic.owner, undefined);
+  assert.equal(topic.records[0].content, "内容");
+  for (const field of ["embedding", "redacted", "history"]) {
+    assert.equal(topic.records[0][field], undefined, field);
+  }
+});
+
+test("filePath：未配置导入导出目录时拒绝读写文件", async () => {
+  await connect();
+  await seed();
+  const [text] = await transfer({ action: "export", filePath: "backup.json" });
+  assert.match(text, /未配置导入导出目录/);
+});
+
+test("filePath：只能读写导入导出目录中的文件", async () => {
+  await connect(["--transfer-dir", transferDir]);
+  await seed();
+  const [exported] = await transfer({ action: "export", filePath: "backup/notes.json" });
+  assert.match(exported, /导出成功/);
+  assert.ok(fs.existsSync(path.join(transferDir, "backup", "notes.json")));
+
+  for (const filePath of ["../escape.json", "backup/../../escape.json", path.join(tmpDir, "escape.json")]) {
+    const [text] = await transfer({ action: "export", filePath });
+    assert.match(text, /相对路径/, filePath);
+  }
+  assert.ok(!fs.existsSync(path.join(tmpDir, "escape.json")));
+
+  fs.symlinkSync(tmpDir, path.join(transferDir, "link"));
+  const [linked] = await transfer({ action: "export", filePath: "link/escape.json" });
+  assert.match(linked, /符号链接/);
+  assert.ok(!fs.existsSync(path.join(tmpDir, "escape.json")));
+
+  await manage({ action: "delete_topic", topic: "笔记" });
+  const [imported] = await transfer({ action: "import", filePath: "backup/notes.json" });
+  assert.match(imported, /导入完成/);
+  assert.equal((await recordContents("笔记")).length, 2);
+});